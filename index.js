@@ -33,6 +33,7 @@ import MediaPlayer from './src/streaming/MediaPlayer';
 import Protection from './src/streaming/protection/Protection';
 import MetricsReporting from './src/streaming/metrics/MetricsReporting';
 import MediaPlayerFactory from './src/streaming/MediaPlayerFactory';
+import FactoryMaker from './src/core/FactoryMaker';
 import {getVersionString} from './src/core/Version';
 
 
@@ -48,8 +49,9 @@ dashjs.MediaPlayer = MediaPlayer;
 dashjs.Protection = Protection;
 dashjs.MetricsReporting = MetricsReporting;
 dashjs.MediaPlayerFactory = MediaPlayerFactory;
+dashjs.FactoryMaker = FactoryMaker;
 dashjs.Version = getVersionString();
 
 
 export default dashjs;
-export { MediaPlayer, Protection, MetricsReporting, MediaPlayerFactory};
+export { MediaPlayer, Protection, MetricsReporting, MediaPlayerFactory, FactoryMaker};
@@ -33,6 +33,7 @@ import TrackInfo from '../streaming/vo/TrackInfo';
 import MediaInfo from '../streaming/vo/MediaInfo';
 import StreamInfo from '../streaming/vo/StreamInfo';
 import ManifestInfo from '../streaming/vo/ManifestInfo';
+import ThumbnailTrackInfo from '../streaming/vo/ThumbnailTrackInfo';
 import Event from './vo/Event';
 import FactoryMaker from '../core/FactoryMaker';
 import cea608parser from '../../externals/cea608-parser';
@@ -44,6 +45,7 @@ function DashAdapter() {
 
     let instance,
         dashManifestModel,
+        capabilities,
         periods,
         adaptations;
 
@@ -53,6 +55,9 @@ function DashAdapter() {
         if (config.dashManifestModel) {
             dashManifestModel = config.dashManifestModel;
         }
+        if (config.capabilities) {
+            capabilities = config.capabilities;
+        }
     }
 
     function initialize() {
@@ -143,10 +148,37 @@ function DashAdapter() {
         }
 
         mediaInfo.isText = dashManifestModel.getIsTextTrack(mediaInfo.mimeType);
+        mediaInfo.isTrickMode = dashManifestModel.getIsTrickMode(a);
 
         return mediaInfo;
     }
 
+    function convertRepresentationToThumbnailTrackInfo(manifest, representation) {
+        var a = manifest.Period_asArray[representation.adaptation.period.index].AdaptationSet_asArray[representation.adaptation.index];
+        var r = dashManifestModel.getRepresentationFor(representation.index, a);
+        var tiling = dashManifestModel.getThumbnailTiling(a, r);
+
+        // the image shown at a given time can only be found from a SegmentTemplate with a @duration
+        if (!tiling || representation.segmentInfoType !== 'SegmentTemplate' || isNaN(representation.segmentDuration) || !r.SegmentTemplate.media) return null;
+
+        var trackInfo = new ThumbnailTrackInfo();
+
+        trackInfo.id = representation.id;
+        trackInfo.bandwidth = representation.bandwidth;
+        trackInfo.width = parseInt(r.width || a.width, 10);
+        trackInfo.height = parseInt(r.height || a.height, 10);
+        trackInfo.columns = tiling.columns;
+        trackInfo.rows = tiling.rows;
+        trackInfo.templateUrl = r.SegmentTemplate.media.split('$Bandwidth$').join(r.bandwidth).split('$RepresentationID$').join(r.id);
+        trackInfo.startNumber = representation.startNumber;
+        trackInfo.segmentDuration = representation.segmentDuration;
+        trackInfo.timescale = representation.timescale;
+        trackInfo.presentationTimeOffset = representation.presentationTimeOffset;
+        trackInfo.path = representation.path;
+
+        return trackInfo;
+    }
+
     function convertVideoInfoToEmbeddedTextInfo(mediaInfo, channel, lang) {
         mediaInfo.id = channel; // CC1, CC2, CC3, or CC4
         mediaInfo.index = 100 + parseInt(channel.substring(2, 3));
@@ -268,6 +300,52 @@ function DashAdapter() {
         return mediaArr;
     }
 
+    function getTrickModeMediaInfoFor(manifest, mediaInfo) {
+        if (!mediaInfo) return null;
+
+        var streamInfo = mediaInfo.streamInfo;
+        var periodInfo = getPeriodForStreamInfo(streamInfo);
+        var periodId = periodInfo.id;
+        var adaptation = dashManifestModel.getAdaptationForIndex(mediaInfo.index, manifest, streamInfo.index);
+        var data = dashManifestModel.getTrickModeAdaptationFor(manifest, streamInfo.index, adaptation);
+
+        if (!data) return null;
+
+        var idx = dashManifestModel.getIndexForAdaptation(data, manifest, streamInfo.index);
+
+        adaptations[periodId] = adaptations[periodId] || dashManifestModel.getAdaptationsForPeriod(manifest, periodInfo);
+
+        return convertAdaptationToMediaInfo(manifest, adaptations[periodId][idx]);
+    }
+
+    /**
+     * Lists the thumbnail Representations of the image AdaptationSets of a period which lay their thumbnails out in a
+     * grid of tiles and address their images with a SegmentTemplate.
+     *
+     * @param {Object} manifest
+     * @param {StreamInfo} streamInfo
+     * @returns {Array} the ThumbnailTrackInfo of each Representation
+     * @memberof DashAdapter#
+     */
+    function getThumbnailTracks(manifest, streamInfo) {
+        var periodInfo = getPeriodForStreamInfo(streamInfo);
+        var tracks = [];
+
+        if (!periodInfo) return tracks;
+
+        adaptations[periodInfo.id] = adaptations[periodInfo.id] || dashManifestModel.getAdaptationsForPeriod(manifest, periodInfo);
+        adaptations[periodInfo.id].filter(adaptation => adaptation.type === 'image').forEach(adaptation => {
+            dashManifestModel.getRepresentationsForAdaptation(manifest, adaptation).forEach(representation => {
+                var trackInfo = convertRepresentationToThumbnailTrackInfo(manifest, representation);
+                if (trackInfo) {
+                    tracks.push(trackInfo);
+                }
+            });
+        });
+
+        return tracks;
+    }
+
     function getStreamsInfo(manifest) {
 
         if (!manifest) return null;
@@ -285,6 +363,100 @@ function DashAdapter() {
         return streams;
     }
 
+    function getDecodingConfiguration(type, adaptation, representation) {
+        const mimeType = representation.mimeType || adaptation.mimeType;
+        const codecs = representation.codecs || adaptation.codecs;
+
+        return {
+            type: type,
+            contentType: mimeType ? mimeType + (codecs ? ';codecs="' + codecs + '"' : '') : null,
+            width: parseInt(representation.width || adaptation.width, 10),
+            height: parseInt(representation.height || adaptation.height, 10),
+            frameRate: dashManifestModel.getFrameRate(representation.frameRate ? representation : adaptation),
+            bitrate: parseInt(representation.bandwidth, 10)
+        };
+    }
+
+    /**
+     * Removes from the manifest the video and audio representations the device cannot decode, according to
+     * Capabilities.supportsDecoding, so that they are never offered to ABR. Adaptations for which no representation
+     * is supported are left untouched: the codec check made when the stream is initialized decides on those.
+     *
+     * @param {Object} manifest
+     * @param {function} callback - called with the list of the removed representations once all of them have been probed
+     * @memberof DashAdapter#
+     */
+    function filterUnsupportedRepresentations(manifest, callback) {
+        const probed = [];
+        let pending = 1;
+
+        function onProbed() {
+            pending--;
+            if (pending === 0) {
+                callback(removeUnsupportedRepresentations(probed));
+            }
+        }
+
+        if (capabilities && manifest && manifest.Period_asArray) {
+            manifest.Period_asArray.forEach(function (period) {
+                (period.AdaptationSet_asArray || []).forEach(function (adaptation) {
+                    const representations = adaptation.Representation_asArray;
+                    if (!representations || representations.length < 2) return;
+
+                    const type = dashManifestModel.getIsVideo(adaptation) ? 'video' : dashManifestModel.getIsAudio(adaptation) ? 'audio' : null;
+                    if (!type) return;
+
+                    const item = {period: period, adaptation: adaptation, type: type, supported: []};
+                    probed.push(item);
+
+                    representations.forEach(function (representation, i) {
+                        pending++;
+                        capabilities.supportsDecoding(getDecodingConfiguration(type, adaptation, representation), function (supported) {
+                            item.supported[i] = supported !== false;
+                            onProbed();
+                        });
+                    });
+                });
+            });
+        }
+
+        onProbed();
+    }
+
+    function removeUnsupportedRepresentations(probed) {
+        const removed = [];
+
+        probed.forEach(function (item) {
+            const adaptation = item.adaptation;
+            const representations = adaptation.Representation_asArray;
+            const supported = representations.filter((r, i) => item.supported[i]);
+
+            if (supported.length === 0 || supported.length === representations.length) return;
+
+            representations.forEach(function (representation, i) {
+                if (item.supported[i]) return;
+
+                const config = getDecodingConfiguration(item.type, adaptation, representation);
+                removed.push({
+                    periodId: item.period.id,
+                    adaptationId: adaptation.id,
+                    mediaType: item.type,
+                    id: representation.id,
+                    bandwidth: config.bitrate,
+                    width: config.width,
+                    height: config.height,
+                    frameRate: config.frameRate,
+                    codec: config.contentType
+                });
+            });
+
+            adaptation.Representation_asArray = supported;
+            adaptation.Representation = supported;
+        });
+
+        return removed;
+    }
+
     function getManifestInfo(manifest) {
         var mpd = dashManifestModel.getMpd(manifest);
         return convertMpdToManifestInfo(manifest, mpd);
@@ -300,6 +472,11 @@ function DashAdapter() {
         return streamProcessor.getIndexHandler().getNextSegmentRequest(representation);
     }
 
+    function getNextFragmentSize(streamProcessor, quality) {
+        var representation = streamProcessor.getRepresentationController().getRepresentationForQuality(quality);
+        return streamProcessor.getIndexHandler().getNextSegmentSize(representation);
+    }
+
     function getFragmentRequestForTime(streamProcessor, trackInfo, time, options) {
         var representation = getRepresentationForTrackInfo(trackInfo, streamProcessor.getRepresentationController());
         return streamProcessor.getIndexHandler().getSegmentRequestForTime(representation, time, options);
@@ -396,13 +573,17 @@ function DashAdapter() {
         getDataForStream: getPeriodForStreamInfo,
         getStreamsInfo: getStreamsInfo,
         getManifestInfo: getManifestInfo,
+        filterUnsupportedRepresentations: filterUnsupportedRepresentations,
         getMediaInfoForType: getMediaInfoForType,
         getAllMediaInfoForType: getAllMediaInfoForType,
+        getTrickModeMediaInfoFor: getTrickModeMediaInfoFor,
+        getThumbnailTracks: getThumbnailTracks,
         getCurrentRepresentationInfo: getCurrentRepresentationInfo,
         getRepresentationInfoForQuality: getRepresentationInfoForQuality,
         updateData: updateData,
         getInitRequest: getInitRequest,
         getNextFragmentRequest: getNextFragmentRequest,
+        getNextFragmentSize: getNextFragmentSize,
         getFragmentRequestForTime: getFragmentRequestForTime,
         generateFragmentRequestForTime: generateFragmentRequestForTime,
         getIndexHandlerTime: getIndexHandlerTime,
@@ -37,7 +37,7 @@ import FactoryMaker from '../core/FactoryMaker';
 import Debug from '../core/Debug';
 import URLUtils from '../streaming/utils/URLUtils';
 
-import {replaceTokenForTemplate, getTimeBasedSegment, getSegmentByIndex} from './utils/SegmentsUtils';
+import {replaceTokenForTemplate, getTimeBasedSegment, getSegmentByIndex, getSegmentSize} from './utils/SegmentsUtils';
 import SegmentsGetter from './utils/SegmentsGetter';
 
 const SEGMENTS_UNAVAILABLE_ERROR_CODE = 1;
@@ -97,6 +97,13 @@ function DashHandler(config) {
         return index;
     }
 
+    function getNextSegmentSize(representation) {
+        // the next request made by getNextSegmentRequest is for index + 1, whatever the representation
+        if (!representation || index < 0) return NaN;
+
+        return getSegmentSize(getSegmentByIndex(index + 1, representation));
+    }
+
     function getEarliestTime() {
         return earliestTime;
     }
@@ -319,6 +326,7 @@ function DashHandler(config) {
         request.timescale = representation.timescale;
         request.availabilityStartTime = segment.availabilityStartTime;
         request.availabilityEndTime = segment.availabilityEndTime;
+        request.availabilityTimeOffset = representation.availabilityTimeOffset;
         request.wallStartTime = segment.wallStartTime;
         request.quality = representation.index;
         request.index = segment.availabilityIdx;
@@ -491,6 +499,7 @@ function DashHandler(config) {
         setCurrentTime: setCurrentTime,
         getCurrentTime: getCurrentTime,
         getCurrentIndex: getCurrentIndex,
+        getNextSegmentSize: getNextSegmentSize,
         getEarliestTime: getEarliestTime,
         reset: reset
     };
@@ -223,6 +223,26 @@ function DashMetrics() {
         return getCurrent(metrics, MetricsList.DROPPED_FRAMES);
     }
 
+    /**
+     * @param {MetricsList} metrics
+     * @returns {*}
+     * @memberof module:DashMetrics
+     * @instance
+     */
+    function getCurrentDroppedFramesCap(metrics) {
+        return getCurrent(metrics, MetricsList.DROPPED_FRAMES_CAP);
+    }
+
+    /**
+     * @param {MetricsList} metrics
+     * @returns {*}
+     * @memberof module:DashMetrics
+     * @instance
+     */
+    function getCurrentAbrDecision(metrics) {
+        return getCurrent(metrics, MetricsList.ABR_DECISION);
+    }
+
     /**
      * @param {MetricsList} metrics
      * @returns {*}
@@ -391,6 +411,8 @@ function DashMetrics() {
         getCurrentHttpRequest: getCurrentHttpRequest,
         getHttpRequests: getHttpRequests,
         getCurrentDroppedFrames: getCurrentDroppedFrames,
+        getCurrentDroppedFramesCap: getCurrentDroppedFramesCap,
+        getCurrentAbrDecision: getCurrentAbrDecision,
         getCurrentSchedulingInfo: getCurrentSchedulingInfo,
         getCurrentDVRInfo: getCurrentDVRInfo,
         getCurrentManifestUpdate: getCurrentManifestUpdate,
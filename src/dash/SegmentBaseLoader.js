@@ -29,6 +29,9 @@
  *  POSSIBILITY OF SUCH DAMAGE.
  */
 import RequestModifier from '../streaming/utils/RequestModifier';
+import {HTTPRequest} from '../streaming/vo/metrics/HTTPRequest';
+import FragmentRequest from '../streaming/vo/FragmentRequest';
+import HTTPLoader from '../streaming/HTTPLoader';
 import Segment from './vo/Segment';
 import Error from '../streaming/vo/Error';
 import ErrorHandler from '../streaming/utils/ErrorHandler';
@@ -48,25 +51,34 @@ function SegmentBaseLoader() {
         errHandler,
         boxParser,
         requestModifier,
+        metricsModel,
+        httpLoader,
         baseURLController;
 
     function initialize() {
         errHandler = ErrorHandler(context).getInstance();
         boxParser = BoxParser(context).getInstance();
         requestModifier = RequestModifier(context).getInstance();
+        httpLoader = HTTPLoader(context).create({
+            errHandler: errHandler,
+            metricsModel: metricsModel,
+            requestModifier: requestModifier
+        });
     }
 
     function setConfig(config) {
         if (config.baseURLController) {
             baseURLController = config.baseURLController;
         }
+
+        if (config.metricsModel) {
+            metricsModel = config.metricsModel;
+        }
     }
 
     function loadInitialization(representation, loadingInfo) {
-        var needFailureReport = true;
         var initRange = null;
         var isoFile = null;
-        var request = new XMLHttpRequest();
         var baseUrl = baseURLController.resolve(representation.path);
         var info = loadingInfo || {
             url: baseUrl ? baseUrl.url : undefined,
@@ -76,19 +88,14 @@ function SegmentBaseLoader() {
             },
             searching: false,
             bytesLoaded: 0,
-            bytesToLoad: 1500,
-            request: request
+            bytesToLoad: 1500
         };
 
         log('Start searching for initialization.');
 
-        request.onload = function () {
-            if (request.status < 200 || request.status > 299) return;
-
-            needFailureReport = false;
-
+        const onload = function (response) {
             info.bytesLoaded = info.range.end;
-            isoFile = boxParser.parse(request.response);
+            isoFile = boxParser.parse(response);
             initRange = findInitRange(isoFile);
 
             if (initRange) {
@@ -102,15 +109,11 @@ function SegmentBaseLoader() {
 
         };
 
-        request.onloadend = request.onerror = function () {
-            if (!needFailureReport) return;
-            needFailureReport = false;
-
-            errHandler.downloadError('initialization', info.url, request);
+        const onerror = function () {
             eventBus.trigger(Events.INITIALIZATION_LOADED, {representation: representation});
         };
 
-        sendRequest(request, info);
+        sendRequest(info, HTTPRequest.INIT_SEGMENT_TYPE, representation, onload, onerror);
         log('Perform init search: ' + info.url);
     }
 
@@ -121,30 +124,24 @@ function SegmentBaseLoader() {
         }
 
         callback = !callback ? onLoaded : callback;
-        var needFailureReport = true;
         var isoFile = null;
         var sidx = null;
         var hasRange = !!range;
-        var request = new XMLHttpRequest();
         var baseUrl = baseURLController.resolve(representation.path);
         var info = {
             url: baseUrl ? baseUrl.url : undefined,
             range: hasRange ? range : { start: 0, end: 1500 },
             searching: !hasRange,
             bytesLoaded: loadingInfo ? loadingInfo.bytesLoaded : 0,
-            bytesToLoad: 1500,
-            request: request
+            bytesToLoad: 1500
         };
 
-        request.onload = function () {
-            if (request.status < 200 || request.status > 299) return;
-
+        const onload = function (response) {
             var extraBytes = info.bytesToLoad;
-            var loadedLength = request.response.byteLength;
+            var loadedLength = response.byteLength;
 
-            needFailureReport = false;
             info.bytesLoaded = info.range.end - info.range.start;
-            isoFile = boxParser.parse(request.response);
+            isoFile = boxParser.parse(response);
             sidx = isoFile.getBox('sidx');
 
             if (!sidx || !sidx.isComplete) {
@@ -212,21 +209,21 @@ function SegmentBaseLoader() {
             }
         };
 
-        request.onloadend = request.onerror = function () {
-            if (!needFailureReport) return;
-
-            needFailureReport = false;
-            errHandler.downloadError('SIDX', info.url, request);
+        const onerror = function () {
             callback(null, representation, type);
         };
 
-        sendRequest(request, info);
+        sendRequest(info, HTTPRequest.INDEX_SEGMENT_TYPE, representation, onload, onerror);
         log('Perform SIDX load: ' + info.url);
     }
 
     function reset() {
         errHandler = null;
         boxParser = null;
+        if (httpLoader) {
+            httpLoader.reset();
+            httpLoader = null;
+        }
         requestModifier = null;
         log = null;
     }
@@ -284,16 +281,18 @@ function SegmentBaseLoader() {
         return initRange;
     }
 
-    function sendRequest(request, info) {
+    function sendRequest(info, type, representation, onload, onerror) {
         if (!info.url) {
             return;
         }
 
-        request.open('GET', requestModifier.modifyRequestURL(info.url));
-        request.responseType = 'arraybuffer';
-        request.setRequestHeader('Range', 'bytes=' + info.range.start + '-' + info.range.end);
-        request = requestModifier.modifyRequestHeader(request);
-        request.send(null);
+        const request = new FragmentRequest();
+        request.type = type;
+        request.mediaType = representation.adaptation ? representation.adaptation.type : null;
+        request.url = info.url;
+        request.range = info.range.start + '-' + info.range.end;
+
+        httpLoader.load({request: request, success: onload, error: onerror});
     }
 
     function onLoaded(segments, representation, type) {
@@ -8,7 +8,7 @@ import RequestModifier from '../streaming/utils/RequestModifier';
 import Segment from './vo/Segment';
 import {HTTPRequest} from '../streaming/vo/metrics/HTTPRequest';
 import FragmentRequest from '../streaming/vo/FragmentRequest';
-import XHRLoader from '../streaming/XHRLoader';
+import HTTPLoader from '../streaming/HTTPLoader';
 
 function WebmSegmentBaseLoader() {
 
@@ -21,7 +21,7 @@ function WebmSegmentBaseLoader() {
         errHandler,
         requestModifier,
         metricsModel,
-        xhrLoader,
+        httpLoader,
         baseURLController;
 
     function setup() {
@@ -96,7 +96,7 @@ function WebmSegmentBaseLoader() {
     function initialize() {
         errHandler = ErrorHandler(context).getInstance();
         requestModifier = RequestModifier(context).getInstance();
-        xhrLoader = XHRLoader(context).create({
+        httpLoader = HTTPLoader(context).create({
             errHandler: errHandler,
             metricsModel: metricsModel,
             requestModifier: requestModifier
@@ -287,7 +287,7 @@ function WebmSegmentBaseLoader() {
             callback(null);
         };
 
-        xhrLoader.load({request: request, success: onload, error: onloadend});
+        httpLoader.load({request: request, success: onload, error: onloadend});
 
         log('Perform cues load: ' + info.url + ' bytes=' + info.range.start + '-' + info.range.end);
     }
@@ -320,7 +320,7 @@ function WebmSegmentBaseLoader() {
             eventBus.trigger(Events.INITIALIZATION_LOADED, {representation: representation});
         };
 
-        xhrLoader.load({request: request, success: onload, error: onloadend});
+        httpLoader.load({request: request, success: onload, error: onloadend});
 
         log('Perform init load: ' + info.url);
     }
@@ -360,7 +360,7 @@ function WebmSegmentBaseLoader() {
             callback(null, representation, type);
         };
 
-        xhrLoader.load({request: request, success: onload, error: onloadend});
+        httpLoader.load({request: request, success: onload, error: onloadend});
     }
 
     function onLoaded(segments, representation, type) {
@@ -36,6 +36,8 @@ export const BUFFER_LEVEL = 'BufferLevel';
 export const BUFFER_STATE = 'BufferState';
 export const DVR_INFO = 'DVRInfo';
 export const DROPPED_FRAMES = 'DroppedFrames';
+export const DROPPED_FRAMES_CAP = 'DroppedFramesCap';
+export const ABR_DECISION = 'AbrDecision';
 export const SCHEDULING_INFO = 'SchedulingInfo';
 export const REQUESTS_QUEUE = 'RequestsQueue';
 export const MANIFEST_UPDATE = 'ManifestUpdate';
@@ -158,6 +158,7 @@ function RepresentationController() {
         var bitrate = null;
         var streamInfo = streamProcessor.getStreamInfo();
         var maxQuality = abrController.getTopQualityIndexFor(type, streamInfo.id);
+        var minQuality = abrController.getBottomQualityIndexFor(type, streamInfo.id);
 
         updating = true;
         eventBus.trigger(Events.DATA_UPDATE_STARTED, {sender: this});
@@ -165,7 +166,7 @@ function RepresentationController() {
         availableRepresentations = updateRepresentations(adaptation);
 
         if (data === null && type !== 'fragmentedText') {
-            averageThroughput = abrController.getAverageThroughput(type);
+            averageThroughput = abrController.getSafeAverageThroughput(type);
             bitrate = averageThroughput || abrController.getInitialBitrateFor(type, streamInfo);
             quality = abrController.getQualityForBitrate(streamProcessor.getMediaInfo(), bitrate);
         } else {
@@ -174,6 +175,8 @@ function RepresentationController() {
 
         if (quality > maxQuality) {
             quality = maxQuality;
+        } else if (quality < minQuality) {
+            quality = minQuality;
         }
 
         currentRepresentation = getRepresentationForQuality(quality);
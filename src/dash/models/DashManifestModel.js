@@ -43,6 +43,10 @@ import EventStream from '../vo/EventStream';
 import URLUtils from '../../streaming/utils/URLUtils';
 import FactoryMaker from '../../core/FactoryMaker';
 
+const TRICK_MODE_SCHEME_ID_URI = 'http://dashif.org/guidelines/trickmode';
+// the first one is defined by the DASH-IF IOP, the second one is still found in manifests made after its drafts
+const THUMBNAIL_TILE_SCHEME_ID_URIS = ['http://dashif.org/thumbnail_tile', 'http://dashif.org/guidelines/thumbnail_tile'];
+
 function DashManifestModel() {
 
     let instance;
@@ -126,6 +130,10 @@ function DashManifestModel() {
         return getIsTypeOf(adaptation, 'muxed');
     }
 
+    function getIsImage(adaptation) {
+        return adaptation.contentType === 'image' || getIsTypeOf(adaptation, 'image');
+    }
+
     function getIsTextTrack(type) {
         return (type === 'text/vtt' || type === 'application/ttml+xml');
     }
@@ -163,6 +171,38 @@ function DashManifestModel() {
         })[0];
     }
 
+    function getEssentialProperties(element) {
+        return element.hasOwnProperty('EssentialProperty_asArray') ? element.EssentialProperty_asArray : [];
+    }
+
+    function getTrickModeProperty(adaptation) {
+        return getEssentialProperties(adaptation).filter(function (property) {
+            return property.schemeIdUri === TRICK_MODE_SCHEME_ID_URI;
+        })[0];
+    }
+
+    function getIsTrickMode(adaptation) {
+        return !!getTrickModeProperty(adaptation);
+    }
+
+    /**
+     * Reads the grid of thumbnails in each image of a thumbnail Representation from the value, 'columnsxrows', of the
+     * thumbnail tile EssentialProperty of the Representation or of its AdaptationSet.
+     * @param {Object} adaptation
+     * @param {Object} representation
+     * @returns {Object|null} columns and rows, or null without a valid thumbnail tile EssentialProperty
+     */
+    function getThumbnailTiling(adaptation, representation) {
+        const property = getEssentialProperties(representation).concat(getEssentialProperties(adaptation)).filter(function (p) {
+            return THUMBNAIL_TILE_SCHEME_ID_URIS.indexOf(p.schemeIdUri) !== -1;
+        })[0];
+        const grid = property ? String(property.value).split('x') : [];
+        const columns = parseInt(grid[0], 10);
+        const rows = parseInt(grid[1], 10);
+
+        return columns > 0 && rows > 0 ? {columns: columns, rows: rows} : null;
+    }
+
     function getRepresentationSortFunction() {
         return (a, b) => a.bandwidth - b.bandwidth;
     }
@@ -218,7 +258,8 @@ function DashManifestModel() {
         var adaptations = [];
 
         for (i = 0, len = adaptationSet.length; i < len; i++) {
-            if (getIsTypeOf(adaptationSet[i], type)) {
+            // trick mode AdaptationSets are only played through the AdaptationSet they reference
+            if (getIsTypeOf(adaptationSet[i], type) && !getIsTrickMode(adaptationSet[i])) {
                 adaptations.push(processAdaptation(adaptationSet[i]));
             }
         }
@@ -226,6 +267,30 @@ function DashManifestModel() {
         return adaptations;
     }
 
+    /**
+     * Finds the trick mode AdaptationSet which references the given one in the value of its trick mode EssentialProperty,
+     * a whitespace separated list of AdaptationSet ids.
+     * @param {Object} manifest
+     * @param {number} periodIndex
+     * @param {Object} adaptation - the main AdaptationSet
+     * @returns {Object|null}
+     */
+    function getTrickModeAdaptationFor(manifest, periodIndex, adaptation) {
+        if (!adaptation || !adaptation.hasOwnProperty('id')) return null;
+
+        const adaptationSet = manifest.Period_asArray[periodIndex].AdaptationSet_asArray;
+        const id = String(adaptation.id);
+
+        for (let i = 0, len = adaptationSet.length; i < len; i++) {
+            const property = getTrickModeProperty(adaptationSet[i]);
+            if (property && String(property.value).trim().split(/\s+/).indexOf(id) !== -1) {
+                return processAdaptation(adaptationSet[i]);
+            }
+        }
+
+        return null;
+    }
+
     function getAdaptationForType(manifest, periodIndex, type, streamInfo) {
 
         let adaptations = getAdaptationsForType(manifest, periodIndex, type);
@@ -347,15 +412,40 @@ function DashManifestModel() {
 
         for (var i = 0; i < ln; i++) {
             bitrateList.push({
+                id: reps[i].id,
                 bandwidth: reps[i].bandwidth,
                 width: reps[i].width || 0,
-                height: reps[i].height || 0
+                height: reps[i].height || 0,
+                frameRate: getFrameRate(reps[i]),
+                codecs: reps[i].codecs
             });
         }
 
         return bitrateList;
     }
 
+    // @frameRate is either a number of frames per second or a ratio such as 30000/1001
+    function getFrameRate(element) {
+        var frameRate = element.frameRate;
+
+        if (typeof frameRate === 'string' && frameRate.indexOf('/') !== -1) {
+            var parts = frameRate.split('/');
+            return parseInt(parts[0], 10) / parseInt(parts[1], 10);
+        }
+
+        return frameRate !== undefined ? parseFloat(frameRate) : NaN;
+    }
+
+    // @availabilityTimeOffset is a number of seconds, or INF for segments available as soon as they are announced
+    function getAvailabilityTimeOffset(element) {
+        if (!element || !element.hasOwnProperty('availabilityTimeOffset')) return 0;
+
+        if (element.availabilityTimeOffset === 'INF') {
+            return Number.POSITIVE_INFINITY;
+        }
+        return parseFloat(element.availabilityTimeOffset) || 0;
+    }
+
     function getRepresentationFor(index, adaptation) {
         return adaptation.Representation_asArray[index];
     }
@@ -458,6 +548,11 @@ function DashManifestModel() {
                 representation.presentationTimeOffset = segmentInfo.presentationTimeOffset / representation.timescale;
             }
 
+            // the offsets of the segment information and of the BaseURLs of every level add up
+            representation.availabilityTimeOffset = [manifest, manifest.Period_asArray[adaptation.period.index], a, r].reduce(
+                (offset, element) => offset + getAvailabilityTimeOffset(element.BaseURL_asArray && element.BaseURL_asArray[0]),
+                representation.segmentInfoType === 'BaseURL' ? 0 : getAvailabilityTimeOffset(segmentInfo));
+
             representation.MSETimeOffset = timelineConverter.calcMSETimeOffset(representation);
 
             representation.path = [adaptation.period.index, adaptation.index, i];
@@ -491,6 +586,8 @@ function DashManifestModel() {
                 adaptationSet.type = 'audio';
             }else if (getIsVideo(a)) {
                 adaptationSet.type = 'video';
+            }else if (getIsImage(a)) {
+                adaptationSet.type = 'image';
             }else if (getIsFragmentedText(a)) {
                 adaptationSet.type = 'fragmentedText';
             }else {
@@ -837,8 +934,10 @@ function DashManifestModel() {
                     baseUrl.dvb_weight = entry['dvb:weight'];
                 }
 
-                /* NOTE: byteRange, availabilityTimeOffset,
-                 * availabilityTimeComplete currently unused
+                baseUrl.availabilityTimeOffset = getAvailabilityTimeOffset(entry);
+
+                /* NOTE: byteRange, availabilityTimeComplete
+                 * currently unused
                  */
 
                 baseUrls.push(baseUrl);
@@ -867,9 +966,12 @@ function DashManifestModel() {
         getIsVideo: getIsVideo,
         getIsText: getIsText,
         getIsMuxed: getIsMuxed,
+        getIsImage: getIsImage,
         getIsTextTrack: getIsTextTrack,
         getIsFragmentedText: getIsFragmentedText,
         getIsMain: getIsMain,
+        getIsTrickMode: getIsTrickMode,
+        getThumbnailTiling: getThumbnailTiling,
         getLanguageForAdaptation: getLanguageForAdaptation,
         getViewpointForAdaptation: getViewpointForAdaptation,
         getRolesForAdaptation: getRolesForAdaptation,
@@ -880,6 +982,7 @@ function DashManifestModel() {
         getIndexForAdaptation: getIndexForAdaptation,
         getAdaptationForId: getAdaptationForId,
         getAdaptationsForType: getAdaptationsForType,
+        getTrickModeAdaptationFor: getTrickModeAdaptationFor,
         getAdaptationForType: getAdaptationForType,
         getCodec: getCodec,
         getMimeType: getMimeType,
@@ -894,6 +997,7 @@ function DashManifestModel() {
         getManifestUpdatePeriod: getManifestUpdatePeriod,
         getRepresentationCount: getRepresentationCount,
         getBitrateListForAdaptation: getBitrateListForAdaptation,
+        getFrameRate: getFrameRate,
         getRepresentationFor: getRepresentationFor,
         getRepresentationsForAdaptation: getRepresentationsForAdaptation,
         getAdaptationsForPeriod: getAdaptationsForPeriod,
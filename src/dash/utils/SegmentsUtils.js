@@ -193,6 +193,14 @@ export function getTimeBasedSegment(timelineConverter, isDynamic, representation
     return seg;
 }
 
+export function getSegmentSize(segment) {
+    // mediaRange is an inclusive 'first-last' byte range, only known for indexed (sidx) or SegmentList segments
+    const range = segment && segment.mediaRange ? segment.mediaRange.split('-') : null;
+    if (!range || range.length !== 2) return NaN;
+
+    return parseInt(range[1], 10) - parseInt(range[0], 10) + 1;
+}
+
 export function getSegmentByIndex(index, representation) {
     if (!representation || !representation.segments) return null;
 
@@ -151,8 +151,10 @@ function TimelineConverter() {
         const d = representation.segmentDuration || (representation.segments && representation.segments.length ? representation.segments[representation.segments.length - 1].duration : 0);
         const now = calcPresentationTimeFromWallTime(new Date(), period);
         const periodEnd = period.start + period.duration;
+        // with @availabilityTimeOffset a segment can be requested while it is being produced, up to its whole duration before its end
+        const availabilityTimeOffset = Math.min(representation.availabilityTimeOffset || 0, d);
         range.start = Math.max((now - period.mpd.timeShiftBufferDepth), period.start);
-        range.end = now >= periodEnd && now - d < periodEnd ? periodEnd - d : now - d;
+        range.end = now >= periodEnd && now - d < periodEnd ? periodEnd - d : now - d + availabilityTimeOffset;
 
         return range;
     }
@@ -45,9 +45,11 @@ class BaseURL {
         this.dvb_priority = priority || DEFAULT_DVB_PRIORITY;
         this.dvb_weight = weight || DEFAULT_DVB_WEIGHT;
 
+        // s, how long before the end of a segment it can be requested
+        this.availabilityTimeOffset = 0;
+
         /* currently unused:
          * byteRange,
-         * availabilityTimeOffset,
          * availabilityTimeComplete
          */
     }
@@ -51,6 +51,8 @@ class Representation {
         this.availableSegmentsNumber = 0;
         this.bandwidth = NaN;
         this.maxPlayoutRate = NaN;
+        // s, how long before the end of a segment it can be requested
+        this.availabilityTimeOffset = 0;
     }
 }
 
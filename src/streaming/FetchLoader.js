@@ -0,0 +1,435 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import FactoryMaker from '../core/FactoryMaker';
+import MediaPlayerModel from './models/MediaPlayerModel';
+import BoxParser from './utils/BoxParser';
+import RequestInterceptorChain from './utils/RequestInterceptorChain';
+
+/**
+ * @module FetchLoader
+ * @description Manages download of resources via the Fetch API, reading the response body as it arrives.
+ * @param {Object} cfg - dependancies from parent
+ */
+function FetchLoader(cfg) {
+    const context = this.context;
+
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const boxParser = BoxParser(context).getInstance();
+    const requestInterceptorChain = RequestInterceptorChain(context).getInstance();
+
+    const metricsModel = cfg.metricsModel;
+    const requestModifier = cfg.requestModifier;
+
+    let instance;
+    let fetches;
+    let retryTimers;
+    let interceptions;
+
+    function setup() {
+        fetches = [];
+        retryTimers = [];
+        interceptions = [];
+    }
+
+    function concat(a, b) {
+        const data = new Uint8Array(a.length + b.length);
+        data.set(a);
+        data.set(b, a.length);
+        return data;
+    }
+
+    function getResponseHeaders(response) {
+        let headers = '';
+        response.headers.forEach((value, name) => {
+            headers += name + ': ' + value + '\r\n';
+        });
+        return headers;
+    }
+
+    function cancel(fetchInfo) {
+        clearTimeout(fetchInfo.delayTimeout);
+        clearTimeout(fetchInfo.timeout);
+        if (fetchInfo.abortController) {
+            fetchInfo.abortController.abort();
+        } else if (fetchInfo.reader) {
+            fetchInfo.reader.cancel();
+        }
+    }
+
+    // the exceptions of the callbacks are rethrown out of the promise chain, where they would be taken for a failed download
+    function callSafely(callback) {
+        try {
+            callback();
+        } catch (e) {
+            setTimeout(function () {
+                throw e;
+            }, 0);
+        }
+    }
+
+    function retryOrFail(config, remainingAttempts, statusText) {
+        const request = config.request;
+
+        if (remainingAttempts > 0) {
+            retryTimers.push(
+                setTimeout(function () {
+                    internalLoad(config, remainingAttempts - 1);
+                }, mediaPlayerModel.getRetryIntervalForType(request.type))
+            );
+        } else {
+            if (config.error) {
+                callSafely(() => config.error(request, 'error', statusText));
+            }
+
+            if (config.complete) {
+                callSafely(() => config.complete(request, statusText));
+            }
+        }
+    }
+
+    // the interceptors run again on each attempt, so that an expired token is refreshed
+    function internalLoad(config, remainingAttempts) {
+        const interception = {aborted: false};
+        interceptions.push(interception);
+
+        requestInterceptorChain.interceptRequest(config.request, function (intercepted) {
+            if (interception.aborted) return;
+            interceptions.splice(interceptions.indexOf(interception), 1);
+
+            sendRequest(config, intercepted, remainingAttempts);
+        }, function (e) {
+            if (interception.aborted) return;
+            if (interceptions.indexOf(interception) !== -1) {
+                interceptions.splice(interceptions.indexOf(interception), 1);
+            }
+
+            retryOrFail(config, remainingAttempts, e && e.message);
+        });
+    }
+
+    function sendRequest(config, intercepted, remainingAttempts) {
+        const request = config.request;
+        const requestStartTime = new Date();
+        const traces = [];
+        const fetchInfo = {
+            abortController: typeof AbortController === 'function' ? new AbortController() : null,
+            reader: null,
+            delayTimeout: null,
+            timeout: null,
+            chunksDelivered: false
+        };
+        let response = null;
+        let lastTraceTime = requestStartTime;
+        let remainingData = new Uint8Array(0);
+
+        const handleLoaded = function (success) {
+            request.requestStartDate = requestStartTime;
+            request.requestEndDate = new Date();
+            request.firstByteDate = request.firstByteDate || requestStartTime;
+
+            if (request.checkExistenceOnly) return;
+
+            metricsModel.addHttpRequest(
+                request.mediaType,
+                null,
+                request.type,
+                request.url,
+                response ? response.url || null : null,
+                request.serviceLocation || null,
+                request.range || null,
+                request.requestStartDate,
+                request.firstByteDate,
+                request.requestEndDate,
+                response ? response.status : null,
+                request.duration,
+                response ? getResponseHeaders(response) : null,
+                success ? traces : null
+            );
+        };
+
+        const onError = function (statusText) {
+            if (fetches.indexOf(fetchInfo) === -1) return;
+            fetches.splice(fetches.indexOf(fetchInfo), 1);
+            cancel(fetchInfo);
+
+            handleLoaded(false);
+
+            // the chunks already appended would be appended again by another attempt
+            retryOrFail(config, fetchInfo.chunksDelivered ? 0 : remainingAttempts, statusText);
+        };
+
+        // the response is typed as XMLHttpRequest would for the request responseType
+        const getResponseData = function () {
+            if (request.responseType === 'arraybuffer') {
+                return remainingData.buffer;
+            }
+
+            const text = new TextDecoder().decode(remainingData);
+            if (request.responseType !== 'json') {
+                return text;
+            }
+
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const onLoad = function () {
+            if (fetches.indexOf(fetchInfo) === -1) return;
+            clearTimeout(fetchInfo.timeout);
+
+            handleLoaded(true);
+
+            if (config.success) {
+                const data = getResponseData();
+                // the callbacks get the fields of the XMLHttpRequest they rely on
+                callSafely(() => config.success(data, response.statusText, {
+                    response: data,
+                    responseURL: response.url,
+                    status: response.status,
+                    statusText: response.statusText,
+                    getAllResponseHeaders: () => getResponseHeaders(response),
+                    getResponseHeader: name => response.headers.get(name)
+                }));
+            }
+
+            if (config.complete) {
+                callSafely(() => config.complete(request, response.statusText));
+            }
+
+            // the callbacks may have aborted the fetch already
+            if (fetches.indexOf(fetchInfo) !== -1) {
+                fetches.splice(fetches.indexOf(fetchInfo), 1);
+            }
+        };
+
+        const onData = function (value) {
+            const currentTime = new Date();
+
+            if (!request.firstByteDate) {
+                request.firstByteDate = currentTime;
+            }
+            request.bytesLoaded = (request.bytesLoaded || 0) + value.length;
+
+            traces.push({
+                s: lastTraceTime,
+                d: currentTime.getTime() - lastTraceTime.getTime(),
+                b: [value.length]
+            });
+            lastTraceTime = currentTime;
+
+            remainingData = concat(remainingData, value);
+
+            // the complete moof/mdat pairs are handed over while the rest of the segment is being produced
+            if (config.chunkLoaded) {
+                const end = boxParser.findLastTopIsoBoxCompleted(['mdat'], remainingData);
+                if (end > 0) {
+                    const chunk = remainingData.slice(0, end).buffer;
+                    remainingData = remainingData.slice(end);
+                    fetchInfo.chunksDelivered = true;
+                    callSafely(() => config.chunkLoaded(chunk));
+                }
+            }
+
+            if (config.progress) {
+                callSafely(() => config.progress());
+            }
+        };
+
+        const read = function () {
+            return fetchInfo.reader.read().then(result => {
+                if (fetches.indexOf(fetchInfo) === -1) return;
+
+                if (result.done) {
+                    onLoad();
+                    return;
+                }
+
+                onData(result.value);
+                return read();
+            });
+        };
+
+        const url = requestModifier.modifyRequestURL(intercepted.url || request.url);
+        const init = {
+            method: request.method || (request.checkExistenceOnly ? 'HEAD' : 'GET'),
+            headers: {},
+            credentials: request.withCredentials || mediaPlayerModel.getXHRWithCredentialsForType(request.type) ? 'include' : 'same-origin'
+        };
+
+        if (request.data) {
+            init.body = request.data;
+        }
+
+        if (request.range) {
+            init.headers.Range = 'bytes=' + request.range;
+        }
+
+        if (intercepted.headers) {
+            for (const name in intercepted.headers) {
+                init.headers[name] = intercepted.headers[name];
+            }
+        }
+
+        // the request modifier is written against XMLHttpRequest, only the headers it sets apply to the fetch
+        requestModifier.modifyRequestHeader({
+            setRequestHeader: (name, value) => {
+                init.headers[name] = value;
+            }
+        });
+
+        if (fetchInfo.abortController) {
+            init.signal = fetchInfo.abortController.signal;
+        }
+
+        const send = function () {
+            if (request.timeout > 0) {
+                fetchInfo.timeout = setTimeout(function () {
+                    onError('timeout');
+                }, request.timeout);
+            }
+
+            fetch(url, init).then(res => {
+                if (fetches.indexOf(fetchInfo) === -1) return;
+
+                response = res;
+                if (!response.ok) {
+                    onError(response.statusText);
+                    return;
+                }
+
+                const lengthHeader = response.headers.get('Content-Length');
+                if (lengthHeader) {
+                    request.bytesTotal = parseInt(lengthHeader, 10);
+                }
+
+                // HEAD requests have no body
+                if (!response.body) {
+                    onLoad();
+                    return;
+                }
+
+                fetchInfo.reader = response.body.getReader();
+                return read();
+            }).catch(e => {
+                onError(e && e.message);
+            });
+        };
+
+        request.requestStartDate = request.requestStartDate || requestStartTime;
+        request.firstByteDate = null;
+        request.bytesLoaded = 0;
+        fetches.push(fetchInfo);
+
+        // Adds the ability to delay single fragment loading time to control buffer.
+        const now = new Date().getTime();
+        if (isNaN(request.delayLoadingTime) || now >= request.delayLoadingTime) {
+            send();
+        } else {
+            fetchInfo.delayTimeout = setTimeout(send, request.delayLoadingTime - now);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the browser can read the response bodies as they arrive
+     * @memberof module:FetchLoader
+     * @instance
+     */
+    function isSupported() {
+        return typeof fetch === 'function' && typeof ReadableStream === 'function';
+    }
+
+    /**
+     * Initiates a download of the resource described by config.request. When config.chunkLoaded is given, the CMAF
+     * chunks of the media segment are passed to it as soon as they have been received and config.success only gets
+     * the remaining bytes. The request is sent once it has been through the request interceptors.
+     * @param {Object} config - contains request (FragmentRequest or derived type), and callbacks
+     * @memberof module:FetchLoader
+     * @instance
+     */
+    function load(config) {
+        if (config.request) {
+            internalLoad(
+                config,
+                mediaPlayerModel.getRetryAttemptsForType(
+                    config.request.type
+                )
+            );
+        }
+    }
+
+    /**
+     * Aborts any inflight downloads
+     * @memberof module:FetchLoader
+     * @instance
+     */
+    function abort() {
+        retryTimers.forEach(t => clearTimeout(t));
+        retryTimers = [];
+
+        interceptions.forEach(i => {
+            i.aborted = true;
+        });
+        interceptions = [];
+
+        // the fetches are forgotten first so that their rejections are not reported
+        const aborted = fetches;
+        fetches = [];
+        aborted.forEach(cancel);
+    }
+
+    /**
+     * Resets the loader, aborting any inflight downloads
+     * @memberof module:FetchLoader
+     * @instance
+     */
+    function reset() {
+        abort();
+    }
+
+    instance = {
+        isSupported: isSupported,
+        load: load,
+        abort: abort,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+FetchLoader.__dashjs_factory_name = 'FetchLoader';
+
+const factory = FactoryMaker.getClassFactory(FetchLoader);
+export default factory;
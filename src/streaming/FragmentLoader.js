@@ -28,7 +28,8 @@
  *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
  *  POSSIBILITY OF SUCH DAMAGE.
  */
-import XHRLoader from './XHRLoader';
+import HTTPLoader from './HTTPLoader';
+import {HTTPRequest} from './vo/metrics/HTTPRequest';
 import HeadRequest from './vo/HeadRequest';
 import Error from './vo/Error';
 import EventBus from './../core/EventBus';
@@ -45,16 +46,21 @@ function FragmentLoader(config) {
     const eventBus = EventBus(context).getInstance();
 
     let instance,
-        xhrLoader;
+        httpLoader;
 
     function setup() {
-        xhrLoader = XHRLoader(context).create({
+        httpLoader = HTTPLoader(context).create({
             errHandler: config.errHandler,
             metricsModel: config.metricsModel,
             requestModifier: config.requestModifier
         });
     }
 
+    // the media segments of a low-latency stream are requested while they are being produced, and appended chunk by chunk
+    function isChunkedTransfer(request) {
+        return request.type === HTTPRequest.MEDIA_SEGMENT_TYPE && request.availabilityTimeOffset > 0;
+    }
+
     function checkForExistence(request) {
         const report = function (success) {
             eventBus.trigger(
@@ -68,7 +74,7 @@ function FragmentLoader(config) {
         if (request) {
             let headRequest = new HeadRequest(request.url);
 
-            xhrLoader.load({
+            httpLoader.load({
                 request: headRequest,
                 success: function () {
                     report(true);
@@ -93,7 +99,7 @@ function FragmentLoader(config) {
         };
 
         if (request) {
-            xhrLoader.load({
+            const httpRequest = {
                 request: request,
                 progress: function () {
                     eventBus.trigger(Events.LOADING_PROGRESS, {
@@ -113,7 +119,19 @@ function FragmentLoader(config) {
                         )
                     );
                 }
-            });
+            };
+
+            if (isChunkedTransfer(request)) {
+                httpRequest.chunkLoaded = function (data) {
+                    eventBus.trigger(Events.LOADING_DATA_PROGRESS, {
+                        request: request,
+                        response: data,
+                        error: null,
+                        sender: instance
+                    });
+                };
+            }
+            httpLoader.load(httpRequest);
         } else {
             report(
                 undefined,
@@ -126,15 +144,15 @@ function FragmentLoader(config) {
     }
 
     function abort() {
-        if (xhrLoader) {
-            xhrLoader.abort();
+        if (httpLoader) {
+            httpLoader.abort();
         }
     }
 
     function reset() {
-        if (xhrLoader) {
-            xhrLoader.abort();
-            xhrLoader = null;
+        if (httpLoader) {
+            httpLoader.abort();
+            httpLoader = null;
         }
     }
 
@@ -0,0 +1,263 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import XHRLoader from './XHRLoader';
+import FetchLoader from './FetchLoader';
+import {HTTPRequest} from './vo/metrics/HTTPRequest';
+import MediaPlayerModel from './models/MediaPlayerModel';
+import ErrorHandler from './utils/ErrorHandler';
+import RequestInterceptorChain from './utils/RequestInterceptorChain';
+import FactoryMaker from '../core/FactoryMaker';
+
+/**
+ * @module HTTPLoader
+ * @description Downloads each resource with the loader set through MediaPlayer.setRequestLoader(), or else with the
+ * Fetch API or XMLHttpRequest depending on the player settings and on what the browser supports. All the loaders
+ * share the same contract, and the download errors are reported here.
+ * @param {Object} cfg - dependancies from parent
+ */
+function HTTPLoader(cfg) {
+    const context = this.context;
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const requestInterceptorChain = RequestInterceptorChain(context).getInstance();
+
+    const errHandler = cfg.errHandler;
+    const metricsModel = cfg.metricsModel;
+
+    let instance,
+        xhrLoader,
+        fetchLoader,
+        requestLoader,
+        requestLoaderFactory,
+        abortCount,
+        downloadErrorToRequestTypeMap;
+
+    function setup() {
+        xhrLoader = XHRLoader(context).create(cfg);
+        fetchLoader = FetchLoader(context).create(cfg);
+        requestLoader = null;
+        requestLoaderFactory = null;
+        abortCount = 0;
+
+        // the failures of the time synchronisation requests are handled by trying the next source
+        downloadErrorToRequestTypeMap = {
+            [HTTPRequest.MPD_TYPE]:                         ErrorHandler.DOWNLOAD_ERROR_ID_MANIFEST,
+            [HTTPRequest.XLINK_EXPANSION_TYPE]:             ErrorHandler.DOWNLOAD_ERROR_ID_XLINK,
+            [HTTPRequest.INIT_SEGMENT_TYPE]:                ErrorHandler.DOWNLOAD_ERROR_ID_INITIALIZATION,
+            [HTTPRequest.MEDIA_SEGMENT_TYPE]:               ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT,
+            [HTTPRequest.INDEX_SEGMENT_TYPE]:               ErrorHandler.DOWNLOAD_ERROR_ID_SIDX,
+            [HTTPRequest.BITSTREAM_SWITCHING_SEGMENT_TYPE]: ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT,
+            [HTTPRequest.OTHER_TYPE]:                       ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT
+        };
+    }
+
+    function reportDownloadError(request) {
+        const id = downloadErrorToRequestTypeMap[request.type];
+        if (id) {
+            errHandler.downloadError(id, request.url, request);
+        }
+    }
+
+    // the CMAF chunks of a segment can only be read as they arrive with fetch
+    function getDefaultLoaderFor(config) {
+        if (fetchLoader.isSupported() && (mediaPlayerModel.getUseFetch() || config.chunkLoaded)) {
+            return fetchLoader;
+        }
+        return xhrLoader;
+    }
+
+    function loadWithDefaultLoader(config) {
+        getDefaultLoaderFor(config).load({
+            request: config.request,
+            progress: config.progress,
+            chunkLoaded: config.chunkLoaded,
+            success: config.success,
+            error: function (request, statusText, errorText) {
+                reportDownloadError(config.request);
+                if (config.error) {
+                    config.error(request, statusText, errorText);
+                }
+            },
+            complete: config.complete
+        });
+    }
+
+    function getRequestLoader() {
+        const factory = mediaPlayerModel.getRequestLoader();
+
+        if (factory !== requestLoaderFactory) {
+            if (requestLoader) {
+                requestLoader.abort();
+            }
+            requestLoaderFactory = factory;
+            requestLoader = factory ? factory() : null;
+        }
+        return requestLoader;
+    }
+
+    // the default loaders record their requests with a trace per progress event, one trace covers the whole response here
+    function addHttpRequestMetrics(request, status, data) {
+        if (request.checkExistenceOnly) return;
+
+        request.requestEndDate = new Date();
+        request.firstByteDate = request.firstByteDate || request.requestStartDate;
+
+        const bytes = request.bytesLoaded > 0 ? request.bytesLoaded : (data ? data.byteLength || data.length || 0 : 0);
+        metricsModel.addHttpRequest(
+            request.mediaType,
+            null,
+            request.type,
+            request.url,
+            null,
+            request.serviceLocation || null,
+            request.range || null,
+            request.requestStartDate,
+            request.firstByteDate,
+            request.requestEndDate,
+            status,
+            request.duration,
+            null,
+            status ? [{s: request.firstByteDate, d: request.requestEndDate.getTime() - request.firstByteDate.getTime(), b: [bytes]}] : null
+        );
+    }
+
+    function loadWithRequestLoader(loader, config, intercepted) {
+        const request = config.request;
+
+        request.requestStartDate = new Date();
+        request.firstByteDate = null;
+        request.bytesLoaded = NaN;
+
+        loader.load({
+            request: request,
+            url: intercepted.url,
+            headers: intercepted.headers,
+            progress: function () {
+                if (config.progress) {
+                    config.progress();
+                }
+            },
+            chunkLoaded: config.chunkLoaded,
+            success: function (data, statusText, xhr) {
+                addHttpRequestMetrics(request, xhr && xhr.status ? xhr.status : 200, data);
+                if (config.success) {
+                    config.success(data, statusText, xhr);
+                }
+            },
+            error: function (req, statusText, errorText) {
+                addHttpRequestMetrics(request, null, null);
+                reportDownloadError(request);
+                if (config.error) {
+                    config.error(req, statusText, errorText);
+                }
+            },
+            loadWithDefaultLoader: function () {
+                loadWithDefaultLoader(config);
+            }
+        });
+    }
+
+    /**
+     * Initiates a download of the resource described by config.request. Without fetch, config.chunkLoaded is not
+     * called and config.success gets the whole resource. The request is sent once it has been through the request
+     * interceptors, which the default loaders run again on each attempt.
+     * @param {Object} config - contains request (FragmentRequest or derived type), and callbacks
+     * @memberof module:HTTPLoader
+     * @instance
+     */
+    function load(config) {
+        const request = config.request;
+        if (!request) return;
+
+        const loader = getRequestLoader();
+        if (!loader) {
+            loadWithDefaultLoader(config);
+            return;
+        }
+
+        // the interceptors may still be running when the downloads are aborted
+        const count = abortCount;
+
+        requestInterceptorChain.interceptRequest(request, function (intercepted) {
+            if (count !== abortCount) return;
+
+            loadWithRequestLoader(loader, config, intercepted);
+        }, function (e) {
+            if (count !== abortCount) return;
+
+            reportDownloadError(request);
+            if (config.error) {
+                config.error(request, 'error', e && e.message);
+            }
+        });
+    }
+
+    /**
+     * Aborts any inflight downloads
+     * @memberof module:HTTPLoader
+     * @instance
+     */
+    function abort() {
+        abortCount++;
+        xhrLoader.abort();
+        fetchLoader.abort();
+        if (requestLoader) {
+            requestLoader.abort();
+        }
+    }
+
+    /**
+     * Resets the loader, aborting any inflight downloads
+     * @memberof module:HTTPLoader
+     * @instance
+     */
+    function reset() {
+        abort();
+        xhrLoader.reset();
+        fetchLoader.reset();
+        requestLoader = null;
+        requestLoaderFactory = null;
+    }
+
+    instance = {
+        load: load,
+        abort: abort,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+HTTPLoader.__dashjs_factory_name = 'HTTPLoader';
+
+const factory = FactoryMaker.getClassFactory(HTTPLoader);
+export default factory;
@@ -29,7 +29,7 @@
  *  POSSIBILITY OF SUCH DAMAGE.
  */
 import XlinkController from './controllers/XlinkController';
-import XHRLoader from './XHRLoader';
+import HTTPLoader from './HTTPLoader';
 import URLUtils from './utils/URLUtils';
 import TextRequest from './vo/TextRequest';
 import Error from './vo/Error';
@@ -50,13 +50,13 @@ function ManifestLoader(config) {
     const parser = config.parser;
 
     let instance,
-        xhrLoader,
+        httpLoader,
         xlinkController;
 
     function setup() {
         eventBus.on(Events.XLINK_READY, onXlinkReady, instance);
 
-        xhrLoader = XHRLoader(context).create({
+        httpLoader = HTTPLoader(context).create({
             errHandler: config.errHandler,
             metricsModel: config.metricsModel,
             requestModifier: config.requestModifier
@@ -80,7 +80,7 @@ function ManifestLoader(config) {
     function load (url) {
         const request = new TextRequest(url, HTTPRequest.MPD_TYPE);
 
-        xhrLoader.load({
+        httpLoader.load({
             request: request,
             success: function (data, textStatus, xhr) {
                 var actualUrl;
@@ -149,9 +149,9 @@ function ManifestLoader(config) {
             xlinkController = null;
         }
 
-        if (xhrLoader) {
-            xhrLoader.abort();
-            xhrLoader = null;
+        if (httpLoader) {
+            httpLoader.abort();
+            httpLoader = null;
         }
     }
 
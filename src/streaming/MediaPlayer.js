@@ -33,6 +33,7 @@ import PlaybackController from './controllers/PlaybackController';
 import StreamController from './controllers/StreamController';
 import MediaController from './controllers/MediaController';
 import ManifestLoader from './ManifestLoader';
+import HTTPLoader from './HTTPLoader';
 import LiveEdgeFinder from './utils/LiveEdgeFinder';
 import ErrorHandler from './utils/ErrorHandler';
 import Capabilities from './utils/Capabilities';
@@ -51,6 +52,10 @@ import VideoModel from './models/VideoModel';
 import RulesController from './rules/RulesController';
 import MediaSourceController from './controllers/MediaSourceController';
 import BaseURLController from './controllers/BaseURLController';
+import RepresentationBlacklistController from './controllers/RepresentationBlacklistController';
+import GapController from './controllers/GapController';
+import TrickPlayController from './controllers/TrickPlayController';
+import ThumbnailController from './controllers/ThumbnailController';
 import Debug from './../core/Debug';
 import EventBus from './../core/EventBus';
 import Events from './../core/events/Events';
@@ -100,6 +105,10 @@ function MediaPlayer() {
         capabilities,
         streamController,
         rulesController,
+        representationBlacklistController,
+        gapController,
+        trickPlayController,
+        thumbnailController,
         playbackController,
         dashMetrics,
         dashManifestModel,
@@ -196,6 +205,7 @@ function MediaPlayer() {
         if (!playbackInitialized) {
             throw PLAYBACK_NOT_INITIALIZED_ERROR;
         }
+        trickPlayController.setRate(1);
         if (!autoPlay || (isPaused() && playbackInitialized)) {
             playbackController.play();
         }
@@ -240,6 +250,43 @@ function MediaPlayer() {
         return playbackController.isSeeking();
     }
 
+    /**
+     * Fast forwards (positive rate) or rewinds (negative rate) through the content, e.g. 8 or -8 to move the position
+     * eight times faster than normal playback. The video element is paused and sought periodically to the position
+     * reached, playing the video from the trick mode AdaptationSet (EssentialProperty "http://dashif.org/guidelines/trickmode")
+     * referencing the current video track when there is one, and loading only the segments at the positions shown.
+     *
+     * A rate of 1 returns to normal playback from the position reached, as does calling play() or reaching either end of
+     * the content. The playback is then resumed unless it was paused when the trick play started.
+     *
+     * @param {number} rate - any number but 0
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#getTrickPlayRate getTrickPlayRate()}
+     * @instance
+     */
+    function setTrickPlayRate(rate) {
+        if (!playbackInitialized) {
+            throw PLAYBACK_NOT_INITIALIZED_ERROR;
+        }
+        if (typeof rate !== 'number' || !isFinite(rate) || rate === 0) {
+            throw new Error('The trick play rate must be a number other than 0');
+        }
+        trickPlayController.setRate(rate);
+    }
+
+    /**
+     * @returns {number} The current trick play rate, 1 during normal playback.
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setTrickPlayRate setTrickPlayRate()}
+     * @instance
+     */
+    function getTrickPlayRate() {
+        if (!playbackInitialized) {
+            throw PLAYBACK_NOT_INITIALIZED_ERROR;
+        }
+        return trickPlayController.getRate();
+    }
+
     /**
      * Returns a Boolean that indicates whether the media is in the process of dynamic.
      * @return {boolean}
@@ -398,6 +445,27 @@ function MediaPlayer() {
         playbackController.seek(s);
     }
 
+    /**
+     * Looks up the preview thumbnail of a time in the image AdaptationSets of the manifest, whose images are grids of
+     * thumbnails laid out according to their thumbnail tile EssentialProperty. The callback is given null when the period
+     * of the time has no such AdaptationSet.
+     *
+     * @param {number} time - A relative time, in seconds, as expected by {@link module:MediaPlayer#seek seek()}
+     * @param {function} callback - Called with an object holding the url of the image and the rectangle of the
+     * thumbnail in it: x, y, width and height, in pixels
+     * @param {number} [width] - The width at which the thumbnail is displayed, in pixels. The thumbnails of the lowest
+     * resolution still at least that wide are picked, those of the highest resolution when omitted.
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getThumbnail(time, callback, width) {
+        if (!playbackInitialized) {
+            throw PLAYBACK_NOT_INITIALIZED_ERROR;
+        }
+        var t = playbackController.getIsDynamic() ? getDVRSeekOffset(time) : time;
+        thumbnailController.getThumbnail(t, callback, width);
+    }
+
 
     /**
      * Current time of the playhead, in seconds.
@@ -660,6 +728,97 @@ function MediaPlayer() {
         return mediaPlayerModel.getLiveDelay();
     }
 
+    /**
+     * <p>Sets the latency, in seconds behind the live edge according to the wallclock synchronized with the server, that a
+     * live stream keeps while playing. The playback starts at that latency, then its playback rate is nudged within the
+     * bounds set by {@link module:MediaPlayer#setLiveCatchUpPlaybackRate setLiveCatchUpPlaybackRate()} to converge on it again
+     * whenever pauses, stalls or clock drift move it away. The playback seeks back to the target only when the latency
+     * exceeds {@link module:MediaPlayer#setLiveCatchUpMaxLatency setLiveCatchUpMaxLatency()}.</p>
+     * <p>If set, this parameter takes precedence over setLiveDelay, setLiveDelayFragmentCount and manifest info.</p>
+     *
+     * @param {number} value - The target latency in seconds, NaN to let the latency drift.
+     * @default NaN
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#getCurrentLiveLatency getCurrentLiveLatency()}
+     * @instance
+     */
+    function setLiveLatencyTarget(value) {
+        mediaPlayerModel.setLiveLatencyTarget(value);
+    }
+
+    /**
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveLatencyTarget setLiveLatencyTarget()}
+     * @instance
+     * @returns {number} The target latency of live streams in seconds, NaN when not set
+     */
+    function getLiveLatencyTarget() {
+        return mediaPlayerModel.getLiveLatencyTarget();
+    }
+
+    /**
+     * How far from 1 the playback rate may be moved to bring a live stream back to its target latency. The rate of the
+     * video element is overridden while the latency differs from the target.
+     *
+     * @param {number} value - The maximum difference between the playback rate and 1, between 0 and 0.5.
+     * @default 0.1
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveLatencyTarget setLiveLatencyTarget()}
+     * @instance
+     */
+    function setLiveCatchUpPlaybackRate(value) {
+        mediaPlayerModel.setLiveCatchUpPlaybackRate(Math.min(Math.max(value, 0), 0.5));
+    }
+
+    /**
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveCatchUpPlaybackRate setLiveCatchUpPlaybackRate()}
+     * @instance
+     * @returns {number} The maximum difference between the playback rate and 1 while catching up
+     */
+    function getLiveCatchUpPlaybackRate() {
+        return mediaPlayerModel.getLiveCatchUpPlaybackRate();
+    }
+
+    /**
+     * The latency, in seconds, above which a live stream seeks back to its target latency rather than catching up
+     * through its playback rate.
+     *
+     * @param {number} value - The maximum latency in seconds, NaN for twice the target latency.
+     * @default NaN
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveLatencyTarget setLiveLatencyTarget()}
+     * @instance
+     */
+    function setLiveCatchUpMaxLatency(value) {
+        mediaPlayerModel.setLiveCatchUpMaxLatency(value);
+    }
+
+    /**
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveCatchUpMaxLatency setLiveCatchUpMaxLatency()}
+     * @instance
+     * @returns {number} The latency in seconds above which live streams seek back to their target latency
+     */
+    function getLiveCatchUpMaxLatency() {
+        return mediaPlayerModel.getLiveCatchUpMaxLatency();
+    }
+
+    /**
+     * Measures how far behind the live edge the playback is, against the wallclock synchronized with the server.
+     *
+     * @returns {number} The current latency of the live stream in seconds, NaN for a static stream.
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setLiveLatencyTarget setLiveLatencyTarget()}
+     * @instance
+     */
+    function getCurrentLiveLatency() {
+        if (!playbackInitialized) {
+            throw PLAYBACK_NOT_INITIALIZED_ERROR;
+        }
+        return playbackController.getCurrentLiveLatency();
+    }
+
     /**
      * <p>Set to true if you would like to override the default live delay and honor the SuggestedPresentationDelay attribute in by the manifest.</p>
      * @param {boolean} value
@@ -708,6 +867,25 @@ function MediaPlayer() {
         mediaPlayerModel.setLastMediaSettingsCachingInfo(enable, ttl);
     }
 
+    /**
+     * Set to false if you would like to disable the throughput and latency estimates from being stored during playback
+     * and used to seed the ABR throughput estimator for subsequent playback from the same origin within the expiration window.
+     *
+     * The estimates are stored per origin of the manifest, for the last 10 origins, at most every 10 seconds and once
+     * more when the player is reset. If expired, the ABR rules start without throughput history, as they do on a first
+     * session.
+     *
+     * @param {boolean} enable - Will toggle if feature is enabled. True to enable, False to disable.
+     * @param {number=} [ttl] - (Optional) A value defined in milliseconds representing how long to cache the estimates for. Time to live.
+     * @default enable = True, ttl = 360000 (6 minutes)
+     * @memberof module:MediaPlayer
+     * @instance
+     *
+     */
+    function enableLastThroughputCaching(enable, ttl) {
+        mediaPlayerModel.setLastThroughputCachingInfo(enable, ttl);
+    }
+
     /**
      * When switching multi-bitrate content (auto or manual mode) this property specifies the maximum bitrate allowed.
      * If you set this property to a value lower than that currently playing, the switching engine will switch down to
@@ -770,6 +948,74 @@ function MediaPlayer() {
         return abrController.getMaxAllowedRepresentationRatioFor(type);
     }
 
+    /**
+     * When switching multi-bitrate content (auto or manual mode) this property specifies the minimum bitrate allowed.
+     * The lowest representation whose bitrate is at least this value becomes the lowest quality that can be played,
+     * whatever the throughput, the abandonment rules or the initial bitrate say. Manual switches below it are ignored.
+     * If you set it to a value higher than that currently playing, the player switches up at once, also when auto
+     * switching is off. If you set it to a value that is higher than the highest bitrate, only the highest bitrate
+     * will be played.
+     *
+     * The minimum takes precedence over the maximum allowed bitrate, the maximum allowed representation ratio and
+     * the limit by portal size: if the minimum is higher than one of these caps, the quality is pinned to the
+     * lowest representation satisfying the minimum.
+     *
+     * You can set or remove this bitrate floor at anytime before or during playback. To clear this setting you must use the API
+     * and set the value param to NaN.
+     *
+     * This feature is typically used to never show the lowest representations to premium subscribers.
+     *
+     * @param {string} type - 'video' or 'audio' are the type options.
+     * @param {number} value - Value in kbps representing the minimum bitrate allowed.
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setMaxAllowedBitrateFor setMaxAllowedBitrateFor()}
+     * @instance
+     */
+    function setMinAllowedBitrateFor(type, value) {
+        abrController.setMinAllowedBitrateFor(type, value);
+    }
+
+    /**
+     * @param {string} type - 'video' or 'audio' are the type options.
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setMinAllowedBitrateFor setMinAllowedBitrateFor()}
+     * @instance
+     */
+    function getMinAllowedBitrateFor(type) {
+        return abrController.getMinAllowedBitrateFor(type);
+    }
+
+    /**
+     * When switching multi-bitrate content (auto or manual mode) this property specifies the minimum representation allowed,
+     * as a proportion of the size of the representation set.
+     *
+     * You can set or remove this floor at anytime before or during playback. To clear this setting you must use the API
+     * and set the value param to NaN.
+     *
+     * If both this and minAllowedBitrate are defined, the highest quality resulting from these rules is used. As with
+     * {@link module:MediaPlayer#setMinAllowedBitrateFor setMinAllowedBitrateFor()}, the floor takes precedence over the caps
+     * and a quality playing below it is switched up at once.
+     *
+     * @param {string} type - 'video' or 'audio' are the type options.
+     * @param {number} value - number between 0 and 1, where 1 is allow only the highest representation, and 0 is allow all.
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setMinAllowedRepresentationRatioFor(type, value) {
+        abrController.setMinAllowedRepresentationRatioFor(type, value);
+    }
+
+    /**
+     * @param {string} type - 'video' or 'audio' are the type options.
+     * @returns {number} The current representation ratio floor.
+     * @memberof module:MediaPlayer
+     * @see {@link MediaPlayer#setMinAllowedRepresentationRatioFor setMinAllowedRepresentationRatioFor()}
+     * @instance
+     */
+    function getMinAllowedRepresentationRatioFor(type) {
+        return abrController.getMinAllowedRepresentationRatioFor(type);
+    }
+
     /**
      * <p>Set to false to prevent stream from auto-playing when the view is attached.</p>
      *
@@ -817,6 +1063,77 @@ function MediaPlayer() {
         return mediaPlayerModel.getScheduleWhilePaused();
     }
 
+    /**
+     * Set to false to leave the playback stuck at holes in the buffered data, e.g. missing frames from an encoder glitch or
+     * periods whose segments do not add up to their duration. Otherwise the player seeks over the gaps smaller than
+     * the small gap limit (see {@link module:MediaPlayer#setSmallGapLimit setSmallGapLimit()}), and nudges the playback
+     * position forward when it stops advancing for a second despite buffered data ahead.
+     *
+     * @default true
+     * @param {boolean} value
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setJumpGaps(value) {
+        mediaPlayerModel.setJumpGaps(value);
+    }
+
+    /**
+     * @returns {boolean} true if the player jumps the gaps in the buffered data and recovers from stalls
+     * @see {@link module:MediaPlayer#setJumpGaps setJumpGaps()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getJumpGaps() {
+        return mediaPlayerModel.getJumpGaps();
+    }
+
+    /**
+     * Sets the longest gap in the buffered data, in seconds, the player seeks over when gap jumping is enabled.
+     *
+     * @default 1.5
+     * @param {number} value
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setSmallGapLimit(value) {
+        mediaPlayerModel.setSmallGapLimit(value);
+    }
+
+    /**
+     * @returns {number} The longest gap in the buffered data the player seeks over, in seconds
+     * @see {@link module:MediaPlayer#setSmallGapLimit setSmallGapLimit()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getSmallGapLimit() {
+        return mediaPlayerModel.getSmallGapLimit();
+    }
+
+    /**
+     * Set to false to open a new MediaSource at every period boundary. Otherwise, when the next period has the same
+     * media types, mime types and codecs as the one playing, its segments are appended to the SourceBuffers in use
+     * once the current period is fully buffered, and the playback carries on across the boundary.
+     *
+     * @default true
+     * @param {boolean} value
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setReuseExistingSourceBuffers(value) {
+        mediaPlayerModel.setReuseExistingSourceBuffers(value);
+    }
+
+    /**
+     * @returns {boolean} true if the periods compatible with each other are played in the same SourceBuffers
+     * @see {@link module:MediaPlayer#setReuseExistingSourceBuffers setReuseExistingSourceBuffers()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getReuseExistingSourceBuffers() {
+        return mediaPlayerModel.getReuseExistingSourceBuffers();
+    }
+
 
     /**
      * Returns the DashMetrics.js Module. You use this Module to get access to all the public metrics
@@ -857,10 +1174,12 @@ function MediaPlayer() {
 
     /**
      * Sets the current quality for media type instead of letting the ABR Heuristics automatically selecting it..
+     * A quality rejected by the representation filter is ignored.
      *
      * @param {string} type
      * @param {number} value
      * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setRepresentationFilter setRepresentationFilter()}
      * @instance
      */
     function setQualityFor(type, value) {
@@ -968,7 +1287,8 @@ function MediaPlayer() {
 
     /**
      * @param {string} type
-     * @returns {Array}
+     * @returns {Array} A list of {@link BitrateInfo} objects, without the representations rejected by the
+     * representation filter. Use their qualityIndex with {@link module:MediaPlayer#setQualityFor setQualityFor()}.
      * @memberof module:MediaPlayer
      * @instance
      */
@@ -1005,6 +1325,37 @@ function MediaPlayer() {
         return abrController.getInitialBitrateFor(type);
     }
 
+    /**
+     * When no initial bitrate or representation ratio has been set, the starting bitrate is taken from the throughput
+     * measured while downloading the manifest, the segment indexes and the initialization segments, provided the
+     * confidence in that measure reaches this threshold. Otherwise the bitrate saved in a previous session, or
+     * the default, is used. The segment indexes and initialization segments are only downloaded once a representation
+     * has been picked, so the playback starts from the saved or default bitrate and switches to the measured
+     * throughput just before the first media segment.
+     *
+     * The throughput includes the request latency. The confidence grows linearly with the number of bytes downloaded,
+     * from 0 to 1 at 50 kB.
+     * Set a value above 1 to never start from the measured throughput.
+     *
+     * @param {number} value - between 0 and 1
+     * @default 0.5
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setStartupThroughputConfidenceThreshold(value) {
+        mediaPlayerModel.setStartupThroughputConfidenceThreshold(value);
+    }
+
+    /**
+     * @returns {number} The confidence threshold above which the measured startup throughput gives the starting bitrate
+     * @see {@link module:MediaPlayer#setStartupThroughputConfidenceThreshold setStartupThroughputConfidenceThreshold()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getStartupThroughputConfidenceThreshold() {
+        return mediaPlayerModel.getStartupThroughputConfidenceThreshold();
+    }
+
     /**
      * @param {string} type
      * @param {number} value - A value of the initial Representation Ratio
@@ -1293,6 +1644,7 @@ function MediaPlayer() {
      *
      * @see {@link http://arxiv.org/abs/1601.06748 BOLA WhitePaper.}
      * @see {@link https://github.com/Dash-Industry-Forum/dash.js/wiki/BOLA-status More details about the implementation status.}
+     * @see {@link module:MediaPlayer#setABRStrategy setABRStrategy()}
      * @param {boolean} value
      * @default false
      * @memberof module:MediaPlayer
@@ -1302,6 +1654,92 @@ function MediaPlayer() {
         mediaPlayerModel.setBufferOccupancyABREnabled(value);
     }
 
+    /**
+     * Sets the ABR strategy used by the built-in rules. Takes effect on the next call to attachSource.
+     *
+     * - 'abrThroughput' uses the throughput-based rule set (ThroughputRule, BufferOccupancyRule,
+     * InsufficientBufferRule and AbandonRequestsRule).
+     * - 'abrBola' uses the BOLA rule set (BolaRule, BolaAbandonRule), as enableBufferOccupancyABR(true) does.
+     * - 'abrDynamic' runs both rule sets. The throughput rules are in control at startup and after seeks,
+     * BOLA takes over once the buffer reaches the stable buffer time and hands control back when it drops
+     * below half of it. {@link MediaPlayerEvents#event:ABR_STRATEGY_CHANGED ABR_STRATEGY_CHANGED} is triggered
+     * on every hand-over and the active flag of the BolaState metric tells whether BOLA is in control.
+     *
+     * @param {string} value - 'abrThroughput', 'abrBola' or 'abrDynamic'
+     * @default 'abrThroughput'
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setStableBufferTime setStableBufferTime()}
+     * @instance
+     */
+    function setABRStrategy(value) {
+        mediaPlayerModel.setABRStrategy(value);
+    }
+
+    /**
+     * @returns {string} The ABR strategy used by the built-in rules
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setABRStrategy setABRStrategy()}
+     * @instance
+     */
+    function getABRStrategy() {
+        return mediaPlayerModel.getABRStrategy();
+    }
+
+    /**
+     * Add a custom ABR rule that will be run alongside the built-in rules (unless they are
+     * disabled with {@link module:MediaPlayer#useDefaultABRRules useDefaultABRRules()}).
+     *
+     * The rule is instantiated with the same config as the built-in rules ({metricsModel, dashMetrics, mediaPlayerModel})
+     * and must expose an execute(rulesContext, callback) method that calls back with a SwitchRequest-like
+     * object ({value, priority, reason}). An optional reset() method is called when playback is reset.
+     *
+     * Rules are instantiated when a source is attached, so rules added during playback apply from the next source.
+     *
+     * @param {string} type - rule type, one of 'qualitySwitchRules' or 'abandonFragmentRules'
+     * @param {string} rulename - name used to identify the custom rule. A rule already added under the same name is replaced.
+     * @param {Function} rule - the rule factory, i.e. the result of dashjs.FactoryMaker.getClassFactory() on the rule constructor.
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#removeABRCustomRule removeABRCustomRule()}
+     * @instance
+     */
+    function addABRCustomRule(type, rulename, rule) {
+        mediaPlayerModel.addABRCustomRule(type, rulename, rule);
+    }
+
+    /**
+     * Remove a custom ABR rule previously added with {@link module:MediaPlayer#addABRCustomRule addABRCustomRule()}.
+     *
+     * @param {string} rulename - name of the rule to be removed
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function removeABRCustomRule(rulename) {
+        mediaPlayerModel.removeABRCustomRule(rulename);
+    }
+
+    /**
+     * Remove all custom ABR rules.
+     *
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function removeAllABRCustomRule() {
+        mediaPlayerModel.removeAllABRCustomRule();
+    }
+
+    /**
+     * Set to false to run only the custom ABR rules, without the built-in ones.
+     *
+     * @param {boolean} value
+     * @default true
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#addABRCustomRule addABRCustomRule()}
+     * @instance
+     */
+    function useDefaultABRRules(value) {
+        mediaPlayerModel.setUseDefaultABRRules(value);
+    }
+
     /**
      * Allows application to retrieve a manifest.  Manifest loading is asynchro
      * nous and
@@ -1464,6 +1902,33 @@ function MediaPlayer() {
         mediaPlayerModel.setBufferPruningInterval(value);
     }
 
+    /**
+     * Sets the maximum number of bytes a SourceBuffer should hold. Before appending a segment that would exceed it,
+     * the buffer behind the playback position is removed, and segments stop being loaded while the buffer ahead alone
+     * fills the budget. Lower it on devices with little memory to avoid QuotaExceededError, which the player
+     * otherwise recovers from by learning a lower budget, pruning and appending the rejected segment again.
+     *
+     * @default 100 MB for video, 10 MB for audio, none for the other types
+     * @param {string} type - 'video', 'audio' or 'fragmentedText'
+     * @param {number} value - bytes, NaN for no budget
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setBufferByteBudgetFor(type, value) {
+        mediaPlayerModel.setBufferByteBudgetFor(type, value);
+    }
+
+    /**
+     * @param {string} type - 'video', 'audio' or 'fragmentedText'
+     * @returns {number} The byte budget of the SourceBuffer of the given type, NaN if there is none
+     * @see {@link module:MediaPlayer#setBufferByteBudgetFor setBufferByteBudgetFor()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getBufferByteBudgetFor(type) {
+        return mediaPlayerModel.getBufferByteBudgetFor(type);
+    }
+
     /**
      * The time that the internal buffer target will be set to post startup/seeks (NOT top quality).
      *
@@ -1480,6 +1945,29 @@ function MediaPlayer() {
         mediaPlayerModel.setStableBufferTime(value);
     }
 
+    /**
+     * The amount of media, in seconds, downloaded and kept in memory by {@link module:MediaPlayer#preload preload()}
+     * until a video element is attached.
+     *
+     * @default 4 seconds.
+     * @param {number} value
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setPreloadTime(value) {
+        mediaPlayerModel.setPreloadTime(value);
+    }
+
+    /**
+     * @returns {number} The amount of media, in seconds, preloaded before a video element is attached
+     * @see {@link module:MediaPlayer#setPreloadTime setPreloadTime()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getPreloadTime() {
+        return mediaPlayerModel.getPreloadTime();
+    }
+
     /**
      * The time that the internal buffer target will be set to once playing the top quality.
      * If there are multiple bitrates in your adaptation, and the media is playing at the highest
@@ -1564,6 +2052,284 @@ function MediaPlayer() {
         return mediaPlayerModel.getBandwidthSafetyFactor();
     }
 
+    /**
+     * Sets the moving average method used by the throughput estimator that feeds the ABR rules.
+     *
+     * 'slidingWindow' averages the last few media segment downloads (see
+     * {@link module:MediaPlayer#setThroughputSlidingWindowSize setThroughputSlidingWindowSize()}), widening the
+     * window when the measurements vary a lot.
+     *
+     * 'ewma' keeps a fast and a slow exponentially-weighted moving average, weighted by download time,
+     * and uses the lower of the two (see {@link module:MediaPlayer#setThroughputEWMAHalfLife setThroughputEWMAHalfLife()}).
+     *
+     * @param {string} value - 'slidingWindow' or 'ewma'
+     * @default 'slidingWindow'
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setMovingAverageMethod(value) {
+        mediaPlayerModel.setMovingAverageMethod(value);
+    }
+
+    /**
+     * @returns {string} The current moving average method
+     * @see {@link module:MediaPlayer#setMovingAverageMethod setMovingAverageMethod()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getMovingAverageMethod() {
+        return mediaPlayerModel.getMovingAverageMethod();
+    }
+
+    /**
+     * Sets the half-lives, in seconds of download time, of the fast and slow throughput averages
+     * used when the moving average method is 'ewma'. Leave a value undefined to keep its current setting.
+     *
+     * @param {number} fast - half-life of the fast average, in seconds
+     * @param {number} slow - half-life of the slow average, in seconds
+     * @default fast = 3, slow = 8
+     * @see {@link module:MediaPlayer#setMovingAverageMethod setMovingAverageMethod()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setThroughputEWMAHalfLife(fast, slow) {
+        mediaPlayerModel.setThroughputEWMAHalfLife(fast, slow);
+    }
+
+    /**
+     * @returns {Object} The current EWMA half-lives, as {fast, slow} in seconds
+     * @see {@link module:MediaPlayer#setThroughputEWMAHalfLife setThroughputEWMAHalfLife()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getThroughputEWMAHalfLife() {
+        return mediaPlayerModel.getThroughputEWMAHalfLife();
+    }
+
+    /**
+     * Sets the number of media segment downloads averaged when the moving average method is 'slidingWindow'.
+     * Set to NaN to restore the defaults.
+     *
+     * @param {number} value - number of segments
+     * @default 4 segments for VOD, 3 segments for live
+     * @see {@link module:MediaPlayer#setMovingAverageMethod setMovingAverageMethod()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setThroughputSlidingWindowSize(value) {
+        mediaPlayerModel.setThroughputSlidingWindowSize(value);
+    }
+
+    /**
+     * @returns {number} The sliding window size set by the application, or NaN if the defaults are used
+     * @see {@link module:MediaPlayer#setThroughputSlidingWindowSize setThroughputSlidingWindowSize()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getThroughputSlidingWindowSize() {
+        return mediaPlayerModel.getThroughputSlidingWindowSize();
+    }
+
+    /**
+     * Makes the ThroughputRule and the BolaRule use the actual size of the next segment at each quality, instead of
+     * the @bandwidth of the representations, whenever it is known. This is the case for SegmentBase content, where the
+     * sizes are read from the segment index (sidx), and for SegmentList content with byte ranges.
+     *
+     * With VBR encodes the real cost of a segment can be far from its nominal bitrate: the ThroughputRule then picks the
+     * highest quality whose next segment can be downloaded within the segment duration at the estimated throughput, and
+     * the BolaRule weighs each quality by the size of its next segment.
+     *
+     * @param {boolean} value
+     * @default false
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function enableSegmentSizeABR(value) {
+        mediaPlayerModel.setSegmentSizeABREnabled(value);
+    }
+
+    /**
+     * @returns {boolean} Whether the ABR rules use the actual segment sizes when they are known
+     * @see {@link module:MediaPlayer#enableSegmentSizeABR enableSegmentSizeABR()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getSegmentSizeABREnabled() {
+        return mediaPlayerModel.getSegmentSizeABREnabled();
+    }
+
+    /**
+     * Records every evaluation of the ABR rules in the AbrDecision metric of the media type, in addition to the
+     * {@link MediaPlayerEvents#event:ABR_DECISION ABR_DECISION} event which is always triggered.
+     * Each entry keeps the answer of every rule, so the list grows with every fragment: only enable it when the
+     * decisions have to be collected from the metrics rather than from the event.
+     *
+     * @param {boolean} value
+     * @default false
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function enableAbrDecisionMetrics(value) {
+        mediaPlayerModel.setAbrDecisionMetricsEnabled(value);
+    }
+
+    /**
+     * @returns {boolean} Whether the ABR decisions are recorded in the metrics
+     * @see {@link module:MediaPlayer#enableAbrDecisionMetrics enableAbrDecisionMetrics()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getAbrDecisionMetricsEnabled() {
+        return mediaPlayerModel.getAbrDecisionMetricsEnabled();
+    }
+
+    /**
+     * Returns the throughput estimate used by the ABR rules, before the bandwidth safety factor is applied.
+     * It is measured from the first to the last byte of each media segment, the latency of the requests is left out
+     * (see {@link module:MediaPlayer#getAverageLatency getAverageLatency()}). BOLA works from the harmonic mean of
+     * the last downloads instead, measured from the request to the last byte.
+     *
+     * @param {string} type - 'video' or 'audio'
+     * @returns {number} The throughput estimate in kbps, or NaN if no media segment has been downloaded yet
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getAverageThroughput(type) {
+        return abrController ? abrController.getAverageThroughput(type) : NaN;
+    }
+
+    /**
+     * Returns the estimated latency (time to first byte) of media segment requests.
+     *
+     * @param {string} type - 'video' or 'audio'
+     * @returns {number} The latency estimate in milliseconds, or NaN if no media segment has been downloaded yet
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getAverageLatency(type) {
+        return abrController ? abrController.getAverageLatency(type) : NaN;
+    }
+
+    /**
+     * Sets the ratio of dropped frames above which the DroppedFramesRule forbids a video quality index
+     * and every index above it. The lowest quality is never forbidden.
+     *
+     * @default 0.15
+     * @param {number} value - ratio of dropped frames over decoded frames, between 0 and 1
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDroppedFramesMinimumSampleSize setDroppedFramesMinimumSampleSize()}
+     * @instance
+     */
+    function setDroppedFramesRatioThreshold(value) {
+        mediaPlayerModel.setDroppedFramesRatioThreshold(value);
+    }
+
+    /**
+     * @returns {number} The ratio of dropped frames above which a quality index is forbidden
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDroppedFramesRatioThreshold setDroppedFramesRatioThreshold()}
+     * @instance
+     */
+    function getDroppedFramesRatioThreshold() {
+        return mediaPlayerModel.getDroppedFramesRatioThreshold();
+    }
+
+    /**
+     * Sets the number of frames that must have been rendered at a video quality index before the
+     * DroppedFramesRule takes its dropped frames ratio into account. The frames observed count half as much
+     * after each minute of playback, so that a quality forbidden is tried again once they fall below this number.
+     *
+     * @default 375
+     * @param {number} value - number of frames
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDroppedFramesRatioThreshold setDroppedFramesRatioThreshold()}
+     * @instance
+     */
+    function setDroppedFramesMinimumSampleSize(value) {
+        mediaPlayerModel.setDroppedFramesMinimumSampleSize(value);
+    }
+
+    /**
+     * @returns {number} The number of frames needed before a quality index can be forbidden
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDroppedFramesMinimumSampleSize setDroppedFramesMinimumSampleSize()}
+     * @instance
+     */
+    function getDroppedFramesMinimumSampleSize() {
+        return mediaPlayerModel.getDroppedFramesMinimumSampleSize();
+    }
+
+    /**
+     * Sets the largest video representation the device is able to decode. Representations exceeding any of
+     * these limits are removed from the manifest before playback starts, so that they are never selected by ABR.
+     * A {@link MediaPlayerEvents#event:REPRESENTATIONS_FILTERED dashjs.MediaPlayer.events.REPRESENTATIONS_FILTERED}
+     * event lists the removed representations.
+     *
+     * @default {width: NaN, height: NaN, frameRate: NaN}, no limit
+     * @param {{width: number, height: number, frameRate: number}} value - the limits, a missing or NaN value meaning no limit
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDecodingCapabilityProbe setDecodingCapabilityProbe()}
+     * @instance
+     */
+    function setDecodingCapabilityLimits(value) {
+        mediaPlayerModel.setDecodingCapabilityLimits(value);
+    }
+
+    /**
+     * @returns {{width: number, height: number, frameRate: number}} The largest video representation the device is able to decode
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setDecodingCapabilityLimits setDecodingCapabilityLimits()}
+     * @instance
+     */
+    function getDecodingCapabilityLimits() {
+        return mediaPlayerModel.getDecodingCapabilityLimits();
+    }
+
+    /**
+     * Replaces the probe deciding which video and audio representations the device can decode. The default probe
+     * applies the limits set with {@link module:MediaPlayer#setDecodingCapabilityLimits setDecodingCapabilityLimits()},
+     * then asks MediaCapabilities.decodingInfo() when the browser implements it.
+     *
+     * The probe is called once per representation with a config object {type, contentType, width, height, frameRate, bitrate}
+     * (bitrate in bps) and a callback, which must be called with false if the representation cannot be decoded. A
+     * representation whose probe throws or does not call back within a second is kept.
+     *
+     * @param {function} probe - function (config, callback), null to restore the default probe
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setDecodingCapabilityProbe(probe) {
+        capabilities.setDecodingCapabilityProbe(probe);
+    }
+
+    /**
+     * Sets a filter hiding representations from ABR and manual quality selection for application reasons,
+     * e.g. no UHD on an output without HDCP or no high bitrates on a metered connection. The filter is evaluated
+     * again on every manifest update, and immediately for the media being played.
+     *
+     * The filter is called with a representation description {id, index, bandwidth, width, height, frameRate, codecs, mediaInfo}
+     * (bandwidth in bps) and must return true if the representation can be played. A filter rejecting every representation
+     * of a media is ignored.
+     *
+     * @param {function} filter - function (representation), null to remove the filter
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setRepresentationFilter(filter) {
+        mediaPlayerModel.setRepresentationFilter(filter);
+        abrController.updateRepresentationFilter();
+    }
+
+    /**
+     * @returns {function|null} The representation filter
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setRepresentationFilter setRepresentationFilter()}
+     * @instance
+     */
+    function getRepresentationFilter() {
+        return mediaPlayerModel.getRepresentationFilter();
+    }
+
     /**
      * A timeout value in seconds, which during the ABRController will block switch-up events.
      * This will only take effect after an abandoned fragment event occurs.
@@ -1577,6 +2343,31 @@ function MediaPlayer() {
         mediaPlayerModel.setAbandonLoadTimeout(value);
     }
 
+    /**
+     * When the download of a segment still fails after all the retry attempts, its representation is excluded from
+     * ABR and manual quality selection for this duration, and the player moves to the closest quality left.
+     * A media whose representations are all blacklisted keeps trying them.
+     *
+     * @default 30000 milliseconds
+     * @param {int} value
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#setFragmentLoaderRetryAttempts setFragmentLoaderRetryAttempts()}
+     * @instance
+     */
+    function setRepresentationBlacklistTimeout(value) {
+        mediaPlayerModel.setRepresentationBlacklistTimeout(value);
+    }
+
+    /**
+     * @returns {int} The time a representation stays blacklisted after a segment download failure, in milliseconds
+     * @see {@link module:MediaPlayer#setRepresentationBlacklistTimeout setRepresentationBlacklistTimeout()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getRepresentationBlacklistTimeout() {
+        return mediaPlayerModel.getRepresentationBlacklistTimeout();
+    }
+
     /**
      * Total number of retry attempts that will occur on a fragment load before it fails.
      * Increase this value to a maximum in order to achieve an automatic playback resume
@@ -1643,6 +2434,117 @@ function MediaPlayer() {
         return mediaPlayerModel.getXHRWithCredentialsForType(type);
     }
 
+    /**
+     * Set to true to download the manifests and segments with the Fetch API where the browser can read the response
+     * bodies as they arrive, rather than with XMLHttpRequest. The request modifier still applies to the fetches, although
+     * only the headers it sets are taken into account. The segments of low-latency streams are always fetched.
+     *
+     * @default false
+     * @param {boolean} value
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setUseFetch(value) {
+        mediaPlayerModel.setUseFetch(value);
+    }
+
+    /**
+     * @returns {boolean} true if the Fetch API is used where the browser supports it
+     * @see {@link module:MediaPlayer#setUseFetch setUseFetch()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getUseFetch() {
+        return mediaPlayerModel.getUseFetch();
+    }
+
+    /**
+     * Replaces the loader downloading the manifests, xlink elements, segments, segment indexes, time
+     * synchronisation responses and licenses, e.g. to deliver the segments from a P2P network or a local cache. The
+     * DVB metrics reports are not sent through it: they keep using XMLHttpRequest.
+     *
+     * The factory is called without arguments and must return a loader {load(config), abort()}, one per player
+     * component downloading resources. load() gets a config object with:
+     * - request: the request {url, type, mediaType, range, responseType, checkExistenceOnly, timeout}, type being one
+     *   of HTTPRequest.*_TYPE, responseType 'arraybuffer', 'text' or 'json', checkExistenceOnly true for a HEAD request
+     *   and timeout in ms, 0 for none. The license requests (HTTPRequest.LICENSE_TYPE) also have a method, usually
+     *   'POST', the data to send as body and withCredentials, true to send the credentials cross-origin.
+     * - url, headers: the URL to request and the headers to add, as modified by the request interceptors. url may
+     *   differ from request.url.
+     * - progress(): to call whenever bytes have been received, after updating request.bytesLoaded and setting
+     *   request.firstByteDate on the first ones
+     * - success(data, statusText, xhr): to call with the response typed as the responseType, xhr optionally giving
+     *   the status, responseURL and getResponseHeader(name) of the response
+     * - error(request, 'error', statusText): to call once the request has failed
+     * - chunkLoaded(data): for the segments of low-latency streams only, to call with each CMAF chunk as soon as it
+     *   has been received, success() then getting the remaining bytes. Otherwise success() gets the whole segment.
+     * - loadWithDefaultLoader(): to load the request with the default loader instead, which calls the callbacks above
+     *
+     * abort() cancels the requests in progress, whose callbacks must not be called afterwards. The player records the
+     * HTTP request metrics and reports the download errors of the requests the loader completes.
+     *
+     * @param {function} loaderFactory - function (), null to restore the default loader
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function setRequestLoader(loaderFactory) {
+        mediaPlayerModel.setRequestLoader(loaderFactory);
+    }
+
+    /**
+     * @returns {function} The factory of the loader set with setRequestLoader(), null for the default loader
+     * @see {@link module:MediaPlayer#setRequestLoader setRequestLoader()}
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function getRequestLoader() {
+        return mediaPlayerModel.getRequestLoader();
+    }
+
+    /**
+     * Adds an interceptor through which every request passes before it is sent: manifest, xlink, initialization,
+     * media and index segment, time synchronisation and license requests, e.g. to sign the URLs or to add a token
+     * fetched from an authentication service.
+     *
+     * The interceptor is called with the request {url, headers, type, mediaType, range}, headers being an object of
+     * header names to values and type one of HTTPRequest.*_TYPE, and returns a Promise of the request to send. Only
+     * the changes to url and headers are applied, and a Promise resolving nothing leaves the request unchanged. The
+     * interceptors are chained in the order they were added, and a rejected Promise fails the request as a download
+     * error would. The interceptors run again before each retry of a failed download, except with a loader set
+     * through setRequestLoader(), which is given the request as intercepted once.
+     *
+     * The player still identifies the segments by their original URLs, the metrics included.
+     *
+     * @param {function} interceptor - function (request), returning a Promise of the request
+     * @memberof module:MediaPlayer
+     * @see {@link module:MediaPlayer#removeRequestInterceptor removeRequestInterceptor()}
+     * @instance
+     */
+    function addRequestInterceptor(interceptor) {
+        mediaPlayerModel.addRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Removes an interceptor previously added with {@link module:MediaPlayer#addRequestInterceptor addRequestInterceptor()}.
+     *
+     * @param {function} interceptor - the interceptor to remove
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function removeRequestInterceptor(interceptor) {
+        mediaPlayerModel.removeRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Removes all the request interceptors.
+     *
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function removeAllRequestInterceptors() {
+        mediaPlayerModel.removeAllRequestInterceptors();
+    }
+
     /**
      * Detects if Protection is included and returns an instance of ProtectionController.js
      * @memberof module:MediaPlayer
@@ -1735,6 +2637,9 @@ function MediaPlayer() {
         if (!mediaPlayerInitialized) {
             throw MEDIA_PLAYER_NOT_INITIALIZED_ERROR;
         }
+        // the playback is only initialized without a view by preload()
+        const isPreloading = playbackInitialized && !videoModel;
+
         videoModel = null;
         if (element) {
             videoModel = VideoModel(context).getInstance();
@@ -1743,7 +2648,14 @@ function MediaPlayer() {
             detectProtection();
             detectMetricsReporting();
         }
-        resetAndInitializePlayback();
+
+        if (isPreloading && videoModel) {
+            // the portal size could not be measured without an element while preloading
+            abrController.setElementSize();
+            streamController.switchToVideoElement();
+        } else {
+            resetAndInitializePlayback();
+        }
     }
 
     /**
@@ -1813,6 +2725,38 @@ function MediaPlayer() {
         resetAndInitializePlayback();
     }
 
+    /**
+     * Starts loading the source set by {@link module:MediaPlayer#attachSource attachSource()} before a video element is
+     * attached, e.g. for the next episode or the channels next to the current one. The manifest is loaded, the time
+     * synchronized, and the init segments plus the first seconds of media (see {@link module:MediaPlayer#setPreloadTime setPreloadTime()})
+     * downloaded and kept in memory. Everything is appended to the MediaSource as soon as
+     * {@link module:MediaPlayer#attachView attachView()} is called. Text tracks are set up at that point, and the
+     * protection of encrypted content needs to have been detected by a view attached before.
+     *
+     * Does nothing when a view is already attached.
+     *
+     * @throws "MediaPlayer not initialized!"
+     * @throws "You must first call attachSource() with a valid source before calling this method"
+     * @memberof module:MediaPlayer
+     * @instance
+     */
+    function preload() {
+        if (!mediaPlayerInitialized) {
+            throw MEDIA_PLAYER_NOT_INITIALIZED_ERROR;
+        }
+        if (!source) {
+            throw SOURCE_NOT_ATTACHED_ERROR;
+        }
+        if (videoModel || playbackInitialized) return;
+
+        // forget the element of a view detached before
+        const model = VideoModel(context).getInstance();
+        model.initialize();
+        model.setElement(null);
+
+        initializePlayback();
+    }
+
     /**
      * Sets the MPD source and the video element to null. You can also reset the MediaPlayer by
      * calling attachSource with a new source file.
@@ -1839,6 +2783,10 @@ function MediaPlayer() {
             playbackController.reset();
             abrController.reset();
             rulesController.reset();
+            representationBlacklistController.reset();
+            gapController.reset();
+            trickPlayController.reset();
+            thumbnailController.reset();
             mediaController.reset();
             streamController = null;
             metricsReportingController = null;
@@ -1867,6 +2815,13 @@ function MediaPlayer() {
         rulesController.initialize();
         rulesController.setConfig({abrRulesCollection: abrRulesCollection});
 
+        representationBlacklistController = RepresentationBlacklistController(context).getInstance();
+        representationBlacklistController.initialize();
+
+        gapController = GapController(context).getInstance();
+        gapController.setConfig({videoModel: VideoModel(context).getInstance()});
+        gapController.initialize();
+
         streamController = StreamController(context).getInstance();
         streamController.setConfig({
             capabilities: capabilities,
@@ -1886,10 +2841,26 @@ function MediaPlayer() {
         });
         streamController.initialize(autoPlay, protectionData);
 
+        trickPlayController = TrickPlayController(context).getInstance();
+        trickPlayController.setConfig({
+            streamController: streamController,
+            metricsModel: metricsModel,
+            dashMetrics: dashMetrics
+        });
+        trickPlayController.initialize();
+
+        thumbnailController = ThumbnailController(context).getInstance();
+        thumbnailController.setConfig({
+            adapter: adapter,
+            manifestModel: ManifestModel(context).getInstance(),
+            streamController: streamController
+        });
+
         abrController.setConfig({
             abrRulesCollection: abrRulesCollection,
             rulesController: rulesController,
-            streamController: streamController
+            streamController: streamController,
+            representationBlacklistController: representationBlacklistController
         });
     }
 
@@ -1911,7 +2882,10 @@ function MediaPlayer() {
         //TODO-Refactor Need to be able to switch this create out so will need API to set which adapter to use? Handler is created is inside streamProcessor so need to figure that out as well
         adapter = DashAdapter(context).getInstance();
         adapter.initialize();
-        adapter.setConfig({dashManifestModel: dashManifestModel});
+        adapter.setConfig({
+            dashManifestModel: dashManifestModel,
+            capabilities: capabilities
+        });
         return adapter;
     }
 
@@ -1930,7 +2904,12 @@ function MediaPlayer() {
                 videoModel: videoModel,
                 capabilities: capabilities,
                 eventBus: eventBus,
-                adapter: adapter
+                adapter: adapter,
+                httpLoader: HTTPLoader(context).create({
+                    errHandler: errHandler,
+                    metricsModel: metricsModel,
+                    requestModifier: RequestModifier(context).getInstance()
+                })
             });
             return protectionController;
         }
@@ -2007,13 +2986,17 @@ function MediaPlayer() {
         extend: extend,
         attachView: attachView,
         attachSource: attachSource,
+        preload: preload,
         isReady: isReady,
         play: play,
         isPaused: isPaused,
         pause: pause,
         isSeeking: isSeeking,
+        setTrickPlayRate: setTrickPlayRate,
+        getTrickPlayRate: getTrickPlayRate,
         isDynamic: isDynamic,
         seek: seek,
+        getThumbnail: getThumbnail,
         setMute: setMute,
         isMuted: isMuted,
         setVolume: setVolume,
@@ -2038,17 +3021,35 @@ function MediaPlayer() {
         setLiveDelayFragmentCount: setLiveDelayFragmentCount,
         setLiveDelay: setLiveDelay,
         getLiveDelay: getLiveDelay,
+        setLiveLatencyTarget: setLiveLatencyTarget,
+        getLiveLatencyTarget: getLiveLatencyTarget,
+        setLiveCatchUpPlaybackRate: setLiveCatchUpPlaybackRate,
+        getLiveCatchUpPlaybackRate: getLiveCatchUpPlaybackRate,
+        setLiveCatchUpMaxLatency: setLiveCatchUpMaxLatency,
+        getLiveCatchUpMaxLatency: getLiveCatchUpMaxLatency,
+        getCurrentLiveLatency: getCurrentLiveLatency,
         useSuggestedPresentationDelay: useSuggestedPresentationDelay,
         enableLastBitrateCaching: enableLastBitrateCaching,
         enableLastMediaSettingsCaching: enableLastMediaSettingsCaching,
+        enableLastThroughputCaching: enableLastThroughputCaching,
         setMaxAllowedBitrateFor: setMaxAllowedBitrateFor,
         getMaxAllowedBitrateFor: getMaxAllowedBitrateFor,
         setMaxAllowedRepresentationRatioFor: setMaxAllowedRepresentationRatioFor,
         getMaxAllowedRepresentationRatioFor: getMaxAllowedRepresentationRatioFor,
+        setMinAllowedBitrateFor: setMinAllowedBitrateFor,
+        getMinAllowedBitrateFor: getMinAllowedBitrateFor,
+        setMinAllowedRepresentationRatioFor: setMinAllowedRepresentationRatioFor,
+        getMinAllowedRepresentationRatioFor: getMinAllowedRepresentationRatioFor,
         setAutoPlay: setAutoPlay,
         getAutoPlay: getAutoPlay,
         setScheduleWhilePaused: setScheduleWhilePaused,
         getScheduleWhilePaused: getScheduleWhilePaused,
+        setJumpGaps: setJumpGaps,
+        getJumpGaps: getJumpGaps,
+        setSmallGapLimit: setSmallGapLimit,
+        getSmallGapLimit: getSmallGapLimit,
+        setReuseExistingSourceBuffers: setReuseExistingSourceBuffers,
+        getReuseExistingSourceBuffers: getReuseExistingSourceBuffers,
         getDashMetrics: getDashMetrics,
         getMetricsFor: getMetricsFor,
         getQualityFor: getQualityFor,
@@ -2062,6 +3063,8 @@ function MediaPlayer() {
         getBitrateInfoListFor: getBitrateInfoListFor,
         setInitialBitrateFor: setInitialBitrateFor,
         getInitialBitrateFor: getInitialBitrateFor,
+        setStartupThroughputConfidenceThreshold: setStartupThroughputConfidenceThreshold,
+        getStartupThroughputConfidenceThreshold: getStartupThroughputConfidenceThreshold,
         setInitialRepresentationRatioFor: setInitialRepresentationRatioFor,
         getInitialRepresentationRatioFor: getInitialRepresentationRatioFor,
         getStreamsFromManifest: getStreamsFromManifest,
@@ -2082,9 +3085,38 @@ function MediaPlayer() {
         getAutoSwitchQualityFor: getAutoSwitchQualityFor,
         setAutoSwitchQualityFor: setAutoSwitchQualityFor,
         enableBufferOccupancyABR: enableBufferOccupancyABR,
+        setABRStrategy: setABRStrategy,
+        getABRStrategy: getABRStrategy,
+        addABRCustomRule: addABRCustomRule,
+        removeABRCustomRule: removeABRCustomRule,
+        removeAllABRCustomRule: removeAllABRCustomRule,
+        useDefaultABRRules: useDefaultABRRules,
         setBandwidthSafetyFactor: setBandwidthSafetyFactor,
         getBandwidthSafetyFactor: getBandwidthSafetyFactor,
+        setMovingAverageMethod: setMovingAverageMethod,
+        getMovingAverageMethod: getMovingAverageMethod,
+        setThroughputEWMAHalfLife: setThroughputEWMAHalfLife,
+        getThroughputEWMAHalfLife: getThroughputEWMAHalfLife,
+        setThroughputSlidingWindowSize: setThroughputSlidingWindowSize,
+        getThroughputSlidingWindowSize: getThroughputSlidingWindowSize,
+        enableSegmentSizeABR: enableSegmentSizeABR,
+        getSegmentSizeABREnabled: getSegmentSizeABREnabled,
+        enableAbrDecisionMetrics: enableAbrDecisionMetrics,
+        getAbrDecisionMetricsEnabled: getAbrDecisionMetricsEnabled,
+        getAverageThroughput: getAverageThroughput,
+        getAverageLatency: getAverageLatency,
+        setDroppedFramesRatioThreshold: setDroppedFramesRatioThreshold,
+        getDroppedFramesRatioThreshold: getDroppedFramesRatioThreshold,
+        setDroppedFramesMinimumSampleSize: setDroppedFramesMinimumSampleSize,
+        getDroppedFramesMinimumSampleSize: getDroppedFramesMinimumSampleSize,
+        setDecodingCapabilityLimits: setDecodingCapabilityLimits,
+        getDecodingCapabilityLimits: getDecodingCapabilityLimits,
+        setDecodingCapabilityProbe: setDecodingCapabilityProbe,
+        setRepresentationFilter: setRepresentationFilter,
+        getRepresentationFilter: getRepresentationFilter,
         setAbandonLoadTimeout: setAbandonLoadTimeout,
+        setRepresentationBlacklistTimeout: setRepresentationBlacklistTimeout,
+        getRepresentationBlacklistTimeout: getRepresentationBlacklistTimeout,
         retrieveManifest: retrieveManifest,
         addUTCTimingSource: addUTCTimingSource,
         removeUTCTimingSource: removeUTCTimingSource,
@@ -2092,13 +3124,24 @@ function MediaPlayer() {
         restoreDefaultUTCTimingSources: restoreDefaultUTCTimingSources,
         setBufferToKeep: setBufferToKeep,
         setBufferPruningInterval: setBufferPruningInterval,
+        setBufferByteBudgetFor: setBufferByteBudgetFor,
+        getBufferByteBudgetFor: getBufferByteBudgetFor,
         setStableBufferTime: setStableBufferTime,
+        setPreloadTime: setPreloadTime,
+        getPreloadTime: getPreloadTime,
         setBufferTimeAtTopQuality: setBufferTimeAtTopQuality,
         setFragmentLoaderRetryAttempts: setFragmentLoaderRetryAttempts,
         setFragmentLoaderRetryInterval: setFragmentLoaderRetryInterval,
         setXHRWithCredentials: setXHRWithCredentials,
         setXHRWithCredentialsForType: setXHRWithCredentialsForType,
         getXHRWithCredentialsForType: getXHRWithCredentialsForType,
+        setUseFetch: setUseFetch,
+        getUseFetch: getUseFetch,
+        setRequestLoader: setRequestLoader,
+        getRequestLoader: getRequestLoader,
+        addRequestInterceptor: addRequestInterceptor,
+        removeRequestInterceptor: removeRequestInterceptor,
+        removeAllRequestInterceptors: removeAllRequestInterceptors,
         setBufferTimeAtTopQualityLongForm: setBufferTimeAtTopQualityLongForm,
         setLongFormContentDurationThreshold: setLongFormContentDurationThreshold,
         setRichBufferThreshold: setRichBufferThreshold,
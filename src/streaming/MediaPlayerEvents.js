@@ -46,6 +46,12 @@ class MediaPlayerEvents extends EventsBase {
          * Check delay property in payload to determine time before playback will start.
          */
         this.AST_IN_FUTURE = 'astInFuture';
+        /**
+         * Triggered when the dynamic ABR strategy hands control from the throughput rules to BOLA or back.
+         * Check mediaType and strategy in payload to determine which strategy is now active.
+         * @event MediaPlayerEvents#ABR_STRATEGY_CHANGED
+         */
+        this.ABR_STRATEGY_CHANGED = 'abrStrategyChanged';
         /**
          * Triggered when the video element's buffer state changes to stalled.
          * Check mediaType in payload to determine type (Video, Audio, FragmentedText).
@@ -71,12 +77,31 @@ class MediaPlayerEvents extends EventsBase {
         */
         this.ERROR = 'error';
 
+        /**
+         * Triggered when the playback position has been moved over a gap in the buffered data.
+         * Check from, to and duration (s) in payload.
+         * @event MediaPlayerEvents#GAP_CAUGHT
+         */
+        this.GAP_CAUGHT = 'gapCaught';
+
+        /**
+         * Triggered when the latency of a live stream behind the live edge has changed by a tenth of a second or more.
+         * Check latency and target (s), and playbackRate in payload.
+         * @event MediaPlayerEvents#LIVE_LATENCY_CHANGED
+         */
+        this.LIVE_LATENCY_CHANGED = 'liveLatencyChanged';
+
         /**
         * Triggered when a fragment download has completed.
         * @event MediaPlayerEvents#FRAGMENT_LOADING_COMPLETED
         */
         this.FRAGMENT_LOADING_COMPLETED = 'fragmentLoadingCompleted';
         /**
+        * Triggered when a CMAF chunk of a fragment still being downloaded has been received, for low-latency streams.
+        * @event MediaPlayerEvents#FRAGMENT_LOADING_PROGRESS
+        */
+        this.FRAGMENT_LOADING_PROGRESS = 'fragmentLoadingProgress';
+        /**
         * Triggered when a fragment download has started.
         * @event MediaPlayerEvents#FRAGMENT_LOADING_STARTED
         */
@@ -134,12 +159,48 @@ class MediaPlayerEvents extends EventsBase {
          */
         this.QUALITY_CHANGE_REQUESTED = 'qualityChangeRequested';
 
+        /**
+         * Triggered each time the ABR rules are evaluated for the next fragment, and when a fragment download is abandoned.
+         * The payload holds the answer of every rule (rules), the merged result (result), the throughput, latency and
+         * buffer level the rules worked with, and the quality chosen (newQuality).
+         * @event MediaPlayerEvents#ABR_DECISION
+         */
+        this.ABR_DECISION = 'abrDecision';
+
         /**
          * Triggered when the new ABR quality is being rendered on-screen.
          * @event MediaPlayerEvents#QUALITY_CHANGE_RENDERED
          */
         this.QUALITY_CHANGE_RENDERED = 'qualityChangeRendered';
 
+        /**
+         * Triggered when representations the device cannot decode have been removed from the manifest.
+         * Check filtered in payload for the list of removed representations with their mediaType, id and properties.
+         * @event MediaPlayerEvents#REPRESENTATIONS_FILTERED
+         */
+        this.REPRESENTATIONS_FILTERED = 'representationsFiltered';
+
+        /**
+         * Triggered when a representation is excluded from the ABR choices because the download of one of its segments
+         * failed after all retry attempts. Check streamId, mediaType, representationId and timeout (ms before the
+         * representation is tried again) in payload.
+         * @event MediaPlayerEvents#REPRESENTATION_BLACKLISTED
+         */
+        this.REPRESENTATION_BLACKLISTED = 'representationBlacklisted';
+
+        /**
+         * Triggered when a blacklisted representation is available again to the ABR choices.
+         * @event MediaPlayerEvents#REPRESENTATION_REHABILITATED
+         */
+        this.REPRESENTATION_REHABILITATED = 'representationRehabilitated';
+
+        /**
+         * Triggered when the playback position, stuck although there is buffered data ahead, has been nudged forward.
+         * Check time, to and stallDuration (ms) in payload.
+         * @event MediaPlayerEvents#STALL_RECOVERED
+         */
+        this.STALL_RECOVERED = 'stallRecovered';
+
         /**
          * Triggered when the stream is setup and ready.
          * @event MediaPlayerEvents#STREAM_INITIALIZED
@@ -156,6 +217,13 @@ class MediaPlayerEvents extends EventsBase {
          */
         this.TEXT_TRACK_ADDED = 'textTrackAdded';
 
+        /**
+         * Triggered when the trick play rate has changed, including when the player returns to normal playback by itself
+         * on reaching either end of the content. Check rate in payload.
+         * @event MediaPlayerEvents#TRICK_PLAY_RATE_CHANGED
+         */
+        this.TRICK_PLAY_RATE_CHANGED = 'trickPlayRateChanged';
+
         /**
          * Sent when enough data is available that the media can be played,
          * at least for a couple of frames.  This corresponds to the
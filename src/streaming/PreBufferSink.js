@@ -0,0 +1,89 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import FactoryMaker from '../core/FactoryMaker';
+import CustomTimeRanges from './utils/CustomTimeRanges';
+
+/**
+ * SourceBuffer-like object keeping the init and media segments loaded while preloading, before there is a video
+ * element to attach a MediaSource to. The segments are handed over in the order they were appended once the
+ * MediaSource is open.
+ */
+function PreBufferSink() {
+
+    const context = this.context;
+
+    let instance,
+        chunks;
+
+    function setup() {
+        chunks = [];
+    }
+
+    function append(bytes, chunk) {
+        chunks.push(chunk);
+        if (!isNaN(chunk.index)) {
+            instance.buffered.add(chunk.start, chunk.end);
+        }
+    }
+
+    function remove(start, end) {
+        chunks = chunks.filter(chunk => isNaN(chunk.index) || chunk.end <= start || chunk.start >= end);
+        instance.buffered.remove(start, end);
+    }
+
+    function abort() {
+    }
+
+    // returns the segments held, in the order they were appended, and empties the sink
+    function discharge() {
+        const result = chunks;
+        chunks = [];
+        instance.buffered.clear();
+        return result;
+    }
+
+    instance = {
+        buffered: CustomTimeRanges(context).create(),
+        updating: false,
+        append: append,
+        remove: remove,
+        abort: abort,
+        discharge: discharge
+    };
+
+    setup();
+
+    return instance;
+}
+
+PreBufferSink.__dashjs_factory_name = 'PreBufferSink';
+export default FactoryMaker.getClassFactory(PreBufferSink);
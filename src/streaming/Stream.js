@@ -71,6 +71,7 @@ function Stream(config) {
         updateError,
         isUpdating,
         initialized,
+        startOnceInitialized,
         protectionController,
         liveEdgeFinder,
         playbackController,
@@ -89,6 +90,7 @@ function Stream(config) {
         updateError = {};
         isUpdating = false;
         initialized = false;
+        startOnceInitialized = false;
 
         liveEdgeFinder = LiveEdgeFinder(context).getInstance();
         playbackController = PlaybackController(context).getInstance();
@@ -116,12 +118,16 @@ function Stream(config) {
     /**
      * Activates Stream by re-initializing some of its components
      * @param {MediaSource} mediaSource
+     * @param {Object} previousBuffers - the SourceBuffers of the stream playing by media type, when the stream is
+     * prebuffered after it
      * @memberof Stream#
      */
-    function activate(mediaSource) {
+    function activate(mediaSource, previousBuffers) {
         if (!isStreamActivated) {
             eventBus.on(Events.CURRENT_TRACK_CHANGED, onCurrentTrackChanged, instance);
-            initializeMedia(mediaSource);
+            // nothing plays nor seeks a stream prebuffered, its segments are requested once it is initialized
+            startOnceInitialized = !!previousBuffers;
+            initializeMedia(mediaSource, previousBuffers);
             isStreamActivated = true;
         }
         //else { // TODO Check track change mode but why is this here. commented it out for now to check.
@@ -141,6 +147,7 @@ function Stream(config) {
         streamProcessors = [];
         isStreamActivated = false;
         isMediaInitialized = false;
+        startOnceInitialized = false;
         clearEventController();
         eventBus.off(Events.CURRENT_TRACK_CHANGED, onCurrentTrackChanged, instance);
     }
@@ -280,22 +287,51 @@ function Stream(config) {
         var processor = getProcessorForMediaInfo(e.oldMediaInfo);
         if (!processor) return;
 
-        var currentTime = playbackController.getTime();
-        var buffer = processor.getBuffer();
         var mediaInfo = e.newMediaInfo;
-        var manifest = manifestModel.getValue();
-        var idx = streamProcessors.indexOf(processor);
-        var mediaSource = processor.getMediaSource();
 
         if (mediaInfo.type !== 'fragmentedText') {
-            processor.reset(true);
-            createStreamProcessor(mediaInfo, manifest, mediaSource, {buffer: buffer, replaceIdx: idx, currentTime: currentTime});
+            replaceProcessor(processor, mediaInfo);
             playbackController.seek(playbackController.getTime());
         }else {
-            processor.updateMediaInfo(manifest, mediaInfo);
+            processor.updateMediaInfo(manifestModel.getValue(), mediaInfo);
         }
     }
 
+    // creates a processor for the media given which appends to the buffer of the processor replaced
+    function replaceProcessor(processor, mediaInfo) {
+        var currentTime = playbackController.getTime();
+        var buffer = processor.getBuffer();
+        var manifest = manifestModel.getValue();
+        var idx = streamProcessors.indexOf(processor);
+        var mediaSource = processor.getMediaSource();
+
+        processor.reset(true);
+        return createStreamProcessor(mediaInfo, manifest, mediaSource, {buffer: buffer, replaceIdx: idx, currentTime: currentTime});
+    }
+
+    /**
+     * Plays the video of the stream from the trick mode AdaptationSet referencing the current video track, or from the
+     * latter again. The video buffer is emptied on the switch so that the frames of both are never mixed.
+     * @param {boolean} enabled
+     * @returns {boolean} false if the current video track is not referenced by any trick mode AdaptationSet
+     * @memberof Stream#
+     */
+    function setTrickMode(enabled) {
+        var processor = getProcessorForMediaInfo({type: 'video'});
+        if (!processor) return false;
+
+        var manifest = manifestModel.getValue();
+        var mainMediaInfo = mediaController.getCurrentTrackFor('video', streamInfo);
+        var mediaInfo = enabled ? adapter.getTrickModeMediaInfoFor(manifest, mainMediaInfo) : mainMediaInfo;
+        if (!mediaInfo) return false;
+        if (processor.getMediaInfo().index === mediaInfo.index) return true;
+
+        replaceProcessor(processor, mediaInfo).getBufferController().clearAllBuffer();
+        playbackController.seek(playbackController.getTime());
+
+        return true;
+    }
+
     function isWebM (mimeType) {
         let type = mimeType.split('/')[1];
 
@@ -399,28 +435,29 @@ function Stream(config) {
         createStreamProcessor(initialMediaInfo, manifest, mediaSource);
     }
 
-    function initializeMedia(mediaSource) {
+    function initializeMedia(mediaSource, previousBuffers) {
         var manifest = manifestModel.getValue();
-        var events;
 
         eventController = EventController(context).getInstance();
-        eventController.initialize();
-        eventController.setConfig({
-            manifestModel: manifestModel,
-            manifestUpdater: manifestUpdater
-        });
-        events = adapter.getEventsFor(manifest, streamInfo);
-        eventController.addInlineEvents(events);
+        // the events and the text tracks of a stream prebuffered are set up once the stream playing is deactivated
+        if (!previousBuffers) {
+            initializeEvents();
+        }
 
         isUpdating = true;
         initializeMediaForType('video', mediaSource);
         initializeMediaForType('audio', mediaSource);
-        initializeMediaForType('text', mediaSource);
-        initializeMediaForType('fragmentedText', mediaSource);
-        initializeMediaForType('embeddedText', mediaSource);
+        // the text tracks belong to the video element, when preloading they are set up once it is attached
+        if (mediaSource && !previousBuffers) {
+            initializeTextMedia(mediaSource);
+        }
         initializeMediaForType('muxed', mediaSource);
 
-        createBuffers();
+        createBuffers(previousBuffers);
+
+        if (previousBuffers) {
+            getProcessors().forEach(p => adapter.setIndexHandlerTime(p, getStartTime()));
+        }
 
         //TODO. Consider initialization of TextSourceBuffer here if embeddedText, but no sideloadedText.
 
@@ -438,6 +475,128 @@ function Stream(config) {
         }
     }
 
+    function initializeEvents() {
+        eventController.initialize();
+        eventController.setConfig({
+            manifestModel: manifestModel,
+            manifestUpdater: manifestUpdater
+        });
+        eventController.addInlineEvents(adapter.getEventsFor(manifestModel.getValue(), streamInfo));
+    }
+
+    function initializeTextMedia(mediaSource) {
+        initializeMediaForType('text', mediaSource);
+        initializeMediaForType('fragmentedText', mediaSource);
+        initializeMediaForType('embeddedText', mediaSource);
+    }
+
+    /**
+     * Sets up the text tracks of a stream activated while preloading, and appends the media kept in memory
+     * to the MediaSource opened on the video element just attached
+     * @param {MediaSource} mediaSource
+     * @memberof Stream#
+     */
+    function switchToMediaSource(mediaSource) {
+        const preloadedProcessors = streamProcessors.slice();
+
+        isUpdating = true;
+        initializeTextMedia(mediaSource);
+        createBuffers();
+        preloadedProcessors.forEach(p => p.switchToMediaSource(mediaSource));
+        isUpdating = false;
+
+        checkIfInitializationCompleted();
+    }
+
+    /**
+     * Sets up the events and the text tracks of a stream prebuffered in the SourceBuffers of the previous one, once
+     * the previous one is deactivated and the playback enters this one
+     * @param {MediaSource} mediaSource
+     * @memberof Stream#
+     */
+    function completeActivation(mediaSource) {
+        initializeEvents();
+
+        isUpdating = true;
+        initializeTextMedia(mediaSource);
+        createBuffers();
+        isUpdating = false;
+
+        startOnceInitialized = true;
+        checkIfInitializationCompleted();
+    }
+
+    /**
+     * @param {Stream} stream
+     * @returns {boolean} true if the media of the given stream can be appended to the SourceBuffers of this one, that
+     * is both streams have the same media types, with the same mime types and codec families
+     * @memberof Stream#
+     */
+    function isCompatibleWith(stream) {
+        const manifest = manifestModel.getValue();
+
+        return ['video', 'audio'].every(type => {
+            const mediaInfo = getMediaInfo(type);
+            const nextMediaInfos = adapter.getAllMediaInfoForType(manifest, stream.getStreamInfo(), type) || [];
+
+            if (!mediaInfo || nextMediaInfos.length === 0) {
+                return !mediaInfo && nextMediaInfos.length === 0;
+            }
+
+            return nextMediaInfos.every(nextMediaInfo => {
+                return getCodecFamily(nextMediaInfo.codec) === getCodecFamily(mediaInfo.codec) &&
+                    Boolean(nextMediaInfo.contentProtection) === Boolean(mediaInfo.contentProtection);
+            });
+        });
+    }
+
+    // the profiles of a codec share a SourceBuffer, e.g. video/mp4;codecs="avc1 for video/mp4;codecs="avc1.4d401f"
+    function getCodecFamily(codec) {
+        return codec ? codec.split('.')[0] : codec;
+    }
+
+    /**
+     * Hands the audio and video SourceBuffers over to the stream prebuffered after this one
+     * @returns {Object} the SourceBuffers by media type
+     * @memberof Stream#
+     */
+    function handOverBuffers() {
+        const buffers = {};
+
+        streamProcessors.forEach(p => {
+            const type = p.getType();
+            if (type === 'video' || type === 'audio') {
+                buffers[type] = p.handOverBuffer();
+            }
+        });
+
+        return buffers;
+    }
+
+    /**
+     * Appends to the SourceBuffers handed over again, when the stream prebuffered after this one is dropped
+     * @memberof Stream#
+     */
+    function reclaimBuffers() {
+        streamProcessors.forEach(p => {
+            const type = p.getType();
+            if (type === 'video' || type === 'audio') {
+                p.reclaimBuffer();
+            }
+        });
+    }
+
+    function isBufferingCompleted() {
+        const processors = getProcessors();
+
+        // if there is at least one buffer controller that has not completed buffering yet the stream is not completed
+        for (let i = 0, ln = processors.length; i < ln; i++) {
+            if (!processors[i].isBufferingCompleted()) return false;
+        }
+
+        return true;
+    }
+
     function checkIfInitializationCompleted() {
         var ln = streamProcessors.length;
         var hasError = !!updateError.audio || !!updateError.video;
@@ -454,6 +613,11 @@ function Stream(config) {
             protectionController.initialize(manifestModel.getValue(), getMediaInfo('audio'), getMediaInfo('video'));
         }
         eventBus.trigger(Events.STREAM_INITIALIZED, {streamInfo: streamInfo, error: error});
+
+        if (startOnceInitialized) {
+            startOnceInitialized = false;
+            getProcessors().forEach(p => p.start());
+        }
     }
 
     function getMediaInfo(type) {
@@ -469,23 +633,16 @@ function Stream(config) {
         return null;
     }
 
-    function createBuffers() {
+    function createBuffers(previousBuffers) {
         for (var i = 0, ln = streamProcessors.length; i < ln; i++) {
-            streamProcessors[i].createBuffer();
+            streamProcessors[i].createBuffer(previousBuffers);
         }
     }
 
     function onBufferingCompleted(e) {
         if (e.streamInfo !== streamInfo) return;
 
-        var processors = getProcessors();
-        var ln = processors.length;
-        var i = 0;
-
-        // if there is at least one buffer controller that has not completed buffering yet do nothing
-        for (i; i < ln; i++) {
-            if (!processors[i].isBufferingCompleted()) return;
-        }
+        if (!isBufferingCompleted()) return;
 
         eventBus.trigger(Events.STREAM_BUFFERING_COMPLETED, {streamInfo: streamInfo});
     }
@@ -560,6 +717,13 @@ function Stream(config) {
         initialize: initialize,
         activate: activate,
         deactivate: deactivate,
+        switchToMediaSource: switchToMediaSource,
+        completeActivation: completeActivation,
+        isCompatibleWith: isCompatibleWith,
+        handOverBuffers: handOverBuffers,
+        reclaimBuffers: reclaimBuffers,
+        isBufferingCompleted: isBufferingCompleted,
+        setTrickMode: setTrickMode,
         getDuration: getDuration,
         getStartTime: getStartTime,
         getStreamIndex: getStreamIndex,
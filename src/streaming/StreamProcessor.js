@@ -249,8 +249,20 @@ function StreamProcessor(config) {
         return bufferController.getIsBufferingCompleted();
     }
 
-    function createBuffer() {
-        return (bufferController.getBuffer() || bufferController.createBuffer(mediaInfo));
+    function createBuffer(previousBuffers) {
+        return (bufferController.getBuffer() || bufferController.createBuffer(mediaInfo, previousBuffers));
+    }
+
+    function switchToMediaSource(mediaSource) {
+        bufferController.switchToMediaSource(mediaSource);
+    }
+
+    function handOverBuffer() {
+        return bufferController.handOverBuffer();
+    }
+
+    function reclaimBuffer() {
+        bufferController.reclaimBuffer();
     }
 
     function isDynamic() {
@@ -298,6 +310,9 @@ function StreamProcessor(config) {
         getRepresentationInfoForQuality: getRepresentationInfoForQuality,
         isBufferingCompleted: isBufferingCompleted,
         createBuffer: createBuffer,
+        switchToMediaSource: switchToMediaSource,
+        handOverBuffer: handOverBuffer,
+        reclaimBuffer: reclaimBuffer,
         getStreamInfo: getStreamInfo,
         updateMediaInfo: updateMediaInfo,
         getMediaInfoArr: getMediaInfoArr,
@@ -28,10 +28,9 @@
  *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
  *  POSSIBILITY OF SUCH DAMAGE.
  */
-import {HTTPRequest} from './vo/metrics/HTTPRequest';
 import FactoryMaker from '../core/FactoryMaker';
 import MediaPlayerModel from './models/MediaPlayerModel';
-import ErrorHandler from './utils/ErrorHandler.js';
+import RequestInterceptorChain from './utils/RequestInterceptorChain';
 
 /**
  * @module XHRLoader
@@ -43,8 +42,8 @@ function XHRLoader(cfg) {
 
     //const log = Debug(context).getInstance().log;
     const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const requestInterceptorChain = RequestInterceptorChain(context).getInstance();
 
-    const errHandler = cfg.errHandler;
     const metricsModel = cfg.metricsModel;
     const requestModifier = cfg.requestModifier;
 
@@ -52,25 +51,56 @@ function XHRLoader(cfg) {
     let xhrs;
     let delayedXhrs;
     let retryTimers;
-    let downloadErrorToRequestTypeMap;
+    let interceptions;
 
     function setup() {
         xhrs = [];
         delayedXhrs = [];
         retryTimers = [];
+        interceptions = [];
+    }
 
-        downloadErrorToRequestTypeMap = {
-            [HTTPRequest.MPD_TYPE]:                         ErrorHandler.DOWNLOAD_ERROR_ID_MANIFEST,
-            [HTTPRequest.XLINK_EXPANSION_TYPE]:             ErrorHandler.DOWNLOAD_ERROR_ID_XLINK,
-            [HTTPRequest.INIT_SEGMENT_TYPE]:                ErrorHandler.DOWNLOAD_ERROR_ID_INITIALIZATION,
-            [HTTPRequest.MEDIA_SEGMENT_TYPE]:               ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT,
-            [HTTPRequest.INDEX_SEGMENT_TYPE]:               ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT,
-            [HTTPRequest.BITSTREAM_SWITCHING_SEGMENT_TYPE]: ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT,
-            [HTTPRequest.OTHER_TYPE]:                       ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT
-        };
+    function retryOrFail(config, remainingAttempts, statusText) {
+        const request = config.request;
+
+        if (remainingAttempts > 0) {
+            retryTimers.push(
+                setTimeout(function () {
+                    internalLoad(config, remainingAttempts - 1);
+                }, mediaPlayerModel.getRetryIntervalForType(request.type))
+            );
+        } else {
+            if (config.error) {
+                config.error(request, 'error', statusText);
+            }
+
+            if (config.complete) {
+                config.complete(request, statusText);
+            }
+        }
     }
 
+    // the interceptors run again on each attempt, so that an expired token is refreshed
     function internalLoad(config, remainingAttempts) {
+        const interception = {aborted: false};
+        interceptions.push(interception);
+
+        requestInterceptorChain.interceptRequest(config.request, function (intercepted) {
+            if (interception.aborted) return;
+            interceptions.splice(interceptions.indexOf(interception), 1);
+
+            sendRequest(config, intercepted, remainingAttempts);
+        }, function (e) {
+            if (interception.aborted) return;
+            if (interceptions.indexOf(interception) !== -1) {
+                interceptions.splice(interceptions.indexOf(interception), 1);
+            }
+
+            retryOrFail(config, remainingAttempts, e && e.message);
+        });
+    }
+
+    function sendRequest(config, intercepted, remainingAttempts) {
 
         var request = config.request;
         var xhr = new XMLHttpRequest();
@@ -117,29 +147,7 @@ function XHRLoader(cfg) {
 
             if (needFailureReport) {
                 handleLoaded(false);
-
-                if (remainingAttempts > 0) {
-                    remainingAttempts--;
-                    retryTimers.push(
-                        setTimeout(function () {
-                            internalLoad(config, remainingAttempts);
-                        }, mediaPlayerModel.getRetryIntervalForType(request.type))
-                    );
-                } else {
-                    errHandler.downloadError(
-                        downloadErrorToRequestTypeMap[request.type],
-                        request.url,
-                        request
-                    );
-
-                    if (config.error) {
-                        config.error(request, 'error', xhr.statusText);
-                    }
-
-                    if (config.complete) {
-                        config.complete(request, xhr.statusText);
-                    }
-                }
+                retryOrFail(config, remainingAttempts, xhr.statusText);
             }
         };
 
@@ -188,8 +196,8 @@ function XHRLoader(cfg) {
         };
 
         try {
-            const modifiedUrl = requestModifier.modifyRequestURL(request.url);
-            const verb = request.checkExistenceOnly ? 'HEAD' : 'GET';
+            const modifiedUrl = requestModifier.modifyRequestURL(intercepted.url || request.url);
+            const verb = request.method || (request.checkExistenceOnly ? 'HEAD' : 'GET');
 
             xhr.open(verb, modifiedUrl, true);
 
@@ -197,17 +205,27 @@ function XHRLoader(cfg) {
                 xhr.responseType = request.responseType;
             }
 
+            if (request.timeout > 0) {
+                xhr.timeout = request.timeout;
+            }
+
             if (request.range) {
                 xhr.setRequestHeader('Range', 'bytes=' + request.range);
             }
 
+            if (intercepted.headers) {
+                for (const name in intercepted.headers) {
+                    xhr.setRequestHeader(name, intercepted.headers[name]);
+                }
+            }
+
             if (!request.requestStartDate) {
                 request.requestStartDate = requestStartTime;
             }
 
             xhr = requestModifier.modifyRequestHeader(xhr);
 
-            xhr.withCredentials = mediaPlayerModel.getXHRWithCredentialsForType(request.type);
+            xhr.withCredentials = request.withCredentials || mediaPlayerModel.getXHRWithCredentialsForType(request.type);
 
             xhr.onload = onload;
             xhr.onloadend = onloadend;
@@ -220,7 +238,7 @@ function XHRLoader(cfg) {
                 // no delay - just send xhr
 
                 xhrs.push(xhr);
-                xhr.send();
+                xhr.send(request.data);
             } else {
                 // delay
                 let delayedXhr = {xhr: xhr};
@@ -233,7 +251,7 @@ function XHRLoader(cfg) {
                     }
                     try {
                         xhrs.push(delayedXhr.xhr);
-                        delayedXhr.xhr.send();
+                        delayedXhr.xhr.send(request.data);
                     } catch (e) {
                         delayedXhr.xhr.onerror();
                     }
@@ -246,7 +264,8 @@ function XHRLoader(cfg) {
     }
 
     /**
-     * Initiates a download of the resource described by config.request
+     * Initiates a download of the resource described by config.request, once it has been through the request
+     * interceptors
      * @param {Object} config - contains request (FragmentRequest or derived type), and callbacks
      * @memberof module:XHRLoader
      * @instance
@@ -271,6 +290,11 @@ function XHRLoader(cfg) {
         retryTimers.forEach(t => clearTimeout(t));
         retryTimers = [];
 
+        interceptions.forEach(i => {
+            i.aborted = true;
+        });
+        interceptions = [];
+
         delayedXhrs.forEach(x => clearTimeout(x.delayTimeout));
         delayedXhrs = [];
 
@@ -284,9 +308,19 @@ function XHRLoader(cfg) {
         xhrs = [];
     }
 
+    /**
+     * Resets the loader, aborting any inflight downloads
+     * @memberof module:XHRLoader
+     * @instance
+     */
+    function reset() {
+        abort();
+    }
+
     instance = {
         load: load,
-        abort: abort
+        abort: abort,
+        reset: reset
     };
 
     setup();
@@ -29,7 +29,7 @@
  *  POSSIBILITY OF SUCH DAMAGE.
  */
 import Error from './vo/Error';
-import XHRLoader from './XHRLoader';
+import HTTPLoader from './HTTPLoader';
 import {HTTPRequest} from './vo/metrics/HTTPRequest';
 import TextRequest from './vo/TextRequest';
 import EventBus from '../core/EventBus';
@@ -45,7 +45,7 @@ function XlinkLoader(config) {
     const context  = this.context;
     const eventBus = EventBus(context).getInstance();
 
-    let xhrLoader = XHRLoader(context).create({
+    let httpLoader = HTTPLoader(context).create({
         errHandler: config.errHandler,
         metricsModel: config.metricsModel,
         requestModifier: config.requestModifier
@@ -75,7 +75,7 @@ function XlinkLoader(config) {
         } else {
             const request = new TextRequest(url, HTTPRequest.XLINK_TYPE);
 
-            xhrLoader.load({
+            httpLoader.load({
                 request: request,
                 success: function (data) {
                     report(data);
@@ -88,9 +88,9 @@ function XlinkLoader(config) {
     }
 
     function reset() {
-        if (xhrLoader) {
-            xhrLoader.abort();
-            xhrLoader = null;
+        if (httpLoader) {
+            httpLoader.abort();
+            httpLoader = null;
         }
     }
 
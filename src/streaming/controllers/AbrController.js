@@ -33,37 +33,57 @@ import SwitchRequest from '../rules/SwitchRequest';
 import BitrateInfo from '../vo/BitrateInfo';
 import DOMStorage from '../utils/DOMStorage';
 import ABRRulesCollection from '../rules/abr/ABRRulesCollection';
+import ThroughputHistory from '../rules/ThroughputHistory';
 import MediaPlayerModel from '../models/MediaPlayerModel';
+import MetricsModel from '../models/MetricsModel';
 import FragmentModel from '../models/FragmentModel';
 import EventBus from '../../core/EventBus';
 import Events from '../../core/events/Events';
 import FactoryMaker from '../../core/FactoryMaker';
 import ManifestModel from '../models/ManifestModel';
 import DashManifestModel from '../../dash/models/DashManifestModel';
+import DashMetrics from '../../dash/DashMetrics';
 import VideoModel from '../models/VideoModel';
+import URLUtils from '../utils/URLUtils';
+import {HTTPRequest} from '../vo/metrics/HTTPRequest';
+import Debug from '../../core/Debug';
 
 const ABANDON_LOAD = 'abandonload';
 const ALLOW_LOAD = 'allowload';
 const DEFAULT_VIDEO_BITRATE = 1000;
 const DEFAULT_AUDIO_BITRATE = 100;
 const QUALITY_DEFAULT = 0;
+// the startup throughput estimate gets full confidence once it is based on that many bytes
+const STARTUP_THROUGHPUT_REFERENCE_BYTES = 50000;
+const STARTUP_REQUEST_TYPES = [HTTPRequest.MPD_TYPE, HTTPRequest.XLINK_EXPANSION_TYPE, HTTPRequest.INDEX_SEGMENT_TYPE, HTTPRequest.INIT_SEGMENT_TYPE];
+const DECISION_QUALITY_SWITCH = 'qualitySwitch';
+const DECISION_ABANDON = 'abandon';
+// in dynamic ABR mode, BOLA hands control back to the throughput rules when the buffer drops below this ratio of the stable buffer time
+const DYNAMIC_ABR_SWITCH_OFF_RATIO = 0.5;
+const THROUGHPUT_SAVE_INTERVAL = 10000;
 
 function AbrController() {
 
     let context = this.context;
+    let log = Debug(context).getInstance().log;
     let eventBus = EventBus(context).getInstance();
 
     let instance,
         abrRulesCollection,
         rulesController,
         streamController,
+        representationBlacklistController,
         autoSwitchBitrate,
         topQualities,
         qualityDict,
         confidenceDict,
         bitrateDict,
         ratioDict,
-        averageThroughputDict,
+        startupSelectionPending,
+        allowedQualitiesDict,
+        throughputHistory,
+        throughputSaveDict,
+        useBufferOccupancyABRDict,
         streamProcessorDict,
         abandonmentStateDict,
         abandonmentTimeout,
@@ -76,6 +96,8 @@ function AbrController() {
         dashManifestModel,
         videoModel,
         mediaPlayerModel,
+        metricsModel,
+        dashMetrics,
         domStorage;
 
     function setup() {
@@ -85,8 +107,11 @@ function AbrController() {
         confidenceDict = {};
         bitrateDict = {};
         ratioDict = {};
-        averageThroughputDict = {};
+        startupSelectionPending = {};
+        allowedQualitiesDict = {};
+        throughputSaveDict = {};
         abandonmentStateDict = {};
+        useBufferOccupancyABRDict = {};
         streamProcessorDict = {};
         limitBitrateByPortal = false;
         usePixelRatioInLimitBitrateByPortal = false;
@@ -95,6 +120,9 @@ function AbrController() {
         }
         domStorage = DOMStorage(context).getInstance();
         mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        metricsModel = MetricsModel(context).getInstance();
+        dashMetrics = DashMetrics(context).getInstance();
+        throughputHistory = ThroughputHistory(context).create({mediaPlayerModel: mediaPlayerModel});
         manifestModel = ManifestModel(context).getInstance();
         dashManifestModel = DashManifestModel(context).getInstance();
         videoModel = VideoModel(context).getInstance();
@@ -104,7 +132,14 @@ function AbrController() {
         streamProcessorDict[type] = streamProcessor;
         abandonmentStateDict[type] = abandonmentStateDict[type] || {};
         abandonmentStateDict[type].state = ALLOW_LOAD;
+        if (isNaN(throughputHistory.getAverageThroughput(type))) {
+            seedThroughputHistory(type);
+        }
         eventBus.on(Events.LOADING_PROGRESS, onFragmentLoadProgress, this);
+        eventBus.on(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, this, EventBus.EVENT_PRIORITY_HIGH);
+        eventBus.on(Events.BUFFER_LEVEL_UPDATED, onBufferLevelUpdated, this);
+        eventBus.on(Events.REPRESENTATION_BLACKLISTED, onRepresentationBlacklistUpdated, this);
+        eventBus.on(Events.REPRESENTATION_REHABILITATED, onRepresentationBlacklistUpdated, this);
         if (type == 'video') {
             setElementSize();
         }
@@ -122,6 +157,9 @@ function AbrController() {
         if (config.streamController) {
             streamController = config.streamController;
         }
+        if (config.representationBlacklistController) {
+            representationBlacklistController = config.representationBlacklistController;
+        }
     }
 
     function getTopQualityIndexFor(type, id) {
@@ -135,7 +173,21 @@ function AbrController() {
         idx = checkMaxBitrate(topQualities[id][type], type);
         idx = checkMaxRepresentationRatio(idx, type, topQualities[id][type]);
         idx = checkPortalSize(idx, type);
-        return idx;
+        // the minimum allowed quality wins over every cap
+        return getAllowedQualityBelow(type, id, Math.max(idx, getBottomQualityIndexFor(type, id)));
+    }
+
+    function getBottomQualityIndexFor(type, id) {
+        var idx;
+        topQualities[id] = topQualities[id] || {};
+
+        if (!topQualities[id].hasOwnProperty(type)) {
+            topQualities[id][type] = 0;
+        }
+
+        idx = checkMinBitrate(0, type, topQualities[id][type]);
+        idx = checkMinRepresentationRatio(idx, type, topQualities[id][type]);
+        return getAllowedQualityAbove(type, id, idx);
     }
 
     /**
@@ -158,16 +210,72 @@ function AbrController() {
                 } else {
                     bitrateDict[type] = 0;
                 }
-            } else if (!isNaN(savedBitrate)) {
-                bitrateDict[type] = savedBitrate;
             } else {
-                bitrateDict[type] = (type === 'video') ? DEFAULT_VIDEO_BITRATE : DEFAULT_AUDIO_BITRATE;
+                // the index and initialization segments are yet to be downloaded, the bitrate is revised from the startup
+                // throughput before the first media segment
+                startupSelectionPending[type] = true;
+                bitrateDict[type] = !isNaN(savedBitrate) ? savedBitrate : (type === 'video') ? DEFAULT_VIDEO_BITRATE : DEFAULT_AUDIO_BITRATE;
             }
         }
 
         return bitrateDict[type];
     }
 
+    function selectStartupQuality(streamProcessor) {
+        const type = streamProcessor.getType();
+        if (!startupSelectionPending[type]) return;
+        delete startupSelectionPending[type];
+
+        // the quality set by the application while auto switching is off is kept
+        if (!getAutoSwitchBitrateFor(type)) return;
+
+        const startupThroughput = getStartupThroughput();
+        if (isNaN(startupThroughput.throughput) || startupThroughput.confidence < mediaPlayerModel.getStartupThroughputConfidenceThreshold()) return;
+
+        const streamInfo = streamProcessor.getStreamInfo();
+        bitrateDict[type] = Math.round(startupThroughput.throughput * mediaPlayerModel.getBandwidthSafetyFactor());
+        log('AbrController initial ' + type + ' bitrate of ' + bitrateDict[type] + ' kbps from startup throughput, confidence ' + startupThroughput.confidence.toFixed(2));
+
+        let quality = getQualityForBitrate(streamProcessor.getMediaInfo(), bitrateDict[type]);
+        quality = Math.max(Math.min(quality, getTopQualityIndexFor(type, streamInfo.id)), getBottomQualityIndexFor(type, streamInfo.id));
+        setPlaybackQuality(type, streamInfo, getAllowedQualityBelow(type, streamInfo.id, quality), {startupThroughput: startupThroughput.throughput});
+    }
+
+    /**
+     * Measures the throughput of the requests made before the first media segment: manifest, xlink, segment index
+     * and initialization segments. These are small, so the estimate is given with a confidence between 0 and 1
+     * growing with the number of bytes it is based on. The request latency is part of the download time, which keeps
+     * the small downloads from overestimating the throughput. The audio and video requests overlap, the time they
+     * take together is counted once.
+     * @returns {Object} {throughput: kbps or NaN, confidence}
+     * @memberof AbrController#
+     */
+    function getStartupThroughput() {
+        const intervals = [];
+        let bytes = 0;
+        let downloadTime = 0;
+        let end = -Infinity;
+
+        ['stream', 'video', 'audio'].forEach(type => {
+            dashMetrics.getHttpRequests(metricsModel.getReadOnlyMetricsFor(type)).forEach(request => {
+                if (STARTUP_REQUEST_TYPES.indexOf(request.type) === -1 || !request.trace || !request.trequest || !request._tfinish) return;
+
+                bytes += request.trace.reduce((a, b) => a + b.b[0], 0);
+                intervals.push({start: request.trequest.getTime(), end: request._tfinish.getTime()});
+            });
+        });
+
+        intervals.sort((a, b) => a.start - b.start).forEach(interval => {
+            downloadTime += Math.max(0, interval.end - Math.max(interval.start, end));
+            end = Math.max(end, interval.end);
+        });
+
+        return {
+            throughput: downloadTime > 0 ? Math.round(8 * bytes / downloadTime) : NaN,
+            confidence: Math.min(1, bytes / STARTUP_THROUGHPUT_REFERENCE_BYTES)
+        };
+    }
+
     /**
      * @param {string} type
      * @param {number} value A value of the initial bitrate, kbps
@@ -215,6 +323,45 @@ function AbrController() {
         ratioDict.max[type] = value;
     }
 
+    function getMinAllowedBitrateFor(type) {
+        if (bitrateDict.hasOwnProperty('min') && bitrateDict.min.hasOwnProperty(type)) {
+            return bitrateDict.min[type];
+        }
+        return NaN;
+    }
+
+    function setMinAllowedBitrateFor(type, value) {
+        bitrateDict.min = bitrateDict.min || {};
+        bitrateDict.min[type] = value;
+        updateQualityForMinimum(type, {name: 'MinAllowedBitrate'});
+    }
+
+    function getMinAllowedRepresentationRatioFor(type) {
+        if (ratioDict.hasOwnProperty('min') && ratioDict.min.hasOwnProperty(type)) {
+            return ratioDict.min[type];
+        }
+        return 0;
+    }
+
+    function setMinAllowedRepresentationRatioFor(type, value) {
+        ratioDict.min = ratioDict.min || {};
+        ratioDict.min[type] = value;
+        updateQualityForMinimum(type, {name: 'MinAllowedRepresentationRatio'});
+    }
+
+    // the quality playing is raised to a new minimum at once, also when it has been set manually
+    function updateQualityForMinimum(type, reason) {
+        const mediaInfo = streamProcessorDict[type] ? streamProcessorDict[type].getMediaInfo() : null;
+        if (!mediaInfo || !mediaInfo.streamInfo) return;
+
+        const streamInfo = mediaInfo.streamInfo;
+        const quality = getQualityFor(type, streamInfo);
+        const bottomQuality = getBottomQualityIndexFor(type, streamInfo.id);
+        if (quality < bottomQuality) {
+            changeQuality(type, streamInfo, quality, bottomQuality, reason);
+        }
+    }
+
     function getAutoSwitchBitrateFor(type) {
         return autoSwitchBitrate[type];
     }
@@ -245,20 +392,26 @@ function AbrController() {
         const streamInfo = streamProcessor.getStreamInfo();
         const streamId = streamInfo.id;
 
+        selectStartupQuality(streamProcessor);
+
         const callback = function (res) {
 
             const topQualityIdx = getTopQualityIndexFor(type, streamId);
+            const bottomQualityIdx = getBottomQualityIndexFor(type, streamId);
 
             let newQuality = res.value;
-            if (newQuality < 0) {
-                newQuality = 0;
+            if (newQuality < bottomQualityIdx) {
+                newQuality = bottomQualityIdx;
             }
             if (newQuality > topQualityIdx) {
                 newQuality = topQualityIdx;
             }
+            newQuality = getAllowedQualityBelow(type, streamId, newQuality);
 
             const oldQuality = getQualityFor(type, streamInfo);
-            if (newQuality !== oldQuality && (abandonmentStateDict[type].state === ALLOW_LOAD || newQuality > oldQuality)) {
+            const switchAllowed = abandonmentStateDict[type].state === ALLOW_LOAD || newQuality > oldQuality;
+            onAbrDecision(type, streamInfo, DECISION_QUALITY_SWITCH, oldQuality, switchAllowed ? newQuality : oldQuality, res);
+            if (newQuality !== oldQuality && switchAllowed) {
                 setConfidenceFor(type, streamId, res.confidence);
                 changeQuality(type, streamInfo, oldQuality, newQuality, res.reason);
             }
@@ -288,11 +441,38 @@ function AbrController() {
 
         if (!isInt) throw new Error('argument is not an integer');
 
-        if (newQuality !== oldQuality && newQuality >= 0 && newQuality <= getTopQualityIndexFor(type, id)) {
+        if (newQuality !== oldQuality && newQuality >= getBottomQualityIndexFor(type, id) && newQuality <= getTopQualityIndexFor(type, id) &&
+            isQualityAllowed(type, id, newQuality)) {
             changeQuality(type, streamInfo, oldQuality, newQuality, reason);
         }
     }
 
+    // Reports the inputs and outcome of an evaluation of the rules, so that the choice can be explained afterwards
+    function onAbrDecision(type, streamInfo, trigger, oldQuality, newQuality, res) {
+        const metrics = metricsModel.getReadOnlyMetricsFor(type);
+        const isDynamic = isDynamicFor(type);
+        const decision = {
+            mediaType: type,
+            streamInfo: streamInfo,
+            trigger: trigger,
+            currentQuality: oldQuality,
+            newQuality: newQuality,
+            rules: res.rules || [],
+            result: {value: res.value, confidence: res.confidence, reason: res.reason},
+            throughput: throughputHistory.getAverageThroughput(type, isDynamic),
+            safeThroughput: throughputHistory.getSafeAverageThroughput(type, isDynamic),
+            latency: throughputHistory.getAverageLatency(type),
+            bufferLevel: metrics ? dashMetrics.getCurrentBufferLevel(metrics) : 0
+        };
+
+        if (mediaPlayerModel.getAbrDecisionMetricsEnabled()) {
+            metricsModel.addAbrDecision(type, trigger, oldQuality, newQuality, decision.rules, decision.result,
+                decision.throughput, decision.safeThroughput, decision.latency, decision.bufferLevel);
+        }
+
+        eventBus.trigger(Events.ABR_DECISION, decision);
+    }
+
     function changeQuality(type, streamInfo, oldQuality, newQuality, reason) {
         setQualityFor(type, streamInfo.id, newQuality);
         eventBus.trigger(Events.QUALITY_CHANGE_REQUESTED, {mediaType: type, streamInfo: streamInfo, oldQuality: oldQuality, newQuality: newQuality, reason: reason});
@@ -310,7 +490,7 @@ function AbrController() {
     /**
      * @param {MediaInfo} mediaInfo
      * @param {number} bitrate A bitrate value, kbps
-     * @returns {number} A quality index <= for the given bitrate
+     * @returns {number} A quality index <= for the given bitrate, among the qualities allowed by the representation filter
      * @memberof AbrController#
      */
     function getQualityForBitrate(mediaInfo, bitrate) {
@@ -324,15 +504,15 @@ function AbrController() {
         for (let i = bitrateList.length - 1; i >= 0; i--) {
             const bitrateInfo = bitrateList[i];
             if (bitrate * 1000 >= bitrateInfo.bitrate) {
-                return i;
+                return bitrateInfo.qualityIndex;
             }
         }
-        return 0;
+        return bitrateList[0].qualityIndex;
     }
 
     /**
      * @param {MediaInfo} mediaInfo
-     * @returns {Array|null} A list of {@link BitrateInfo} objects
+     * @returns {Array|null} A list of {@link BitrateInfo} objects, leaving out the qualities rejected by the representation filter
      * @memberof AbrController#
      */
     function getBitrateList(mediaInfo) {
@@ -340,11 +520,14 @@ function AbrController() {
 
         var bitrateList = mediaInfo.bitrateList;
         var type = mediaInfo.type;
+        var allowedQualities = mediaInfo.streamInfo ? getAllowedQualities(type, mediaInfo.streamInfo.id) : null;
 
         var infoList = [];
         var bitrateInfo;
 
         for (var i = 0, ln = bitrateList.length; i < ln; i++) {
+            if (allowedQualities && allowedQualities.indexOf(i) === -1) continue;
+
             bitrateInfo = new BitrateInfo();
             bitrateInfo.mediaType = type;
             bitrateInfo.qualityIndex = i;
@@ -357,12 +540,39 @@ function AbrController() {
         return infoList;
     }
 
-    function setAverageThroughput(type, value) {
-        averageThroughputDict[type] = value;
+    function getThroughputHistory() {
+        return throughputHistory;
     }
 
+    function isDynamicFor(type) {
+        return !!streamProcessorDict[type] && streamProcessorDict[type].isDynamic();
+    }
+
+    /**
+     * @param {string} type
+     * @returns {number} The current throughput estimate for the given media type, kbps
+     * @memberof AbrController#
+     */
     function getAverageThroughput(type) {
-        return averageThroughputDict[type];
+        return throughputHistory.getAverageThroughput(type, isDynamicFor(type));
+    }
+
+    /**
+     * @param {string} type
+     * @returns {number} The current throughput estimate reduced by the bandwidth safety factor, kbps
+     * @memberof AbrController#
+     */
+    function getSafeAverageThroughput(type) {
+        return throughputHistory.getSafeAverageThroughput(type, isDynamicFor(type));
+    }
+
+    /**
+     * @param {string} type
+     * @returns {number} The current latency estimate for the given media type, ms
+     * @memberof AbrController#
+     */
+    function getAverageLatency(type) {
+        return throughputHistory.getAverageLatency(type);
     }
 
     function updateTopQualityIndex(mediaInfo) {
@@ -371,10 +581,138 @@ function AbrController() {
         var max = mediaInfo.representationCount - 1;
 
         setTopQualityIndex(type, streamId, max);
+        updateAllowedQualities(mediaInfo);
 
         return max;
     }
 
+    function updateAllowedQualities(mediaInfo) {
+        const type = mediaInfo.type;
+        const streamId = mediaInfo.streamInfo.id;
+
+        allowedQualitiesDict[streamId] = allowedQualitiesDict[streamId] || {};
+        delete allowedQualitiesDict[streamId][type];
+
+        if (!mediaInfo.bitrateList) return;
+
+        let allowedQualities = getFilteredQualities(mediaInfo);
+        if (representationBlacklistController) {
+            const availableQualities = allowedQualities.filter(quality => !representationBlacklistController.contains(streamId, type, mediaInfo.bitrateList[quality].id));
+            if (availableQualities.length === 0) {
+                log('Every ' + type + ' representation left is blacklisted, ignoring the blacklist');
+            } else {
+                allowedQualities = availableQualities;
+            }
+        }
+
+        if (allowedQualities.length < mediaInfo.bitrateList.length) {
+            allowedQualitiesDict[streamId][type] = allowedQualities;
+        }
+    }
+
+    // qualities kept by the representation filter, all of them when there is no filter or it rejects every one
+    function getFilteredQualities(mediaInfo) {
+        const filter = mediaPlayerModel.getRepresentationFilter();
+        const qualities = mediaInfo.bitrateList.map((bitrate, quality) => quality);
+
+        if (!filter) return qualities;
+
+        const allowedQualities = [];
+        mediaInfo.bitrateList.forEach((bitrate, quality) => {
+            const representation = {
+                id: bitrate.id,
+                index: quality,
+                bandwidth: bitrate.bandwidth,
+                width: bitrate.width,
+                height: bitrate.height,
+                frameRate: bitrate.frameRate,
+                codecs: bitrate.codecs,
+                mediaInfo: mediaInfo
+            };
+            let allowed = true;
+            try {
+                allowed = !!filter(representation);
+            } catch (e) {
+                log('Representation filter failed on representation ' + representation.id + ', keeping it: ' + e.message);
+            }
+            if (allowed) {
+                allowedQualities.push(quality);
+            }
+        });
+
+        if (allowedQualities.length === 0) {
+            log('Representation filter rejects every ' + mediaInfo.type + ' representation, ignoring it');
+            return qualities;
+        }
+        return allowedQualities;
+    }
+
+    // moves to the closest allowed quality below, or above when there is none, if the current one is no longer allowed
+    function updateQualityForAllowedQualities(type, reason) {
+        const mediaInfo = streamProcessorDict[type].getMediaInfo();
+        if (!mediaInfo || !mediaInfo.streamInfo) return;
+
+        const streamInfo = mediaInfo.streamInfo;
+        const quality = getQualityFor(type, streamInfo);
+
+        updateAllowedQualities(mediaInfo);
+        if (!isQualityAllowed(type, streamInfo.id, quality)) {
+            const newQuality = Math.max(getAllowedQualityBelow(type, streamInfo.id, quality), getBottomQualityIndexFor(type, streamInfo.id));
+            changeQuality(type, streamInfo, quality, newQuality, reason);
+        }
+    }
+
+    /**
+     * Evaluates the representation filter again for the media being played, and moves away from a quality
+     * it now rejects.
+     * @memberof AbrController#
+     */
+    function updateRepresentationFilter() {
+        Object.keys(streamProcessorDict).forEach(type => updateQualityForAllowedQualities(type, {name: 'RepresentationFilter'}));
+    }
+
+    function onRepresentationBlacklistUpdated(e) {
+        const streamProcessor = streamProcessorDict[e.mediaType];
+        if (!streamProcessor || streamProcessor.getStreamInfo().id !== e.streamId) return;
+
+        updateQualityForAllowedQualities(e.mediaType, {name: 'RepresentationBlacklist', representationId: e.representationId});
+    }
+
+    function getAllowedQualities(type, id) {
+        return allowedQualitiesDict[id] ? allowedQualitiesDict[id][type] : undefined;
+    }
+
+    function isQualityAllowed(type, id, quality) {
+        const allowedQualities = getAllowedQualities(type, id);
+        return !allowedQualities || allowedQualities.indexOf(quality) !== -1;
+    }
+
+    // highest allowed quality <= quality, the lowest allowed one if there is none
+    function getAllowedQualityBelow(type, id, quality) {
+        const allowedQualities = getAllowedQualities(type, id);
+        if (!allowedQualities) return quality;
+
+        for (let i = allowedQualities.length - 1; i >= 0; i--) {
+            if (allowedQualities[i] <= quality) {
+                return allowedQualities[i];
+            }
+        }
+        return allowedQualities[0];
+    }
+
+    // lowest allowed quality >= quality, the highest allowed one if there is none
+    function getAllowedQualityAbove(type, id, quality) {
+        const allowedQualities = getAllowedQualities(type, id);
+        if (!allowedQualities) return quality;
+
+        for (let i = 0; i < allowedQualities.length; i++) {
+            if (allowedQualities[i] >= quality) {
+                return allowedQualities[i];
+            }
+        }
+        return allowedQualities[allowedQualities.length - 1];
+    }
+
     function isPlayingAtTopQuality(streamInfo) {
         var isAtTop;
         var streamId = streamInfo.id;
@@ -389,8 +727,13 @@ function AbrController() {
 
     function reset () {
         eventBus.off(Events.LOADING_PROGRESS, onFragmentLoadProgress, this);
+        eventBus.off(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, this);
+        eventBus.off(Events.BUFFER_LEVEL_UPDATED, onBufferLevelUpdated, this);
+        eventBus.off(Events.REPRESENTATION_BLACKLISTED, onRepresentationBlacklistUpdated, this);
+        eventBus.off(Events.REPRESENTATION_REHABILITATED, onRepresentationBlacklistUpdated, this);
         clearTimeout(abandonmentTimeout);
         abandonmentTimeout = null;
+        Object.keys(throughputSaveDict).filter(type => throughputSaveDict[type].pending).forEach(saveThroughput);
         setup();
     }
 
@@ -446,6 +789,34 @@ function AbrController() {
         return Math.min (idx , maxIdx);
     }
 
+    function checkMinBitrate(idx, type, maxIdx) {
+        var minBitrate = getMinAllowedBitrateFor(type);
+        if (isNaN(minBitrate) || !streamProcessorDict[type]) {
+            return idx;
+        }
+        var bitrateList = getBitrateList(streamProcessorDict[type].getMediaInfo());
+        if (!bitrateList) {
+            return idx;
+        }
+        // lowest quality reaching the minimum bitrate, or the top quality if none does
+        var minIdx = maxIdx;
+        for (var i = 0; i < bitrateList.length && bitrateList[i].qualityIndex < maxIdx; i++) {
+            if (bitrateList[i].bitrate >= minBitrate * 1000) {
+                minIdx = bitrateList[i].qualityIndex;
+                break;
+            }
+        }
+        return Math.max(idx, minIdx);
+    }
+
+    function checkMinRepresentationRatio(idx, type, maxIdx) {
+        var minRepresentationRatio = getMinAllowedRepresentationRatioFor(type);
+        if (isNaN(minRepresentationRatio) || minRepresentationRatio <= 0 || minRepresentationRatio > 1) {
+            return idx;
+        }
+        return Math.max(idx, Math.round(maxIdx * minRepresentationRatio));
+    }
+
     function checkMaxRepresentationRatio(idx, type, maxIdx) {
         var maxRepresentationRatio = getMaxAllowedRepresentationRatioFor(type);
         if (isNaN(maxRepresentationRatio) || maxRepresentationRatio >= 1 || maxRepresentationRatio < 0) {
@@ -460,7 +831,7 @@ function AbrController() {
 
     function setElementSize() {
         var element = videoModel.getElement();
-        if (element !== undefined) {
+        if (element) {
             var hasPixelRatio = usePixelRatioInLimitBitrateByPortal && window.hasOwnProperty('devicePixelRatio');
             var pixelRatio = hasPixelRatio ? window.devicePixelRatio : 1;
             elementWidth = element.clientWidth * pixelRatio;
@@ -499,6 +870,79 @@ function AbrController() {
         return newIdx;
     }
 
+    // throughput estimates are saved per origin of the manifest, as CDNs usually serve both
+    function getThroughputCachingOrigin() {
+        const manifest = manifestModel.getValue();
+        const url = manifest ? manifest.originalUrl || manifest.url : null;
+        return url ? URLUtils(context).getInstance().parseOrigin(url) : '';
+    }
+
+    function seedThroughputHistory(type) {
+        const origin = getThroughputCachingOrigin();
+        const saved = origin ? domStorage.getSavedThroughput(origin, type) : null;
+
+        if (saved) {
+            throughputHistory.seed(type, saved.throughput, saved.latency);
+        }
+    }
+
+    function onFragmentLoadingCompleted(e) {
+        const request = e.request;
+        if (e.error || !request || request.type !== HTTPRequest.MEDIA_SEGMENT_TYPE) return;
+
+        const type = request.mediaType;
+        const httpRequest = dashMetrics.getCurrentHttpRequest(metricsModel.getReadOnlyMetricsFor(type));
+        if (httpRequest && httpRequest.type === HTTPRequest.MEDIA_SEGMENT_TYPE) {
+            throughputHistory.push(type, httpRequest);
+
+            const save = throughputSaveDict[type] = throughputSaveDict[type] || {time: -Infinity};
+            save.origin = getThroughputCachingOrigin();
+            save.pending = true;
+            if (new Date().getTime() - save.time >= THROUGHPUT_SAVE_INTERVAL) {
+                saveThroughput(type);
+            }
+        }
+    }
+
+    // the estimates are written at most once per interval, the last ones when the controller is reset
+    function saveThroughput(type) {
+        const save = throughputSaveDict[type];
+
+        domStorage.setSavedThroughput(save.origin, type, throughputHistory.getAverageThroughput(type, isDynamicFor(type)),
+            throughputHistory.getAverageLatency(type));
+        save.time = new Date().getTime();
+        save.pending = false;
+    }
+
+    function getUseBufferOccupancyABRFor(type) {
+        const abrStrategy = mediaPlayerModel.getABRStrategy();
+        if (abrStrategy !== MediaPlayerModel.ABR_STRATEGY_DYNAMIC) {
+            return abrStrategy === MediaPlayerModel.ABR_STRATEGY_BOLA;
+        }
+        return !!useBufferOccupancyABRDict[type];
+    }
+
+    function onBufferLevelUpdated(e) {
+        const type = e.sender.getType();
+        if (mediaPlayerModel.getABRStrategy() !== MediaPlayerModel.ABR_STRATEGY_DYNAMIC ||
+            e.sender.getStreamProcessor() !== streamProcessorDict[type]) return;
+
+        // throughput rules are used until the buffer is full, BOLA then keeps control until the buffer drains
+        const switchOnThreshold = mediaPlayerModel.getStableBufferTime();
+        const switchOffThreshold = DYNAMIC_ABR_SWITCH_OFF_RATIO * switchOnThreshold;
+        const useBufferABR = !!useBufferOccupancyABRDict[type];
+        const newUseBufferABR = useBufferABR ? e.bufferLevel >= switchOffThreshold : e.bufferLevel >= switchOnThreshold;
+
+        if (newUseBufferABR !== useBufferABR) {
+            useBufferOccupancyABRDict[type] = newUseBufferABR;
+            eventBus.trigger(Events.ABR_STRATEGY_CHANGED, {
+                mediaType: type,
+                strategy: newUseBufferABR ? MediaPlayerModel.ABR_STRATEGY_BOLA : MediaPlayerModel.ABR_STRATEGY_THROUGHPUT,
+                bufferLevel: e.bufferLevel
+            });
+        }
+    }
+
     function onFragmentLoadProgress(e) {
         const type = e.request.mediaType;
         if (getAutoSwitchBitrateFor(type)) {
@@ -508,16 +952,20 @@ function AbrController() {
             if (!scheduleController) return;// There may be a fragment load in progress when we switch periods and recreated some controllers.
 
             const callback = function (switchRequest) {
+                const streamInfo = streamController.getActiveStreamInfo();
+                const newQuality = getAllowedQualityBelow(type, streamInfo.id, Math.max(switchRequest.value, getBottomQualityIndexFor(type, streamInfo.id)));
+
                 if (switchRequest.confidence === SwitchRequest.STRONG &&
-                    switchRequest.value < getQualityFor(type, streamController.getActiveStreamInfo())) {
+                    newQuality < getQualityFor(type, streamInfo)) {
 
                     const fragmentModel = scheduleController.getFragmentModel();
                     const request = fragmentModel.getRequests({state: FragmentModel.FRAGMENT_MODEL_LOADING, index: e.request.index})[0];
                     if (request) {
                         //TODO Check if we should abort or if better to finish download. check bytesLoaded/Total
                         fragmentModel.abortRequests();
+                        onAbrDecision(type, streamInfo, DECISION_ABANDON, getQualityFor(type, streamInfo), newQuality, switchRequest);
                         setAbandonmentStateFor(type, ABANDON_LOAD);
-                        setPlaybackQuality(type, streamController.getActiveStreamInfo(), switchRequest.value, switchRequest.reason);
+                        setPlaybackQuality(type, streamInfo, newQuality, switchRequest.reason);
                         eventBus.trigger(Events.FRAGMENT_LOADING_ABANDONED, {streamProcessor: streamProcessorDict[type], request: request, mediaType: type});
 
                         clearTimeout(abandonmentTimeout);
@@ -538,14 +986,24 @@ function AbrController() {
     instance = {
         isPlayingAtTopQuality: isPlayingAtTopQuality,
         updateTopQualityIndex: updateTopQualityIndex,
+        updateRepresentationFilter: updateRepresentationFilter,
         getAverageThroughput: getAverageThroughput,
+        getSafeAverageThroughput: getSafeAverageThroughput,
+        getAverageLatency: getAverageLatency,
+        getThroughputHistory: getThroughputHistory,
+        getUseBufferOccupancyABRFor: getUseBufferOccupancyABRFor,
         getBitrateList: getBitrateList,
         getQualityForBitrate: getQualityForBitrate,
         getMaxAllowedBitrateFor: getMaxAllowedBitrateFor,
         setMaxAllowedBitrateFor: setMaxAllowedBitrateFor,
         getMaxAllowedRepresentationRatioFor: getMaxAllowedRepresentationRatioFor,
         setMaxAllowedRepresentationRatioFor: setMaxAllowedRepresentationRatioFor,
+        getMinAllowedBitrateFor: getMinAllowedBitrateFor,
+        setMinAllowedBitrateFor: setMinAllowedBitrateFor,
+        getMinAllowedRepresentationRatioFor: getMinAllowedRepresentationRatioFor,
+        setMinAllowedRepresentationRatioFor: setMinAllowedRepresentationRatioFor,
         getInitialBitrateFor: getInitialBitrateFor,
+        getStartupThroughput: getStartupThroughput,
         setInitialBitrateFor: setInitialBitrateFor,
         getInitialRepresentationRatioFor: getInitialRepresentationRatioFor,
         setInitialRepresentationRatioFor: setInitialRepresentationRatioFor,
@@ -561,8 +1019,8 @@ function AbrController() {
         setAbandonmentStateFor: setAbandonmentStateFor,
         setPlaybackQuality: setPlaybackQuality,
         getPlaybackQuality: getPlaybackQuality,
-        setAverageThroughput: setAverageThroughput,
         getTopQualityIndexFor: getTopQualityIndexFor,
+        getBottomQualityIndexFor: getBottomQualityIndexFor,
         setElementSize: setElementSize,
         setWindowResizeEventCalled: setWindowResizeEventCalled,
         initialize: initialize,
@@ -578,5 +1036,7 @@ function AbrController() {
 AbrController.__dashjs_factory_name = 'AbrController';
 let factory = FactoryMaker.getSingletonFactory(AbrController);
 factory.ABANDON_LOAD = ABANDON_LOAD;
+factory.DECISION_QUALITY_SWITCH = DECISION_QUALITY_SWITCH;
+factory.DECISION_ABANDON = DECISION_ABANDON;
 factory.QUALITY_DEFAULT = QUALITY_DEFAULT;
 export default factory;
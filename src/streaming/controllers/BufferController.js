@@ -41,6 +41,8 @@ import BoxParser from '../utils/BoxParser';
 import FactoryMaker from '../../core/FactoryMaker';
 import Debug from '../../core/Debug';
 import InitCache from '../utils/InitCache';
+import AppendedBytesTracker from '../utils/AppendedBytesTracker';
+import PreBufferSink from '../PreBufferSink';
 
 const BUFFER_LOADED = 'bufferLoaded';
 const BUFFER_EMPTY = 'bufferStalled';
@@ -73,10 +75,18 @@ function BufferController(config) {
         buffer,
         bufferState,
         appendedBytesInfo,
+        appendedBytesTracker,
+        pendingChunk,
+        queuedChunks,
+        partialFragment,
+        quotaByteLimit,
+        preloadedChunks,
+        deferredChunks,
+        isBufferHandedOver,
         wallclockTicked,
         appendingMediaChunk,
         isAppendingInProgress,
-        isPruningInProgress,
+        pruningRange,
         inbandEventFound,
         playbackController,
         streamProcessor,
@@ -97,8 +107,16 @@ function BufferController(config) {
         wallclockTicked = 0;
         appendingMediaChunk = false;
         isAppendingInProgress = false;
-        isPruningInProgress = false;
+        pruningRange = null;
         inbandEventFound = false;
+        appendedBytesTracker = AppendedBytesTracker(context).create();
+        pendingChunk = null;
+        queuedChunks = [];
+        partialFragment = {index: NaN, quality: NaN, bytes: 0};
+        quotaByteLimit = Number.POSITIVE_INFINITY;
+        preloadedChunks = null;
+        deferredChunks = [];
+        isBufferHandedOver = false;
     }
 
     function initialize(Type, Source, StreamProcessor) {
@@ -127,19 +145,30 @@ function BufferController(config) {
         eventBus.on(Events.SOURCEBUFFER_REMOVE_COMPLETED, onRemoved, this);
     }
 
-    function createBuffer(mediaInfo) {
-        if (!mediaInfo || !mediaSource || !streamProcessor) return null;
+    function createBuffer(mediaInfo, previousBuffers) {
+        if (!mediaInfo || !streamProcessor) return null;
 
         let sourceBuffer = null;
 
-        try {
-            sourceBuffer = sourceBufferController.createSourceBuffer(mediaSource, mediaInfo);
+        // preloading, there is no video element to open a MediaSource on yet
+        if (!mediaSource) {
+            setBuffer(PreBufferSink(context).create());
+            return buffer;
+        }
+
+        // prebuffering after the stream playing, the media is appended after its media in the same SourceBuffer
+        if (previousBuffers && previousBuffers[type]) {
+            sourceBuffer = previousBuffers[type];
+        } else {
+            try {
+                sourceBuffer = sourceBufferController.createSourceBuffer(mediaSource, mediaInfo);
 
-            if (sourceBuffer && sourceBuffer.hasOwnProperty('initialize')) {
-                sourceBuffer.initialize(type, this);
+                if (sourceBuffer && sourceBuffer.hasOwnProperty('initialize')) {
+                    sourceBuffer.initialize(type, this);
+                }
+            } catch (e) {
+                errHandler.mediaSourceError('Error creating ' + type + ' source buffer.');
             }
-        } catch (e) {
-            errHandler.mediaSourceError('Error creating ' + type + ' source buffer.');
         }
         setBuffer(sourceBuffer);
         updateBufferTimestampOffset(streamProcessor.getRepresentationInfoForQuality(requiredQuality).MSETimeOffset);
@@ -179,7 +208,7 @@ function BufferController(config) {
 
         if (eventStreamMedia && eventStreamMedia.length > 0 || eventStreamTrack && eventStreamTrack.length > 0) {
             const request = streamProcessor.getFragmentModel().getRequests({
-                state: FragmentModel.FRAGMENT_MODEL_EXECUTED,
+                state: [FragmentModel.FRAGMENT_MODEL_EXECUTED, FragmentModel.FRAGMENT_MODEL_LOADING],
                 quality: quality,
                 index: chunk.index
             })[0];
@@ -193,10 +222,35 @@ function BufferController(config) {
 
 
     function appendToBuffer(chunk) {
+        // the chunks preloaded before go first to the SourceBuffer created for the video element just attached
+        if (preloadedChunks) {
+            deferredChunks.push(chunk);
+            return;
+        }
+
+        // the CMAF chunks of a segment being loaded are appended one after the other
+        if (isAppendingInProgress && appendedBytesInfo && !appendedBytesInfo.endFragment) {
+            queuedChunks.push(chunk);
+            return;
+        }
+
         isAppendingInProgress = true;
         appendedBytesInfo = chunk;
-        sourceBufferController.append(buffer, chunk);
 
+        // a media chunk exceeding the byte budget is appended once the back-buffer has been removed
+        pendingChunk = chunk;
+        if (isNaN(chunk.index) || !makeRoom()) {
+            pendingChunk = null;
+            sourceBufferController.append(buffer, chunk);
+        }
+
+        // the embedded captions of the preloaded chunks are extracted once the text tracks are set up
+        if (mediaSource) {
+            appendEmbeddedCaptions(chunk);
+        }
+    }
+
+    function appendEmbeddedCaptions(chunk) {
         if (chunk.mediaInfo.type === 'video') {
             if (chunk.mediaInfo.embeddedCaptions) {
                 textSourceBuffer.append(chunk.bytes, chunk);
@@ -204,32 +258,83 @@ function BufferController(config) {
         }
     }
 
+    /*
+     * Called when a video element is attached after preloading. The chunks kept in memory are appended to a new
+     * SourceBuffer in the order they were loaded, while the chunks loaded meanwhile wait for them.
+     */
+    function switchToMediaSource(source) {
+        const sink = buffer;
+
+        setMediaSource(source);
+        createBuffer(streamProcessor.getMediaInfo());
+        if (!buffer) return;
+
+        preloadedChunks = sink ? sink.discharge() : [];
+        log('Appending ' + preloadedChunks.length + ' preloaded chunk(s) to the ' + type + ' buffer');
+        appendNextPreloadedChunk();
+    }
+
+    function appendNextPreloadedChunk() {
+        const chunk = preloadedChunks.shift();
+
+        if (chunk) {
+            sourceBufferController.append(buffer, chunk);
+            appendEmbeddedCaptions(chunk);
+            return;
+        }
+
+        preloadedChunks = null;
+        onPlaybackProgression();
+        deferredChunks.splice(0).forEach(appendToBuffer);
+    }
+
     function onAppended(e) {
-        if (buffer !== e.buffer) return;
+        if (buffer !== e.buffer || isBufferHandedOver) return;
 
-        if (e.error || !hasEnoughSpaceToAppend()) {
+        if (preloadedChunks) {
+            if (e.error) {
+                log('The ' + type + ' buffer rejected a preloaded chunk, skipping it');
+            }
+            appendNextPreloadedChunk();
+            return;
+        }
+
+        if (e.error) {
             if (e.error.code === SourceBufferController.QUOTA_EXCEEDED_ERROR_CODE) {
-                criticalBufferLevel = sourceBufferController.getTotalBufferedTime(buffer) * 0.8;
+                recoverFromQuotaExceeded();
             }
-            if (e.error.code === SourceBufferController.QUOTA_EXCEEDED_ERROR_CODE || !hasEnoughSpaceToAppend()) {
-                eventBus.trigger(Events.QUOTA_EXCEEDED, {sender: instance, criticalBufferLevel: criticalBufferLevel}); //Tells ScheduleController to stop scheduling.
-                clearBuffer(getClearRange()); // Then we clear the buffer and onCleared event will tell ScheduleController to start scheduling again.
+            return;
+        }
+
+        // the segment is accounted for once its last chunk has been appended
+        if (!appendedBytesInfo.endFragment) {
+            addPartialFragmentBytes(appendedBytesInfo);
+            isAppendingInProgress = false;
+            if (queuedChunks.length > 0) {
+                appendToBuffer(queuedChunks.shift());
             }
             return;
         }
 
         if (!isNaN(appendedBytesInfo.index)) {
+            appendedBytesTracker.add(appendedBytesInfo.start, appendedBytesInfo.end, getFragmentBytes(appendedBytesInfo));
             maxAppendedIndex = Math.max(appendedBytesInfo.index, maxAppendedIndex);
             checkIfBufferingCompleted();
         }
 
         const ranges = sourceBufferController.getAllRanges(buffer);
+        appendedBytesTracker.keepBuffered(ranges);
         if (ranges && ranges.length > 0) {
             for (let i = 0, len = ranges.length; i < len; i++) {
                 log('Buffered Range for type:', type , ':' ,ranges.start(i) ,  ' - ' ,  ranges.end(i));
             }
         }
 
+        if (!hasEnoughSpaceToAppend()) {
+            log('The ' + type + ' buffer holds ' + appendedBytesTracker.getTotalBytes() + ' bytes, waiting for playback to make room');
+            eventBus.trigger(Events.QUOTA_EXCEEDED, {sender: instance, criticalBufferLevel: criticalBufferLevel}); //Tells ScheduleController to stop scheduling.
+        }
+
         onPlaybackProgression();
         isAppendingInProgress = false;
         eventBus.trigger(Events.BYTES_APPENDED, {
@@ -241,6 +346,76 @@ function BufferController(config) {
         });
     }
 
+    function isPartOfPartialFragment(chunk) {
+        return chunk.index === partialFragment.index && chunk.quality === partialFragment.quality;
+    }
+
+    function addPartialFragmentBytes(chunk) {
+        if (!isPartOfPartialFragment(chunk)) {
+            partialFragment = {index: chunk.index, quality: chunk.quality, bytes: 0};
+        }
+        partialFragment.bytes += chunk.bytes.byteLength;
+    }
+
+    // the bytes of the segment the chunk completes, including the CMAF chunks appended before
+    function getFragmentBytes(chunk) {
+        const bytes = chunk.bytes.byteLength + (isPartOfPartialFragment(chunk) ? partialFragment.bytes : 0);
+        partialFragment = {index: NaN, quality: NaN, bytes: 0};
+        return bytes;
+    }
+
+    /*
+     * The rejected chunk is kept and the ScheduleController stopped. The bytes held give the budget from now on, and the
+     * back-buffer is removed up to the segment being played, after which the chunk is appended again. While there is
+     * no back-buffer to remove, playback progression makes some. The chunk is dropped with a media source error
+     * when the buffer ahead is empty and the chunk still does not fit.
+     */
+    function recoverFromQuotaExceeded() {
+        const chunk = appendedBytesInfo;
+        const heldBytes = appendedBytesTracker.getTotalBytes();
+
+        criticalBufferLevel = sourceBufferController.getTotalBufferedTime(buffer) * 0.8;
+        if (heldBytes > 0) {
+            quotaByteLimit = Math.min(quotaByteLimit, heldBytes);
+        }
+        log('QuotaExceededError on the ' + type + ' buffer holding ' + heldBytes + ' bytes, appending the chunk again once there is room');
+        eventBus.trigger(Events.QUOTA_EXCEEDED, {sender: instance, criticalBufferLevel: criticalBufferLevel}); //Tells ScheduleController to stop scheduling.
+
+        pendingChunk = chunk;
+        if (!makeRoom() && bufferLevel < STALL_THRESHOLD) {
+            pendingChunk = null;
+            isAppendingInProgress = false;
+            errHandler.mediaSourceError('QuotaExceededError: the ' + type + ' buffer cannot hold the segment starting at ' + chunk.start);
+        }
+    }
+
+    function getByteBudget() {
+        const budget = mediaPlayerModel.getBufferByteBudgetFor(type);
+        return Math.min(isNaN(budget) ? Number.POSITIVE_INFINITY : budget, quotaByteLimit);
+    }
+
+    function getBytesOverBudget(bytesToAppend) {
+        return appendedBytesTracker.getTotalBytes() + bytesToAppend - getByteBudget();
+    }
+
+    // removes the back-buffer holding the given bytes, or as much of them as possible, up to the segment being played
+    function freeBackBuffer(bytes) {
+        if (isNaN(bytes) || bytes <= 0 || !buffer || !buffer.buffered.length || pruningRange) return false;
+
+        const start = buffer.buffered.start(0);
+        const end = appendedBytesTracker.getPruningEnd(bytes, getPlayingSegmentStart());
+        if (isNaN(end) || end <= start) return false;
+
+        log('Removing the ' + type + ' buffer from ' + start + ' to ' + end + ' to stay within the byte budget');
+        pruneRange(start, end);
+        return true;
+    }
+
+    // frees the bytes needed by the chunk waiting to be appended, or at least one segment when the buffer fills its budget
+    function makeRoom() {
+        return freeBackBuffer(getBytesOverBudget(pendingChunk ? pendingChunk.bytes.byteLength : 1));
+    }
+
     function onQualityChanged(e) {
         if (requiredQuality === e.newQuality || type !== e.mediaType || streamProcessor.getStreamInfo().id !== e.streamInfo.id) return;
 
@@ -254,16 +429,30 @@ function BufferController(config) {
     function onPlaybackSeeking() {
         lastIndex = Number.POSITIVE_INFINITY;
         isBufferingCompleted = false;
+        dropPendingChunk();
         onPlaybackProgression();
     }
 
+    // the chunk waiting for room belongs to the position left, the segments are requested again from the new one
+    function dropPendingChunk() {
+        if (!pendingChunk) return;
+        log('Dropping the ' + type + ' chunk waiting for room in the buffer');
+        pendingChunk = null;
+        isAppendingInProgress = false;
+    }
+
     function onPlaybackProgression() {
         updateBufferLevel();
         addBufferMetrics();
+
+        if ((pendingChunk && !pruningRange) || !hasEnoughSpaceToAppend()) {
+            makeRoom();
+        }
     }
 
     function updateBufferLevel() {
-        bufferLevel = sourceBufferController.getBufferLength(buffer, playbackController.getTime());
+        // while preloading there is no playback position yet, all the media kept in memory is ahead of it
+        bufferLevel = mediaSource ? sourceBufferController.getBufferLength(buffer, playbackController.getTime()) : sourceBufferController.getTotalBufferedTime(buffer);
         eventBus.trigger(Events.BUFFER_LEVEL_UPDATED, {sender: instance, bufferLevel: bufferLevel});
         checkIfSufficientBuffer();
     }
@@ -360,8 +549,7 @@ function BufferController(config) {
     }
 
     function hasEnoughSpaceToAppend() {
-        var totalBufferedTime = sourceBufferController.getTotalBufferedTime(buffer);
-        return (totalBufferedTime < criticalBufferLevel);
+        return appendedBytesTracker.getTotalBytes() < getByteBudget();
     }
 
     /* prune buffer on our own in background to avoid browsers pruning buffer silently */
@@ -372,21 +560,32 @@ function BufferController(config) {
         const bufferToPrune = playbackController.getTime() - start - mediaPlayerModel.getBufferToKeep();
         if (bufferToPrune > 0) {
             log('pruning buffer: ' + bufferToPrune + ' seconds.');
-            isPruningInProgress = true;
-            sourceBufferController.remove(buffer, 0, Math.round(start + bufferToPrune), mediaSource);
+            pruneRange(0, Math.round(start + bufferToPrune));
         }
     }
 
+    // the back-buffer pruned is told apart from the other removals, the chunk waiting for room is appended after it only
+    function pruneRange(start, end) {
+        pruningRange = {start: start, end: end};
+        sourceBufferController.remove(buffer, start, end, mediaSource);
+    }
+
+    function getPlayingSegmentStart() {
+        const currentTime = playbackController.getTime();
+        const req = streamProcessor.getFragmentModel().getRequests({state: FragmentModel.FRAGMENT_MODEL_EXECUTED, time: currentTime, })[0];
+
+        return (req && !isNaN(req.startTime)) ? req.startTime : Math.floor(currentTime);
+    }
+
     function getClearRange() {
 
         if (!buffer) return null;
 
         // we need to remove data that is more than one fragment before the video currentTime
         const currentTime = playbackController.getTime();
-        const req = streamProcessor.getFragmentModel().getRequests({state: FragmentModel.FRAGMENT_MODEL_EXECUTED, time: currentTime, })[0];
         const range = sourceBufferController.getBufferRange(buffer, currentTime);
 
-        let removeEnd = (req && !isNaN(req.startTime)) ? req.startTime : Math.floor(currentTime);
+        let removeEnd = getPlayingSegmentStart();
         if ((range === null) && (buffer.buffered.length > 0)) {
             removeEnd = buffer.buffered.end(buffer.buffered.length - 1 );
         }
@@ -399,22 +598,37 @@ function BufferController(config) {
         sourceBufferController.remove(buffer, range.start, range.end, mediaSource);
     }
 
+    // removes everything buffered, e.g. when the video is switched to or from its trick mode AdaptationSet
+    function clearAllBuffer() {
+        if (!buffer || !buffer.buffered.length) return;
+        clearBuffer({start: buffer.buffered.start(0), end: buffer.buffered.end(buffer.buffered.length - 1)});
+    }
+
     function onRemoved(e) {
         if (buffer !== e.buffer) return;
 
-        if (isPruningInProgress) {
-            isPruningInProgress = false;
+        const isPruned = !!pruningRange && pruningRange.start === e.from && pruningRange.end === e.to;
+        if (isPruned) {
+            pruningRange = null;
         }
 
+        appendedBytesTracker.remove(e.from, e.to);
         updateBufferLevel();
         eventBus.trigger(Events.BUFFER_CLEARED, {sender: instance, from: e.from, to: e.to, hasEnoughSpaceToAppend: hasEnoughSpaceToAppend()});
         //TODO - REMEMBER removed a timerout hack calling clearBuffer after manifestInfo.minBufferTime * 1000 if !hasEnoughSpaceToAppend() Aug 04 2016
+
+        // a removal clearing the buffer, e.g. on a track switch, does not make room for the chunk at the position it was loaded for
+        if (pendingChunk && isPruned) {
+            const chunk = pendingChunk;
+            pendingChunk = null;
+            sourceBufferController.append(buffer, chunk);
+        }
     }
 
     function updateBufferTimestampOffset(MSETimeOffset) {
         // Each track can have its own @presentationTimeOffset, so we should set the offset
         // if it has changed after switching the quality or updating an mpd
-        if (buffer && buffer.timestampOffset !== MSETimeOffset && !isNaN(MSETimeOffset)) {
+        if (buffer && !isBufferHandedOver && buffer.timestampOffset !== MSETimeOffset && !isNaN(MSETimeOffset)) {
             buffer.timestampOffset = MSETimeOffset;
         }
     }
@@ -490,6 +704,28 @@ function BufferController(config) {
         return isBufferingCompleted;
     }
 
+    /*
+     * Called when the next stream is prebuffered in the SourceBuffer of this one. The buffer level is still followed
+     * until the playback leaves the stream, but the appends and the timestampOffset belong to the next stream.
+     */
+    function handOverBuffer() {
+        isBufferHandedOver = true;
+        // the SourceBuffer is the next stream's from now on
+        dropPendingChunk();
+        return buffer;
+    }
+
+    /*
+     * Called when the stream prebuffered in the SourceBuffer of this one is dropped. Its pending append is aborted, and
+     * the initialization segment of this stream is appended again before the next segment.
+     */
+    function reclaimBuffer() {
+        isBufferHandedOver = false;
+        sourceBufferController.abort(mediaSource, buffer);
+        updateBufferTimestampOffset(streamProcessor.getRepresentationInfoForQuality(requiredQuality).MSETimeOffset);
+        scheduleController.invalidateInitData();
+    }
+
     function reset(errored) {
 
         eventBus.off(Events.DATA_UPDATE_COMPLETED, onDataUpdateCompleted, this);
@@ -512,21 +748,30 @@ function BufferController(config) {
         lastIndex = Number.POSITIVE_INFINITY;
         maxAppendedIndex = 0;
         appendedBytesInfo = null;
+        appendedBytesTracker.reset();
+        pendingChunk = null;
+        queuedChunks = [];
+        partialFragment = {index: NaN, quality: NaN, bytes: 0};
+        quotaByteLimit = Number.POSITIVE_INFINITY;
+        preloadedChunks = null;
+        deferredChunks = [];
         appendingMediaChunk = false;
         isBufferingCompleted = false;
         isAppendingInProgress = false;
-        isPruningInProgress = false;
+        pruningRange = null;
         playbackController = null;
         streamProcessor = null;
         abrController = null;
         scheduleController = null;
 
-        if (!errored) {
+        // the SourceBuffer handed over is still in use by the next stream
+        if (!errored && !isBufferHandedOver) {
             sourceBufferController.abort(mediaSource, buffer);
             sourceBufferController.removeSourceBuffer(mediaSource, buffer);
         }
 
         buffer = null;
+        isBufferHandedOver = false;
     }
 
     instance = {
@@ -543,6 +788,10 @@ function BufferController(config) {
         getMediaSource: getMediaSource,
         getIsBufferingCompleted: getIsBufferingCompleted,
         switchInitData: switchInitData,
+        switchToMediaSource: switchToMediaSource,
+        handOverBuffer: handOverBuffer,
+        reclaimBuffer: reclaimBuffer,
+        clearAllBuffer: clearAllBuffer,
         reset: reset
     };
 
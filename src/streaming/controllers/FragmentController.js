@@ -49,6 +49,7 @@ function FragmentController(/*config*/) {
     function setup() {
         fragmentModels = {};
         eventBus.on(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, instance);
+        eventBus.on(Events.FRAGMENT_LOADING_PROGRESS, onFragmentLoadingCompleted, instance);
     }
 
     function getModel(type) {
@@ -67,13 +68,14 @@ function FragmentController(/*config*/) {
 
     function reset() {
         eventBus.off(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, this);
+        eventBus.off(Events.FRAGMENT_LOADING_PROGRESS, onFragmentLoadingCompleted, this);
         for (let model in fragmentModels) {
             fragmentModels[model].reset();
         }
         fragmentModels = {};
     }
 
-    function createDataChunk(bytes, request, streamId) {
+    function createDataChunk(bytes, request, streamId, endFragment) {
         const chunk = new DataChunk();
 
         chunk.streamId = streamId;
@@ -85,6 +87,7 @@ function FragmentController(/*config*/) {
         chunk.bytes = bytes;
         chunk.index = request.index;
         chunk.quality = request.quality;
+        chunk.endFragment = endFragment;
 
         return chunk;
     }
@@ -103,7 +106,8 @@ function FragmentController(/*config*/) {
             return;
         }
 
-        const chunk = createDataChunk(bytes, request, streamInfo.id);
+        // the CMAF chunks of a low-latency segment are pushed as they arrive, its last bytes once loading has completed
+        const chunk = createDataChunk(bytes, request, streamInfo.id, e.type !== Events.FRAGMENT_LOADING_PROGRESS);
         eventBus.trigger(isInit ? Events.INIT_FRAGMENT_LOADED : Events.MEDIA_FRAGMENT_LOADED, {chunk: chunk, fragmentModel: e.sender});
     }
 
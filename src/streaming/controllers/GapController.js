@@ -0,0 +1,186 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import FactoryMaker from '../../core/FactoryMaker';
+import EventBus from '../../core/EventBus';
+import Events from '../../core/events/Events';
+import MediaPlayerModel from '../models/MediaPlayerModel';
+import PlaybackController from './PlaybackController';
+import Debug from '../../core/Debug';
+
+// the end of a buffered range is reached when closer than that, s
+const GAP_TOLERANCE = 0.1;
+// playback not progressing for that long with buffer ahead is stuck, ms
+const STALL_TIMEOUT = 1000;
+const STALL_MIN_BUFFER_AHEAD = 0.5;
+const STALL_NUDGE_OFFSET = 0.1;
+
+/**
+ * Watches the current time of the video element against its buffered ranges on every wallclock tick. Seeks over
+ * the gaps between two ranges that are smaller than MediaPlayerModel.getSmallGapLimit(), and nudges the playback
+ * position when it stops advancing despite buffered data ahead.
+ */
+function GapController() {
+
+    const context = this.context;
+    const log = Debug(context).getInstance().log;
+    const eventBus = EventBus(context).getInstance();
+
+    let instance,
+        videoModel,
+        mediaPlayerModel,
+        playbackController,
+        lastTime,
+        stallStartTime;
+
+    function setup() {
+        mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        playbackController = PlaybackController(context).getInstance();
+        lastTime = NaN;
+        stallStartTime = NaN;
+    }
+
+    function initialize() {
+        eventBus.on(Events.WALLCLOCK_TIME_UPDATED, onWallclockTimeUpdated, instance);
+    }
+
+    function setConfig(config) {
+        if (!config) return;
+
+        if (config.videoModel) {
+            videoModel = config.videoModel;
+        }
+    }
+
+    function isPlaying(element) {
+        return !element.paused && !element.seeking && !element.ended;
+    }
+
+    // the start of the next buffered range when the current time has reached the end of its range or is out of any
+    function getNextRangeStart(ranges, time) {
+        for (let i = 0; i < ranges.length; i++) {
+            if (ranges.start(i) > time) {
+                return ranges.start(i);
+            }
+            if (time < ranges.end(i) - GAP_TOLERANCE) {
+                return NaN;
+            }
+        }
+        return NaN;
+    }
+
+    function getBufferAhead(ranges, time) {
+        for (let i = 0; i < ranges.length; i++) {
+            if (time >= ranges.start(i) && time < ranges.end(i)) {
+                return ranges.end(i) - time;
+            }
+        }
+        return 0;
+    }
+
+    function jumpGap(element, time) {
+        const nextRangeStart = getNextRangeStart(element.buffered, time);
+        if (isNaN(nextRangeStart) || nextRangeStart - time > mediaPlayerModel.getSmallGapLimit()) return false;
+
+        log('Jumping the gap in the buffer from ' + time + ' to ' + nextRangeStart);
+        playbackController.seek(nextRangeStart);
+        eventBus.trigger(Events.GAP_CAUGHT, {from: time, to: nextRangeStart, duration: nextRangeStart - time});
+        return true;
+    }
+
+    function recoverStall(element, time, now) {
+        if (isNaN(stallStartTime)) {
+            stallStartTime = now;
+            return;
+        }
+
+        const stallDuration = now - stallStartTime;
+        if (stallDuration < STALL_TIMEOUT || getBufferAhead(element.buffered, time) < STALL_MIN_BUFFER_AHEAD) return;
+
+        log('Playback stuck at ' + time + ' for ' + stallDuration + ' ms with buffer ahead, nudging it');
+        stallStartTime = NaN;
+        playbackController.seek(time + STALL_NUDGE_OFFSET);
+        eventBus.trigger(Events.STALL_RECOVERED, {time: time, to: time + STALL_NUDGE_OFFSET, stallDuration: stallDuration});
+    }
+
+    function onWallclockTimeUpdated() {
+        const element = videoModel ? videoModel.getElement() : null;
+
+        if (!mediaPlayerModel.getJumpGaps() || !element || !isPlaying(element)) {
+            lastTime = NaN;
+            stallStartTime = NaN;
+            return;
+        }
+
+        const time = element.currentTime;
+        const isProgressing = time !== lastTime;
+        lastTime = time;
+
+        // the player halts the playback when the buffer runs dry, which is what happens in front of a gap
+        if (videoModel.isStalled() || element.playbackRate === 0) {
+            stallStartTime = NaN;
+            jumpGap(element, time);
+            return;
+        }
+
+        if (isProgressing) {
+            stallStartTime = NaN;
+            // the playback position can already sit in a gap, e.g. at startup
+            if (getBufferAhead(element.buffered, time) === 0) {
+                jumpGap(element, time);
+            }
+            return;
+        }
+
+        if (!jumpGap(element, time)) {
+            recoverStall(element, time, new Date().getTime());
+        }
+    }
+
+    function reset() {
+        eventBus.off(Events.WALLCLOCK_TIME_UPDATED, onWallclockTimeUpdated, instance);
+        lastTime = NaN;
+        stallStartTime = NaN;
+    }
+
+    instance = {
+        initialize: initialize,
+        setConfig: setConfig,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+GapController.__dashjs_factory_name = 'GapController';
+export default FactoryMaker.getSingletonFactory(GapController);
@@ -36,6 +36,15 @@ import Events from '../../core/events/Events';
 import FactoryMaker from '../../core/FactoryMaker';
 import Debug from '../../core/Debug';
 
+// changes of the live latency smaller than that are not reported, s
+const LIVE_LATENCY_CHANGE_THRESHOLD = 0.1;
+// the playback rate is left at 1 that close to the target latency, s
+const LIVE_CATCH_UP_TOLERANCE = 0.05;
+// how quickly the catch-up playback rate reaches its bounds as the latency departs from the target
+const LIVE_CATCH_UP_STEEPNESS = 5;
+// the playback is not sped up with less buffer ahead, s
+const LIVE_CATCH_UP_MIN_BUFFER = 0.5;
+
 function PlaybackController() {
 
     let context = this.context;
@@ -59,7 +68,9 @@ function PlaybackController() {
         streamInfo,
         isDynamic,
         mediaPlayerModel,
-        playOnceInitialized;
+        playOnceInitialized,
+        lastReportedLatency,
+        isCatchingUp;
 
     function setup() {
         currentTime = 0;
@@ -67,6 +78,8 @@ function PlaybackController() {
         wallclockTimeIntervalId = null;
         isDynamic = null;
         playOnceInitialized = false;
+        lastReportedLatency = NaN;
+        isCatchingUp = false;
         commonEarliestTime = {};
         mediaPlayerModel = MediaPlayerModel(context).getInstance();
     }
@@ -74,7 +87,9 @@ function PlaybackController() {
     function initialize(StreamInfo) {
         streamInfo = StreamInfo;
         element = videoModel.getElement();
-        addAllListeners();
+        if (element) {
+            addAllListeners();
+        }
         isDynamic = streamInfo.manifestInfo.isDynamic;
         liveStartTime = streamInfo.start;
         eventBus.on(Events.DATA_UPDATE_COMPLETED, onDataUpdateCompleted, this);
@@ -88,6 +103,25 @@ function PlaybackController() {
         }
     }
 
+    /**
+     * Listens to the video element attached after preloading, and starts the playback if it was requested meanwhile
+     * @memberof PlaybackController#
+     */
+    function switchToVideoElement() {
+        element = videoModel.getElement();
+        addAllListeners();
+
+        if (playOnceInitialized) {
+            playOnceInitialized = false;
+            play();
+        }
+    }
+
+    // the stream is being loaded before a video element is attached
+    function isPreloading() {
+        return !!streamInfo && !element;
+    }
+
     function onPeriodSwitchStarted(e) {
         if (!isDynamic && e.fromStreamInfo && commonEarliestTime[e.fromStreamInfo.id]) {
             delete commonEarliestTime[e.fromStreamInfo.id];
@@ -192,7 +226,9 @@ function PlaybackController() {
         let delay;
         const END_OF_PLAYLIST_PADDING = 10;
 
-        if (mediaPlayerModel.getUseSuggestedPresentationDelay() && mpd.hasOwnProperty('suggestedPresentationDelay')) {
+        if (!isNaN(mediaPlayerModel.getLiveLatencyTarget())) {
+            delay = mediaPlayerModel.getLiveLatencyTarget(); // the playback starts at the latency it is kept at
+        } else if (mediaPlayerModel.getUseSuggestedPresentationDelay() && mpd.hasOwnProperty('suggestedPresentationDelay')) {
             delay = mpd.suggestedPresentationDelay;
         } else if (mediaPlayerModel.getLiveDelay()) {
             delay = mediaPlayerModel.getLiveDelay(); // If set by user, this value takes precedence
@@ -210,13 +246,84 @@ function PlaybackController() {
         return Math.min(delay, targetDelayCapping);
     }
 
+    /**
+     * Measures how far behind the live edge the playback is, against the wallclock synchronized with the server
+     * @returns {number} the latency in seconds, NaN for a static stream
+     * @memberof PlaybackController#
+     */
+    function getCurrentLiveLatency() {
+        if (!isDynamic || !element || !streamInfo.manifestInfo.availableFrom) return NaN;
+
+        const now = new Date().getTime() + timelineConverter.getClientTimeOffset() * 1000;
+        return (now - streamInfo.manifestInfo.availableFrom.getTime()) / 1000 - getTime();
+    }
+
+    function getBufferLevel() {
+        const metrics = metricsModel.getReadOnlyMetricsFor('video') || metricsModel.getReadOnlyMetricsFor('audio');
+        return dashMetrics.getCurrentBufferLevel(metrics);
+    }
+
+    function getCatchUpPlaybackRate(deltaLatency) {
+        if (Math.abs(deltaLatency) < LIVE_CATCH_UP_TOLERANCE) return 1;
+
+        // saturates smoothly towards the bounds as the latency departs from the target
+        const maxDrift = mediaPlayerModel.getLiveCatchUpPlaybackRate();
+        const rate = 1 + maxDrift * (2 / (1 + Math.exp(-LIVE_CATCH_UP_STEEPNESS * deltaLatency)) - 1);
+
+        if (rate > 1 && getBufferLevel() < LIVE_CATCH_UP_MIN_BUFFER) return 1;
+
+        return Math.round(rate * 100) / 100;
+    }
+
+    function setCatchUpPlaybackRate(rate) {
+        if (element.playbackRate !== rate) {
+            element.playbackRate = rate;
+        }
+        isCatchingUp = rate !== 1;
+    }
+
+    // steers the playback rate of a live stream towards its target latency on every wallclock tick
+    function updateLiveCatchUp() {
+        const latency = getCurrentLiveLatency();
+        if (isNaN(latency)) return;
+
+        const target = mediaPlayerModel.getLiveLatencyTarget();
+
+        if (isNaN(lastReportedLatency) || Math.abs(latency - lastReportedLatency) >= LIVE_LATENCY_CHANGE_THRESHOLD) {
+            lastReportedLatency = latency;
+            eventBus.trigger(Events.LIVE_LATENCY_CHANGED, {latency: latency, target: target, playbackRate: getPlaybackRate()});
+        }
+
+        // the rate is left alone while the playback is halted, by the application or for lack of data
+        if (isPaused() || isSeeking() || videoModel.isStalled()) return;
+
+        if (isNaN(target)) {
+            if (isCatchingUp) {
+                setCatchUpPlaybackRate(1);
+            }
+            return;
+        }
+
+        const maxLatency = mediaPlayerModel.getLiveCatchUpMaxLatency();
+        if (latency > (isNaN(maxLatency) ? target * 2 : maxLatency)) {
+            log('Live latency of ' + latency + ' s is too high, seeking back to the target of ' + target + ' s');
+            setCatchUpPlaybackRate(1);
+            seek(getTime() + latency - target);
+            return;
+        }
+
+        setCatchUpPlaybackRate(getCatchUpPlaybackRate(latency - target));
+    }
+
     function reset() {
         if (videoModel && element) {
+            stopUpdatingWallclockTime();
+            removeAllListeners();
+        }
+        if (streamInfo) {
             eventBus.off(Events.DATA_UPDATE_COMPLETED, onDataUpdateCompleted, this);
             eventBus.off(Events.BUFFER_LEVEL_STATE_CHANGED, onBufferLevelStateChanged, this);
             eventBus.off(Events.BYTES_APPENDED, onBytesAppended, this);
-            stopUpdatingWallclockTime();
-            removeAllListeners();
         }
         videoModel = null;
         streamInfo = null;
@@ -434,6 +541,7 @@ function PlaybackController() {
 
     function onWallclockTime() {
         eventBus.trigger(Events.WALLCLOCK_TIME_UPDATED, {isDynamic: isDynamic, time: new Date()});
+        updateLiveCatchUp();
     }
 
     function onBytesAppended(e) {
@@ -449,8 +557,8 @@ function PlaybackController() {
     }
 
     function onBufferLevelStateChanged(e) {
-        // do not stall playback when get an event from Stream that is not active
-        if (e.streamInfo.id !== streamInfo.id) return;
+        // do not stall playback when get an event from Stream that is not active, nor while preloading
+        if (!element || e.streamInfo.id !== streamInfo.id) return;
         videoModel.setStallState(e.mediaType, e.state === BufferController.BUFFER_EMPTY);
     }
 
@@ -491,6 +599,8 @@ function PlaybackController() {
         getTimeToStreamEnd: getTimeToStreamEnd,
         isPlaybackStarted: isPlaybackStarted,
         getStreamId: getStreamId,
+        switchToVideoElement: switchToVideoElement,
+        isPreloading: isPreloading,
         getTime: getTime,
         getPlaybackRate: getPlaybackRate,
         getPlayedRanges: getPlayedRanges,
@@ -499,6 +609,7 @@ function PlaybackController() {
         setLiveStartTime: setLiveStartTime,
         getLiveStartTime: getLiveStartTime,
         computeLiveDelay: computeLiveDelay,
+        getCurrentLiveLatency: getCurrentLiveLatency,
         play: play,
         isPaused: isPaused,
         pause: pause,
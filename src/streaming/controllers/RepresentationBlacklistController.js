@@ -0,0 +1,141 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import FactoryMaker from '../../core/FactoryMaker';
+import EventBus from '../../core/EventBus';
+import Events from '../../core/events/Events';
+import MediaPlayerModel from '../models/MediaPlayerModel';
+import {HTTPRequest} from '../vo/metrics/HTTPRequest';
+import Debug from '../../core/Debug';
+
+/**
+ * Keeps the representations whose segments could not be downloaded, once the retry attempts of the loader are
+ * exhausted, out of the ABR choices until the blacklist timeout elapses.
+ */
+function RepresentationBlacklistController() {
+
+    const context = this.context;
+    const log = Debug(context).getInstance().log;
+    const eventBus = EventBus(context).getInstance();
+
+    let instance,
+        mediaPlayerModel,
+        blacklist;
+
+    function setup() {
+        mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        blacklist = {};
+    }
+
+    function initialize() {
+        eventBus.on(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, instance, EventBus.EVENT_PRIORITY_HIGH);
+    }
+
+    function getKey(streamId, mediaType, representationId) {
+        return streamId + '_' + mediaType + '_' + representationId;
+    }
+
+    /**
+     * @param {string} streamId
+     * @param {string} mediaType
+     * @param {string} representationId
+     * @returns {boolean} true if the representation is blacklisted
+     * @memberof RepresentationBlacklistController#
+     */
+    function contains(streamId, mediaType, representationId) {
+        return blacklist.hasOwnProperty(getKey(streamId, mediaType, representationId));
+    }
+
+    /**
+     * Blacklists a representation for the duration given by MediaPlayerModel.getRepresentationBlacklistTimeout().
+     * Adding a representation already blacklisted restarts its timeout.
+     * @param {string} streamId
+     * @param {string} mediaType
+     * @param {string} representationId
+     * @memberof RepresentationBlacklistController#
+     */
+    function add(streamId, mediaType, representationId) {
+        const key = getKey(streamId, mediaType, representationId);
+        const timeout = mediaPlayerModel.getRepresentationBlacklistTimeout();
+
+        if (blacklist.hasOwnProperty(key)) {
+            clearTimeout(blacklist[key].timer);
+        }
+        blacklist[key] = {
+            streamId: streamId,
+            mediaType: mediaType,
+            representationId: representationId,
+            timer: setTimeout(() => remove(key), timeout)
+        };
+
+        log('Blacklisting ' + mediaType + ' representation ' + representationId + ' for ' + timeout + ' ms');
+        eventBus.trigger(Events.REPRESENTATION_BLACKLISTED, {streamId: streamId, mediaType: mediaType, representationId: representationId, timeout: timeout});
+    }
+
+    function remove(key) {
+        const entry = blacklist[key];
+        delete blacklist[key];
+
+        log('Rehabilitating ' + entry.mediaType + ' representation ' + entry.representationId);
+        eventBus.trigger(Events.REPRESENTATION_REHABILITATED, {streamId: entry.streamId, mediaType: entry.mediaType, representationId: entry.representationId});
+    }
+
+    function onFragmentLoadingCompleted(e) {
+        const request = e.request;
+        if (!e.error || !request || request.type !== HTTPRequest.MEDIA_SEGMENT_TYPE || !request.mediaInfo) return;
+
+        const mediaInfo = request.mediaInfo;
+        const bitrateInfo = mediaInfo.bitrateList ? mediaInfo.bitrateList[request.quality] : null;
+        if (!bitrateInfo || !mediaInfo.streamInfo) return;
+
+        add(mediaInfo.streamInfo.id, request.mediaType, bitrateInfo.id);
+    }
+
+    function reset() {
+        eventBus.off(Events.FRAGMENT_LOADING_COMPLETED, onFragmentLoadingCompleted, instance);
+        Object.keys(blacklist).forEach(key => clearTimeout(blacklist[key].timer));
+        blacklist = {};
+    }
+
+    instance = {
+        initialize: initialize,
+        contains: contains,
+        add: add,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+RepresentationBlacklistController.__dashjs_factory_name = 'RepresentationBlacklistController';
+export default FactoryMaker.getSingletonFactory(RepresentationBlacklistController);
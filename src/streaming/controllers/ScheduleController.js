@@ -34,6 +34,7 @@ import PlaybackController from './PlaybackController';
 import AbrController from './AbrController';
 import BufferController from './BufferController';
 import MediaController from './MediaController';
+import TrickPlayController from './TrickPlayController';
 import BufferLevelRule from '../rules/scheduling/BufferLevelRule';
 import NextFragmentRequestRule from '../rules/scheduling/NextFragmentRequestRule';
 import TextSourceBuffer from '../TextSourceBuffer';
@@ -78,6 +79,7 @@ function ScheduleController(config) {
         seekTarget,
         playbackController,
         mediaController,
+        trickPlayController,
         abrController,
         streamProcessor,
         streamController,
@@ -111,6 +113,7 @@ function ScheduleController(config) {
         streamProcessor = StreamProcessor;
         playbackController = PlaybackController(context).getInstance();
         mediaController = MediaController(context).getInstance();
+        trickPlayController = TrickPlayController(context).getInstance();
         abrController = AbrController(context).getInstance();
         streamController = StreamController(context).getInstance();
         fragmentController = streamProcessor.getFragmentController();
@@ -195,7 +198,9 @@ function ScheduleController(config) {
 
     function schedule() {
 
-        if (isStopped || isFragmentProcessingInProgress || !bufferController || playbackController.isPaused() && !scheduleWhilePaused) return;
+        // the video element stays paused while trick playing
+        if (isStopped || isFragmentProcessingInProgress || !bufferController ||
+            playbackController.isPaused() && !scheduleWhilePaused && !trickPlayController.isActive()) return;
 
         validateExecutedFragmentRequest();
 
@@ -245,7 +250,7 @@ function ScheduleController(config) {
         const request = fragmentModel.getRequests({state: FragmentModel.FRAGMENT_MODEL_EXECUTED, time: playbackController.getTime() + safeBufferLevel, threshold: 0})[0];
 
         if (request && replaceRequestArray.indexOf(request) === -1 && !dashManifestModel.getIsTextTrack(type)) {
-            if (!mediaController.isCurrentTrack(request.mediaInfo) || mediaPlayerModel.getFastSwitchEnabled() && request.quality < currentRepresentationInfo.quality &&
+            if (!mediaController.isCurrentTrack(request.mediaInfo) && !request.mediaInfo.isTrickMode || mediaPlayerModel.getFastSwitchEnabled() && request.quality < currentRepresentationInfo.quality &&
                 bufferController.getBufferLevel() >= safeBufferLevel && abrController.getAbandonmentStateFor(type) !== AbrController.ABANDON_LOAD) {
                 replaceRequest(request);
                 log('Reloading outdated fragment at index: ', request.index);
@@ -280,6 +285,11 @@ function ScheduleController(config) {
         replaceRequestArray.push(request);
     }
 
+    // the SourceBuffer holds the initialization segment of another stream, ours is appended before the next segment
+    function invalidateInitData() {
+        lastInitQuality = NaN;
+    }
+
     function onQualityChanged(e) {
         if (type !== e.mediaType || streamProcessor.getStreamInfo().id !== e.streamInfo.id) return;
 
@@ -356,7 +366,8 @@ function ScheduleController(config) {
             isFragmentProcessingInProgress = false;
         }
 
-        if (e.error && e.request.serviceLocation && !isStopped) {
+        // retry from another BaseURL, or from another quality when the failing representation has been blacklisted
+        if (e.error && !isStopped && (e.request.serviceLocation || abrController.getQualityFor(type, streamProcessor.getStreamInfo()) !== e.request.quality)) {
             replaceRequest(e.request);
             isFragmentProcessingInProgress = false;
             startScheduleTimer(0);
@@ -544,6 +555,7 @@ function ScheduleController(config) {
         setTimeToLoadDelay: setTimeToLoadDelay,
         getTimeToLoadDelay: getTimeToLoadDelay,
         replaceRequest: replaceRequest,
+        invalidateInitData: invalidateInitData,
         start: start,
         stop: stop,
         reset: reset,
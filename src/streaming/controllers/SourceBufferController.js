@@ -303,7 +303,7 @@ function SourceBufferController() {
         try {
             // make sure that the given time range is correct. Otherwise we will get InvalidAccessError
             waitForUpdateEnd(buffer, function () {
-                if ((start >= 0) && (end > start) && (mediaSource.readyState !== 'ended')) {
+                if ((start >= 0) && (end > start) && (!mediaSource || mediaSource.readyState !== 'ended')) {
                     buffer.remove(start, end);
                 }
                 // updating is in progress, we should wait for it to complete before signaling that this operation is done
@@ -67,6 +67,7 @@ function StreamController() {
         timelineConverter,
         streams,
         activeStream,
+        prebufferedStream,
         protectionController,
         protectionData,
         autoPlay,
@@ -86,6 +87,7 @@ function StreamController() {
     function setup() {
         protectionController = null;
         streams = [];
+        prebufferedStream = null;
         mediaPlayerModel = MediaPlayerModel(context).getInstance();
         autoPlay = true;
         isStreamSwitchingInProgress = false;
@@ -161,6 +163,10 @@ function StreamController() {
     function onPlaybackSeeking(e) {
         const seekingStream = getStreamForTime(e.seekTime);
 
+        if (prebufferedStream && seekingStream !== prebufferedStream) {
+            dropPrebufferedStream();
+        }
+
         if (seekingStream && seekingStream !== activeStream) {
             flushPlaylistMetrics(PlayListTrace.END_OF_PERIOD_STOP_REASON);
             switchStream(activeStream, seekingStream, e.seekTime);
@@ -190,13 +196,44 @@ function StreamController() {
         }
     }
 
-    function onStreamBufferingCompleted() {
+    function onStreamBufferingCompleted(e) {
+        // the stream prebuffered may complete its buffering before the playback enters it
+        if (!activeStream || e.streamInfo.id !== activeStream.getId()) return;
+
         const isLast = getActiveStreamInfo().isLast;
         if (mediaSource && isLast) {
             mediaSourceController.signalEndOfStream(mediaSource);
+        } else if (mediaSource) {
+            prebufferNextStream();
         }
     }
 
+    /*
+     * Once the active stream is fully buffered, the next one is loaded in the same SourceBuffers when their media are
+     * compatible, so that the playback carries on across the period boundary without opening a new MediaSource.
+     */
+    function prebufferNextStream() {
+        const nextStream = getNextStream();
+
+        if (!mediaPlayerModel.getReuseExistingSourceBuffers() || prebufferedStream || !nextStream || !activeStream.isCompatibleWith(nextStream)) return;
+
+        log('Prebuffering the period ' + nextStream.getId() + ' in the SourceBuffers of the period ' + activeStream.getId());
+        prebufferedStream = nextStream;
+        prebufferedStream.activate(mediaSource, activeStream.handOverBuffers());
+    }
+
+    // the active stream appends to its SourceBuffers again, e.g. after a seek back into it
+    function dropPrebufferedStream() {
+        log('Dropping the period ' + prebufferedStream.getId() + ' prebuffered');
+        // the SourceBuffers are kept when the stream is deactivated
+        prebufferedStream.handOverBuffers();
+        prebufferedStream.deactivate();
+        prebufferedStream = null;
+        activeStream.reclaimBuffers();
+        // the streams share the event controller, which the deactivation has stopped
+        activeStream.startEventController();
+    }
+
     function getStreamForTime(time) {
         var duration = 0;
         var stream = null;
@@ -300,11 +337,34 @@ function StreamController() {
         playbackController.initialize(activeStream.getStreamInfo());
         videoTrackDetected = checkVideoPresence();
 
-        //TODO detect if we should close and repose or jump to activateStream.
-        openMediaSource(seekTime);
+        if (newStream === prebufferedStream) {
+            // the media of the stream is in the SourceBuffers already, the playback carries on in them
+            prebufferedStream = null;
+            activatePrebufferedStream(seekTime);
+        } else if (videoModel.getElement()) {
+            //TODO detect if we should close and repose or jump to activateStream.
+            openMediaSource(seekTime, false);
+        } else {
+            // preloading, the segments are kept in memory until a video element is attached
+            activateStream(seekTime);
+        }
+    }
+
+    /**
+     * Opens a MediaSource on the video element attached after preloading and appends the media kept in memory to it.
+     * When the streams are not composed yet, the MediaSource is opened on the video element as usual.
+     * @memberof StreamController#
+     */
+    function switchToVideoElement() {
+        if (!activeStream) return;
+
+        if (protectionController) {
+            protectionController.setMediaElement(videoModel.getElement());
+        }
+        openMediaSource(NaN, true);
     }
 
-    function openMediaSource(seekTime) {
+    function openMediaSource(seekTime, keepPreloadedMedia) {
 
         let sourceUrl;
 
@@ -314,7 +374,12 @@ function StreamController() {
             mediaSource.removeEventListener('sourceopen', onMediaSourceOpen);
             mediaSource.removeEventListener('webkitsourceopen', onMediaSourceOpen);
             setMediaDuration();
-            activateStream(seekTime);
+            if (keepPreloadedMedia) {
+                activeStream.switchToMediaSource(mediaSource);
+                playbackController.switchToVideoElement();
+            } else {
+                activateStream(seekTime);
+            }
         }
 
         if (!mediaSource) {
@@ -354,6 +419,26 @@ function StreamController() {
         eventBus.trigger(Events.PERIOD_SWITCH_COMPLETED, {toStreamInfo: activeStream.getStreamInfo()});
     }
 
+    function activatePrebufferedStream(seekTime) {
+        activeStream.completeActivation(mediaSource);
+
+        if (!isNaN(seekTime)) {
+            // the seek lands past the prebuffered start, the segments are requested from the seek target instead
+            activeStream.getProcessors().forEach(p => {
+                adapter.setIndexHandlerTime(p, seekTime);
+                p.getScheduleController().setSeekTarget(seekTime);
+            });
+        }
+        activeStream.startEventController();
+
+        isStreamSwitchingInProgress = false;
+        eventBus.trigger(Events.PERIOD_SWITCH_COMPLETED, {toStreamInfo: activeStream.getStreamInfo()});
+
+        if (activeStream.isBufferingCompleted()) {
+            onStreamBufferingCompleted({streamInfo: activeStream.getStreamInfo()});
+        }
+    }
+
     function setMediaDuration() {
         const manifestDuration = activeStream.getStreamInfo().manifestInfo.duration;
         const mediaDuration = mediaSourceController.setDuration(mediaSource, manifestDuration);
@@ -380,7 +465,7 @@ function StreamController() {
             const manifestUpdateInfo = dashMetrics.getCurrentManifestUpdate(metricsModel.getMetricsFor('stream'));
             metricsModel.updateManifestUpdateInfo(manifestUpdateInfo, {
                 currentTime: playbackController.getTime(),
-                buffered: videoModel.getElement().buffered,
+                buffered: videoModel.getElement() ? videoModel.getElement().buffered : null,
                 presentationStartTime: streamsInfo[0].start,
                 clientTimeOffset: timelineConverter.getClientTimeOffset()
             });
@@ -439,7 +524,16 @@ function StreamController() {
             }
         }
 
-        composeStreams(manifest);
+        adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+            // a newer manifest will be composed once its own time sync completes
+            if (manifest !== manifestModel.getValue()) return;
+
+            if (filtered.length > 0) {
+                log('Removed ' + filtered.length + ' representation(s) the device cannot decode');
+                eventBus.trigger(Events.REPRESENTATIONS_FILTERED, {filtered: filtered});
+            }
+            composeStreams(manifest);
+        });
     }
 
     function onManifestUpdated(e) {
@@ -482,7 +576,8 @@ function StreamController() {
 
             timeSyncController.setConfig({
                 metricsModel: metricsModel,
-                dashMetrics: dashMetrics
+                dashMetrics: dashMetrics,
+                errHandler: errHandler
             });
             timeSyncController.initialize(allUTCTimingSources, mediaPlayerModel.getUseManifestDateHeaderTimeSource());
         } else {
@@ -697,6 +792,7 @@ function StreamController() {
         isStreamSwitchingInProgress = false;
         isUpdating = false;
         activeStream = null;
+        prebufferedStream = null;
         hasMediaError = false;
         hasInitialisationError = false;
         videoTrackDetected = undefined;
@@ -727,9 +823,11 @@ function StreamController() {
         isStreamActive: isStreamActive,
         isVideoTrackPresent: isVideoTrackPresent,
         getStreamById: getStreamById,
+        getStreamForTime: getStreamForTime,
         getTimeRelativeToStreamId: getTimeRelativeToStreamId,
         load: load,
         loadWithManifest: loadWithManifest,
+        switchToVideoElement: switchToVideoElement,
         getActiveStreamCommonEarliestTime: getActiveStreamCommonEarliestTime,
         setConfig: setConfig,
         reset: reset
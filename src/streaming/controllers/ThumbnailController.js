@@ -0,0 +1,150 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import FactoryMaker from '../../core/FactoryMaker';
+import BaseURLController from './BaseURLController';
+import URLUtils from '../utils/URLUtils';
+import Thumbnail from '../vo/Thumbnail';
+import {replaceTokenForTemplate} from '../../dash/utils/SegmentsUtils';
+
+/**
+ * Finds the thumbnail of a time in the thumbnail tracks of the period it falls in: the URL of the image holding it and
+ * the rectangle it covers in the grid of thumbnails of that image.
+ */
+function ThumbnailController() {
+
+    const context = this.context;
+
+    let instance,
+        adapter,
+        manifestModel,
+        streamController,
+        baseURLController,
+        urlUtils,
+        tracks;
+
+    function setup() {
+        baseURLController = BaseURLController(context).getInstance();
+        urlUtils = URLUtils(context).getInstance();
+        tracks = {};
+    }
+
+    function setConfig(config) {
+        if (!config) return;
+
+        if (config.adapter) {
+            adapter = config.adapter;
+        }
+        if (config.manifestModel) {
+            manifestModel = config.manifestModel;
+        }
+        if (config.streamController) {
+            streamController = config.streamController;
+        }
+    }
+
+    function getTracks(streamInfo) {
+        if (!tracks[streamInfo.id]) {
+            tracks[streamInfo.id] = adapter.getThumbnailTracks(manifestModel.getValue(), streamInfo);
+        }
+        return tracks[streamInfo.id];
+    }
+
+    function getThumbnailWidth(track) {
+        return track.width / track.columns;
+    }
+
+    // the smallest thumbnails at least as wide as requested, or the largest ones
+    function selectTrack(trackList, width) {
+        const sorted = trackList.slice().sort((a, b) => getThumbnailWidth(a) - getThumbnailWidth(b));
+        if (isNaN(width)) {
+            return sorted[sorted.length - 1];
+        }
+        return sorted.filter(track => getThumbnailWidth(track) >= width)[0] || sorted[sorted.length - 1];
+    }
+
+    function getImageUrl(track, index) {
+        let url = replaceTokenForTemplate(track.templateUrl, 'Number', track.startNumber + index);
+        url = replaceTokenForTemplate(url, 'Time', Math.round((index * track.segmentDuration + track.presentationTimeOffset) * track.timescale));
+        url = url.split('$$').join('$');
+
+        const baseURL = baseURLController.resolve(track.path);
+        return baseURL && urlUtils.isRelative(url) ? urlUtils.resolve(url, baseURL.url) : url;
+    }
+
+    /**
+     * @param {number} time - presentation time, in seconds
+     * @param {function} callback - called with the Thumbnail of the time, or null when there is none
+     * @param {number} [width] - width at which the thumbnail is displayed, in pixels. The track with the smallest
+     * thumbnails at least that wide is picked, the one with the largest thumbnails when omitted.
+     */
+    function getThumbnail(time, callback, width) {
+        const stream = streamController.getStreamForTime(time);
+        const streamInfo = stream ? stream.getStreamInfo() : null;
+        const track = streamInfo ? selectTrack(getTracks(streamInfo), width) : null;
+
+        if (!track) {
+            callback(null);
+            return;
+        }
+
+        const periodTime = Math.max(time - streamInfo.start, 0);
+        const index = Math.floor(periodTime / track.segmentDuration);
+        const tileDuration = track.segmentDuration / (track.columns * track.rows);
+        const tile = Math.min(Math.floor((periodTime - index * track.segmentDuration) / tileDuration), track.columns * track.rows - 1);
+        const thumbnail = new Thumbnail();
+
+        thumbnail.url = getImageUrl(track, index);
+        thumbnail.width = Math.floor(getThumbnailWidth(track));
+        thumbnail.height = Math.floor(track.height / track.rows);
+        thumbnail.x = (tile % track.columns) * thumbnail.width;
+        thumbnail.y = Math.floor(tile / track.columns) * thumbnail.height;
+
+        callback(thumbnail);
+    }
+
+    function reset() {
+        tracks = {};
+    }
+
+    instance = {
+        setConfig: setConfig,
+        getThumbnail: getThumbnail,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+ThumbnailController.__dashjs_factory_name = 'ThumbnailController';
+export default FactoryMaker.getSingletonFactory(ThumbnailController);
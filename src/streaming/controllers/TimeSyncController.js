@@ -30,6 +30,10 @@
  */
 
 import Error from './../vo/Error';
+import TextRequest from './../vo/TextRequest';
+import {HTTPRequest} from './../vo/metrics/HTTPRequest';
+import HTTPLoader from './../HTTPLoader';
+import RequestModifier from './../utils/RequestModifier';
 import EventBus from './../../core/EventBus';
 import Events from './../../core/events/Events';
 import FactoryMaker from '../../core/FactoryMaker';
@@ -50,6 +54,8 @@ function TimeSyncController() {
         isInitialised,
         useManifestDateHeaderTimeSource,
         handlers,
+        httpLoader,
+        errHandler,
         metricsModel,
         dashMetrics;
 
@@ -84,6 +90,14 @@ function TimeSyncController() {
             'urn:mpeg:dash:utc:sntp:2014':          notSupportedHandler
         };
 
+        if (!httpLoader) {
+            httpLoader = HTTPLoader(context).create({
+                errHandler: errHandler,
+                metricsModel: metricsModel,
+                requestModifier: RequestModifier(context).getInstance()
+            });
+        }
+
         if (!getIsSynchronizing()) {
             attemptSync(timingSources);
             setIsInitialised(true);
@@ -100,6 +114,10 @@ function TimeSyncController() {
         if (config.dashMetrics) {
             dashMetrics = config.dashMetrics;
         }
+
+        if (config.errHandler) {
+            errHandler = config.errHandler;
+        }
     }
 
     function getOffsetToDeviceTimeMs() {
@@ -202,27 +220,15 @@ function TimeSyncController() {
     }
 
     function httpHandler(decoder, url, onSuccessCB, onFailureCB, isHeadRequest) {
-        var oncomplete,
-            onload;
-        var complete = false;
-        var req = new XMLHttpRequest();
-
-        var verb = isHeadRequest ? 'HEAD' : 'GET';
         var urls = url.match(/\S+/g);
 
         // according to ISO 23009-1, url could be a white-space
         // separated list of URLs. just handle one at a time.
-        url = urls.shift();
-
-        oncomplete = function () {
-            if (complete) {
-                return;
-            }
-
-            // we only want to pass through here once per xhr,
-            // regardless of whether the load was successful.
-            complete = true;
+        var request = new TextRequest(urls.shift(), HTTPRequest.TIME_SYNC_TYPE);
+        request.checkExistenceOnly = isHeadRequest;
+        request.timeout = HTTP_TIMEOUT_MS || 0;
 
+        var oncomplete = function () {
             // if there are more urls to try, call self.
             if (urls.length) {
                 httpHandler(decoder, urls.join(' '), onSuccessCB, onFailureCB, isHeadRequest);
@@ -231,30 +237,27 @@ function TimeSyncController() {
             }
         };
 
-        onload = function () {
-            var time,
-                result;
-
-            if (req.status === 200) {
-                time = isHeadRequest ?
-                        req.getResponseHeader('Date') :
-                        req.response;
+        // the loader set by the application may not give the response headers, the next source is tried then
+        var onload = function (data, statusText, xhr) {
+            var time = isHeadRequest ?
+                    (xhr && xhr.getResponseHeader ? xhr.getResponseHeader('Date') : null) :
+                    data;
 
-                result = decoder(time);
+            var result = decoder(time);
 
-                // decoder returns NaN if non-standard input
-                if (!isNaN(result)) {
-                    onSuccessCB(result);
-                    complete = true;
-                }
+            // decoder returns NaN if non-standard input
+            if (!isNaN(result)) {
+                onSuccessCB(result);
+            } else {
+                oncomplete();
             }
         };
 
-        req.open(verb, url);
-        req.timeout = HTTP_TIMEOUT_MS || 0;
-        req.onload = onload;
-        req.onloadend = oncomplete;
-        req.send();
+        httpLoader.load({
+            request: request,
+            success: onload,
+            error: oncomplete
+        });
     }
 
     function httpHeadHandler(url, onSuccessCB, onFailureCB) {
@@ -343,6 +346,11 @@ function TimeSyncController() {
     function reset() {
         setIsInitialised(false);
         setIsSynchronizing(false);
+
+        if (httpLoader) {
+            httpLoader.abort();
+            httpLoader = null;
+        }
     }
 
     instance = {
@@ -0,0 +1,218 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import FactoryMaker from '../../core/FactoryMaker';
+import EventBus from '../../core/EventBus';
+import Events from '../../core/events/Events';
+import PlaybackController from './PlaybackController';
+import Debug from '../../core/Debug';
+
+// interval between two positions shown while trick playing, ms
+const STEP_INTERVAL = 250;
+
+/**
+ * Fast forwards and rewinds by pausing the video element and seeking it periodically to the position the requested
+ * rate has reached. The video is played meanwhile from the trick mode AdaptationSet referencing the current track
+ * when the manifest has one, and the scheduling rules only request the segments at the positions shown.
+ */
+function TrickPlayController() {
+
+    const context = this.context;
+    const log = Debug(context).getInstance().log;
+    const eventBus = EventBus(context).getInstance();
+
+    let instance,
+        streamController,
+        metricsModel,
+        dashMetrics,
+        playbackController,
+        rate,
+        position,
+        lastStepTime,
+        wasPaused,
+        stepInterval;
+
+    function setup() {
+        playbackController = PlaybackController(context).getInstance();
+        resetInitialSettings();
+    }
+
+    function resetInitialSettings() {
+        rate = 1;
+        position = NaN;
+        lastStepTime = NaN;
+        wasPaused = false;
+        stepInterval = null;
+    }
+
+    function initialize() {
+        eventBus.on(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+    }
+
+    function setConfig(config) {
+        if (!config) return;
+
+        if (config.streamController) {
+            streamController = config.streamController;
+        }
+        if (config.metricsModel) {
+            metricsModel = config.metricsModel;
+        }
+        if (config.dashMetrics) {
+            dashMetrics = config.dashMetrics;
+        }
+    }
+
+    function getActiveStream() {
+        const streamInfo = streamController.getActiveStreamInfo();
+        return streamInfo ? streamController.getStreamById(streamInfo.id) : null;
+    }
+
+    // the part of the content the trick play moves through, the DVR window of a live stream
+    function getRange() {
+        const streamInfo = streamController.getActiveStreamInfo();
+        if (!streamInfo.manifestInfo.isDynamic) {
+            return {start: 0, end: streamInfo.manifestInfo.duration};
+        }
+
+        const DVRInfo = dashMetrics.getCurrentDVRInfo(metricsModel.getReadOnlyMetricsFor('video'));
+        return DVRInfo ? DVRInfo.range : null;
+    }
+
+    function enableTrickMode() {
+        const stream = getActiveStream();
+        if (stream && !stream.setTrickMode(true)) {
+            log('No trick mode AdaptationSet for the current video track, trick playing from the track itself');
+        }
+    }
+
+    function start() {
+        wasPaused = playbackController.isPaused();
+        position = playbackController.getTime();
+        lastStepTime = new Date().getTime();
+        stepInterval = setInterval(step, STEP_INTERVAL);
+        playbackController.pause();
+        enableTrickMode();
+    }
+
+    function stop() {
+        const stream = getActiveStream();
+
+        clearInterval(stepInterval);
+        stepInterval = null;
+        if (stream) {
+            stream.setTrickMode(false);
+        }
+        playbackController.seek(position);
+        if (!wasPaused) {
+            playbackController.play();
+        }
+    }
+
+    function step() {
+        const now = new Date().getTime();
+        const range = getRange();
+
+        position += rate * (now - lastStepTime) / 1000;
+        lastStepTime = now;
+
+        if (range && (position <= range.start || position >= range.end)) {
+            position = Math.min(Math.max(position, range.start), range.end);
+            log('Trick play has reached ' + position + ', returning to normal playback');
+            setRate(1);
+            return;
+        }
+
+        // the position shown at the previous step is still being loaded, that one is skipped
+        if (playbackController.isSeeking()) return;
+
+        playbackController.seek(position);
+    }
+
+    function onPeriodSwitchCompleted() {
+        if (!isActive()) return;
+
+        // the stream switched to is activated with its main video track and starts playing
+        playbackController.pause();
+        enableTrickMode();
+    }
+
+    /**
+     * @param {number} value - the speed at which the position moves, negative to rewind. 1 returns to normal
+     * playback, resuming it unless it was paused when the trick play started.
+     */
+    function setRate(value) {
+        if (value === rate) return;
+
+        if (value === 1) {
+            rate = value;
+            stop();
+        } else {
+            if (!isActive()) {
+                start();
+            }
+            rate = value;
+        }
+
+        log('Trick play rate set to ' + rate);
+        eventBus.trigger(Events.TRICK_PLAY_RATE_CHANGED, {rate: rate});
+    }
+
+    function getRate() {
+        return rate;
+    }
+
+    function isActive() {
+        return stepInterval !== null;
+    }
+
+    function reset() {
+        eventBus.off(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+        clearInterval(stepInterval);
+        resetInitialSettings();
+    }
+
+    instance = {
+        initialize: initialize,
+        setConfig: setConfig,
+        setRate: setRate,
+        getRate: getRate,
+        isActive: isActive,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+TrickPlayController.__dashjs_factory_name = 'TrickPlayController';
+export default FactoryMaker.getSingletonFactory(TrickPlayController);
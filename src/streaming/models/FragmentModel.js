@@ -60,6 +60,7 @@ function FragmentModel(config) {
         executedRequests = [];
         loadingRequests = [];
         eventBus.on(Events.LOADING_COMPLETED, onLoadingCompleted, instance);
+        eventBus.on(Events.LOADING_DATA_PROGRESS, onLoadingInProgress, instance);
     }
 
     function setLoader(value) {
@@ -241,8 +242,20 @@ function FragmentModel(config) {
         });
     }
 
+    function onLoadingInProgress(e) {
+        if (e.sender !== fragmentLoader) return;
+
+        eventBus.trigger(Events.FRAGMENT_LOADING_PROGRESS, {
+            request: e.request,
+            response: e.response,
+            error: e.error,
+            sender: this
+        });
+    }
+
     function reset() {
         eventBus.off(Events.LOADING_COMPLETED, onLoadingCompleted, this);
+        eventBus.off(Events.LOADING_DATA_PROGRESS, onLoadingInProgress, this);
 
         if (fragmentLoader) {
             fragmentLoader.reset();
@@ -33,21 +33,38 @@ import {HTTPRequest} from '../vo/metrics/HTTPRequest';
 
 const DEFAULT_UTC_TIMING_SOURCE = { scheme: 'urn:mpeg:dash:utc:http-xsdate:2014', value: 'http://time.akamai.com/?iso' };
 const LIVE_DELAY_FRAGMENT_COUNT = 4;
+const LIVE_CATCH_UP_PLAYBACK_RATE = 0.1;
 
 const DEFAULT_LOCAL_STORAGE_BITRATE_EXPIRATION = 360000;
 const DEFAULT_LOCAL_STORAGE_MEDIA_SETTINGS_EXPIRATION = 360000;
+const DEFAULT_LOCAL_STORAGE_THROUGHPUT_EXPIRATION = 360000;
+
+const ABR_STRATEGY_THROUGHPUT = 'abrThroughput';
+const ABR_STRATEGY_BOLA = 'abrBola';
+const ABR_STRATEGY_DYNAMIC = 'abrDynamic';
 
 const BANDWIDTH_SAFETY_FACTOR = 0.9;
+const STARTUP_THROUGHPUT_CONFIDENCE_THRESHOLD = 0.5;
+const DEFAULT_MOVING_AVERAGE_METHOD = 'slidingWindow';
+const EWMA_THROUGHPUT_FAST_HALF_LIFE = 3;
+const EWMA_THROUGHPUT_SLOW_HALF_LIFE = 8;
+const DROPPED_FRAMES_RATIO_THRESHOLD = 0.15;
+const DROPPED_FRAMES_MINIMUM_SAMPLE_SIZE = 375;
 const ABANDON_LOAD_TIMEOUT = 10000;
+const REPRESENTATION_BLACKLIST_TIMEOUT = 30000;
 
 const BUFFER_TO_KEEP = 30;
 const BUFFER_PRUNING_INTERVAL = 30;
+const VIDEO_BUFFER_BYTE_BUDGET = 100 * 1024 * 1024;
+const AUDIO_BUFFER_BYTE_BUDGET = 10 * 1024 * 1024;
 const DEFAULT_MIN_BUFFER_TIME = 12;
 const DEFAULT_MIN_BUFFER_TIME_FAST_SWITCH = 20;
 const BUFFER_TIME_AT_TOP_QUALITY = 30;
 const BUFFER_TIME_AT_TOP_QUALITY_LONG_FORM = 60;
 const LONG_FORM_CONTENT_DURATION_THRESHOLD = 600;
 const RICH_BUFFER_THRESHOLD = 20;
+const PRELOAD_TIME = 4;
+const SMALL_GAP_LIMIT = 1.5;
 
 const FRAGMENT_RETRY_ATTEMPTS = 3;
 const FRAGMENT_RETRY_INTERVAL = 1000;
@@ -71,23 +88,48 @@ function MediaPlayerModel() {
         UTCTimingSources,
         liveDelayFragmentCount,
         liveDelay,
+        liveLatencyTarget,
+        liveCatchUpPlaybackRate,
+        liveCatchUpMaxLatency,
         scheduleWhilePaused,
+        jumpGaps,
+        smallGapLimit,
+        reuseExistingSourceBuffers,
         bufferToKeep,
         bufferPruningInterval,
+        bufferByteBudgets,
         lastBitrateCachingInfo,
         lastMediaSettingsCachingInfo,
+        lastThroughputCachingInfo,
         stableBufferTime,
+        preloadTime,
         bufferTimeAtTopQuality,
         bufferTimeAtTopQualityLongForm,
         longFormContentDurationThreshold,
         richBufferThreshold,
         bandwidthSafetyFactor,
+        movingAverageMethod,
+        throughputEWMAHalfLife,
+        throughputSlidingWindowSize,
+        segmentSizeABREnabled,
+        abrDecisionMetricsEnabled,
+        startupThroughputConfidenceThreshold,
+        droppedFramesRatioThreshold,
+        droppedFramesMinimumSampleSize,
+        decodingCapabilityLimits,
+        representationFilter,
         abandonLoadTimeout,
+        representationBlacklistTimeout,
         retryAttempts,
         retryIntervals,
         wallclockTimeUpdateInterval,
-        bufferOccupancyABREnabled,
+        abrStrategy,
+        useDefaultABRRules,
+        customABRRules,
         xhrWithCredentials,
+        useFetch,
+        requestLoader,
+        requestInterceptors,
         fastSwitchEnabled;
 
     function setup() {
@@ -95,23 +137,48 @@ function MediaPlayerModel() {
         useSuggestedPresentationDelay = false;
         useManifestDateHeaderTimeSource = true;
         scheduleWhilePaused = true;
-        bufferOccupancyABREnabled = false;
+        jumpGaps = true;
+        smallGapLimit = SMALL_GAP_LIMIT;
+        reuseExistingSourceBuffers = true;
+        abrStrategy = ABR_STRATEGY_THROUGHPUT;
+        useDefaultABRRules = true;
+        customABRRules = [];
         fastSwitchEnabled = false;
         lastBitrateCachingInfo = {enabled: true , ttl: DEFAULT_LOCAL_STORAGE_BITRATE_EXPIRATION};
         lastMediaSettingsCachingInfo = {enabled: true , ttl: DEFAULT_LOCAL_STORAGE_MEDIA_SETTINGS_EXPIRATION};
+        lastThroughputCachingInfo = {enabled: true , ttl: DEFAULT_LOCAL_STORAGE_THROUGHPUT_EXPIRATION};
         liveDelayFragmentCount = LIVE_DELAY_FRAGMENT_COUNT;
         liveDelay = undefined; // Explicitly state that default is undefined
+        liveLatencyTarget = NaN;
+        liveCatchUpPlaybackRate = LIVE_CATCH_UP_PLAYBACK_RATE;
+        liveCatchUpMaxLatency = NaN;
         bufferToKeep = BUFFER_TO_KEEP;
         bufferPruningInterval = BUFFER_PRUNING_INTERVAL;
+        bufferByteBudgets = {video: VIDEO_BUFFER_BYTE_BUDGET, audio: AUDIO_BUFFER_BYTE_BUDGET};
         stableBufferTime = NaN;
+        preloadTime = PRELOAD_TIME;
         bufferTimeAtTopQuality = BUFFER_TIME_AT_TOP_QUALITY;
         bufferTimeAtTopQualityLongForm = BUFFER_TIME_AT_TOP_QUALITY_LONG_FORM;
         longFormContentDurationThreshold = LONG_FORM_CONTENT_DURATION_THRESHOLD;
         richBufferThreshold = RICH_BUFFER_THRESHOLD;
         bandwidthSafetyFactor = BANDWIDTH_SAFETY_FACTOR;
+        movingAverageMethod = DEFAULT_MOVING_AVERAGE_METHOD;
+        throughputEWMAHalfLife = {fast: EWMA_THROUGHPUT_FAST_HALF_LIFE, slow: EWMA_THROUGHPUT_SLOW_HALF_LIFE};
+        throughputSlidingWindowSize = NaN;
+        segmentSizeABREnabled = false;
+        abrDecisionMetricsEnabled = false;
+        startupThroughputConfidenceThreshold = STARTUP_THROUGHPUT_CONFIDENCE_THRESHOLD;
+        droppedFramesRatioThreshold = DROPPED_FRAMES_RATIO_THRESHOLD;
+        droppedFramesMinimumSampleSize = DROPPED_FRAMES_MINIMUM_SAMPLE_SIZE;
+        decodingCapabilityLimits = {width: NaN, height: NaN, frameRate: NaN};
+        representationFilter = null;
         abandonLoadTimeout = ABANDON_LOAD_TIMEOUT;
+        representationBlacklistTimeout = REPRESENTATION_BLACKLIST_TIMEOUT;
         wallclockTimeUpdateInterval = WALLCLOCK_TIME_UPDATE_INTERVAL;
         xhrWithCredentials = { default: DEFAULT_XHR_WITH_CREDENTIALS };
+        useFetch = false;
+        requestLoader = null;
+        requestInterceptors = [];
 
 
         retryAttempts = {
@@ -137,11 +204,68 @@ function MediaPlayerModel() {
 
     //TODO Should we use Object.define to have setters/getters? makes more readable code on other side.
     function setBufferOccupancyABREnabled(value) {
-        bufferOccupancyABREnabled = value;
+        abrStrategy = value ? ABR_STRATEGY_BOLA : ABR_STRATEGY_THROUGHPUT;
     }
 
     function getBufferOccupancyABREnabled() {
-        return bufferOccupancyABREnabled;
+        return abrStrategy === ABR_STRATEGY_BOLA;
+    }
+
+    function setABRStrategy(value) {
+        if (value === ABR_STRATEGY_THROUGHPUT || value === ABR_STRATEGY_BOLA || value === ABR_STRATEGY_DYNAMIC) {
+            abrStrategy = value;
+        }
+    }
+
+    function getABRStrategy() {
+        return abrStrategy;
+    }
+
+    function setUseDefaultABRRules(value) {
+        useDefaultABRRules = value;
+    }
+
+    function getUseDefaultABRRules() {
+        return useDefaultABRRules;
+    }
+
+    function findABRCustomRuleIndex(rulename) {
+        for (let i = 0; i < customABRRules.length; i++) {
+            if (customABRRules[i].rulename === rulename) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function addABRCustomRule(type, rulename, rule) {
+        const customRule = {
+            type: type,
+            rulename: rulename,
+            rule: rule
+        };
+        const idx = findABRCustomRuleIndex(rulename);
+
+        if (idx === -1) {
+            customABRRules.push(customRule);
+        } else {
+            customABRRules[idx] = customRule;
+        }
+    }
+
+    function removeABRCustomRule(rulename) {
+        const idx = findABRCustomRuleIndex(rulename);
+        if (idx !== -1) {
+            customABRRules.splice(idx, 1);
+        }
+    }
+
+    function removeAllABRCustomRule() {
+        customABRRules = [];
+    }
+
+    function getABRCustomRules() {
+        return customABRRules;
     }
 
     function setBandwidthSafetyFactor(value) {
@@ -152,6 +276,95 @@ function MediaPlayerModel() {
         return bandwidthSafetyFactor;
     }
 
+    function setMovingAverageMethod(value) {
+        movingAverageMethod = value;
+    }
+
+    function getMovingAverageMethod() {
+        return movingAverageMethod;
+    }
+
+    function setThroughputEWMAHalfLife(fast, slow) {
+        if (!isNaN(fast) && fast > 0) {
+            throughputEWMAHalfLife.fast = fast;
+        }
+        if (!isNaN(slow) && slow > 0) {
+            throughputEWMAHalfLife.slow = slow;
+        }
+    }
+
+    function getThroughputEWMAHalfLife() {
+        return {fast: throughputEWMAHalfLife.fast, slow: throughputEWMAHalfLife.slow};
+    }
+
+    function setThroughputSlidingWindowSize(value) {
+        throughputSlidingWindowSize = value;
+    }
+
+    function getThroughputSlidingWindowSize() {
+        return throughputSlidingWindowSize;
+    }
+
+    function setSegmentSizeABREnabled(value) {
+        segmentSizeABREnabled = value;
+    }
+
+    function getSegmentSizeABREnabled() {
+        return segmentSizeABREnabled;
+    }
+
+    function setAbrDecisionMetricsEnabled(value) {
+        abrDecisionMetricsEnabled = value;
+    }
+
+    function getAbrDecisionMetricsEnabled() {
+        return abrDecisionMetricsEnabled;
+    }
+
+    function setStartupThroughputConfidenceThreshold(value) {
+        startupThroughputConfidenceThreshold = value;
+    }
+
+    function getStartupThroughputConfidenceThreshold() {
+        return startupThroughputConfidenceThreshold;
+    }
+
+    function setDroppedFramesRatioThreshold(value) {
+        droppedFramesRatioThreshold = value;
+    }
+
+    function getDroppedFramesRatioThreshold() {
+        return droppedFramesRatioThreshold;
+    }
+
+    function setDroppedFramesMinimumSampleSize(value) {
+        droppedFramesMinimumSampleSize = value;
+    }
+
+    function getDroppedFramesMinimumSampleSize() {
+        return droppedFramesMinimumSampleSize;
+    }
+
+    function setDecodingCapabilityLimits(value) {
+        decodingCapabilityLimits = {
+            width: value && !isNaN(value.width) ? value.width : NaN,
+            height: value && !isNaN(value.height) ? value.height : NaN,
+            frameRate: value && !isNaN(value.frameRate) ? value.frameRate : NaN
+        };
+    }
+
+    function getDecodingCapabilityLimits() {
+        return decodingCapabilityLimits;
+    }
+
+    function setRepresentationFilter(value) {
+        representationFilter = typeof value === 'function' ? value : null;
+    }
+
+    function getRepresentationFilter() {
+        return representationFilter;
+    }
+
     function setAbandonLoadTimeout(value) {
         abandonLoadTimeout = value;
     }
@@ -160,6 +373,14 @@ function MediaPlayerModel() {
         return abandonLoadTimeout;
     }
 
+    function setRepresentationBlacklistTimeout(value) {
+        representationBlacklistTimeout = value;
+    }
+
+    function getRepresentationBlacklistTimeout() {
+        return representationBlacklistTimeout;
+    }
+
     function setStableBufferTime (value) {
         stableBufferTime = value;
     }
@@ -168,6 +389,14 @@ function MediaPlayerModel() {
         return !isNaN(stableBufferTime) ? stableBufferTime : fastSwitchEnabled ? DEFAULT_MIN_BUFFER_TIME_FAST_SWITCH : DEFAULT_MIN_BUFFER_TIME;
     }
 
+    function setPreloadTime(value) {
+        preloadTime = value;
+    }
+
+    function getPreloadTime() {
+        return preloadTime;
+    }
+
     function setBufferTimeAtTopQuality(value) {
         bufferTimeAtTopQuality = value;
     }
@@ -231,6 +460,17 @@ function MediaPlayerModel() {
         return lastMediaSettingsCachingInfo;
     }
 
+    function setLastThroughputCachingInfo(enable, ttl) {
+        lastThroughputCachingInfo.enabled = enable;
+        if (ttl !== undefined && !isNaN(ttl) && typeof (ttl) === 'number') {
+            lastThroughputCachingInfo.ttl = ttl;
+        }
+    }
+
+    function getLastThroughputCachingInfo() {
+        return lastThroughputCachingInfo;
+    }
+
     function setBufferPruningInterval(value) {
         bufferPruningInterval = value;
     }
@@ -239,6 +479,14 @@ function MediaPlayerModel() {
         return bufferPruningInterval;
     }
 
+    function setBufferByteBudgetFor(type, value) {
+        bufferByteBudgets[type] = value;
+    }
+
+    function getBufferByteBudgetFor(type) {
+        return bufferByteBudgets.hasOwnProperty(type) ? bufferByteBudgets[type] : NaN;
+    }
+
     function setFragmentRetryAttempts(value) {
         retryAttempts[HTTPRequest.MEDIA_SEGMENT_TYPE] = value;
     }
@@ -287,6 +535,30 @@ function MediaPlayerModel() {
         return scheduleWhilePaused;
     }
 
+    function setJumpGaps(value) {
+        jumpGaps = value;
+    }
+
+    function getJumpGaps() {
+        return jumpGaps;
+    }
+
+    function setSmallGapLimit(value) {
+        smallGapLimit = value;
+    }
+
+    function getSmallGapLimit() {
+        return smallGapLimit;
+    }
+
+    function setReuseExistingSourceBuffers(value) {
+        reuseExistingSourceBuffers = value;
+    }
+
+    function getReuseExistingSourceBuffers() {
+        return reuseExistingSourceBuffers;
+    }
+
     function setLiveDelayFragmentCount(value) {
         liveDelayFragmentCount = value;
     }
@@ -303,6 +575,30 @@ function MediaPlayerModel() {
         return liveDelay;
     }
 
+    function setLiveLatencyTarget(value) {
+        liveLatencyTarget = value;
+    }
+
+    function getLiveLatencyTarget() {
+        return liveLatencyTarget;
+    }
+
+    function setLiveCatchUpPlaybackRate(value) {
+        liveCatchUpPlaybackRate = value;
+    }
+
+    function getLiveCatchUpPlaybackRate() {
+        return liveCatchUpPlaybackRate;
+    }
+
+    function setLiveCatchUpMaxLatency(value) {
+        liveCatchUpMaxLatency = value;
+    }
+
+    function getLiveCatchUpMaxLatency() {
+        return liveCatchUpMaxLatency;
+    }
+
     function setUseManifestDateHeaderTimeSource(value) {
         useManifestDateHeaderTimeSource = value;
     }
@@ -347,6 +643,43 @@ function MediaPlayerModel() {
         return useCreds;
     }
 
+    function setUseFetch(value) {
+        useFetch = value;
+    }
+
+    function getUseFetch() {
+        return useFetch;
+    }
+
+    function setRequestLoader(value) {
+        requestLoader = value;
+    }
+
+    function getRequestLoader() {
+        return requestLoader;
+    }
+
+    function addRequestInterceptor(interceptor) {
+        if (requestInterceptors.indexOf(interceptor) === -1) {
+            requestInterceptors.push(interceptor);
+        }
+    }
+
+    function removeRequestInterceptor(interceptor) {
+        const idx = requestInterceptors.indexOf(interceptor);
+        if (idx !== -1) {
+            requestInterceptors.splice(idx, 1);
+        }
+    }
+
+    function removeAllRequestInterceptors() {
+        requestInterceptors = [];
+    }
+
+    function getRequestInterceptors() {
+        return requestInterceptors;
+    }
+
 
     function getFastSwitchEnabled() {
         return fastSwitchEnabled;
@@ -364,16 +697,50 @@ function MediaPlayerModel() {
     instance = {
         setBufferOccupancyABREnabled: setBufferOccupancyABREnabled,
         getBufferOccupancyABREnabled: getBufferOccupancyABREnabled,
+        setABRStrategy: setABRStrategy,
+        getABRStrategy: getABRStrategy,
+        setUseDefaultABRRules: setUseDefaultABRRules,
+        getUseDefaultABRRules: getUseDefaultABRRules,
+        addABRCustomRule: addABRCustomRule,
+        removeABRCustomRule: removeABRCustomRule,
+        removeAllABRCustomRule: removeAllABRCustomRule,
+        getABRCustomRules: getABRCustomRules,
         setBandwidthSafetyFactor: setBandwidthSafetyFactor,
         getBandwidthSafetyFactor: getBandwidthSafetyFactor,
+        setMovingAverageMethod: setMovingAverageMethod,
+        getMovingAverageMethod: getMovingAverageMethod,
+        setThroughputEWMAHalfLife: setThroughputEWMAHalfLife,
+        getThroughputEWMAHalfLife: getThroughputEWMAHalfLife,
+        setThroughputSlidingWindowSize: setThroughputSlidingWindowSize,
+        getThroughputSlidingWindowSize: getThroughputSlidingWindowSize,
+        setSegmentSizeABREnabled: setSegmentSizeABREnabled,
+        getSegmentSizeABREnabled: getSegmentSizeABREnabled,
+        setAbrDecisionMetricsEnabled: setAbrDecisionMetricsEnabled,
+        getAbrDecisionMetricsEnabled: getAbrDecisionMetricsEnabled,
+        setStartupThroughputConfidenceThreshold: setStartupThroughputConfidenceThreshold,
+        getStartupThroughputConfidenceThreshold: getStartupThroughputConfidenceThreshold,
+        setDroppedFramesRatioThreshold: setDroppedFramesRatioThreshold,
+        getDroppedFramesRatioThreshold: getDroppedFramesRatioThreshold,
+        setDroppedFramesMinimumSampleSize: setDroppedFramesMinimumSampleSize,
+        getDroppedFramesMinimumSampleSize: getDroppedFramesMinimumSampleSize,
+        setDecodingCapabilityLimits: setDecodingCapabilityLimits,
+        getDecodingCapabilityLimits: getDecodingCapabilityLimits,
+        setRepresentationFilter: setRepresentationFilter,
+        getRepresentationFilter: getRepresentationFilter,
         setAbandonLoadTimeout: setAbandonLoadTimeout,
         getAbandonLoadTimeout: getAbandonLoadTimeout,
+        setRepresentationBlacklistTimeout: setRepresentationBlacklistTimeout,
+        getRepresentationBlacklistTimeout: getRepresentationBlacklistTimeout,
         setLastBitrateCachingInfo: setLastBitrateCachingInfo,
         getLastBitrateCachingInfo: getLastBitrateCachingInfo,
         setLastMediaSettingsCachingInfo: setLastMediaSettingsCachingInfo,
         getLastMediaSettingsCachingInfo: getLastMediaSettingsCachingInfo,
+        setLastThroughputCachingInfo: setLastThroughputCachingInfo,
+        getLastThroughputCachingInfo: getLastThroughputCachingInfo,
         setStableBufferTime: setStableBufferTime,
         getStableBufferTime: getStableBufferTime,
+        setPreloadTime: setPreloadTime,
+        getPreloadTime: getPreloadTime,
         setBufferTimeAtTopQuality: setBufferTimeAtTopQuality,
         getBufferTimeAtTopQuality: getBufferTimeAtTopQuality,
         setBufferTimeAtTopQualityLongForm: setBufferTimeAtTopQualityLongForm,
@@ -386,6 +753,8 @@ function MediaPlayerModel() {
         getBufferToKeep: getBufferToKeep,
         setBufferPruningInterval: setBufferPruningInterval,
         getBufferPruningInterval: getBufferPruningInterval,
+        setBufferByteBudgetFor: setBufferByteBudgetFor,
+        getBufferByteBudgetFor: getBufferByteBudgetFor,
         setFragmentRetryAttempts: setFragmentRetryAttempts,
         getFragmentRetryAttempts: getFragmentRetryAttempts,
         setRetryAttemptsForType: setRetryAttemptsForType,
@@ -398,18 +767,38 @@ function MediaPlayerModel() {
         getWallclockTimeUpdateInterval: getWallclockTimeUpdateInterval,
         setScheduleWhilePaused: setScheduleWhilePaused,
         getScheduleWhilePaused: getScheduleWhilePaused,
+        setJumpGaps: setJumpGaps,
+        getJumpGaps: getJumpGaps,
+        setSmallGapLimit: setSmallGapLimit,
+        getSmallGapLimit: getSmallGapLimit,
+        setReuseExistingSourceBuffers: setReuseExistingSourceBuffers,
+        getReuseExistingSourceBuffers: getReuseExistingSourceBuffers,
         getUseSuggestedPresentationDelay: getUseSuggestedPresentationDelay,
         setUseSuggestedPresentationDelay: setUseSuggestedPresentationDelay,
         setLiveDelayFragmentCount: setLiveDelayFragmentCount,
         getLiveDelayFragmentCount: getLiveDelayFragmentCount,
         getLiveDelay: getLiveDelay,
         setLiveDelay: setLiveDelay,
+        setLiveLatencyTarget: setLiveLatencyTarget,
+        getLiveLatencyTarget: getLiveLatencyTarget,
+        setLiveCatchUpPlaybackRate: setLiveCatchUpPlaybackRate,
+        getLiveCatchUpPlaybackRate: getLiveCatchUpPlaybackRate,
+        setLiveCatchUpMaxLatency: setLiveCatchUpMaxLatency,
+        getLiveCatchUpMaxLatency: getLiveCatchUpMaxLatency,
         setUseManifestDateHeaderTimeSource: setUseManifestDateHeaderTimeSource,
         getUseManifestDateHeaderTimeSource: getUseManifestDateHeaderTimeSource,
         setUTCTimingSources: setUTCTimingSources,
         getUTCTimingSources: getUTCTimingSources,
         setXHRWithCredentialsForType: setXHRWithCredentialsForType,
         getXHRWithCredentialsForType: getXHRWithCredentialsForType,
+        setUseFetch: setUseFetch,
+        getUseFetch: getUseFetch,
+        setRequestLoader: setRequestLoader,
+        getRequestLoader: getRequestLoader,
+        addRequestInterceptor: addRequestInterceptor,
+        removeRequestInterceptor: removeRequestInterceptor,
+        removeAllRequestInterceptors: removeAllRequestInterceptors,
+        getRequestInterceptors: getRequestInterceptors,
         setFastSwitchEnabled: setFastSwitchEnabled,
         getFastSwitchEnabled: getFastSwitchEnabled,
         reset: reset
@@ -424,4 +813,7 @@ function MediaPlayerModel() {
 MediaPlayerModel.__dashjs_factory_name = 'MediaPlayerModel';
 let factory = FactoryMaker.getSingletonFactory(MediaPlayerModel);
 factory.DEFAULT_UTC_TIMING_SOURCE = DEFAULT_UTC_TIMING_SOURCE;
+factory.ABR_STRATEGY_THROUGHPUT = ABR_STRATEGY_THROUGHPUT;
+factory.ABR_STRATEGY_BOLA = ABR_STRATEGY_BOLA;
+factory.ABR_STRATEGY_DYNAMIC = ABR_STRATEGY_DYNAMIC;
 export default factory;
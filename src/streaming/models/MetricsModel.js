@@ -36,6 +36,8 @@ import BufferLevel from '../vo/metrics/BufferLevel';
 import BufferState from '../vo/metrics/BufferState';
 import DVRInfo from '../vo/metrics/DVRInfo';
 import DroppedFrames from '../vo/metrics/DroppedFrames';
+import DroppedFramesCap from '../vo/metrics/DroppedFramesCap';
+import AbrDecision from '../vo/metrics/AbrDecision';
 import {ManifestUpdate, ManifestUpdateStreamInfo, ManifestUpdateTrackInfo} from '../vo/metrics/ManifestUpdate';
 import SchedulingInfo from '../vo/metrics/SchedulingInfo';
 import EventBus from '../../core/EventBus';
@@ -281,6 +283,40 @@ function MetricsModel() {
         return vo;
     }
 
+    function addDroppedFramesCap(mediaType, maxQuality, droppedFrames, totalFrames) {
+        var vo = new DroppedFramesCap();
+
+        vo.time = new Date();
+        vo.maxQuality = maxQuality;
+        vo.droppedFrames = droppedFrames;
+        vo.totalFrames = totalFrames;
+
+        getMetricsFor(mediaType).DroppedFramesCap.push(vo);
+
+        metricAdded(mediaType, adapter.metricsList.DROPPED_FRAMES_CAP, vo);
+        return vo;
+    }
+
+    function addAbrDecision(mediaType, trigger, currentQuality, newQuality, rules, result, throughput, safeThroughput, latency, bufferLevel) {
+        var vo = new AbrDecision();
+
+        vo.time = new Date();
+        vo.trigger = trigger;
+        vo.currentQuality = currentQuality;
+        vo.newQuality = newQuality;
+        vo.rules = rules;
+        vo.result = result;
+        vo.throughput = throughput;
+        vo.safeThroughput = safeThroughput;
+        vo.latency = latency;
+        vo.bufferLevel = bufferLevel;
+
+        getMetricsFor(mediaType).AbrDecision.push(vo);
+
+        metricAdded(mediaType, adapter.metricsList.ABR_DECISION, vo);
+        return vo;
+    }
+
     function addSchedulingInfo(mediaType, t, type, startTime, availabilityStartTime, duration, quality, range, state) {
         var vo = new SchedulingInfo();
 
@@ -433,6 +469,8 @@ function MetricsModel() {
         addBufferState: addBufferState,
         addDVRInfo: addDVRInfo,
         addDroppedFrames: addDroppedFrames,
+        addDroppedFramesCap: addDroppedFramesCap,
+        addAbrDecision: addAbrDecision,
         addSchedulingInfo: addSchedulingInfo,
         addRequestsQueue: addRequestsQueue,
         addManifestUpdate: addManifestUpdate,
@@ -90,7 +90,9 @@ function VideoModel() {
     function setElement(value) {
         element = value;
         // Workaround to force Firefox to fire the canplay event.
-        element.preload = 'auto';
+        if (element) {
+            element.preload = 'auto';
+        }
     }
 
     function setSource(source) {
@@ -129,6 +129,7 @@ function Protection() {
                 protectionKeyController: protectionKeyController,
                 adapter: config.adapter,
                 eventBus: config.eventBus,
+                httpLoader: config.httpLoader,
                 log: config.log
             });
             config.capabilities.setEncryptedMediaSupported(true);
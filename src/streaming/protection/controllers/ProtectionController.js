@@ -34,6 +34,7 @@ import MediaCapability from '../vo/MediaCapability';
 import KeySystemConfiguration from '../vo/KeySystemConfiguration';
 import FactoryMaker from '../../../core/FactoryMaker';
 import Protection from '../Protection';
+import LicenseRequest from '../../vo/LicenseRequest';
 
 /**
  * @module ProtectionController
@@ -55,6 +56,7 @@ function ProtectionController(config) {
     let protectionModel = config.protectionModel;
     let adapter = config.adapter;
     let eventBus = config.eventBus;
+    let httpLoader = config.httpLoader;
     let log = config.log;
 
     let instance,
@@ -289,6 +291,8 @@ function ProtectionController(config) {
     function reset() {
         setMediaElement(null);
 
+        httpLoader.abort();
+
         keySystem = undefined;//TODO-Refactor look at why undefined is needed for this. refactor
 
         if (protectionModel) {
@@ -455,9 +459,6 @@ function ProtectionController(config) {
             }
         }
 
-        // All remaining key system scenarios require a request to a remote license server
-        var xhr = new XMLHttpRequest();
-
         // Determine license server URL
         var url = null;
         if (protData) {
@@ -486,50 +487,43 @@ function ProtectionController(config) {
             return;
         }
 
-        xhr.open(licenseServerData.getHTTPMethod(messageType), url, true);
-        xhr.responseType = licenseServerData.getResponseType(keySystemString, messageType);
-        xhr.onload = function () {
-            if (this.status == 200) {
-                sendLicenseRequestCompleteEvent(eventData);
-                protectionModel.updateKeySession(sessionToken,
-                        licenseServerData.getLicenseMessage(this.response, keySystemString, messageType));
-            } else {
-                sendLicenseRequestCompleteEvent(eventData,
-                        'DRM: ' + keySystemString + ' update, XHR status is "' + this.statusText + '" (' + this.status +
-                        '), expected to be 200. readyState is ' + this.readyState +
-                        '.  Response is ' + ((this.response) ? licenseServerData.getErrorResponse(this.response, keySystemString, messageType) : 'NONE'));
-            }
-        };
-        xhr.onabort = function () {
-            sendLicenseRequestCompleteEvent(eventData, 'DRM: ' + keySystemString + ' update, XHR aborted. status is "' + this.statusText + '" (' + this.status + '), readyState is ' + this.readyState);
-        };
-        xhr.onerror = function () {
-            sendLicenseRequestCompleteEvent(eventData, 'DRM: ' + keySystemString + ' update, XHR error. status is "' + this.statusText + '" (' + this.status + '), readyState is ' + this.readyState);
-        };
-
-        // Set optional XMLHttpRequest headers from protection data and message
-        var updateHeaders = function (headers) {
+        // Gather optional headers from protection data and message
+        var headers = {};
+        var addHeaders = function (newHeaders) {
             var key;
-            if (headers) {
-                for (key in headers) {
-                    if ('authorization' === key.toLowerCase()) {
-                        xhr.withCredentials = true;
-                    }
-                    xhr.setRequestHeader(key, headers[key]);
+            if (newHeaders) {
+                for (key in newHeaders) {
+                    headers[key] = newHeaders[key];
                 }
             }
         };
         if (protData) {
-            updateHeaders(protData.httpRequestHeaders);
+            addHeaders(protData.httpRequestHeaders);
         }
-        updateHeaders(keySystem.getRequestHeadersFromMessage(message));
+        addHeaders(keySystem.getRequestHeadersFromMessage(message));
 
-        // Set withCredentials property from protData
-        if (protData && protData.withCredentials) {
-            xhr.withCredentials = true;
+        // Set withCredentials property from protData, or for the authorization to be sent cross-origin
+        var withCredentials = !!(protData && protData.withCredentials);
+        for (var key in headers) {
+            if ('authorization' === key.toLowerCase()) {
+                withCredentials = true;
+            }
         }
 
-        xhr.send(keySystem.getLicenseRequestFromMessage(message));
+        // All remaining key system scenarios require a request to a remote license server, sent through the request
+        // interceptors and the loader set by the application
+        httpLoader.load({
+            request: new LicenseRequest(url, licenseServerData.getHTTPMethod(messageType), licenseServerData.getResponseType(keySystemString, messageType),
+                headers, withCredentials, keySystem.getLicenseRequestFromMessage(message)),
+            success: function (data) {
+                sendLicenseRequestCompleteEvent(eventData);
+                protectionModel.updateKeySession(sessionToken,
+                        licenseServerData.getLicenseMessage(data, keySystemString, messageType));
+            },
+            error: function (request, statusText, errorText) {
+                sendLicenseRequestCompleteEvent(eventData, 'DRM: ' + keySystemString + ' update, license request failed: ' + errorText);
+            }
+        });
     }
 
     function onNeedKey(event) {
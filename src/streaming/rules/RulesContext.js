@@ -30,9 +30,13 @@
  */
 
 import FactoryMaker from '../../core/FactoryMaker';
+import DashAdapter from '../../dash/DashAdapter';
 
 function RulesContext(config) {
 
+    const context = this.context;
+    const adapter = DashAdapter(context).getInstance();
+
     let instance;
     let representationInfo = config.streamProcessor.getCurrentRepresentationInfo();
     let sp = config.streamProcessor;
@@ -62,13 +66,25 @@ function RulesContext(config) {
         return sp;
     }
 
+    function useBufferOccupancyABR() {
+        return sp.getABRController().getUseBufferOccupancyABRFor(getMediaInfo().type);
+    }
+
+    // size in bytes of the next segment at the given quality, or NaN when the segments are not
+    // addressed by byte range (only SegmentBase sidx and SegmentList mediaRange give sizes)
+    function getNextSegmentSize(quality) {
+        return adapter.getNextFragmentSize(sp, quality);
+    }
+
     instance = {
         getStreamInfo: getStreamInfo,
         getMediaInfo: getMediaInfo,
         getTrackInfo: getTrackInfo,
         getCurrentValue: getCurrentValue,
         getManifestInfo: getManifestInfo,
-        getStreamProcessor: getStreamProcessor
+        getStreamProcessor: getStreamProcessor,
+        useBufferOccupancyABR: useBufferOccupancyABR,
+        getNextSegmentSize: getNextSegmentSize
     };
 
     return instance;
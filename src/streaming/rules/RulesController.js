@@ -57,11 +57,22 @@ function RulesController() {
     function applyRules(rulesArr, streamProcessor, callback, current, overrideFunc) {
         var values = {};
         var reasons = {};
+        var maxValue = SwitchRequest.NO_CHANGE;
+        var maxValueReason = null;
+        // every answer, kept to explain the merged result
+        var ruleResults = [];
         var rule,
             i;
 
         var rulesCount = rulesArr.length;
         var ln = rulesCount;
+
+        // default rules may have been disabled with no custom rules added
+        if (ln === 0) {
+            callback({ value: current, confidence: SwitchRequest.DEFAULT, reason: {name: 'NO_CHANGE'}, rules: ruleResults});
+            return;
+        }
+
         var rulesContext = getRulesContext(streamProcessor, current);
 
         var callbackFunc = function (result) {
@@ -69,6 +80,19 @@ function RulesController() {
                 reason,
                 confidence;
 
+            ruleResults.push({
+                name: result.reason ? result.reason.name : undefined,
+                value: result.value,
+                priority: result.priority,
+                maxValue: result.maxValue,
+                reason: result.reason
+            });
+
+            if (result.maxValue !== undefined && result.maxValue < maxValue) {
+                maxValue = result.maxValue;
+                maxValueReason = result.reason;
+            }
+
             if (result.value !== SwitchRequest.NO_CHANGE) {
                 var newValue = overrideFunc(values[result.priority], result.value);
                 if (newValue !== values[result.priority]) {
@@ -103,10 +127,21 @@ function RulesController() {
                 confidence = SwitchRequest.DEFAULT;
             }
 
+            // apply the most restrictive limit set by any rule
+            if (maxValue !== SwitchRequest.NO_CHANGE) {
+                if (value !== undefined && value > maxValue) {
+                    value = maxValue;
+                    reason = maxValueReason;
+                } else if (value === undefined && typeof current === 'number' && current > maxValue) {
+                    value = maxValue;
+                    reason = maxValueReason;
+                }
+            }
+
             if (value !== undefined) {
-                callback({ value: value, confidence: confidence, reason: reason});
+                callback({ value: value, confidence: confidence, reason: reason, rules: ruleResults});
             } else {
-                callback({ value: current, confidence: confidence, reason: {name: 'NO_CHANGE'}});
+                callback({ value: current, confidence: confidence, reason: {name: 'NO_CHANGE'}, rules: ruleResults});
             }
 
         };
@@ -47,7 +47,9 @@ function SwitchRequest (v, p, r) {
     let instance = {
         value: value,
         priority: priority,
-        reason: reason
+        reason: reason,
+        // highest value allowed by the rule whatever the other rules request, NO_CHANGE for no limit
+        maxValue: NO_CHANGE
     };
 
     return instance;
@@ -0,0 +1,331 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import FactoryMaker from '../../core/FactoryMaker';
+
+const MOVING_AVERAGE_SLIDING_WINDOW = 'slidingWindow';
+const MOVING_AVERAGE_EWMA = 'ewma';
+
+/**
+ * @module ThroughputHistory
+ * @description Keeps track of the throughput and latency of media segment downloads, per media type,
+ * and provides the estimates used by the ABR rules.
+ * @param {Object} config
+ * @ignore
+ */
+function ThroughputHistory(config) {
+
+    // throughput is kept in kbit/s, latency in milliseconds
+    const MAX_MEASUREMENTS_TO_KEEP = 20;
+    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE = 3;
+    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD = 4;
+    const AVERAGE_LATENCY_SAMPLE_AMOUNT = 4;
+    const HARMONIC_MEAN_SAMPLE_AMOUNT_LIVE = 2;
+    const HARMONIC_MEAN_SAMPLE_AMOUNT_VOD = 3;
+    const THROUGHPUT_DECREASE_SCALE = 1.3;
+    const THROUGHPUT_INCREASE_SCALE = 1.3;
+    // downloads faster than these thresholds (ms) are considered to come from a cache
+    const CACHE_LOAD_THRESHOLD_VIDEO = 50;
+    const CACHE_LOAD_THRESHOLD_AUDIO = 5;
+    // EWMA latency half-lives are expressed in number of samples
+    const EWMA_LATENCY_FAST_HALF_LIFE = 2;
+    const EWMA_LATENCY_SLOW_HALF_LIFE = 5;
+
+    const mediaPlayerModel = config.mediaPlayerModel;
+
+    let throughputDict,
+        throughputWithLatencyDict,
+        latencyDict,
+        sampleStateDict,
+        ewmaThroughputDict,
+        ewmaLatencyDict;
+
+    function setup() {
+        reset();
+    }
+
+    function isCachedResponse(mediaType, downloadTimeInMilliseconds) {
+        if (mediaType === 'video') {
+            return downloadTimeInMilliseconds < CACHE_LOAD_THRESHOLD_VIDEO;
+        } else if (mediaType === 'audio') {
+            return downloadTimeInMilliseconds < CACHE_LOAD_THRESHOLD_AUDIO;
+        }
+        return false;
+    }
+
+    function checkSettingsForMediaType(mediaType) {
+        throughputDict[mediaType] = throughputDict[mediaType] || [];
+        throughputWithLatencyDict[mediaType] = throughputWithLatencyDict[mediaType] || [];
+        latencyDict[mediaType] = latencyDict[mediaType] || [];
+        // whether the samples come from cached responses, or from a previous session
+        sampleStateDict[mediaType] = sampleStateDict[mediaType] || {hasCachedEntries: false, hasSeededEntries: false};
+        ewmaThroughputDict[mediaType] = ewmaThroughputDict[mediaType] || {fastEstimate: 0, slowEstimate: 0, totalWeight: 0};
+        ewmaLatencyDict[mediaType] = ewmaLatencyDict[mediaType] || {fastEstimate: 0, slowEstimate: 0, totalWeight: 0};
+    }
+
+    function clearSettingsForMediaType(mediaType) {
+        delete throughputDict[mediaType];
+        delete throughputWithLatencyDict[mediaType];
+        delete latencyDict[mediaType];
+        delete sampleStateDict[mediaType];
+        delete ewmaThroughputDict[mediaType];
+        delete ewmaLatencyDict[mediaType];
+        checkSettingsForMediaType(mediaType);
+    }
+
+    function updateEwmaEstimate(ewmaObj, value, weight, fastHalfLife, slowHalfLife) {
+        // Estimates start at 0 and are corrected for that in getEwmaEstimate().
+        const fastAlpha = Math.pow(0.5, weight / fastHalfLife);
+        const slowAlpha = Math.pow(0.5, weight / slowHalfLife);
+        ewmaObj.fastEstimate = (1 - fastAlpha) * value + fastAlpha * ewmaObj.fastEstimate;
+        ewmaObj.slowEstimate = (1 - slowAlpha) * value + slowAlpha * ewmaObj.slowEstimate;
+        ewmaObj.totalWeight += weight;
+    }
+
+    function getEwmaEstimates(ewmaObj, fastHalfLife, slowHalfLife) {
+        if (!ewmaObj || ewmaObj.totalWeight <= 0) {
+            return null;
+        }
+        return {
+            fast: ewmaObj.fastEstimate / (1 - Math.pow(0.5, ewmaObj.totalWeight / fastHalfLife)),
+            slow: ewmaObj.slowEstimate / (1 - Math.pow(0.5, ewmaObj.totalWeight / slowHalfLife))
+        };
+    }
+
+    /**
+     * Stores the throughput and latency measured for a completed media segment request.
+     * @param {string} mediaType
+     * @param {HTTPRequest} httpRequest - the HTTPRequest metric of the download
+     * @memberof ThroughputHistory#
+     */
+    function push(mediaType, httpRequest) {
+        if (!httpRequest.trace || !httpRequest.trace.length) {
+            return;
+        }
+
+        const latencyTimeInMilliseconds = (httpRequest.tresponse.getTime() - httpRequest.trequest.getTime()) || 1;
+        const downloadTimeInMilliseconds = (httpRequest._tfinish.getTime() - httpRequest.tresponse.getTime()) || 1; //Make sure never 0 we divide by this value. Avoid infinity!
+        const downloadBytes = httpRequest.trace.reduce((a, b) => a + b.b[0], 0);
+        const throughput = Math.round((8 * downloadBytes) / downloadTimeInMilliseconds); // bits/ms = kbits/s
+
+        checkSettingsForMediaType(mediaType);
+
+        if (sampleStateDict[mediaType].hasSeededEntries) {
+            // the estimates from a previous session only stand in until the first download of this one
+            clearSettingsForMediaType(mediaType);
+        }
+
+        if (isCachedResponse(mediaType, downloadTimeInMilliseconds)) {
+            if (throughputDict[mediaType].length > 0 && !sampleStateDict[mediaType].hasCachedEntries) {
+                // prevent cached fragment loads from skewing the average once we have real measurements
+                return;
+            }
+            // no real measurements yet, keep the cached ones so that the ABR rules have something to go by
+            sampleStateDict[mediaType].hasCachedEntries = true;
+        } else if (sampleStateDict[mediaType].hasCachedEntries) {
+            // first real measurement, drop the cached ones
+            clearSettingsForMediaType(mediaType);
+        }
+
+        throughputDict[mediaType].push(throughput);
+        if (throughputDict[mediaType].length > MAX_MEASUREMENTS_TO_KEEP) {
+            throughputDict[mediaType].shift();
+        }
+
+        // measured from the request to the last byte, i.e. what the download of a segment really takes
+        throughputWithLatencyDict[mediaType].push((8 * downloadBytes) / (latencyTimeInMilliseconds + downloadTimeInMilliseconds));
+        if (throughputWithLatencyDict[mediaType].length > MAX_MEASUREMENTS_TO_KEEP) {
+            throughputWithLatencyDict[mediaType].shift();
+        }
+
+        latencyDict[mediaType].push(latencyTimeInMilliseconds);
+        if (latencyDict[mediaType].length > MAX_MEASUREMENTS_TO_KEEP) {
+            latencyDict[mediaType].shift();
+        }
+
+        const halfLife = mediaPlayerModel.getThroughputEWMAHalfLife();
+        updateEwmaEstimate(ewmaThroughputDict[mediaType], throughput, 0.001 * downloadTimeInMilliseconds, halfLife.fast, halfLife.slow);
+        updateEwmaEstimate(ewmaLatencyDict[mediaType], latencyTimeInMilliseconds, 1, EWMA_LATENCY_FAST_HALF_LIFE, EWMA_LATENCY_SLOW_HALF_LIFE);
+    }
+
+    /**
+     * Seeds the estimates of a media type with a throughput and latency measured in a previous session,
+     * replacing any measurement. The seed is dropped as soon as a media segment download is pushed.
+     * @param {string} mediaType
+     * @param {number} throughput - kbit/s
+     * @param {number} latency - ms, NaN if unknown
+     * @memberof ThroughputHistory#
+     */
+    function seed(mediaType, throughput, latency) {
+        if (isNaN(throughput) || throughput <= 0) {
+            return;
+        }
+
+        clearSettingsForMediaType(mediaType);
+        throughputDict[mediaType].push(throughput);
+        sampleStateDict[mediaType].hasSeededEntries = true;
+
+        const halfLife = mediaPlayerModel.getThroughputEWMAHalfLife();
+        updateEwmaEstimate(ewmaThroughputDict[mediaType], throughput, 1, halfLife.fast, halfLife.slow);
+
+        if (!isNaN(latency) && latency > 0) {
+            latencyDict[mediaType].push(latency);
+            updateEwmaEstimate(ewmaLatencyDict[mediaType], latency, 1, EWMA_LATENCY_FAST_HALF_LIFE, EWMA_LATENCY_SLOW_HALF_LIFE);
+        }
+    }
+
+    function getSlidingWindowSize(isDynamic) {
+        const size = mediaPlayerModel.getThroughputSlidingWindowSize();
+        if (!isNaN(size) && size > 0) {
+            return size;
+        }
+        return isDynamic ? AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE : AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD;
+    }
+
+    function getThroughputSample(mediaType, isDynamic) {
+        const arr = throughputDict[mediaType];
+        let size = Math.min(arr.length, getSlidingWindowSize(isDynamic));
+        const sampleArray = arr.slice(-size);
+
+        // widen the window when throughput varies a lot so that a single outlier has less weight
+        if (sampleArray.length > 1) {
+            sampleArray.reduce((a, b) => {
+                if (a * THROUGHPUT_INCREASE_SCALE <= b || a >= b * THROUGHPUT_DECREASE_SCALE) {
+                    size++;
+                }
+                return b;
+            });
+        }
+        size = Math.min(arr.length, size);
+        return arr.slice(-size);
+    }
+
+    function getAverage(sample) {
+        return sample.reduce((a, b) => a + b, 0) / sample.length;
+    }
+
+    /**
+     * @param {string} mediaType
+     * @param {boolean} isDynamic
+     * @returns {number} The estimated throughput in kbit/s, or NaN when nothing has been measured yet
+     * @memberof ThroughputHistory#
+     */
+    function getAverageThroughput(mediaType, isDynamic) {
+        if (!throughputDict[mediaType] || throughputDict[mediaType].length === 0) {
+            return NaN;
+        }
+
+        if (mediaPlayerModel.getMovingAverageMethod() === MOVING_AVERAGE_EWMA) {
+            const halfLife = mediaPlayerModel.getThroughputEWMAHalfLife();
+            const estimates = getEwmaEstimates(ewmaThroughputDict[mediaType], halfLife.fast, halfLife.slow);
+            // be conservative and pick the lower estimate
+            return estimates ? Math.round(Math.min(estimates.fast, estimates.slow)) : NaN;
+        }
+
+        return Math.round(getAverage(getThroughputSample(mediaType, isDynamic)));
+    }
+
+    /**
+     * @param {string} mediaType
+     * @param {boolean} isDynamic
+     * @returns {number} The estimated throughput in kbit/s reduced by the bandwidth safety factor
+     * @memberof ThroughputHistory#
+     */
+    function getSafeAverageThroughput(mediaType, isDynamic) {
+        const average = getAverageThroughput(mediaType, isDynamic);
+        return isNaN(average) ? NaN : Math.round(average * mediaPlayerModel.getBandwidthSafetyFactor());
+    }
+
+    /**
+     * Harmonic mean of the throughput of the last media segment downloads, measured from the request to the last byte
+     * so that the request latency lowers it. Unlike the other estimates, it is not seeded from a previous session.
+     * @param {string} mediaType
+     * @param {boolean} isDynamic
+     * @returns {number} The estimated throughput in kbit/s, or NaN when nothing has been measured yet
+     * @memberof ThroughputHistory#
+     */
+    function getHarmonicMeanThroughputWithLatency(mediaType, isDynamic) {
+        const arr = throughputWithLatencyDict[mediaType];
+        if (!arr || arr.length === 0) {
+            return NaN;
+        }
+
+        const sample = arr.slice(-(isDynamic ? HARMONIC_MEAN_SAMPLE_AMOUNT_LIVE : HARMONIC_MEAN_SAMPLE_AMOUNT_VOD));
+        return sample.length / sample.reduce((a, b) => a + 1 / b, 0);
+    }
+
+    /**
+     * @param {string} mediaType
+     * @returns {number} The estimated latency (time to first byte) in milliseconds, or NaN when nothing has been measured yet
+     * @memberof ThroughputHistory#
+     */
+    function getAverageLatency(mediaType) {
+        if (!latencyDict[mediaType] || latencyDict[mediaType].length === 0) {
+            return NaN;
+        }
+
+        if (mediaPlayerModel.getMovingAverageMethod() === MOVING_AVERAGE_EWMA) {
+            const estimates = getEwmaEstimates(ewmaLatencyDict[mediaType], EWMA_LATENCY_FAST_HALF_LIFE, EWMA_LATENCY_SLOW_HALF_LIFE);
+            // be conservative and pick the higher estimate
+            return estimates ? Math.round(Math.max(estimates.fast, estimates.slow)) : NaN;
+        }
+
+        return Math.round(getAverage(latencyDict[mediaType].slice(-AVERAGE_LATENCY_SAMPLE_AMOUNT)));
+    }
+
+    function reset() {
+        throughputDict = {};
+        throughputWithLatencyDict = {};
+        latencyDict = {};
+        sampleStateDict = {};
+        ewmaThroughputDict = {};
+        ewmaLatencyDict = {};
+    }
+
+    const instance = {
+        push: push,
+        seed: seed,
+        getAverageThroughput: getAverageThroughput,
+        getSafeAverageThroughput: getSafeAverageThroughput,
+        getHarmonicMeanThroughputWithLatency: getHarmonicMeanThroughputWithLatency,
+        getAverageLatency: getAverageLatency,
+        clearSettingsForMediaType: clearSettingsForMediaType,
+        reset: reset
+    };
+
+    setup();
+    return instance;
+}
+
+ThroughputHistory.__dashjs_factory_name = 'ThroughputHistory';
+let factory = FactoryMaker.getClassFactory(ThroughputHistory);
+factory.MOVING_AVERAGE_SLIDING_WINDOW = MOVING_AVERAGE_SLIDING_WINDOW;
+factory.MOVING_AVERAGE_EWMA = MOVING_AVERAGE_EWMA;
+export default factory;
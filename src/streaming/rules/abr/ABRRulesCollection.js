@@ -34,6 +34,8 @@ import InsufficientBufferRule from './InsufficientBufferRule';
 import AbandonRequestsRule from './AbandonRequestsRule';
 import BolaRule from './BolaRule';
 import BolaAbandonRule from './BolaAbandonRule';
+import DroppedFramesRule from './DroppedFramesRule';
+import SwitchHistoryRule from './SwitchHistoryRule';
 import MediaPlayerModel from '../../models/MediaPlayerModel';
 import MetricsModel from '../../models/MetricsModel';
 import DashMetrics from '../../../dash/DashMetrics';
@@ -58,37 +60,63 @@ function ABRRulesCollection() {
         let dashMetrics = DashMetrics(context).getInstance();
         let mediaPlayerModel = MediaPlayerModel(context).getInstance();
 
-        if (mediaPlayerModel.getBufferOccupancyABREnabled()) {
-            qualitySwitchRules.push(
-                BolaRule(context).create({
-                    metricsModel: metricsModel,
-                    dashMetrics: DashMetrics(context).getInstance()
-                })
-            );
-            abandonFragmentRules.push(
-                BolaAbandonRule(context).create({
-                    metricsModel: metricsModel,
-                    dashMetrics: DashMetrics(context).getInstance()
-                })
-            );
-        } else {
-            qualitySwitchRules.push(
-                ThroughputRule(context).create({
-                    metricsModel: metricsModel,
-                    dashMetrics: dashMetrics
-                })
-            );
-
-            qualitySwitchRules.push(
-                BufferOccupancyRule(context).create({
-                    metricsModel: metricsModel,
-                    dashMetrics: dashMetrics
-                })
-            );
-
-            qualitySwitchRules.push(InsufficientBufferRule(context).create({metricsModel: metricsModel}));
-            abandonFragmentRules.push(AbandonRequestsRule(context).create());
+        if (mediaPlayerModel.getUseDefaultABRRules()) {
+            // in dynamic mode both rule sets are used, each one only taking decisions while its strategy is active
+            const abrStrategy = mediaPlayerModel.getABRStrategy();
+
+            if (abrStrategy !== MediaPlayerModel.ABR_STRATEGY_THROUGHPUT) {
+                qualitySwitchRules.push(
+                    BolaRule(context).create({
+                        metricsModel: metricsModel,
+                        dashMetrics: DashMetrics(context).getInstance()
+                    })
+                );
+                abandonFragmentRules.push(
+                    BolaAbandonRule(context).create({
+                        metricsModel: metricsModel,
+                        dashMetrics: DashMetrics(context).getInstance()
+                    })
+                );
+            }
+
+            if (abrStrategy !== MediaPlayerModel.ABR_STRATEGY_BOLA) {
+                qualitySwitchRules.push(
+                    ThroughputRule(context).create({
+                        metricsModel: metricsModel,
+                        dashMetrics: dashMetrics,
+                        mediaPlayerModel: mediaPlayerModel
+                    })
+                );
+
+                qualitySwitchRules.push(
+                    BufferOccupancyRule(context).create({
+                        metricsModel: metricsModel,
+                        dashMetrics: dashMetrics
+                    })
+                );
+
+                qualitySwitchRules.push(InsufficientBufferRule(context).create({metricsModel: metricsModel}));
+                abandonFragmentRules.push(AbandonRequestsRule(context).create());
+            }
+
+            qualitySwitchRules.push(DroppedFramesRule(context).create({metricsModel: metricsModel}));
+            qualitySwitchRules.push(SwitchHistoryRule(context).create({metricsModel: metricsModel}));
         }
+
+        // add custom ABR rules if any
+        mediaPlayerModel.getABRCustomRules().forEach(function (customRule) {
+            const rule = customRule.rule(context).create({
+                metricsModel: metricsModel,
+                dashMetrics: dashMetrics,
+                mediaPlayerModel: mediaPlayerModel
+            });
+
+            if (customRule.type === QUALITY_SWITCH_RULES) {
+                qualitySwitchRules.push(rule);
+            } else if (customRule.type === ABANDON_FRAGMENT_RULES) {
+                abandonFragmentRules.push(rule);
+            }
+        });
     }
 
     function getRules (type) {
@@ -71,7 +71,7 @@ function AbandonRequestsRule() {
         const req = rulesContext.getCurrentValue().request;
         const switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: AbandonRequestsRule.__dashjs_factory_name});
 
-        if (!isNaN(req.index)) {
+        if (!isNaN(req.index) && !rulesContext.useBufferOccupancyABR()) {
 
             setFragmentRequestDict(mediaType, req.index);
 
@@ -114,9 +114,9 @@ function AbandonRequestsRule() {
 
                     const abrController = rulesContext.getStreamProcessor().getABRController();
                     const bytesRemaining = fragmentInfo.bytesTotal - fragmentInfo.bytesLoaded;
-                    const bitrateList = abrController.getBitrateList(mediaInfo);
+                    const bitrateList = mediaInfo.bitrateList;
                     const newQuality = abrController.getQualityForBitrate(mediaInfo, fragmentInfo.measuredBandwidthInKbps * mediaPlayerModel.getBandwidthSafetyFactor());
-                    const estimateOtherBytesTotal = fragmentInfo.bytesTotal * bitrateList[newQuality].bitrate / bitrateList[abrController.getQualityFor(mediaType, mediaInfo.streamInfo)].bitrate;
+                    const estimateOtherBytesTotal = fragmentInfo.bytesTotal * bitrateList[newQuality].bandwidth / bitrateList[abrController.getQualityFor(mediaType, mediaInfo.streamInfo)].bandwidth;
 
                     if (bytesRemaining > estimateOtherBytesTotal) {
 
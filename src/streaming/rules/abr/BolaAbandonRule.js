@@ -74,6 +74,12 @@ function BolaAbandonRule(config) {
         let request = progressEvent.request;
         let switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: BolaAbandonRule.__dashjs_factory_name});
 
+        if (!rulesContext.useBufferOccupancyABR()) {
+            // the throughput rules are in control
+            callback(switchRequest);
+            return;
+        }
+
         if (metrics.BolaState.length === 0) {
             // should not arrive here - we shouldn't be downloading a fragment before BOLA is initialized
             log('WARNING: executing BolaAbandonRule before initializing BolaRule');
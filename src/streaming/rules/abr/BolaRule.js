@@ -56,9 +56,6 @@ const REBUFFER_SAFETY_FACTOR = 0.5; // Used when buffer level is dangerously low
 
 function BolaRule(config) {
 
-    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE = 2;
-    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD = 3;
-
     const context = this.context;
     const log = Debug(context).getInstance().log;
     const dashMetrics = config.dashMetrics;
@@ -157,7 +154,6 @@ function BolaRule(config) {
 
         initialState.lastQuality           = 0;
         initialState.placeholderBuffer     = 0;
-        initialState.throughputCount       = (isDynamic ? AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE : AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD);
 
         if (BOLA_DEBUG) {
             let info = '';
@@ -179,12 +175,24 @@ function BolaRule(config) {
         return initialState;
     }
 
-    function getQualityFromBufferLevel(bolaState, bufferLevel) {
-        const bitrateCount = bolaState.bitrates.length;
+    // With segment size ABR enabled, the bitrates are replaced by the actual bitrates of the next segment at each
+    // quality, so that the scores reflect what the next download really costs. The utilities still follow @bandwidth.
+    function getNextSegmentBitrates(rulesContext, bolaState) {
+        if (!mediaPlayerModel.getSegmentSizeABREnabled() || isNaN(bolaState.fragmentDuration) || bolaState.fragmentDuration <= 0) {
+            return bolaState.bitrates;
+        }
+
+        const bitrates = bolaState.bitrates.map((b, i) => 8 * rulesContext.getNextSegmentSize(i) / bolaState.fragmentDuration);
+
+        return bitrates.every(b => b > 0) ? bitrates : bolaState.bitrates;
+    }
+
+    function getQualityFromBufferLevel(bolaState, bitrates, bufferLevel) {
+        const bitrateCount = bitrates.length;
         let quality = NaN;
         let score = NaN;
         for (let i = 0; i < bitrateCount; ++i) {
-            let s = (bolaState.Vp * (bolaState.utilities[i] + bolaState.gp) - bufferLevel) / bolaState.bitrates[i];
+            let s = (bolaState.Vp * (bolaState.utilities[i] + bolaState.gp) - bufferLevel) / bitrates[i];
             if (isNaN(score) || s >= score) {
                 score = s;
                 quality = i;
@@ -207,33 +215,24 @@ function BolaRule(config) {
         return httpRequests;
     }
 
-    function getRecentThroughput(metrics, count, mediaType) { // TODO: mediaType only used for debugging, remove it
-        let lastRequests = getLastHttpRequests(metrics, count);
-        if (lastRequests.length === 0) {
-            return 0;
-        }
-
-        let totalInverse = 0;
-        let msg = '';
-        for (let i = 0; i < lastRequests.length; ++i) {
-            // The RTT delay results in a lower throughput. We can avoid this delay in the calculation, but we do not want to.
-            let downloadSeconds = 0.001 * (lastRequests[i]._tfinish.getTime() - lastRequests[i].trequest.getTime());
-            let downloadBits = 8 * lastRequests[i].trace.reduce((prev, cur) => (prev + cur.b[0]), 0);
-            if (BOLA_DEBUG) msg += ' ' + (0.000001 * downloadBits).toFixed(3) + '/' + downloadSeconds.toFixed(3) + '=' + (0.000001 * downloadBits / downloadSeconds).toFixed(3) + 'Mbps';
-            totalInverse += downloadSeconds / downloadBits;
-        }
+    function getRecentThroughput(rulesContext, mediaType) {
+        const streamProcessor = rulesContext.getStreamProcessor();
+        const throughputHistory = streamProcessor.getABRController().getThroughputHistory();
+        // The RTT delay results in a lower throughput. We can avoid this delay in the calculation, but we do not want to.
+        const throughput = throughputHistory.getHarmonicMeanThroughputWithLatency(mediaType, streamProcessor.isDynamic());
 
-        if (BOLA_DEBUG) log('BolaDebug ' + mediaType + ' BolaRule recent throughput = ' + (lastRequests.length / (1000000 * totalInverse)).toFixed(3) + 'Mbps:' + msg);
+        if (BOLA_DEBUG) log('BolaDebug ' + mediaType + ' BolaRule recent throughput = ' + (0.001 * throughput).toFixed(3) + 'Mbps');
 
-        return lastRequests.length / totalInverse;
+        // throughput history is in kbps, BOLA works in bps
+        return isNaN(throughput) ? 0 : 1000 * throughput;
     }
 
-    function getQualityFromThroughput(bolaState, throughput) {
+    function getQualityFromThroughput(bitrates, throughput) {
         // do not factor in bandwidthSafetyFactor here - it is factored at point of function invocation
 
         let q = 0;
 
-        bolaState.bitrates.some(function (value, index) {
+        bitrates.some(function (value, index) {
             if (value > throughput) {
                 return true;
             }
@@ -355,6 +354,7 @@ function BolaRule(config) {
             if (BOLA_DEBUG) log('BolaDebug ' + mediaType + '\nBolaDebug ' + mediaType + ' BolaRule for state=- fragmentStart=' + adapter.getIndexHandlerTime(rulesContext.getStreamProcessor()).toFixed(3));
 
             let initState = calculateInitialState(rulesContext);
+            initState.active = rulesContext.useBufferOccupancyABR();
             metricsModel.updateBolaState(mediaType, initState);
 
             let q = 0;
@@ -363,17 +363,23 @@ function BolaRule(config) {
 
                 eventMediaTypes.push(mediaType);
 
+                if (!initState.active) {
+                    // the throughput rules are in control
+                    callback(switchRequest);
+                    return;
+                }
+
                 // Bola is not invoked by dash.js to determine the bitrate quality for the first fragment. We might estimate the throughput level here, but the metric related to the HTTP request for the first fragment is usually not available.
                 // TODO: at some point, we may want to consider a tweak that redownloads the first fragment at a higher quality
 
-                let initThroughput = getRecentThroughput(metrics, initState.throughputCount, mediaType);
+                let initThroughput = getRecentThroughput(rulesContext, mediaType);
                 if (initThroughput === 0) {
                     // We don't have information about any download yet - let someone else decide quality.
                     if (BOLA_DEBUG) log('BolaDebug ' + mediaType + ' BolaRule quality unchanged for INITIALIZE');
                     callback(switchRequest);
                     return;
                 }
-                q = getQualityFromThroughput(initState, initThroughput * initState.bandwidthSafetyFactor);
+                q = getQualityFromThroughput(getNextSegmentBitrates(rulesContext, initState), initThroughput * initState.bandwidthSafetyFactor);
                 initState.lastQuality = q;
                 switchRequest.value = q;
                 switchRequest.priority = SwitchRequest.DEFAULT;
@@ -396,13 +402,27 @@ function BolaRule(config) {
             return;
         }
 
-        let bitrates = bolaState.bitrates;
+        bolaState.active = rulesContext.useBufferOccupancyABR();
+        if (!bolaState.active) {
+            // The throughput rules are in control. Keep track of call times and restart from the current quality
+            // through the startup state when BOLA takes over, so that the placeholder buffer is computed afresh.
+            getPlaceholderIncrementInSeconds(metrics, mediaType);
+            bolaState.state = BOLA_STATE_STARTUP;
+            bolaState.placeholderBuffer = 0;
+            bolaState.lastQuality = rulesContext.getCurrentValue();
+            metricsModel.updateBolaState(mediaType, bolaState);
+            if (BOLA_DEBUG) log('BolaDebug ' + mediaType + ' BolaRule quality unchanged while inactive');
+            callback(switchRequest);
+            return;
+        }
+
+        let bitrates = getNextSegmentBitrates(rulesContext, bolaState);
         let utilities = bolaState.utilities;
 
         if (BOLA_DEBUG) log('BolaDebug ' + mediaType + '\nBolaDebug ' + mediaType + ' EXECUTE BolaRule for state=' + bolaState.state + ' fragmentStart=' + adapter.getIndexHandlerTime(rulesContext.getStreamProcessor()).toFixed(3));
 
         let bufferLevel = dashMetrics.getCurrentBufferLevel(metrics) ? dashMetrics.getCurrentBufferLevel(metrics) : 0;
-        let recentThroughput = getRecentThroughput(metrics, bolaState.throughputCount, mediaType);
+        let recentThroughput = getRecentThroughput(rulesContext, mediaType);
 
         if (bufferLevel <= 0.1) {
             // rebuffering occurred, reset placeholder buffer
@@ -419,14 +439,14 @@ function BolaRule(config) {
         }
 
         let effectiveBufferLevel = bufferLevel + bolaState.placeholderBuffer;
-        let bolaQuality = getQualityFromBufferLevel(bolaState, effectiveBufferLevel);
+        let bolaQuality = getQualityFromBufferLevel(bolaState, bitrates, effectiveBufferLevel);
 
         if (BOLA_DEBUG) log('BolaDebug ' + mediaType + ' BolaRule bufferLevel=' + bufferLevel.toFixed(3) + '(+' + bolaState.placeholderBuffer.toFixed(3) + '=' + effectiveBufferLevel.toFixed(3) + ') recentThroughput=' + (0.000001 * recentThroughput).toFixed(3) + ' tentativeQuality=' + bolaQuality);
 
         if (bolaState.state === BOLA_STATE_STARTUP) {
             // in startup phase, use some throughput estimation
 
-            let q = getQualityFromThroughput(bolaState, recentThroughput * bolaState.bandwidthSafetyFactor);
+            let q = getQualityFromThroughput(bitrates, recentThroughput * bolaState.bandwidthSafetyFactor);
 
             if (bufferLevel > bolaState.fragmentDuration / REBUFFER_SAFETY_FACTOR) {
                 // only switch to steady state if we believe we have enough buffer to not trigger quality drop to a safeBitrate
@@ -466,7 +486,7 @@ function BolaRule(config) {
         // We implement the "BOLA-O" variant: when network bandwidth lies between two encoded bitrate levels, stick to the lowest level.
         if (bolaQuality > bolaState.lastQuality) {
             // do not multiply throughput by bandwidthSafetyFactor here: we are not using throughput estimation but capping bitrate to avoid oscillations
-            let q = getQualityFromThroughput(bolaState, recentThroughput);
+            let q = getQualityFromThroughput(bitrates, recentThroughput);
             if (bolaQuality > q) {
                 // only intervene if we are trying to *increase* quality to an *unsustainable* level
 
@@ -68,7 +68,8 @@ function BufferOccupancyRule(config) {
         var switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: BufferOccupancyRule.__dashjs_factory_name});
 
         if (now - lastSwitchTime < waitToSwitchTime ||
-            abrController.getAbandonmentStateFor(mediaType) === AbrController.ABANDON_LOAD) {
+            abrController.getAbandonmentStateFor(mediaType) === AbrController.ABANDON_LOAD ||
+            rulesContext.useBufferOccupancyABR()) {
             callback(switchRequest);
             return;
         }
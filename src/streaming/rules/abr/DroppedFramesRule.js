@@ -0,0 +1,196 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2016, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import SwitchRequest from '../SwitchRequest';
+import FactoryMaker from '../../../core/FactoryMaker';
+import MediaPlayerModel from '../../models/MediaPlayerModel';
+import VideoModel from '../../models/VideoModel';
+import EventBus from '../../../core/EventBus';
+import Events from '../../../core/events/Events';
+import Debug from '../../../core/Debug';
+
+// ms, the frames observed count half as much after that time, so that a quality forbidden is tried again
+const FRAMES_HALF_LIFE = 60000;
+
+function DroppedFramesRule(config) {
+
+    const context = this.context;
+    const log = Debug(context).getInstance().log;
+    const eventBus = EventBus(context).getInstance();
+    const metricsModel = config.metricsModel;
+
+    let instance,
+        mediaPlayerModel,
+        videoModel,
+        framesByQuality,
+        renderedQuality,
+        lastTotalFrames,
+        lastDroppedFrames,
+        lastUpdateTime,
+        lastMaxQuality;
+
+    function setup() {
+        mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        videoModel = VideoModel(context).getInstance();
+        resetInitialSettings();
+
+        eventBus.on(Events.PLAYBACK_TIME_UPDATED, onPlaybackTimeUpdated, instance);
+        eventBus.on(Events.QUALITY_CHANGE_RENDERED, onQualityChangeRendered, instance);
+        eventBus.on(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+    }
+
+    function resetInitialSettings() {
+        framesByQuality = [];
+        renderedQuality = NaN;
+        lastTotalFrames = NaN;
+        lastDroppedFrames = NaN;
+        lastUpdateTime = NaN;
+        lastMaxQuality = NaN;
+    }
+
+    function onQualityChangeRendered(e) {
+        if (e.mediaType === 'video') {
+            renderedQuality = e.newQuality;
+        }
+    }
+
+    function onPeriodSwitchCompleted() {
+        // quality indexes of the new period do not refer to the same representations
+        resetInitialSettings();
+    }
+
+    function decayFrames(now) {
+        if (!isNaN(lastUpdateTime)) {
+            const weight = Math.pow(0.5, (now - lastUpdateTime) / FRAMES_HALF_LIFE);
+            framesByQuality.forEach(frames => {
+                if (frames) {
+                    frames.total *= weight;
+                    frames.dropped *= weight;
+                }
+            });
+        }
+        lastUpdateTime = now;
+    }
+
+    function onPlaybackTimeUpdated() {
+        let playbackQuality = videoModel.getElement() ? videoModel.getPlaybackQuality() : null;
+
+        // the webkit fallback does not report the total number of frames so no ratio can be computed
+        if (!playbackQuality || isNaN(playbackQuality.totalVideoFrames)) {
+            return;
+        }
+
+        let totalFrames = playbackQuality.totalVideoFrames;
+        let droppedFrames = playbackQuality.droppedVideoFrames;
+
+        decayFrames(new Date().getTime());
+
+        if (!isNaN(lastTotalFrames) && !isNaN(renderedQuality)) {
+            let totalDelta = totalFrames - lastTotalFrames;
+            let droppedDelta = droppedFrames - lastDroppedFrames;
+
+            // counters go backwards when the video element has been reset, just take the new values as reference
+            if (totalDelta >= 0 && droppedDelta >= 0) {
+                let frames = framesByQuality[renderedQuality] || {total: 0, dropped: 0};
+                frames.total += totalDelta;
+                frames.dropped += droppedDelta;
+                framesByQuality[renderedQuality] = frames;
+            }
+        }
+
+        lastTotalFrames = totalFrames;
+        lastDroppedFrames = droppedFrames;
+    }
+
+    function execute(rulesContext, callback) {
+        const mediaType = rulesContext.getMediaInfo().type;
+        let switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: DroppedFramesRule.__dashjs_factory_name});
+
+        if (mediaType !== 'video') {
+            callback(switchRequest);
+            return;
+        }
+
+        const ratioThreshold = mediaPlayerModel.getDroppedFramesRatioThreshold();
+        const minimumSampleSize = mediaPlayerModel.getDroppedFramesMinimumSampleSize();
+        let maxQuality = NaN;
+        let droppedFrames = 0;
+        let totalFrames = 0;
+
+        // the lowest quality is never forbidden, there would be nothing left to play
+        for (let i = 1; i < framesByQuality.length; i++) {
+            const frames = framesByQuality[i];
+            if (frames && frames.total > minimumSampleSize && frames.dropped / frames.total > ratioThreshold) {
+                maxQuality = i - 1;
+                // the counts are no longer whole numbers once decayed
+                droppedFrames = Math.round(frames.dropped);
+                totalFrames = Math.round(frames.total);
+                break;
+            }
+        }
+
+        if (maxQuality !== lastMaxQuality && !(isNaN(maxQuality) && isNaN(lastMaxQuality))) {
+            if (isNaN(maxQuality)) {
+                metricsModel.addDroppedFramesCap(mediaType, NaN, 0, 0);
+            } else {
+                log('DroppedFramesRule capping quality to index', maxQuality, ', dropped', droppedFrames, 'of', totalFrames, 'frames at index', maxQuality + 1);
+                metricsModel.addDroppedFramesCap(mediaType, maxQuality, droppedFrames, totalFrames);
+            }
+            lastMaxQuality = maxQuality;
+        }
+
+        if (!isNaN(maxQuality)) {
+            switchRequest.maxValue = maxQuality;
+            switchRequest.reason.droppedFrames = droppedFrames;
+            switchRequest.reason.totalFrames = totalFrames;
+        }
+
+        callback(switchRequest);
+    }
+
+    function reset() {
+        eventBus.off(Events.PLAYBACK_TIME_UPDATED, onPlaybackTimeUpdated, instance);
+        eventBus.off(Events.QUALITY_CHANGE_RENDERED, onQualityChangeRendered, instance);
+        eventBus.off(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+        resetInitialSettings();
+    }
+
+    instance = {
+        execute: execute,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+DroppedFramesRule.__dashjs_factory_name = 'DroppedFramesRule';
+export default FactoryMaker.getClassFactory(DroppedFramesRule);
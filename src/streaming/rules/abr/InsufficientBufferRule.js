@@ -64,7 +64,8 @@ function InsufficientBufferRule(config) {
         var switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: InsufficientBufferRule.__dashjs_factory_name});
 
         if (now - lastSwitchTime < waitToSwitchTime ||
-            lastBufferStateVO === null) {
+            lastBufferStateVO === null ||
+            rulesContext.useBufferOccupancyABR()) {
             callback(switchRequest);
             return;
         }
@@ -0,0 +1,164 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2016, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import SwitchRequest from '../SwitchRequest';
+import FactoryMaker from '../../../core/FactoryMaker';
+import EventBus from '../../../core/EventBus';
+import Events from '../../../core/events/Events';
+import Debug from '../../../core/Debug';
+
+const SWITCH_HISTORY_DEPTH = 8; // number of quality decisions remembered per media type
+const SAMPLE_SIZE = 6; // minimum number of decisions before blocking a quality
+const SWITCH_PERCENTAGE_THRESHOLD = 0.075; // ratio of drops over non drops above which a quality is blocked
+
+function SwitchHistoryRule(config) {
+
+    const context = this.context;
+    const log = Debug(context).getInstance().log;
+    const eventBus = EventBus(context).getInstance();
+    const metricsModel = config.metricsModel;
+
+    let instance,
+        historyDict;
+
+    function setup() {
+        historyDict = {};
+        eventBus.on(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+    }
+
+    function onPeriodSwitchCompleted() {
+        // quality indexes of the new period do not refer to the same representations
+        historyDict = {};
+    }
+
+    function push(history, oldQuality, newQuality) {
+        history.switches.push({
+            quality: oldQuality,
+            drop: newQuality < oldQuality,
+            dropSize: Math.max(oldQuality - newQuality, 0)
+        });
+
+        if (history.switches.length > SWITCH_HISTORY_DEPTH) {
+            history.switches.shift();
+        }
+    }
+
+    function seedFromRepresentationSwitches(history, rulesContext) {
+        const metrics = metricsModel.getReadOnlyMetricsFor(rulesContext.getMediaInfo().type);
+        const adaptation = rulesContext.getStreamProcessor().getRepresentationController().getData();
+        if (!metrics || !adaptation || !adaptation.Representation_asArray) return;
+
+        const ids = adaptation.Representation_asArray.map(r => r.id);
+        const repSwitches = metrics.RepSwitchList.slice(-(SWITCH_HISTORY_DEPTH + 1));
+
+        repSwitches.forEach(repSwitch => {
+            const quality = ids.indexOf(repSwitch.to);
+            // switches to representations of another period break the chain
+            if (quality !== -1 && !isNaN(history.lastQuality)) {
+                push(history, history.lastQuality, quality);
+            }
+            history.lastQuality = quality !== -1 ? quality : NaN;
+        });
+    }
+
+    function getHistory(rulesContext) {
+        const mediaType = rulesContext.getMediaInfo().type;
+
+        if (!historyDict[mediaType]) {
+            historyDict[mediaType] = {lastQuality: NaN, switches: []};
+            seedFromRepresentationSwitches(historyDict[mediaType], rulesContext);
+        }
+
+        return historyDict[mediaType];
+    }
+
+    function execute(rulesContext, callback) {
+        const mediaType = rulesContext.getMediaInfo().type;
+        const current = rulesContext.getCurrentValue();
+        const history = getHistory(rulesContext);
+        let switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: SwitchHistoryRule.__dashjs_factory_name});
+
+        // a quality lowered since the last decision was either abandoned or switched away from
+        if (!isNaN(history.lastQuality)) {
+            push(history, history.lastQuality, current);
+        }
+        history.lastQuality = current;
+
+        let stats = [];
+        history.switches.forEach(s => {
+            stats[s.quality] = stats[s.quality] || {drops: 0, noDrops: 0, dropSize: 0};
+            stats[s.quality].drops += s.drop ? 1 : 0;
+            stats[s.quality].noDrops += s.drop ? 0 : 1;
+            stats[s.quality].dropSize += s.dropSize;
+        });
+
+        // drops are accumulated from the lowest quality, the first quality at which they become
+        // significant is blocked together with everything above it
+        let drops = 0;
+        let noDrops = 0;
+        for (let i = 0; i < stats.length; i++) {
+            if (!stats[i]) continue;
+
+            drops += stats[i].drops;
+            noDrops += stats[i].noDrops;
+
+            if (drops + noDrops >= SAMPLE_SIZE && drops / noDrops > SWITCH_PERCENTAGE_THRESHOLD) {
+                // only up-switches are blocked, going down is left to the other rules
+                const maxQuality = Math.max((i > 0 && stats[i].drops > 0) ? i - 1 : i, current);
+
+                switchRequest.maxValue = maxQuality;
+                switchRequest.reason.drops = drops;
+                switchRequest.reason.noDrops = noDrops;
+                switchRequest.reason.dropSize = stats[i].dropSize;
+                log('SwitchHistoryRule blocking switches above quality', maxQuality, 'type:', mediaType, 'drops:', drops, 'noDrops:', noDrops);
+                break;
+            }
+        }
+
+        callback(switchRequest);
+    }
+
+    function reset() {
+        eventBus.off(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, instance);
+        historyDict = {};
+    }
+
+    instance = {
+        execute: execute,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+SwitchHistoryRule.__dashjs_factory_name = 'SwitchHistoryRule';
+export default FactoryMaker.getClassFactory(SwitchHistoryRule);
@@ -31,67 +31,35 @@
 import SwitchRequest from '../SwitchRequest';
 import BufferController from '../../controllers/BufferController';
 import AbrController from '../../controllers/AbrController';
-import MediaPlayerModel from '../../models/MediaPlayerModel';
 import {HTTPRequest} from '../../vo/metrics/HTTPRequest';
 import FactoryMaker from '../../../core/FactoryMaker';
 import Debug from '../../../core/Debug';
 
 function ThroughputRule(config) {
 
-    const MAX_MEASUREMENTS_TO_KEEP = 20;
-    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE = 3;
-    const AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD = 4;
-    const CACHE_LOAD_THRESHOLD_VIDEO = 50;
-    const CACHE_LOAD_THRESHOLD_AUDIO = 5;
-    const THROUGHPUT_DECREASE_SCALE = 1.3;
-    const THROUGHPUT_INCREASE_SCALE = 1.3;
-
     const context = this.context;
     const log = Debug(context).getInstance().log;
     const dashMetrics = config.dashMetrics;
     const metricsModel = config.metricsModel;
+    const mediaPlayerModel = config.mediaPlayerModel;
 
-    let throughputArray,
-        cacheLoadDict,
-        mediaPlayerModel;
+    // Picks the highest quality whose next segment can be downloaded within the segment duration at the given
+    // throughput (kbps). Returns NaN unless the size of the next segment is known for every quality.
+    function getQualityForNextSegmentSize(rulesContext, abrController, throughput) {
+        const fragmentDuration = rulesContext.getTrackInfo().fragmentDuration;
+        const bitrateList = abrController.getBitrateList(rulesContext.getMediaInfo());
 
-    function setup() {
-        throughputArray = [];
-        cacheLoadDict = {audio: {threshold: CACHE_LOAD_THRESHOLD_AUDIO, value: NaN}, video: {threshold: CACHE_LOAD_THRESHOLD_VIDEO, value: NaN}};//threshold is in milliseconds
-        mediaPlayerModel = MediaPlayerModel(context).getInstance();
-    }
+        if (!bitrateList || bitrateList.length === 0 || isNaN(fragmentDuration) || fragmentDuration <= 0) return NaN;
 
-    function storeLastRequestThroughputByType(type, throughput) {
-        throughputArray[type] = throughputArray[type] || [];
-        throughputArray[type].push(throughput);
-    }
-
-    function getSample(type, isDynamic) {
-        let size = Math.min(throughputArray[type].length, isDynamic ? AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_LIVE : AVERAGE_THROUGHPUT_SAMPLE_AMOUNT_VOD);
-        const sampleArray = throughputArray[type].slice(size * -1, throughputArray[type].length);
-        if (sampleArray.length > 1) {
-            sampleArray.reduce((a, b) => {
-                if (a * THROUGHPUT_INCREASE_SCALE <= b || a >= b * THROUGHPUT_DECREASE_SCALE) {
-                    size++;
-                }
-                return b;
-            });
-        }
-        size = Math.min(throughputArray[type].length, size);
-        return throughputArray[type].slice(size * -1, throughputArray[type].length);
-    }
+        const downloadTimes = bitrateList.map(b => 8 * rulesContext.getNextSegmentSize(b.qualityIndex) / (1000 * throughput));
+        if (downloadTimes.some(isNaN)) return NaN;
 
-    function getAverageThroughput(type, isDynamic) {
-        const sample = getSample(type, isDynamic);
-        let averageThroughput = 0;
-        if (sample.length > 0) {
-            const totalSampledValue = sample.reduce((a, b) => a + b, 0);
-            averageThroughput = totalSampledValue / sample.length;
-        }
-        if (throughputArray[type].length >= MAX_MEASUREMENTS_TO_KEEP) {
-            throughputArray[type].shift();
+        for (let i = bitrateList.length - 1; i >= 0; i--) {
+            if (downloadTimes[i] <= fragmentDuration) {
+                return bitrateList[i].qualityIndex;
+            }
         }
-        return (averageThroughput / 1000 ) * mediaPlayerModel.getBandwidthSafetyFactor();
+        return bitrateList[0].qualityIndex;
     }
 
     function execute (rulesContext, callback) {
@@ -107,36 +75,28 @@ function ThroughputRule(config) {
         const bufferStateVO = (metrics.BufferState.length > 0) ? metrics.BufferState[metrics.BufferState.length - 1] : null;
         const switchRequest = SwitchRequest(context).create(SwitchRequest.NO_CHANGE, SwitchRequest.WEAK, {name: ThroughputRule.__dashjs_factory_name});
 
-        if (!metrics || !lastRequest || lastRequest.type !== HTTPRequest.MEDIA_SEGMENT_TYPE || !bufferStateVO ) {
+        if (!metrics || !lastRequest || lastRequest.type !== HTTPRequest.MEDIA_SEGMENT_TYPE || !bufferStateVO || rulesContext.useBufferOccupancyABR()) {
             callback(switchRequest);
             return;
         }
 
-        let downloadTimeInMilliseconds;
-
-        if (lastRequest.trace && lastRequest.trace.length) {
+        const throughput = abrController.getThroughputHistory().getSafeAverageThroughput(mediaType, isDynamic);
 
-            downloadTimeInMilliseconds = lastRequest._tfinish.getTime() - lastRequest.tresponse.getTime() + 1; //Make sure never 0 we divide by this value. Avoid infinity!
-
-            const bytes = lastRequest.trace.reduce((a, b) => a + b.b[0], 0);
-            const lastRequestThroughput = Math.round((bytes * 8) / (downloadTimeInMilliseconds / 1000));
-
-            //Prevent cached fragment loads from skewing the average throughput value - allow first even if cached to set allowance for ABR rules..
-            if (downloadTimeInMilliseconds <= cacheLoadDict[mediaType].threshold) {
-                cacheLoadDict[mediaType].value = lastRequestThroughput / 1000;
-            } else {
-                cacheLoadDict[mediaType].value = NaN;
-                storeLastRequestThroughputByType(mediaType, lastRequestThroughput);
-            }
+        if (isNaN(throughput)) {
+            callback(switchRequest);
+            return;
         }
 
-        const throughput = Math.round(!isNaN(cacheLoadDict[mediaType].value) ? cacheLoadDict[mediaType].value  : getAverageThroughput(mediaType, isDynamic));
-        abrController.setAverageThroughput(mediaType, throughput);
-
         if (abrController.getAbandonmentStateFor(mediaType) !== AbrController.ABANDON_LOAD) {
 
             if (bufferStateVO.state === BufferController.BUFFER_LOADED || isDynamic) {
-                const newQuality = abrController.getQualityForBitrate(mediaInfo, throughput);
+                let newQuality = NaN;
+                if (mediaPlayerModel && mediaPlayerModel.getSegmentSizeABREnabled()) {
+                    newQuality = getQualityForNextSegmentSize(rulesContext, abrController, throughput);
+                }
+                if (isNaN(newQuality)) {
+                    newQuality = abrController.getQualityForBitrate(mediaInfo, throughput);
+                }
                 streamProcessor.getScheduleController().setTimeToLoadDelay(0);
                 switchRequest.value = newQuality;
                 switchRequest.priority = SwitchRequest.DEFAULT;
@@ -153,16 +113,10 @@ function ThroughputRule(config) {
         callback(switchRequest);
     }
 
-    function reset() {
-        setup();
-    }
-
     const instance = {
-        execute: execute,
-        reset: reset
+        execute: execute
     };
 
-    setup();
     return instance;
 }
 
@@ -30,8 +30,12 @@
  */
 import MediaPlayerModel from '../../models/MediaPlayerModel';
 import PlaybackController from '../../controllers/PlaybackController';
+import TrickPlayController from '../../controllers/TrickPlayController';
 import FactoryMaker from '../../../core/FactoryMaker';
 
+// enough to hold the segment at the position shown by each trick play step, s
+const TRICK_PLAY_BUFFER_TARGET = 0.1;
+
 function BufferLevelRule(config) {
 
     const context = this.context;
@@ -40,11 +44,13 @@ function BufferLevelRule(config) {
     const textSourceBuffer = config.textSourceBuffer;
 
     let mediaPlayerModel,
-        playbackController;
+        playbackController,
+        trickPlayController;
 
     function setup() {
         mediaPlayerModel = MediaPlayerModel(context).getInstance();
         playbackController = PlaybackController(context).getInstance();
+        trickPlayController = TrickPlayController(context).getInstance();
     }
 
     function execute(streamProcessor, type, videoTrackPresent) {
@@ -71,6 +77,16 @@ function BufferLevelRule(config) {
             }
         }
 
+        // only the first seconds of media are kept in memory until a video element is attached
+        if (playbackController.isPreloading()) {
+            bufferTarget = Math.min(bufferTarget, mediaPlayerModel.getPreloadTime());
+        }
+
+        // the segments between two trick play steps are skipped
+        if (trickPlayController.isActive()) {
+            bufferTarget = Math.min(bufferTarget, TRICK_PLAY_BUFFER_TARGET);
+        }
+
         return bufferTarget;
     }
 
@@ -0,0 +1,141 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * Keeps the number of bytes appended to a SourceBuffer per media segment time range, so that the buffer can be
+ * held within a byte budget.
+ */
+
+import FactoryMaker from '../../core/FactoryMaker';
+
+function AppendedBytesTracker() {
+
+    let instance,
+        entries;
+
+    function setup() {
+        entries = [];
+    }
+
+    function isInside(time, start, end) {
+        return time >= start && time < end;
+    }
+
+    function getMiddle(entry) {
+        return (entry.start + entry.end) / 2;
+    }
+
+    /**
+     * @param {number} start - s
+     * @param {number} end - s
+     * @param {number} bytes
+     * @memberof AppendedBytesTracker#
+     */
+    function add(start, end, bytes) {
+        const entry = {start: start, end: end, bytes: bytes};
+
+        // the new segment replaces the one it overlaps, e.g. after a quality switch with fast switching
+        entries = entries.filter(e => !isInside(getMiddle(e), start, end) && !isInside(getMiddle(entry), e.start, e.end));
+        entries.push(entry);
+        entries.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * @param {number} start - s
+     * @param {number} end - s
+     * @memberof AppendedBytesTracker#
+     */
+    function remove(start, end) {
+        entries = entries.filter(e => !isInside(getMiddle(e), start, end));
+    }
+
+    /**
+     * Forgets the segments the browser evicted on its own.
+     * @param {TimeRanges} ranges - the ranges still buffered
+     * @memberof AppendedBytesTracker#
+     */
+    function keepBuffered(ranges) {
+        entries = entries.filter(e => {
+            for (let i = 0; ranges && i < ranges.length; i++) {
+                if (isInside(getMiddle(e), ranges.start(i), ranges.end(i))) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * @returns {number} The bytes held by the buffer
+     * @memberof AppendedBytesTracker#
+     */
+    function getTotalBytes() {
+        return entries.reduce((total, e) => total + e.bytes, 0);
+    }
+
+    /**
+     * @param {number} bytes - the bytes to free
+     * @param {number} maxEnd - s, nothing at or after that time can be removed
+     * @returns {number} The time up to which the buffer has to be removed to free the given bytes, as close to it
+     * as possible when maxEnd does not allow it, NaN if nothing can be removed
+     * @memberof AppendedBytesTracker#
+     */
+    function getPruningEnd(bytes, maxEnd) {
+        let freed = 0;
+        let end = NaN;
+
+        for (let i = 0; i < entries.length && freed < bytes && entries[i].end <= maxEnd; i++) {
+            freed += entries[i].bytes;
+            end = entries[i].end;
+        }
+        return end;
+    }
+
+    function reset() {
+        setup();
+    }
+
+    instance = {
+        add: add,
+        remove: remove,
+        keepBuffered: keepBuffered,
+        getTotalBytes: getTotalBytes,
+        getPruningEnd: getPruningEnd,
+        reset: reset
+    };
+
+    setup();
+
+    return instance;
+}
+
+AppendedBytesTracker.__dashjs_factory_name = 'AppendedBytesTracker';
+export default FactoryMaker.getClassFactory(AppendedBytesTracker);
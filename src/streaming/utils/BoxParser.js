@@ -58,8 +58,44 @@ function BoxParser(/*config*/) {
         return dashIsoFile;
     }
 
+    /**
+     * Finds the end of the last top level box of one of the given types which has been entirely received, e.g. to cut
+     * the CMAF chunks ending with an mdat box out of a segment still being loaded.
+     * @param {Array.<string>} types
+     * @param {Uint8Array} data - starting at the beginning of a box
+     * @returns {number} The offset following the box, 0 if there is none
+     * @memberof BoxParser#
+     */
+    function findLastTopIsoBoxCompleted(types, data) {
+        let offset = 0;
+        let lastCompletedOffset = 0;
+
+        while (offset + 8 <= data.length) {
+            let size = ((data[offset] << 24) >>> 0) + (data[offset + 1] << 16) + (data[offset + 2] << 8) + data[offset + 3];
+            const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+
+            if (size === 1) {
+                // 64 bit largesize following the type
+                if (offset + 16 > data.length) break;
+                size = (((data[offset + 8] << 24) >>> 0) + (data[offset + 9] << 16) + (data[offset + 10] << 8) + data[offset + 11]) * Math.pow(2, 32) +
+                    ((data[offset + 12] << 24) >>> 0) + (data[offset + 13] << 16) + (data[offset + 14] << 8) + data[offset + 15];
+            }
+
+            // a size of 0 extends the box to the end of the file, which is not known yet
+            if (size < 8 || offset + size > data.length) break;
+
+            offset += size;
+            if (types.indexOf(type) !== -1) {
+                lastCompletedOffset = offset;
+            }
+        }
+
+        return lastCompletedOffset;
+    }
+
     instance = {
-        parse: parse
+        parse: parse,
+        findLastTopIsoBoxCompleted: findLastTopIsoBoxCompleted
     };
 
     return instance;
@@ -29,14 +29,23 @@
  *  POSSIBILITY OF SUCH DAMAGE.
  */
 import FactoryMaker from '../../core/FactoryMaker';
+import MediaPlayerModel from '../models/MediaPlayerModel';
+
+const DECODING_PROBE_TIMEOUT = 1000;
 
 function Capabilities() {
 
+    let context = this.context;
+
     let instance,
-        encryptedMediaSupported;
+        encryptedMediaSupported,
+        decodingCapabilityProbe,
+        mediaPlayerModel;
 
     function setup() {
         encryptedMediaSupported = false;
+        decodingCapabilityProbe = null;
+        mediaPlayerModel = MediaPlayerModel(context).getInstance();
     }
 
     function supportsMediaSource() {
@@ -61,14 +70,108 @@ function Capabilities() {
     }
 
     function supportsCodec(element, codec) {
+        // there is no video element to ask while preloading
+        if (!element) {
+            const mediaSourceType = window.MediaSource || window.WebKitMediaSource;
+            return !!mediaSourceType && mediaSourceType.isTypeSupported(codec);
+        }
+
         var canPlay = element.canPlayType(codec);
         return (canPlay === 'probably' || canPlay === 'maybe');
     }
 
+    /**
+     * Replaces the default decoding capability probe.
+     *
+     * @param {function} probe - function (config, callback) calling back with true when the device can decode
+     * a representation described by config, see {@link Capabilities#supportsDecoding}. null restores the default probe.
+     */
+    function setDecodingCapabilityProbe(probe) {
+        decodingCapabilityProbe = typeof probe === 'function' ? probe : null;
+    }
+
+    /**
+     * Checks whether the device can decode a representation, beyond the support of its codec.
+     * The default probe applies the decoding capability limits of MediaPlayerModel, then asks
+     * MediaCapabilities.decodingInfo when the user agent implements it. A probe throwing or not answering within
+     * a second is taken for a supported representation, so that it never holds the playback back.
+     *
+     * @param {object} config - {type, contentType, width, height, frameRate, bitrate}, bitrate in bps
+     * @param {function} callback - called once with true if the representation can be decoded
+     */
+    function supportsDecoding(config, callback) {
+        const probe = decodingCapabilityProbe || probeDecodingCapability;
+        let timeout = null;
+        let answered = false;
+
+        const answer = function (supported) {
+            if (answered) return;
+            answered = true;
+            clearTimeout(timeout);
+            callback(supported);
+        };
+
+        timeout = setTimeout(function () {
+            answer(true);
+        }, DECODING_PROBE_TIMEOUT);
+
+        try {
+            probe(config, answer);
+        } catch (e) {
+            answer(true);
+        }
+    }
+
+    function probeDecodingCapability(config, callback) {
+        const limits = mediaPlayerModel.getDecodingCapabilityLimits();
+
+        if (config.type === 'video' && (config.width > limits.width || config.height > limits.height || config.frameRate > limits.frameRate)) {
+            callback(false);
+            return;
+        }
+
+        const mediaConfig = getMediaDecodingConfiguration(config);
+        if (!mediaConfig || typeof navigator === 'undefined' || !navigator.mediaCapabilities || typeof navigator.mediaCapabilities.decodingInfo !== 'function') {
+            callback(true);
+            return;
+        }
+
+        navigator.mediaCapabilities.decodingInfo(mediaConfig).then(function (result) {
+            callback(result.supported);
+        }).catch(function () {
+            // the configuration could not be checked, let the codec support decide
+            callback(true);
+        });
+    }
+
+    function getMediaDecodingConfiguration(config) {
+        if (!config.contentType) return null;
+
+        if (config.type === 'video') {
+            // all video properties are mandatory in a MediaDecodingConfiguration
+            if (isNaN(config.width) || isNaN(config.height) || isNaN(config.frameRate) || isNaN(config.bitrate)) return null;
+
+            return {
+                type: 'media-source',
+                video: {contentType: config.contentType, width: config.width, height: config.height, bitrate: config.bitrate, framerate: config.frameRate}
+            };
+        } else if (config.type === 'audio') {
+            const audio = {contentType: config.contentType};
+            if (!isNaN(config.bitrate)) {
+                audio.bitrate = config.bitrate;
+            }
+            return {type: 'media-source', audio: audio};
+        }
+
+        return null;
+    }
+
     instance = {
         supportsMediaSource: supportsMediaSource,
         supportsEncryptedMedia: supportsEncryptedMedia,
         supportsCodec: supportsCodec,
+        supportsDecoding: supportsDecoding,
+        setDecodingCapabilityProbe: setDecodingCapabilityProbe,
         setEncryptedMediaSupported: setEncryptedMediaSupported
     };
 
@@ -41,6 +41,9 @@ const legacyKeysAndReplacements = [
 
 const LOCAL_STORAGE_BITRATE_KEY_TEMPLATE = 'dashjs_?_bitrate';
 const LOCAL_STORAGE_SETTINGS_KEY_TEMPLATE = 'dashjs_?_settings';
+const LOCAL_STORAGE_THROUGHPUT_KEY = 'dashjs_throughput';
+// throughput estimates are kept for that many origins at most, the least recently updated ones being dropped first
+const MAX_THROUGHPUT_ORIGINS = 10;
 
 const STORAGE_TYPE_LOCAL = 'localStorage';
 const STORAGE_TYPE_SESSION = 'sessionStorage';
@@ -164,6 +167,63 @@ function DOMStorage() {
         return savedBitrate;
     }
 
+    // Returns the non-expired throughput estimates, as {origin: {timestamp, <mediaType>: [kbps, latency ms]}}
+    function getSavedThroughputEntries() {
+        let entries;
+        try {
+            entries = JSON.parse(localStorage.getItem(LOCAL_STORAGE_THROUGHPUT_KEY)) || {};
+        } catch (e) {
+            entries = {};
+        }
+
+        const now = new Date().getTime();
+        const ttl = mediaPlayerModel.getLastThroughputCachingInfo().ttl;
+        Object.keys(entries).forEach(origin => {
+            if (!entries[origin] || (now - parseInt(entries[origin].timestamp, 10)) >= ttl) {
+                delete entries[origin];
+            }
+        });
+
+        return entries;
+    }
+
+    function getSavedThroughput(origin, type) {
+        let saved = null;
+        //Checks local storage to see if the throughput and latency to this origin were measured in a recent session
+        if (canStore(STORAGE_TYPE_LOCAL, 'LastThroughput')) {
+            const entry = getSavedThroughputEntries()[origin];
+            const values = entry ? entry[type] : null;
+
+            if (Array.isArray(values) && values[0] > 0) {
+                saved = {throughput: values[0], latency: values[1] > 0 ? values[1] : NaN};
+                log('Last saved throughput for ' + type + ' from ' + origin + ' was ' + values[0] + ' kbps');
+            }
+        }
+        return saved;
+    }
+
+    function setSavedThroughput(origin, type, throughput, latency) {
+        if (canStore(STORAGE_TYPE_LOCAL, 'LastThroughput') && origin && throughput > 0) {
+            const entries = getSavedThroughputEntries();
+            const entry = entries[origin] || {};
+
+            entry[type] = [Math.round(throughput), isNaN(latency) ? 0 : Math.round(latency)];
+            entry.timestamp = getTimestamp();
+            // keep the entries ordered from the least to the most recently updated
+            delete entries[origin];
+            entries[origin] = entry;
+
+            const origins = Object.keys(entries);
+            origins.slice(0, Math.max(0, origins.length - MAX_THROUGHPUT_ORIGINS)).forEach(o => delete entries[o]);
+
+            try {
+                localStorage.setItem(LOCAL_STORAGE_THROUGHPUT_KEY, JSON.stringify(entries));
+            } catch (e) {
+                log(e.message);
+            }
+        }
+    }
+
     function setSavedMediaSettings(type, value) {
         if (canStore(STORAGE_TYPE_LOCAL, 'LastMediaSettings')) {
             let key = LOCAL_STORAGE_SETTINGS_KEY_TEMPLATE.replace(/\?/, type);
@@ -191,6 +251,8 @@ function DOMStorage() {
         setSavedBitrateSettings: setSavedBitrateSettings,
         getSavedMediaSettings: getSavedMediaSettings,
         setSavedMediaSettings: setSavedMediaSettings,
+        getSavedThroughput: getSavedThroughput,
+        setSavedThroughput: setSavedThroughput,
         isSupported: isSupported
     };
 
@@ -0,0 +1,101 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+import MediaPlayerModel from '../models/MediaPlayerModel';
+import FactoryMaker from '../../core/FactoryMaker';
+
+/**
+ * @module RequestInterceptorChain
+ * @description Passes the requests through the interceptors added with MediaPlayer.addRequestInterceptor(), in the
+ * order they were added, before they are sent.
+ */
+function RequestInterceptorChain() {
+    const context = this.context;
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+
+    let instance;
+
+    /**
+     * Calls callback with the request as modified by the interceptors, synchronously when there is none. An
+     * interceptor resolving nothing leaves the request unchanged.
+     * @param {Object} request - {url, headers, type, mediaType, range}
+     * @param {function} callback - function (request)
+     * @param {function} errorCallback - function (error), called when an interceptor or the callback fails
+     * @memberof module:RequestInterceptorChain
+     * @instance
+     */
+    function intercept(request, callback, errorCallback) {
+        const interceptors = mediaPlayerModel.getRequestInterceptors();
+
+        if (interceptors.length === 0) {
+            callback(request);
+            return;
+        }
+
+        interceptors.reduce(
+            (promise, interceptor) => promise.then(current => Promise.resolve(interceptor(current)).then(modified => modified || current)),
+            Promise.resolve(request)
+        ).then(callback).catch(errorCallback);
+    }
+
+    /**
+     * Intercepts a FragmentRequest or derived type, see intercept(). The interceptors start from the headers of the
+     * request, if it has any.
+     * @param {FragmentRequest} request
+     * @param {function} callback - function ({url, headers, type, mediaType, range})
+     * @param {function} errorCallback - function (error)
+     * @memberof module:RequestInterceptorChain
+     * @instance
+     */
+    function interceptRequest(request, callback, errorCallback) {
+        const headers = {};
+        for (const name in request.headers) {
+            headers[name] = request.headers[name];
+        }
+
+        intercept({
+            url: request.url,
+            headers: headers,
+            type: request.type,
+            mediaType: request.mediaType,
+            range: request.range
+        }, callback, errorCallback);
+    }
+
+    instance = {
+        intercept: intercept,
+        interceptRequest: interceptRequest
+    };
+
+    return instance;
+}
+
+RequestInterceptorChain.__dashjs_factory_name = 'RequestInterceptorChain';
+export default FactoryMaker.getSingletonFactory(RequestInterceptorChain);
@@ -45,6 +45,8 @@ class DataChunk {
         this.start = NaN;
         this.end = NaN;
         this.duration = NaN;
+        // false for a CMAF chunk of a segment still being loaded
+        this.endFragment = true;
     }
 }
 
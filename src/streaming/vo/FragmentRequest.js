@@ -51,10 +51,13 @@ class FragmentRequest {
         this.index = NaN;
         this.availabilityStartTime = null;
         this.availabilityEndTime = null;
+        this.availabilityTimeOffset = 0;
         this.wallStartTime = null;
         this.bytesLoaded = NaN;
         this.bytesTotal = NaN;
         this.delayLoadingTime = NaN;
+        // ms, 0 for no timeout
+        this.timeout = 0;
         this.responseType = 'arraybuffer';
     }
 }
@@ -48,6 +48,7 @@ class MediaInfo {
         this.mimeType = null;
         this.contentProtection = null;
         this.isText = false;
+        this.isTrickMode = false;
         this.KID = null;
         this.bitrateList = null;
     }
@@ -41,6 +41,8 @@ class MetricsList {
         this.BufferState = [];
         this.PlayList = [];
         this.DroppedFrames = [];
+        this.DroppedFramesCap = [];
+        this.AbrDecision = [];
         this.SchedulingInfo = [];
         this.DVRInfo = [];
         this.ManifestUpdate = [];
@@ -0,0 +1,90 @@
+/**
+ * The copyright in this software is being made available under the BSD License,
+ * included below. This software may be subject to other third party and contributor
+ * rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2013, Dash Industry Forum.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification,
+ * are permitted provided that the following conditions are met:
+ *  * Redistributions of source code must retain the above copyright notice, this
+ *  list of conditions and the following disclaimer.
+ *  * Redistributions in binary form must reproduce the above copyright notice,
+ *  this list of conditions and the following disclaimer in the documentation and/or
+ *  other materials provided with the distribution.
+ *  * Neither the name of Dash Industry Forum nor the names of its
+ *  contributors may be used to endorse or promote products derived from this software
+ *  without specific prior written permission.
+ *
+ *  THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS AS IS AND ANY
+ *  EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ *  WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED.
+ *  IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT,
+ *  INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+ *  NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ *  PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY,
+ *  WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ *  ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ *  POSSIBILITY OF SUCH DAMAGE.
+ */
+/**
+ * @class
+ */
+class AbrDecision {
+    /**
+     * @description This Object holds the inputs and the outcome of one evaluation of the ABR rules, so that a quality choice can be explained afterwards.
+     */
+    constructor()
+    {
+        /**
+         * Real-Time | Time at which the rules were evaluated.
+         * @public
+         */
+        this.time = null;
+        /**
+         * 'qualitySwitch' when the quality for the next fragment was evaluated, 'abandon' when a fragment download was abandoned.
+         * @public
+         */
+        this.trigger = null;
+        /**
+         * Quality index in use when the rules were evaluated.
+         * @public
+         */
+        this.currentQuality = null;
+        /**
+         * Quality index chosen, after the merged result has been clamped to the allowed qualities.
+         * @public
+         */
+        this.newQuality = null;
+        /**
+         * One entry per rule that answered, as {name, value, priority, maxValue, reason}. value and maxValue are
+         * SwitchRequest.NO_CHANGE when the rule did not request a quality or a limit.
+         * @public
+         */
+        this.rules = [];
+        /**
+         * Merged result of the rules, as {value, confidence, reason}.
+         * @public
+         */
+        this.result = null;
+        /**
+         * Throughput estimate in kbps available to the rules, before and after the bandwidth safety factor is applied, NaN if unknown.
+         * @public
+         */
+        this.throughput = NaN;
+        this.safeThroughput = NaN;
+        /**
+         * Average request latency in ms, NaN if unknown.
+         * @public
+         */
+        this.latency = NaN;
+        /**
+         * Buffer level in seconds.
+         * @public
+         */
+        this.bufferLevel = 0;
+    }
+}
+
+export default AbrDecision;
@@ -157,6 +157,8 @@ HTTPRequest.INIT_SEGMENT_TYPE = 'InitializationSegment';
 HTTPRequest.INDEX_SEGMENT_TYPE = 'IndexSegment';
 HTTPRequest.MEDIA_SEGMENT_TYPE = 'MediaSegment';
 HTTPRequest.BITSTREAM_SWITCHING_SEGMENT_TYPE = 'BitstreamSwitchingSegment';
+HTTPRequest.TIME_SYNC_TYPE = 'TimeSync';
+HTTPRequest.LICENSE_TYPE = 'License';
 HTTPRequest.OTHER_TYPE = 'other';
 
 export { HTTPRequest, HTTPRequestTrace };
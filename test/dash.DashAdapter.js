@@ -0,0 +1,148 @@
+import DashAdapter from '../src/dash/DashAdapter';
+import DashManifestModel from '../src/dash/models/DashManifestModel';
+import Capabilities from '../src/streaming/utils/Capabilities';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import MpdHelper from './helpers/MPDHelper';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('DashAdapter', function () {
+    const context = {};
+    const adapter = DashAdapter(context).getInstance();
+    const capabilities = Capabilities(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let mpdHelper;
+
+    adapter.setConfig({
+        dashManifestModel: DashManifestModel(context).getInstance(),
+        capabilities: capabilities
+    });
+
+    beforeEach(function () {
+        mpdHelper = new MpdHelper();
+        adapter.initialize();
+    });
+
+    afterEach(function () {
+        capabilities.setDecodingCapabilityProbe(null);
+        mediaPlayerModel.setDecodingCapabilityLimits(null);
+    });
+
+    describe('filterUnsupportedRepresentations', function () {
+        // the test manifest has 5 video representations, from 320x180 to 1280x720 at 25 fps
+
+        it('should keep all representations when no limit is set', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+
+            adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+                expect(filtered).to.be.empty; // jshint ignore:line
+                expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray.length).to.be.equal(5);
+                done();
+            });
+        });
+
+        it('should remove the representations exceeding the decoding capability limits', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+            mediaPlayerModel.setDecodingCapabilityLimits({width: 1024, height: 576});
+
+            adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+                const representations = manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray;
+
+                expect(filtered.length).to.be.equal(1);
+                expect(filtered[0].mediaType).to.be.equal('video');
+                expect(filtered[0].width).to.be.equal(1280);
+                expect(filtered[0].bandwidth).to.be.equal(3000000);
+                expect(representations.length).to.be.equal(4);
+                expect(representations[3].width).to.be.equal(1024);
+                done();
+            });
+        });
+
+        it('should pass the representation properties to a custom probe and wait for its answers', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+            const configs = [];
+            capabilities.setDecodingCapabilityProbe(function (config, callback) {
+                configs.push(config);
+                setTimeout(() => callback(config.bitrate < 1000000), 0);
+            });
+
+            adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+                expect(configs.length).to.be.equal(5);
+                expect(configs[0]).to.deep.equal({
+                    type: 'video',
+                    contentType: 'video/mp4;codecs="avc1.4D400D"',
+                    width: 320,
+                    height: 180,
+                    frameRate: 25,
+                    bitrate: 349952
+                });
+                expect(filtered.map(r => r.bandwidth)).to.deep.equal([1000000, 2000000, 3000000]);
+                expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray.length).to.be.equal(2);
+                done();
+            });
+        });
+
+        it('should keep the representations whose probe does not answer in time', function () {
+            const manifest = mpdHelper.getMpd('static');
+            const clock = sinon.useFakeTimers();
+            let filtered = null;
+            capabilities.setDecodingCapabilityProbe(function (config, callback) {
+                if (config.bitrate < 500000) {
+                    callback(false);
+                }
+            });
+
+            adapter.filterUnsupportedRepresentations(manifest, result => filtered = result);
+            clock.tick(999);
+            expect(filtered).to.be.null; // jshint ignore:line
+
+            clock.tick(1);
+            clock.restore();
+            expect(filtered.map(r => r.bandwidth)).to.deep.equal([349952]);
+            expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray.length).to.be.equal(4);
+        });
+
+        it('should keep the representations whose probe throws', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+            capabilities.setDecodingCapabilityProbe(function (config, callback) {
+                if (config.bitrate > 2500000) {
+                    throw new Error('probe failure');
+                }
+                callback(config.bitrate > 500000);
+            });
+
+            adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+                expect(filtered.map(r => r.bandwidth)).to.deep.equal([349952]);
+                expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray.length).to.be.equal(4);
+                done();
+            });
+        });
+
+        it('should leave an adaptation untouched when none of its representations is supported', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+            capabilities.setDecodingCapabilityProbe((config, callback) => callback(false));
+
+            adapter.filterUnsupportedRepresentations(manifest, function (filtered) {
+                expect(filtered).to.be.empty; // jshint ignore:line
+                expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].Representation_asArray.length).to.be.equal(5);
+                done();
+            });
+        });
+
+        it('should update the bitrate list of the media info', function (done) {
+            const manifest = mpdHelper.getMpd('static');
+            manifest.mediaPresentationDuration = 60;
+            mediaPlayerModel.setDecodingCapabilityLimits({frameRate: 30, height: 400});
+
+            adapter.filterUnsupportedRepresentations(manifest, function () {
+                const streamInfo = adapter.getStreamsInfo(manifest)[0];
+                const mediaInfo = adapter.getMediaInfoForType(manifest, streamInfo, 'video');
+
+                expect(mediaInfo.representationCount).to.be.equal(3);
+                expect(mediaInfo.bitrateList.map(b => b.bandwidth)).to.deep.equal([349952, 600000, 1000000]);
+                done();
+            });
+        });
+    });
+});
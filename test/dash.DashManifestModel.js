@@ -240,4 +240,75 @@ describe('DashManifestModel', function () {
             expect(obj[0].url).to.equal(TEST_URL);                              // jshint ignore:line
         });
     });
+
+    describe('trick mode', () => {
+        const TRICK_MODE_SCHEME_ID_URI = 'http://dashif.org/guidelines/trickmode';
+        let manifest;
+
+        function createAdaptation(id, trickModeValue) {
+            const adaptation = {
+                id: id,
+                mimeType: 'video/mp4',
+                Representation_asArray: [{bandwidth: 1000}]
+            };
+            if (trickModeValue) {
+                adaptation.EssentialProperty_asArray = [{schemeIdUri: TRICK_MODE_SCHEME_ID_URI, value: trickModeValue}];
+            }
+            return adaptation;
+        }
+
+        beforeEach(() => {
+            manifest = {
+                Period_asArray: [{
+                    AdaptationSet_asArray: [createAdaptation('1'), createAdaptation('2'), createAdaptation('3', '2 1')]
+                }]
+            };
+        });
+
+        it('should recognise the AdaptationSets with the trick mode EssentialProperty', () => {
+            const adaptations = manifest.Period_asArray[0].AdaptationSet_asArray;
+
+            expect(dashManifestModel.getIsTrickMode(adaptations[0])).to.be.false; // jshint ignore:line
+            expect(dashManifestModel.getIsTrickMode(adaptations[2])).to.be.true; // jshint ignore:line
+        });
+
+        it('should hide the trick mode AdaptationSets from the AdaptationSets of their type', () => {
+            const adaptations = dashManifestModel.getAdaptationsForType(manifest, 0, 'video');
+
+            expect(adaptations.map(adaptation => adaptation.id)).to.deep.equal(['1', '2']);
+        });
+
+        it('should find the trick mode AdaptationSet referencing an AdaptationSet', () => {
+            const adaptations = manifest.Period_asArray[0].AdaptationSet_asArray;
+            adaptations.push(createAdaptation('4'));
+
+            expect(dashManifestModel.getTrickModeAdaptationFor(manifest, 0, adaptations[0])).to.equal(adaptations[2]);
+            expect(dashManifestModel.getTrickModeAdaptationFor(manifest, 0, adaptations[1])).to.equal(adaptations[2]);
+            expect(dashManifestModel.getTrickModeAdaptationFor(manifest, 0, adaptations[3])).to.be.null; // jshint ignore:line
+        });
+    });
+
+    describe('thumbnails', () => {
+        const imageAdaptation = {
+            contentType: 'image',
+            mimeType: 'image/jpeg',
+            EssentialProperty_asArray: [{schemeIdUri: 'http://dashif.org/thumbnail_tile', value: '10x20'}],
+            Representation_asArray: [{id: 'thumbnails', bandwidth: 10000}]
+        };
+
+        it('should recognise the image AdaptationSets', () => {
+            expect(dashManifestModel.getIsImage(imageAdaptation)).to.be.true; // jshint ignore:line
+            expect(dashManifestModel.getIsVideo(imageAdaptation)).to.be.false; // jshint ignore:line
+        });
+
+        it('should read the grid of thumbnails from the Representation or else its AdaptationSet', () => {
+            const representation = {
+                EssentialProperty_asArray: [{schemeIdUri: 'http://dashif.org/guidelines/thumbnail_tile', value: '5x4'}]
+            };
+
+            expect(dashManifestModel.getThumbnailTiling(imageAdaptation, imageAdaptation.Representation_asArray[0])).to.deep.equal({columns: 10, rows: 20});
+            expect(dashManifestModel.getThumbnailTiling(imageAdaptation, representation)).to.deep.equal({columns: 5, rows: 4});
+            expect(dashManifestModel.getThumbnailTiling({}, {})).to.be.null; // jshint ignore:line
+        });
+    });
 });
@@ -0,0 +1,64 @@
+import SegmentBaseLoader from '../src/dash/SegmentBaseLoader';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import {HTTPRequest} from '../src/streaming/vo/metrics/HTTPRequest';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('SegmentBaseLoader', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const representation = {path: [], adaptation: {type: 'video'}};
+    let segmentBaseLoader,
+        customLoader;
+
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+
+    beforeEach(function () {
+        customLoader = {load: sinon.spy(), abort: sinon.spy()};
+        mediaPlayerModel.setRequestLoader(() => customLoader);
+        segmentBaseLoader = SegmentBaseLoader(context).getInstance();
+        segmentBaseLoader.setConfig({
+            baseURLController: {resolve: () => ({url: 'https://example.com/video.mp4'})},
+            metricsModel: {addHttpRequest: sinon.spy()}
+        });
+        segmentBaseLoader.initialize();
+    });
+
+    afterEach(function () {
+        mediaPlayerModel.setRequestLoader(null);
+    });
+
+    it('should search for the initialization through the request loader', function () {
+        const onInitializationLoaded = sinon.spy();
+        eventBus.on(Events.INITIALIZATION_LOADED, onInitializationLoaded, this);
+
+        segmentBaseLoader.loadInitialization(representation);
+        const config = customLoader.load.firstCall.args[0];
+        config.error(config.request, 'error', 'Not Found');
+
+        expect(config.request.type).to.be.equal(HTTPRequest.INIT_SEGMENT_TYPE);
+        expect(config.request.mediaType).to.be.equal('video');
+        expect(config.request.url).to.be.equal('https://example.com/video.mp4');
+        expect(config.request.range).to.be.equal('0-1500');
+        expect(onInitializationLoaded.calledOnce).to.be.true; // jshint ignore:line
+
+        eventBus.off(Events.INITIALIZATION_LOADED, onInitializationLoaded, this);
+    });
+
+    it('should load the segment index through the request loader', function () {
+        const callback = sinon.spy();
+
+        segmentBaseLoader.loadSegments(representation, 'video', '900-1899', null, callback);
+        const config = customLoader.load.firstCall.args[0];
+        config.error(config.request, 'error', 'Not Found');
+
+        expect(config.request.type).to.be.equal(HTTPRequest.INDEX_SEGMENT_TYPE);
+        expect(config.request.range).to.be.equal('900-1899');
+        expect(callback.calledWith(null, representation, 'video')).to.be.true; // jshint ignore:line
+    });
+});
@@ -88,5 +88,20 @@ describe("TimelineConverter", function () {
             expect(range.end).to.be.equal(49);
             clock.restore();
         });
+
+        it("should make the segments available earlier by the availability time offset", function () {
+
+            var clock = sinon.useFakeTimers(new Date().getTime());
+            representation.adaptation.period.mpd.availabilityStartTime = new Date(new Date().getTime() - representation.adaptation.period.mpd.timeShiftBufferDepth * 1000);
+            representation.availabilityTimeOffset = 0.5;
+
+            expect(timeLineConverter.calcSegmentAvailabilityRange(representation, true).end).to.be.equal(49.5);
+
+            representation.availabilityTimeOffset = Number.POSITIVE_INFINITY;
+            expect(timeLineConverter.calcSegmentAvailabilityRange(representation, true).end).to.be.equal(50);
+
+            representation.availabilityTimeOffset = 0;
+            clock.restore();
+        });
     });
 });
@@ -0,0 +1,469 @@
+import AbrController from '../../src/streaming/controllers/AbrController';
+import BufferController from '../../src/streaming/controllers/BufferController';
+import RulesController from '../../src/streaming/rules/RulesController';
+import ABRRulesCollection from '../../src/streaming/rules/abr/ABRRulesCollection';
+import MediaPlayerModel from '../../src/streaming/models/MediaPlayerModel';
+import MetricsModel from '../../src/streaming/models/MetricsModel';
+import ManifestModel from '../../src/streaming/models/ManifestModel';
+import FragmentModel from '../../src/streaming/models/FragmentModel';
+import TrackInfo from '../../src/streaming/vo/TrackInfo';
+import {HTTPRequest} from '../../src/streaming/vo/metrics/HTTPRequest';
+import XlinkController from '../../src/streaming/controllers/XlinkController';
+import ErrorHandler from '../../src/streaming/utils/ErrorHandler';
+import RequestModifier from '../../src/streaming/utils/RequestModifier';
+import DashAdapter from '../../src/dash/DashAdapter';
+import DashParser from '../../src/dash/parser/DashParser';
+import DashManifestModel from '../../src/dash/models/DashManifestModel';
+import EventBus from '../../src/core/EventBus';
+import Events from '../../src/core/events/Events';
+import MediaPlayerEvents from '../../src/streaming/MediaPlayerEvents';
+import Debug from '../../src/core/Debug';
+
+const fs = require('fs');
+const sinon = require('sinon');
+const DOMParser = require('xmldom').DOMParser;
+
+// Replays a bandwidth trace through the real AbrController, RulesController and ABR rules.
+// Downloads, buffer and playback are simulated for a single media type on a fake clock, so
+// a whole session runs synchronously in a few milliseconds.
+class AbrSimulator {
+
+    // config: {
+    //     manifest: MPD document or the path of an MPD file, parsed by DashParser as the player does,
+    //     trace: [{duration: s, bandwidth: kbps}] or the path of a trace file, see AbrSimulator.parseTrace,
+    //     settings: {ABRStrategy: 'abrBola', ...} applied through MediaPlayerModel (or AbrController) setters,
+    //         array values being passed as the setter arguments,
+    //     customRules: [{type, name, rule}] added with MediaPlayerModel.addABRCustomRule,
+    //     mediaType: 'video' by default,
+    //     latency: ms before the first byte of every request, 50 by default,
+    //     progressInterval: ms between two LOADING_PROGRESS events, 100 by default,
+    //     segmentSize: function (quality, index, nominalSize) returning the size in bytes of a segment, for VBR content.
+    //         When set, the sizes are exposed to the rules as if they had been read from a sidx
+    // }
+    constructor(config) {
+        this.manifest = config.manifest.trim().indexOf('<') === 0 ? config.manifest : fs.readFileSync(config.manifest, 'utf8');
+        this.trace = typeof config.trace === 'string' ? AbrSimulator.loadTrace(config.trace) : config.trace;
+        this.settings = config.settings || {};
+        this.customRules = config.customRules || [];
+        this.mediaType = config.mediaType || 'video';
+        this.latency = config.latency !== undefined ? config.latency : 50;
+        this.progressInterval = config.progressInterval || 100;
+        this.segmentSize = config.segmentSize || null;
+
+        if (!this.trace || this.trace.length === 0) {
+            throw new Error('AbrSimulator needs a non empty bandwidth trace');
+        }
+    }
+
+    // One "<duration in seconds> <bandwidth in kbps>" pair per line, '#' starting a comment.
+    // The trace is looped when the session outlasts it.
+    static parseTrace(text) {
+        return text.split('\n')
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const values = line.split(/\s+/).map(parseFloat);
+                if (values.length !== 2 || isNaN(values[0]) || isNaN(values[1]) || values[0] <= 0) {
+                    throw new Error('invalid trace line: ' + line);
+                }
+                return {duration: values[0], bandwidth: values[1]};
+            });
+    }
+
+    static loadTrace(path) {
+        return AbrSimulator.parseTrace(fs.readFileSync(path, 'utf8'));
+    }
+
+    run() {
+        this.clock = sinon.useFakeTimers(0);
+
+        try {
+            this.setup();
+            return this.simulate();
+        } finally {
+            this.reset();
+            this.clock.restore();
+            this.clock = null;
+        }
+    }
+
+    setup() {
+        const context = {};
+        const type = this.mediaType;
+
+        Events.extend(MediaPlayerEvents);
+        Debug(context).getInstance().setLogToBrowserConsole(false);
+
+        this.eventBus = EventBus(context).getInstance();
+        this.mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        this.metricsModel = MetricsModel(context).getInstance();
+        this.manifest = this.parseManifest(context, this.manifest);
+
+        const dashManifestModel = DashManifestModel(context).getInstance();
+        const adapter = DashAdapter(context).getInstance();
+        adapter.setConfig({dashManifestModel: dashManifestModel});
+        adapter.initialize();
+        this.metricsModel.setConfig({adapter: adapter});
+        ManifestModel(context).getInstance().setValue(this.manifest);
+
+        this.streamInfo = adapter.getStreamsInfo(this.manifest)[0];
+        this.mediaInfo = adapter.getMediaInfoForType(this.manifest, this.streamInfo, type);
+        if (!this.mediaInfo) {
+            throw new Error('no ' + type + ' adaptation in the manifest');
+        }
+
+        const adaptation = dashManifestModel.getAdaptationForIndex(this.mediaInfo.index, this.manifest, this.streamInfo.index);
+        const representations = dashManifestModel.getRepresentationsForAdaptation(this.manifest, adapter.getDataForMedia(this.mediaInfo));
+        this.segmentDuration = representations[0].segmentDuration;
+        this.segmentCount = Math.ceil(this.streamInfo.duration / this.segmentDuration);
+
+        this.customRules.forEach(rule => this.mediaPlayerModel.addABRCustomRule(rule.type, rule.name, rule.rule));
+
+        this.abrController = AbrController(context).getInstance();
+        Object.keys(this.settings).forEach(key => this.applySetting(key, this.settings[key]));
+
+        const abrRulesCollection = ABRRulesCollection(context).getInstance();
+        abrRulesCollection.initialize();
+        const rulesController = RulesController(context).getInstance();
+        rulesController.initialize();
+        rulesController.setConfig({abrRulesCollection: abrRulesCollection});
+
+        this.streamProcessor = this.createStreamProcessor(adaptation);
+        this.bufferController = {
+            getType: () => type,
+            getStreamProcessor: () => this.streamProcessor
+        };
+
+        this.abrController.setConfig({
+            abrRulesCollection: abrRulesCollection,
+            rulesController: rulesController,
+            streamController: {getActiveStreamInfo: () => this.streamInfo}
+        });
+        this.abrController.initialize(type, this.streamProcessor);
+        this.abrController.updateTopQualityIndex(this.mediaInfo);
+
+        this.rulesController = rulesController;
+        this.representations = adaptation.Representation_asArray;
+
+        this.lastSwitchReason = null;
+        this.decisions = [];
+        this.eventBus.on(Events.QUALITY_CHANGE_REQUESTED, this.onQualityChangeRequested, this);
+        this.eventBus.on(Events.ABR_DECISION, this.onAbrDecision, this);
+    }
+
+    // DashParser reads the document with the DOMParser of the browser, xmldom stands in for it
+    parseManifest(context, text) {
+        const previousWindow = global.window;
+
+        this.xlinkController = XlinkController(context).create({
+            errHandler: ErrorHandler(context).getInstance(),
+            metricsModel: this.metricsModel,
+            requestModifier: RequestModifier(context).getInstance()
+        });
+        global.window = {DOMParser: DOMParser, performance: {now: () => Date.now()}};
+
+        try {
+            const manifest = DashParser(context).create().parse(text, this.xlinkController);
+            if (!manifest) {
+                throw new Error('the manifest cannot be parsed');
+            }
+            manifest.url = manifest.originalUrl = 'http://dash.example/abr-simulation.mpd';
+            manifest.loadedTime = new Date();
+            return manifest;
+        } finally {
+            global.window = previousWindow;
+        }
+    }
+
+    onAbrDecision(e) {
+        this.decisions.push(e);
+    }
+
+    onQualityChangeRequested(e) {
+        this.lastSwitchReason = e.reason || null;
+        this.addRepresentationSwitch(e.newQuality);
+    }
+
+    addRepresentationSwitch(quality) {
+        this.metricsModel.addRepresentationSwitch(this.mediaType, new Date(this.now), this.playbackTime * 1000, this.representations[quality].id);
+    }
+
+    applySetting(key, value) {
+        const setter = 'set' + key;
+        const target = typeof this.mediaPlayerModel[setter] === 'function' ? this.mediaPlayerModel : this.abrController;
+
+        if (typeof target[setter] !== 'function') {
+            throw new Error('unknown setting: ' + key);
+        }
+        target[setter].apply(target, Array.isArray(value) ? value : [value]);
+    }
+
+    createStreamProcessor(adaptation) {
+        const simulator = this;
+        let timeToLoadDelay = 0;
+
+        const fragmentModel = {
+            getRequests: filter => {
+                const request = simulator.pendingRequest;
+                return request && filter.state === FragmentModel.FRAGMENT_MODEL_LOADING && request.index === filter.index ? [request] : [];
+            },
+            abortRequests: () => {
+                if (simulator.pendingRequest) {
+                    simulator.pendingRequest.aborted = true;
+                }
+            }
+        };
+
+        const scheduleController = {
+            getFragmentModel: () => fragmentModel,
+            setTimeToLoadDelay: value => {
+                timeToLoadDelay = value;
+            },
+            getTimeToLoadDelay: () => timeToLoadDelay
+        };
+
+        return {
+            getType: () => simulator.mediaType,
+            getStreamInfo: () => simulator.streamInfo,
+            getMediaInfo: () => simulator.mediaInfo,
+            getCurrentRepresentationInfo: () => simulator.getTrackInfo(),
+            getABRController: () => simulator.abrController,
+            getScheduleController: () => scheduleController,
+            getRepresentationController: () => ({
+                getData: () => adaptation,
+                getRepresentationForQuality: quality => ({index: quality})
+            }),
+            getIndexHandler: () => ({
+                getNextSegmentSize: representation => simulator.segmentSize ? simulator.getSegmentSize(representation.index, simulator.nextIndex) : NaN
+            }),
+            isDynamic: () => false
+        };
+    }
+
+    getSegmentSize(quality, index) {
+        const nominalSize = Math.round(this.mediaInfo.bitrateList[quality].bandwidth * this.segmentDuration / 8);
+        return this.segmentSize ? this.segmentSize(quality, index, nominalSize) : nominalSize;
+    }
+
+    getQuality() {
+        return this.abrController.getQualityFor(this.mediaType, this.streamInfo);
+    }
+
+    getTrackInfo() {
+        const trackInfo = new TrackInfo();
+        trackInfo.mediaInfo = this.mediaInfo;
+        trackInfo.quality = this.getQuality();
+        trackInfo.bitrate = this.mediaInfo.bitrateList[trackInfo.quality].bandwidth;
+        trackInfo.fragmentDuration = this.segmentDuration;
+        return trackInfo;
+    }
+
+    simulate() {
+        const type = this.mediaType;
+        const scheduleController = this.streamProcessor.getScheduleController();
+        const segments = [];
+
+        this.now = 0;
+        this.playbackTime = 0;
+        this.bufferLevel = 0;
+        this.playing = false;
+        this.stalled = false;
+        this.stallTime = 0;
+        this.startupDelay = NaN;
+
+        // initial quality, picked from the initial bitrate as RepresentationController does
+        const initialQuality = Math.max(this.abrController.getQualityForBitrate(this.mediaInfo, this.abrController.getInitialBitrateFor(type)),
+            this.abrController.getBottomQualityIndexFor(type, this.streamInfo.id));
+        this.abrController.setPlaybackQuality(type, this.streamInfo, initialQuality);
+        if (initialQuality === 0) {
+            this.addRepresentationSwitch(0);
+        }
+
+        let index = 0;
+        let abandoned = 0;
+        let previousQuality = NaN;
+        while (index < this.segmentCount) {
+            // wait until the buffer has room for one more segment
+            const bufferTarget = this.getBufferTarget();
+            if (this.playing && this.bufferLevel > bufferTarget - this.segmentDuration) {
+                this.advance((this.bufferLevel - bufferTarget + this.segmentDuration) * 1000);
+            }
+
+            this.nextIndex = index;
+            this.abrController.getPlaybackQuality(this.streamProcessor);
+            const delay = scheduleController.getTimeToLoadDelay();
+            if (delay > 0) {
+                scheduleController.setTimeToLoadDelay(0);
+                this.advance(delay);
+            }
+
+            const quality = this.getQuality();
+            const requestTime = this.now;
+            const request = this.download(index, quality);
+            if (request.aborted) {
+                abandoned++;
+                continue;
+            }
+
+            this.append(request);
+            segments.push({
+                index: index,
+                quality: quality,
+                bitrate: Math.round(this.mediaInfo.bitrateList[quality].bandwidth / 1000),
+                requestTime: requestTime / 1000,
+                downloadTime: (this.now - requestTime) / 1000,
+                throughput: Math.round(request.bytesTotal * 8 / (this.now - request.firstByteDate.getTime())),
+                bufferLevel: this.bufferLevel,
+                switchReason: index > 0 && quality !== previousQuality ? this.lastSwitchReason : null
+            });
+            previousQuality = quality;
+            index++;
+        }
+
+        return {
+            segments: segments,
+            decisions: this.decisions,
+            qoe: this.computeQoE(segments, abandoned)
+        };
+    }
+
+    computeQoE(segments, abandoned) {
+        let switches = 0;
+        for (let i = 1; i < segments.length; i++) {
+            if (segments[i].quality !== segments[i - 1].quality) {
+                switches++;
+            }
+        }
+
+        return {
+            averageBitrate: Math.round(segments.reduce((a, s) => a + s.bitrate, 0) / segments.length),
+            switches: switches,
+            stallTime: this.stallTime / 1000,
+            startupDelay: this.startupDelay / 1000,
+            abandonedRequests: abandoned
+        };
+    }
+
+    getBufferTarget() {
+        const atTopQuality = this.getQuality() === this.abrController.getTopQualityIndexFor(this.mediaType, this.streamInfo.id);
+        return atTopQuality ? this.mediaPlayerModel.getBufferTimeAtTopQuality() : this.mediaPlayerModel.getStableBufferTime();
+    }
+
+    // Moves the clock forward, playing the buffer and counting the time spent stalled.
+    advance(ms) {
+        if (ms <= 0) return;
+
+        if (this.playing) {
+            const playable = this.bufferLevel * 1000;
+            if (playable >= ms) {
+                this.bufferLevel = (playable - ms) / 1000;
+                this.playbackTime += ms / 1000;
+            } else {
+                this.bufferLevel = 0;
+                this.playbackTime += playable / 1000;
+                this.stallTime += ms - playable;
+                if (!this.stalled) {
+                    this.stalled = true;
+                    this.metricsModel.addBufferState(this.mediaType, BufferController.BUFFER_EMPTY, this.getBufferTarget());
+                    this.eventBus.trigger(Events.BUFFER_EMPTY, {mediaType: this.mediaType});
+                }
+            }
+        }
+
+        this.now += ms;
+        this.clock.tick(ms);
+    }
+
+    getBandwidthAt(ms) {
+        const traceDuration = this.trace.reduce((a, t) => a + t.duration * 1000, 0);
+        let time = ms % traceDuration;
+        for (let i = 0; i < this.trace.length; i++) {
+            time -= this.trace[i].duration * 1000;
+            if (time < 0) {
+                return this.trace[i].bandwidth;
+            }
+        }
+        return this.trace[this.trace.length - 1].bandwidth;
+    }
+
+    download(index, quality) {
+        const type = this.mediaType;
+        const request = {
+            type: HTTPRequest.MEDIA_SEGMENT_TYPE,
+            mediaType: type,
+            index: index,
+            quality: quality,
+            duration: this.segmentDuration,
+            startTime: index * this.segmentDuration,
+            mediaInfo: this.mediaInfo,
+            bytesTotal: this.getSegmentSize(quality, index),
+            bytesLoaded: 0,
+            requestStartDate: new Date(this.now),
+            firstByteDate: null,
+            aborted: false
+        };
+        const traces = [];
+
+        this.pendingRequest = request;
+        this.advance(this.latency);
+        request.firstByteDate = new Date(this.now);
+
+        while (request.bytesLoaded < request.bytesTotal && !request.aborted) {
+            const bytesPerMs = this.getBandwidthAt(this.now) / 8;
+            const remaining = request.bytesTotal - request.bytesLoaded;
+            const interval = Math.min(this.progressInterval, Math.ceil(remaining / bytesPerMs));
+            const bytes = Math.min(remaining, Math.round(bytesPerMs * interval));
+
+            traces.push({s: new Date(this.now), d: interval, b: [bytes]});
+            this.advance(interval);
+            request.bytesLoaded += bytes;
+
+            if (request.bytesLoaded < request.bytesTotal) {
+                this.eventBus.trigger(Events.LOADING_PROGRESS, {request: request});
+            }
+        }
+        this.pendingRequest = null;
+
+        if (!request.aborted) {
+            this.metricsModel.addHttpRequest(type, null, request.type, 'segment-' + index, null, null, null,
+                request.requestStartDate, request.firstByteDate, new Date(this.now), 200, request.duration, null, traces);
+            this.eventBus.trigger(Events.FRAGMENT_LOADING_COMPLETED, {request: request, response: null, error: null, sender: null});
+        }
+
+        return request;
+    }
+
+    append(request) {
+        const type = this.mediaType;
+
+        this.eventBus.trigger(Events.MEDIA_FRAGMENT_LOADED, {chunk: {mediaInfo: this.mediaInfo, start: request.startTime, quality: request.quality, index: request.index}});
+
+        this.bufferLevel += this.segmentDuration;
+        if (!this.playing) {
+            this.playing = true;
+            this.startupDelay = this.now;
+        }
+        this.stalled = false;
+
+        this.metricsModel.addBufferLevel(type, new Date(this.now), this.bufferLevel * 1000);
+        this.metricsModel.addBufferState(type, BufferController.BUFFER_LOADED, this.getBufferTarget());
+        this.eventBus.trigger(Events.BUFFER_LEVEL_UPDATED, {sender: this.bufferController, bufferLevel: this.bufferLevel});
+    }
+
+    reset() {
+        if (this.xlinkController) {
+            this.xlinkController.reset();
+            this.xlinkController = null;
+        }
+        if (this.rulesController) {
+            this.rulesController.reset();
+            this.rulesController = null;
+        }
+        if (this.eventBus) {
+            this.eventBus.off(Events.QUALITY_CHANGE_REQUESTED, this.onQualityChangeRequested, this);
+            this.eventBus.off(Events.ABR_DECISION, this.onAbrDecision, this);
+        }
+    }
+}
+
+export default AbrSimulator;
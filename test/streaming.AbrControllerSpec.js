@@ -1,8 +1,19 @@
 import SpecHelper from './helpers/SpecHelper';
 import VoHelper from './helpers/VOHelper';
 import AbrController from '../src/streaming/controllers/AbrController';
+import RepresentationBlacklistController from '../src/streaming/controllers/RepresentationBlacklistController';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import MetricsModel from '../src/streaming/models/MetricsModel';
+import ManifestModel from '../src/streaming/models/ManifestModel';
+import DOMStorage from '../src/streaming/utils/DOMStorage';
+import DashAdapter from '../src/dash/DashAdapter';
+import {HTTPRequest} from '../src/streaming/vo/metrics/HTTPRequest';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
 
 const expect = require('chai').expect;
+const sinon = require('sinon');
 
 describe("AbrController", function () {
     const context = {};
@@ -76,6 +87,53 @@ describe("AbrController", function () {
         expect(newQuality).to.be.equal(defaultQuality);
     });
 
+    it("should ignore an attempt to set a quality lower than the minimum allowed representation ratio", function () {
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 2);
+        abrCtrl.setMinAllowedRepresentationRatioFor(testType, 0.5);
+
+        expect(abrCtrl.getBottomQualityIndexFor(testType, dummyMediaInfo.streamInfo.id)).to.be.equal(1);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 0);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(2);
+
+        abrCtrl.reset();
+    });
+
+    it("should switch a manual quality up to a minimum allowed bitrate set afterwards", function () {
+        const streamProcessor = {getMediaInfo: () => dummyMediaInfo};
+
+        abrCtrl.initialize(testType, streamProcessor);
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+        abrCtrl.setAutoSwitchBitrateFor(testType, false);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 0);
+
+        abrCtrl.setMinAllowedBitrateFor(testType, dummyMediaInfo.bitrateList[1].bandwidth / 1000);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(1);
+
+        // a quality above the minimum is kept
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 2);
+        abrCtrl.setMinAllowedRepresentationRatioFor(testType, 0.5);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(2);
+
+        abrCtrl.reset();
+    });
+
+    it("should give precedence to the minimum allowed bitrate over the maximum allowed bitrate", function () {
+        const audioMediaInfo = voHelper.getDummyMediaInfo('audio');
+        const streamProcessor = {getMediaInfo: () => audioMediaInfo};
+
+        abrCtrl.initialize('audio', streamProcessor);
+        abrCtrl.updateTopQualityIndex(audioMediaInfo);
+        abrCtrl.setMinAllowedBitrateFor('audio', 2);
+        expect(abrCtrl.getBottomQualityIndexFor('audio', audioMediaInfo.streamInfo.id)).to.be.equal(1);
+        expect(abrCtrl.getTopQualityIndexFor('audio', audioMediaInfo.streamInfo.id)).to.be.equal(2);
+
+        abrCtrl.setMaxAllowedBitrateFor('audio', 1);
+        expect(abrCtrl.getTopQualityIndexFor('audio', audioMediaInfo.streamInfo.id)).to.be.equal(1);
+
+        abrCtrl.reset();
+    });
+
     it("should compose a list of available bitrates", function () {
         const expectedBitrates = dummyMediaInfo.bitrateList;
         const actualBitrates = abrCtrl.getBitrateList(dummyMediaInfo);
@@ -89,4 +147,203 @@ describe("AbrController", function () {
 
         expect(match.length).to.be.equal(expectedBitrates.length);
     });
+
+    it("should leave the qualities rejected by the representation filter out of the selection", function () {
+        const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        const streamId = dummyMediaInfo.streamInfo.id;
+
+        mediaPlayerModel.setRepresentationFilter(representation => representation.bandwidth !== 2000);
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+
+        expect(abrCtrl.getBitrateList(dummyMediaInfo).map(b => b.qualityIndex)).to.deep.equal([0, 2]);
+        expect(abrCtrl.getQualityForBitrate(dummyMediaInfo, 2.5)).to.be.equal(0);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 1);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(defaultQuality);
+
+        mediaPlayerModel.setRepresentationFilter(representation => representation.width < 1280);
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+        expect(abrCtrl.getTopQualityIndexFor(testType, streamId)).to.be.equal(1);
+
+        mediaPlayerModel.setRepresentationFilter(() => false);
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+        expect(abrCtrl.getTopQualityIndexFor(testType, streamId)).to.be.equal(2);
+
+        mediaPlayerModel.setRepresentationFilter(null);
+        abrCtrl.reset();
+    });
+
+    it("should move away from the current quality when the representation filter changes and rejects it", function () {
+        const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        const streamProcessor = {getMediaInfo: () => dummyMediaInfo};
+
+        abrCtrl.initialize(testType, streamProcessor);
+        abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 2);
+
+        mediaPlayerModel.setRepresentationFilter(representation => representation.height <= 480);
+        abrCtrl.updateRepresentationFilter();
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(1);
+
+        mediaPlayerModel.setRepresentationFilter(null);
+        abrCtrl.reset();
+    });
+
+    it("should move to the closest quality left when the current representation is blacklisted", function () {
+        const blacklistController = RepresentationBlacklistController(context).getInstance();
+        const mediaInfo = voHelper.getDummyMediaInfo(testType);
+        const streamId = mediaInfo.streamInfo.id;
+        const streamProcessor = {getMediaInfo: () => mediaInfo, getStreamInfo: () => mediaInfo.streamInfo};
+
+        Events.extend(MediaPlayerEvents);
+        mediaInfo.bitrateList.forEach((bitrate, quality) => bitrate.id = 'video_' + quality);
+        abrCtrl.setConfig({representationBlacklistController: blacklistController});
+        abrCtrl.initialize(testType, streamProcessor);
+        abrCtrl.updateTopQualityIndex(mediaInfo);
+        abrCtrl.setPlaybackQuality(testType, mediaInfo.streamInfo, 1);
+
+        blacklistController.add(streamId, testType, 'video_1');
+        expect(abrCtrl.getQualityFor(testType, mediaInfo.streamInfo)).to.be.equal(0);
+
+        blacklistController.add(streamId, testType, 'video_0');
+        expect(abrCtrl.getQualityFor(testType, mediaInfo.streamInfo)).to.be.equal(2);
+        expect(abrCtrl.getBitrateList(mediaInfo).map(b => b.qualityIndex)).to.deep.equal([2]);
+
+        // the blacklist is ignored rather than leaving no quality to play
+        blacklistController.add(streamId, testType, 'video_2');
+        expect(abrCtrl.getBitrateList(mediaInfo).length).to.be.equal(3);
+
+        blacklistController.reset();
+        abrCtrl.reset();
+    });
+
+    it("should switch to the throughput measured on the startup downloads before the first media segment once confident enough", function () {
+        const metricsModel = MetricsModel(context).getInstance();
+        const streamProcessor = {
+            getType: () => testType,
+            getStreamInfo: () => dummyMediaInfo.streamInfo,
+            getMediaInfo: () => dummyMediaInfo
+        };
+        const addRequest = function (mediaType, type, bytes, startMs, latencyMs, downloadMs) {
+            const start = new Date(1000000 + startMs);
+            const firstByte = new Date(start.getTime() + latencyMs);
+            metricsModel.addHttpRequest(mediaType, null, type, 'url', null, null, null, start, firstByte,
+                new Date(firstByte.getTime() + downloadMs), 200, null, null, [{s: firstByte, d: downloadMs, b: [bytes]}]);
+        };
+        const startPlayback = function () {
+            abrCtrl.reset();
+            abrCtrl.updateTopQualityIndex(dummyMediaInfo);
+            abrCtrl.setAutoSwitchBitrateFor(testType, true);
+            abrCtrl.getInitialBitrateFor(testType);
+        };
+
+        metricsModel.setConfig({adapter: DashAdapter(context).getInstance()});
+        // the rules never answer, only the startup switch changes the quality
+        abrCtrl.setConfig({abrRulesCollection: {getRules: () => []}, rulesController: {applyRules: () => {}}});
+
+        // only the 10 kB manifest has been downloaded when the initial bitrate is picked
+        addRequest('stream', HTTPRequest.MPD_TYPE, 10000, 0, 60, 40);
+        startPlayback();
+        expect(abrCtrl.getInitialBitrateFor(testType)).to.be.equal(1000);
+
+        // a confidence of 0.2 is not enough to switch
+        abrCtrl.getPlaybackQuality(streamProcessor);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(0);
+
+        // 50 kB in 500 ms, latency included, with the audio and video initialization segments loaded side by side
+        startPlayback();
+        addRequest('video', HTTPRequest.INIT_SEGMENT_TYPE, 30000, 100, 100, 300);
+        addRequest('audio', HTTPRequest.INIT_SEGMENT_TYPE, 10000, 150, 100, 200);
+        addRequest('video', HTTPRequest.MEDIA_SEGMENT_TYPE, 500000, 500, 100, 100);
+        expect(abrCtrl.getStartupThroughput()).to.deep.equal({throughput: 800, confidence: 1});
+
+        abrCtrl.getPlaybackQuality(streamProcessor);
+        expect(abrCtrl.getInitialBitrateFor(testType)).to.be.equal(720);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(2);
+
+        // the switch is only made once
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 1);
+        abrCtrl.getPlaybackQuality(streamProcessor);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(1);
+
+        // the quality set while auto switching is off is kept
+        startPlayback();
+        abrCtrl.setAutoSwitchBitrateFor(testType, false);
+        abrCtrl.setPlaybackQuality(testType, dummyMediaInfo.streamInfo, 1);
+        abrCtrl.getPlaybackQuality(streamProcessor);
+        expect(abrCtrl.getQualityFor(testType, dummyMediaInfo.streamInfo)).to.be.equal(1);
+
+        metricsModel.clearAllCurrentMetrics();
+        abrCtrl.reset();
+    });
+
+    it("should save the throughput estimates at most every 10 seconds and once more on reset", function () {
+        const metricsModel = MetricsModel(context).getInstance();
+        const domStorage = DOMStorage(context).getInstance();
+        const eventBus = EventBus(context).getInstance();
+        const clock = sinon.useFakeTimers(1000000);
+        const loadSegment = function () {
+            const start = new Date();
+            metricsModel.addHttpRequest('audio', null, HTTPRequest.MEDIA_SEGMENT_TYPE, 'url', null, null, null, start, start,
+                new Date(start.getTime() + 100), 200, null, null, [{s: start, d: 100, b: [12500]}]);
+            eventBus.trigger(Events.FRAGMENT_LOADING_COMPLETED, {request: {type: HTTPRequest.MEDIA_SEGMENT_TYPE, mediaType: 'audio'}});
+        };
+
+        Events.extend(MediaPlayerEvents);
+        metricsModel.setConfig({adapter: DashAdapter(context).getInstance()});
+        ManifestModel(context).getInstance().setValue({url: 'https://cdn.example.com/live.mpd'});
+        sinon.stub(domStorage, 'setSavedThroughput');
+        abrCtrl.initialize('audio', {isDynamic: () => false});
+
+        loadSegment();
+        clock.tick(4000);
+        loadSegment();
+        clock.tick(4000);
+        loadSegment();
+        expect(domStorage.setSavedThroughput.calledOnce).to.be.true; // jshint ignore:line
+        expect(domStorage.setSavedThroughput.firstCall.args.slice(0, 3)).to.deep.equal(['https://cdn.example.com', 'audio', 1000]);
+
+        clock.tick(2000);
+        loadSegment();
+        expect(domStorage.setSavedThroughput.calledTwice).to.be.true; // jshint ignore:line
+
+        loadSegment();
+        abrCtrl.reset();
+        expect(domStorage.setSavedThroughput.calledThrice).to.be.true; // jshint ignore:line
+
+        // nothing is left to save
+        abrCtrl.reset();
+        expect(domStorage.setSavedThroughput.calledThrice).to.be.true; // jshint ignore:line
+
+        domStorage.setSavedThroughput.restore();
+        clock.restore();
+        ManifestModel(context).getInstance().setValue(null);
+        metricsModel.clearAllCurrentMetrics();
+    });
+
+    it("should hand control to BOLA and back with hysteresis on buffer level in dynamic mode", function () {
+        const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        const eventBus = EventBus(context).getInstance();
+        const streamProcessor = {};
+        const bufferController = {getType: () => 'audio', getStreamProcessor: () => streamProcessor};
+        const strategies = [];
+        const onStrategyChanged = e => strategies.push(e.strategy);
+
+        Events.extend(MediaPlayerEvents);
+        mediaPlayerModel.setABRStrategy(MediaPlayerModel.ABR_STRATEGY_DYNAMIC);
+        mediaPlayerModel.setStableBufferTime(12);
+        eventBus.on(Events.ABR_STRATEGY_CHANGED, onStrategyChanged, this);
+        abrCtrl.initialize('audio', streamProcessor);
+
+        expect(abrCtrl.getUseBufferOccupancyABRFor('audio')).to.be.false; // jshint ignore:line
+        [8, 12, 8, 5, 8].forEach(bufferLevel => {
+            eventBus.trigger(Events.BUFFER_LEVEL_UPDATED, {sender: bufferController, bufferLevel: bufferLevel});
+        });
+        expect(strategies).to.deep.equal([MediaPlayerModel.ABR_STRATEGY_BOLA, MediaPlayerModel.ABR_STRATEGY_THROUGHPUT]);
+        expect(abrCtrl.getUseBufferOccupancyABRFor('audio')).to.be.false; // jshint ignore:line
+
+        eventBus.off(Events.ABR_STRATEGY_CHANGED, onStrategyChanged, this);
+        mediaPlayerModel.setABRStrategy(MediaPlayerModel.ABR_STRATEGY_THROUGHPUT);
+        mediaPlayerModel.setStableBufferTime(NaN);
+        abrCtrl.reset();
+    });
 });
\ No newline at end of file
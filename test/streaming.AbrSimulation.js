@@ -0,0 +1,178 @@
+import AbrSimulator from './helpers/AbrSimulator';
+import ABRRulesCollection from '../src/streaming/rules/abr/ABRRulesCollection';
+import SwitchRequest from '../src/streaming/rules/SwitchRequest';
+import FactoryMaker from '../src/core/FactoryMaker';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+
+const TRACES_PATH = path.join(__dirname, 'helpers', 'traces');
+const MPD_PATH = path.join(__dirname, 'helpers', 'mpds', 'abr-simulation.mpd');
+
+function FixedQualityRule() {
+    return {
+        execute: (rulesContext, callback) => {
+            callback(SwitchRequest(this.context).create(1, SwitchRequest.STRONG, {name: 'FixedQualityRule'}));
+        }
+    };
+}
+FixedQualityRule.__dashjs_factory_name = 'FixedQualityRule';
+const FixedQualityRuleFactory = FactoryMaker.getClassFactory(FixedQualityRule);
+
+describe('ABR simulation', function () {
+    // 5 video representations from 350 to 3000 kbps, 4s segments
+    function getManifest(duration) {
+        return fs.readFileSync(MPD_PATH, 'utf8').replace(/mediaPresentationDuration="[^"]*"/, 'mediaPresentationDuration="PT' + duration + 'S"');
+    }
+
+    function simulate(traceName, config) {
+        config = config || {};
+        config.manifest = getManifest(config.duration || 120);
+        config.trace = path.join(TRACES_PATH, traceName + '.trace');
+        return new AbrSimulator(config).run();
+    }
+
+    function segmentsBetween(result, start, end) {
+        return result.segments.filter(s => s.requestTime >= start && s.requestTime < end);
+    }
+
+    describe('traces', function () {
+        it('should parse duration and bandwidth pairs, ignoring comments and blank lines', function () {
+            const trace = AbrSimulator.parseTrace('# comment\n10 5000\n\n2.5 800 # drop\n');
+
+            expect(trace).to.deep.equal([{duration: 10, bandwidth: 5000}, {duration: 2.5, bandwidth: 800}]);
+        });
+
+        it('should reject malformed lines', function () {
+            expect(() => AbrSimulator.parseTrace('10')).to.throw(Error);
+            expect(() => AbrSimulator.parseTrace('0 1000')).to.throw(Error);
+        });
+    });
+
+    describe('throughput strategy', function () {
+        it('should reach and keep the top quality on a steady fast network', function () {
+            const result = simulate('stable-5mbps');
+
+            expect(result.segments.length).to.be.equal(30);
+            expect(result.segments[0].quality).to.be.equal(2);
+            expect(result.segments.slice(1).every(s => s.quality === 4)).to.be.true; // jshint ignore:line
+            expect(result.segments[1].switchReason.name).to.be.equal('ThroughputRule');
+            expect(result.qoe.switches).to.be.equal(1);
+            expect(result.qoe.stallTime).to.be.equal(0);
+        });
+
+        it('should switch down when the bandwidth drops and back up once it recovers', function () {
+            const result = simulate('drop-recover', {duration: 150});
+            const duringDrop = segmentsBetween(result, 50, 90);
+            const afterRecovery = segmentsBetween(result, 120, Infinity);
+
+            expect(duringDrop.every(s => s.quality <= 1)).to.be.true; // jshint ignore:line
+            expect(afterRecovery.every(s => s.quality === 4)).to.be.true; // jshint ignore:line
+            expect(result.qoe.abandonedRequests).to.be.above(0);
+        });
+
+        it('should stay on the lowest quality and report stalls when the network is too slow', function () {
+            const result = simulate('outage');
+
+            expect(result.segments.every(s => s.quality === 0)).to.be.true; // jshint ignore:line
+            expect(result.qoe.averageBitrate).to.be.equal(350);
+            expect(result.qoe.switches).to.be.equal(0);
+            expect(result.qoe.stallTime).to.be.above(0);
+        });
+
+        it('should honour the maximum allowed bitrate', function () {
+            const result = simulate('stable-5mbps', {settings: {MaxAllowedBitrateFor: ['video', 1500]}});
+
+            expect(result.segments.every(s => s.bitrate <= 1500)).to.be.true; // jshint ignore:line
+            expect(result.qoe.averageBitrate).to.be.equal(1000);
+        });
+    });
+
+    describe('BOLA strategy', function () {
+        it('should ride through the bandwidth drop on its buffer without stalling', function () {
+            const throughputResult = simulate('drop-recover', {duration: 150});
+            const bolaResult = simulate('drop-recover', {duration: 150, settings: {ABRStrategy: 'abrBola'}});
+
+            expect(throughputResult.qoe.stallTime).to.be.above(0);
+            expect(bolaResult.qoe.stallTime).to.be.equal(0);
+            expect(segmentsBetween(bolaResult, 120, Infinity).every(s => s.quality === 4)).to.be.true; // jshint ignore:line
+        });
+    });
+
+    describe('segment size ABR', function () {
+        // VBR encode whose segments are twice as large as advertised by @bandwidth
+        const segmentSize = (quality, index, nominalSize) => 2 * nominalSize;
+
+        it('should overshoot the network when trusting @bandwidth', function () {
+            const result = simulate('stable-5mbps', {segmentSize: segmentSize});
+
+            expect(result.segments.slice(1).every(s => s.quality === 4)).to.be.true; // jshint ignore:line
+            expect(result.qoe.stallTime).to.be.above(0);
+        });
+
+        it('should pick the quality whose next segment can be downloaded in time with the throughput rules', function () {
+            const result = simulate('stable-5mbps', {segmentSize: segmentSize, settings: {SegmentSizeABREnabled: true}});
+
+            expect(result.segments.slice(1).every(s => s.quality === 3)).to.be.true; // jshint ignore:line
+            expect(result.qoe.stallTime).to.be.equal(0);
+        });
+
+        it('should weigh the qualities by their next segment size with BOLA', function () {
+            const settings = {ABRStrategy: 'abrBola'};
+            const bolaResult = simulate('stable-5mbps', {segmentSize: segmentSize, settings: settings, duration: 240});
+            settings.SegmentSizeABREnabled = true;
+            const sizeAwareResult = simulate('stable-5mbps', {segmentSize: segmentSize, settings: settings, duration: 240});
+
+            expect(bolaResult.segments.some(s => s.quality === 4)).to.be.true; // jshint ignore:line
+            expect(sizeAwareResult.segments.every(s => s.quality <= 3)).to.be.true; // jshint ignore:line
+            expect(sizeAwareResult.qoe.stallTime).to.be.equal(0);
+        });
+
+        it('should fall back to @bandwidth when the segment sizes are unknown', function () {
+            const result = simulate('stable-5mbps', {settings: {SegmentSizeABREnabled: true}});
+
+            expect(result.segments.slice(1).every(s => s.quality === 4)).to.be.true; // jshint ignore:line
+        });
+    });
+
+    describe('decisions', function () {
+        it('should report every evaluation with the answer of each rule', function () {
+            const result = simulate('stable-5mbps');
+            const switchDecisions = result.decisions.filter(d => d.trigger === 'qualitySwitch');
+            const upSwitch = switchDecisions[1];
+            const throughputAnswer = upSwitch.rules.filter(r => r.name === 'ThroughputRule')[0];
+
+            expect(switchDecisions.length).to.be.equal(result.segments.length);
+            expect(upSwitch.currentQuality).to.be.equal(2);
+            expect(upSwitch.newQuality).to.be.equal(4);
+            expect(upSwitch.result.reason.name).to.be.equal('ThroughputRule');
+            expect(upSwitch.rules.length).to.be.equal(5);
+            expect(throughputAnswer.value).to.be.equal(4);
+            expect(throughputAnswer.reason.throughput).to.be.equal(upSwitch.safeThroughput);
+            expect(upSwitch.throughput).to.be.above(upSwitch.safeThroughput);
+            expect(upSwitch.latency).to.be.equal(50);
+            expect(upSwitch.bufferLevel).to.be.equal(4);
+        });
+
+        it('should report the abandoned downloads', function () {
+            const result = simulate('drop-recover', {duration: 150});
+            const abandonDecisions = result.decisions.filter(d => d.trigger === 'abandon');
+
+            expect(abandonDecisions.length).to.be.equal(result.qoe.abandonedRequests);
+            expect(abandonDecisions.every(d => d.newQuality < d.currentQuality)).to.be.true; // jshint ignore:line
+        });
+    });
+
+    describe('custom rules', function () {
+        it('should drive the decisions with a custom rule only', function () {
+            const result = simulate('stable-5mbps', {
+                settings: {UseDefaultABRRules: false},
+                customRules: [{type: ABRRulesCollection.QUALITY_SWITCH_RULES, name: 'fixed', rule: FixedQualityRuleFactory}]
+            });
+
+            expect(result.segments.every(s => s.quality === 1)).to.be.true; // jshint ignore:line
+            expect(result.qoe.averageBitrate).to.be.equal(600);
+        });
+    });
+});
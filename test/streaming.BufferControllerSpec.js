@@ -0,0 +1,331 @@
+import BufferController from '../src/streaming/controllers/BufferController';
+import SourceBufferController from '../src/streaming/controllers/SourceBufferController';
+import PlaybackController from '../src/streaming/controllers/PlaybackController';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import CustomTimeRanges from '../src/streaming/utils/CustomTimeRanges';
+import DataChunk from '../src/streaming/vo/DataChunk';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+
+// keeps the appended segments in memory, rejects them with a QuotaExceededError beyond a number of bytes
+class FakeSourceBufferController {
+    constructor(eventBus, quota) {
+        this.eventBus = eventBus;
+        this.quota = quota;
+        this.segments = [];
+        this.abortedBuffers = [];
+        this.removedBuffers = [];
+    }
+
+    getHeldBytes() {
+        return this.segments.reduce((total, s) => total + s.bytes, 0);
+    }
+
+    createSourceBuffer() {
+        return {buffered: CustomTimeRanges({}).create()};
+    }
+
+    append(buffer, chunk) {
+        // the SourceBuffer-like objects of the player keep the chunks themselves
+        if (buffer.discharge) {
+            buffer.append(chunk.bytes, chunk);
+            this.eventBus.trigger(Events.SOURCEBUFFER_APPEND_COMPLETED, {buffer: buffer, bytes: chunk.bytes});
+            return;
+        }
+        if (this.getHeldBytes() + chunk.bytes.byteLength > this.quota) {
+            this.eventBus.trigger(Events.SOURCEBUFFER_APPEND_COMPLETED, {buffer: buffer, bytes: chunk.bytes, error: {code: SourceBufferController.QUOTA_EXCEEDED_ERROR_CODE}});
+            return;
+        }
+        this.segments.push({start: chunk.start, end: chunk.end, bytes: chunk.bytes.byteLength});
+        buffer.buffered.add(chunk.start, chunk.end);
+        this.eventBus.trigger(Events.SOURCEBUFFER_APPEND_COMPLETED, {buffer: buffer, bytes: chunk.bytes});
+    }
+
+    remove(buffer, start, end) {
+        this.segments = this.segments.filter(s => s.start < start || s.end > end);
+        buffer.buffered.remove(start, end);
+        this.eventBus.trigger(Events.SOURCEBUFFER_REMOVE_COMPLETED, {buffer: buffer, from: start, to: end});
+    }
+
+    abort(mediaSource, buffer) {
+        this.abortedBuffers.push(buffer);
+    }
+
+    removeSourceBuffer(mediaSource, buffer) {
+        this.removedBuffers.push(buffer);
+    }
+
+    getAllRanges(buffer) {
+        return buffer.buffered;
+    }
+
+    getBufferRange(buffer, time) {
+        for (let i = 0; i < buffer.buffered.length; i++) {
+            if (time >= buffer.buffered.start(i) && time < buffer.buffered.end(i)) {
+                return {start: buffer.buffered.start(i), end: buffer.buffered.end(i)};
+            }
+        }
+        return null;
+    }
+
+    getBufferLength(buffer, time) {
+        const range = this.getBufferRange(buffer, time);
+        return range ? range.end - time : 0;
+    }
+
+    getTotalBufferedTime(buffer) {
+        let total = 0;
+        for (let i = 0; i < buffer.buffered.length; i++) {
+            total += buffer.buffered.end(i) - buffer.buffered.start(i);
+        }
+        return total;
+    }
+}
+
+describe('BufferController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const playbackController = PlaybackController(context).getInstance();
+    const streamInfo = {id: 'streamId'};
+    const mediaInfo = {type: 'video', streamInfo: streamInfo};
+    const scheduleController = {getBufferTarget: () => 12, invalidateInitData: () => scheduleController.initDataInvalidated = true};
+    const streamProcessor = {
+        getScheduleController: () => scheduleController,
+        getStreamInfo: () => streamInfo,
+        getMediaInfo: () => mediaInfo,
+        getFragmentModel: () => ({getRequests: () => []}),
+        getRepresentationInfoForQuality: () => ({MSETimeOffset: 0})
+    };
+    let bufferController,
+        sourceBufferController,
+        mediaSourceErrors,
+        events,
+        currentTime;
+
+    function onEvent(e) {
+        events.push(e);
+    }
+
+    // appends the 4s segments of the given sizes from 0s
+    function appendSegments(sizes, processor = streamProcessor) {
+        sizes.forEach((bytes, index) => {
+            const chunk = new DataChunk();
+            chunk.streamId = streamInfo.id;
+            chunk.mediaInfo = mediaInfo;
+            chunk.index = index;
+            chunk.quality = 0;
+            chunk.start = index * 4;
+            chunk.end = chunk.start + 4;
+            chunk.bytes = new Uint8Array(bytes);
+            eventBus.trigger(Events.MEDIA_FRAGMENT_LOADED, {chunk: chunk, fragmentModel: processor.getFragmentModel()});
+        });
+    }
+
+    function getAppendedIndexes() {
+        return events.filter(e => e.type === Events.BYTES_APPENDED).map(e => e.index);
+    }
+
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+    playbackController.getTime = () => currentTime;
+
+    function createBufferController(processor, mediaSource) {
+        const controller = BufferController(context).create({
+            metricsModel: {addBufferState: () => {}, addBufferLevel: () => {}},
+            manifestModel: {getValue: () => ({})},
+            adapter: {getEventsFor: () => []},
+            sourceBufferController: sourceBufferController,
+            errHandler: {mediaSourceError: error => mediaSourceErrors.push(error)},
+            streamController: {getActiveStreamInfo: () => streamInfo}
+        });
+        controller.initialize('video', mediaSource, processor);
+        return controller;
+    }
+
+    function setup(quota, mediaSource) {
+        const fragmentModel = streamProcessor.getFragmentModel();
+        streamProcessor.getFragmentModel = () => fragmentModel;
+        sourceBufferController = new FakeSourceBufferController(eventBus, quota);
+        bufferController = createBufferController(streamProcessor, mediaSource === undefined ? {readyState: 'open'} : mediaSource);
+        bufferController.createBuffer(mediaInfo);
+    }
+
+    beforeEach(function () {
+        events = [];
+        mediaSourceErrors = [];
+        currentTime = 9;
+        scheduleController.initDataInvalidated = false;
+        [Events.BYTES_APPENDED, Events.QUOTA_EXCEEDED, Events.BUFFER_CLEARED].forEach(type => eventBus.on(type, onEvent, this));
+    });
+
+    afterEach(function () {
+        [Events.BYTES_APPENDED, Events.QUOTA_EXCEEDED, Events.BUFFER_CLEARED].forEach(type => eventBus.off(type, onEvent, this));
+        bufferController.reset(true);
+        mediaPlayerModel.setBufferByteBudgetFor('video', 100 * 1024 * 1024);
+    });
+
+    it('should remove the back-buffer before appending a segment that would exceed the byte budget', function () {
+        mediaPlayerModel.setBufferByteBudgetFor('video', 1000);
+        setup(Infinity);
+
+        appendSegments([300, 300, 300, 300]);
+
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2, 3]);
+        expect(events.filter(e => e.type === Events.BUFFER_CLEARED).map(e => [e.from, e.to])).to.deep.equal([[0, 4]]);
+        expect(sourceBufferController.getHeldBytes()).to.be.equal(900);
+        expect(events.some(e => e.type === Events.QUOTA_EXCEEDED)).to.be.false; // jshint ignore:line
+    });
+
+    it('should append the segment rejected with a QuotaExceededError again once the back-buffer is removed', function () {
+        mediaPlayerModel.setBufferByteBudgetFor('video', NaN);
+        setup(1000);
+
+        appendSegments([300, 300, 300, 300, 300]);
+
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(events.filter(e => e.type === Events.QUOTA_EXCEEDED).length).to.be.above(0);
+        // the bytes held when the quota was reached are the budget from then on
+        expect(events.filter(e => e.type === Events.BUFFER_CLEARED).map(e => [e.from, e.to])).to.deep.equal([[0, 4], [4, 8]]);
+        expect(sourceBufferController.getHeldBytes()).to.be.equal(900);
+        expect(mediaSourceErrors).to.be.empty; // jshint ignore:line
+    });
+
+    it('should wait for playback to make room when there is no back-buffer to remove', function () {
+        currentTime = 0;
+        setup(1000);
+
+        appendSegments([300, 300, 300, 300]);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2]);
+
+        currentTime = 5;
+        eventBus.trigger(Events.PLAYBACK_TIME_UPDATED);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2, 3]);
+        expect(mediaSourceErrors).to.be.empty; // jshint ignore:line
+    });
+
+    it('should not append the segment waiting for room once the buffer is cleared', function () {
+        currentTime = 0;
+        setup(1000);
+
+        appendSegments([300, 300, 300, 300]);
+        bufferController.clearAllBuffer();
+
+        expect(events.filter(e => e.type === Events.BUFFER_CLEARED).map(e => [e.from, e.to])).to.deep.equal([[0, 12]]);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2]);
+    });
+
+    it('should drop the segment waiting for room on a seek', function () {
+        currentTime = 0;
+        setup(1000);
+
+        appendSegments([300, 300, 300, 300]);
+        currentTime = 30;
+        eventBus.trigger(Events.PLAYBACK_SEEKING, {seekTime: 30});
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2]);
+
+        // the segments requested from the seek target are appended
+        appendSegments([300]);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2, 0]);
+    });
+
+    it('should drop the segment waiting for room once the SourceBuffer is handed over to the next stream', function () {
+        currentTime = 0;
+        setup(1000);
+
+        appendSegments([300, 300, 300, 300]);
+        const nextBufferController = createBufferController(streamProcessor, {readyState: 'open'});
+        nextBufferController.createBuffer(mediaInfo, {video: bufferController.handOverBuffer()});
+        currentTime = 5;
+        eventBus.trigger(Events.PLAYBACK_TIME_UPDATED);
+        nextBufferController.reset(true);
+
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 2]);
+    });
+
+    it('should raise a media source error when a single segment does not fit', function () {
+        setup(200);
+
+        appendSegments([300]);
+
+        expect(getAppendedIndexes()).to.be.empty; // jshint ignore:line
+        expect(mediaSourceErrors.length).to.be.equal(1);
+    });
+
+    it('should keep the segments in memory while preloading and append them once switched to a MediaSource', function () {
+        setup(Infinity, null);
+
+        appendSegments([300, 300]);
+
+        expect(getAppendedIndexes()).to.deep.equal([0, 1]);
+        expect(sourceBufferController.segments).to.be.empty; // jshint ignore:line
+        expect(bufferController.getBufferLevel()).to.be.equal(8);
+
+        currentTime = 1;
+        bufferController.switchToMediaSource({readyState: 'open'});
+
+        expect(sourceBufferController.segments.map(s => s.start)).to.deep.equal([0, 4]);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1]);
+        expect(bufferController.getBufferLevel()).to.be.equal(7);
+
+        appendSegments([300, 300, 300]);
+        expect(getAppendedIndexes()).to.deep.equal([0, 1, 0, 1, 2]);
+    });
+
+    describe('when the next stream is prebuffered', function () {
+        const nextStreamInfo = {id: 'nextStreamId'};
+        const nextFragmentModel = {getRequests: () => []};
+        const nextStreamProcessor = Object.assign({}, streamProcessor, {
+            getStreamInfo: () => nextStreamInfo,
+            getFragmentModel: () => nextFragmentModel,
+            getRepresentationInfoForQuality: () => ({MSETimeOffset: 20})
+        });
+        let nextBufferController;
+
+        function getAppendingControllers() {
+            return events.filter(e => e.type === Events.BYTES_APPENDED).map(e => e.sender);
+        }
+
+        beforeEach(function () {
+            setup(Infinity);
+            appendSegments([300, 300]);
+
+            nextBufferController = createBufferController(nextStreamProcessor, {readyState: 'open'});
+            nextBufferController.createBuffer(mediaInfo, {video: bufferController.handOverBuffer()});
+        });
+
+        afterEach(function () {
+            nextBufferController.reset(true);
+        });
+
+        it('should append the segments of the next stream to the SourceBuffer handed over', function () {
+            const buffer = bufferController.getBuffer();
+
+            expect(nextBufferController.getBuffer()).to.be.equal(buffer);
+            expect(buffer.timestampOffset).to.be.equal(20);
+
+            appendSegments([300], nextStreamProcessor);
+            bufferController.reset();
+
+            expect(getAppendingControllers()).to.deep.equal([bufferController, bufferController, nextBufferController]);
+            expect(sourceBufferController.removedBuffers).to.be.empty; // jshint ignore:line
+        });
+
+        it('should append to the SourceBuffer again once it is reclaimed from the next stream', function () {
+            const buffer = bufferController.getBuffer();
+
+            bufferController.reclaimBuffer();
+            nextBufferController.handOverBuffer();
+            appendSegments([300]);
+
+            expect(buffer.timestampOffset).to.be.equal(0);
+            expect(sourceBufferController.abortedBuffers).to.deep.equal([buffer]);
+            expect(scheduleController.initDataInvalidated).to.be.true; // jshint ignore:line
+            expect(getAppendingControllers()).to.deep.equal([bufferController, bufferController, bufferController]);
+        });
+    });
+});
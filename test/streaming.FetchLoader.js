@@ -0,0 +1,183 @@
+import FetchLoader from '../src/streaming/FetchLoader';
+import {HTTPRequest} from '../src/streaming/vo/metrics/HTTPRequest';
+import FragmentRequest from '../src/streaming/vo/FragmentRequest';
+import TextRequest from '../src/streaming/vo/TextRequest';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('FetchLoader', function () {
+    const context = {};
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let fetchLoader,
+        metricsModel,
+        request,
+        reads,
+        status,
+        fetchInit,
+        previousFetch;
+
+    function box(type, size) {
+        const data = new Uint8Array(size);
+        data.set([size >>> 24, (size >>> 16) & 0xff, (size >>> 8) & 0xff, size & 0xff]);
+        data.set(type.split('').map(c => c.charCodeAt(0)), 4);
+        return data;
+    }
+
+    function concat(boxes) {
+        const data = new Uint8Array(boxes.reduce((length, b) => length + b.length, 0));
+        boxes.reduce((offset, b) => {
+            data.set(b, offset);
+            return offset + b.length;
+        }, 0);
+        return data;
+    }
+
+    function fakeFetch(url, init) {
+        fetchInit = init;
+        return Promise.resolve({
+            ok: status >= 200 && status <= 299,
+            status: status,
+            statusText: status === 200 ? 'OK' : 'Not Found',
+            url: url,
+            headers: {get: () => null, forEach: callback => callback('text/xml', 'content-type')},
+            body: {
+                getReader: () => ({
+                    read: () => {
+                        const value = reads.shift();
+                        return value instanceof Error ? Promise.reject(value) : Promise.resolve(value ? {done: false, value: value} : {done: true});
+                    }
+                })
+            }
+        });
+    }
+
+    beforeEach(function () {
+        previousFetch = global.fetch;
+        global.fetch = fakeFetch;
+        status = 200;
+        metricsModel = {addHttpRequest: sinon.spy()};
+        fetchLoader = FetchLoader(context).create({
+            metricsModel: metricsModel,
+            requestModifier: {
+                modifyRequestURL: url => url + '?token=1',
+                modifyRequestHeader: xhr => {
+                    xhr.setRequestHeader('Authorization', 'Bearer 1');
+                    return xhr;
+                }
+            }
+        });
+        request = new FragmentRequest();
+        request.type = HTTPRequest.MEDIA_SEGMENT_TYPE;
+        request.url = 'https://example.com/video/10.m4s';
+    });
+
+    afterEach(function () {
+        global.fetch = previousFetch;
+    });
+
+    it('should hand over the complete moof/mdat pairs as they arrive', function (done) {
+        const segment = concat([box('styp', 16), box('moof', 24), box('mdat', 40), box('moof', 24), box('mdat', 40)]);
+        const chunks = [];
+        reads = [segment.slice(0, 50), segment.slice(50, 90), segment.slice(90, 130), segment.slice(130)];
+
+        fetchLoader.load({
+            request: request,
+            chunkLoaded: data => chunks.push(data.byteLength),
+            success: data => {
+                expect(chunks).to.deep.equal([80, 64]);
+                expect(data.byteLength).to.be.equal(0);
+                expect(request.bytesLoaded).to.be.equal(144);
+                expect(metricsModel.addHttpRequest.calledOnce).to.be.true; // jshint ignore:line
+                expect(metricsModel.addHttpRequest.firstCall.args[13]).to.have.lengthOf(4);
+                done();
+            }
+        });
+    });
+
+    it('should deliver the whole response when not loading chunks', function (done) {
+        const segment = concat([box('moof', 24), box('mdat', 40)]);
+        reads = [segment.slice(0, 30), segment.slice(30)];
+
+        fetchLoader.load({
+            request: request,
+            success: data => {
+                expect(new Uint8Array(data)).to.deep.equal(segment);
+                done();
+            }
+        });
+    });
+
+    it('should type the response as XMLHttpRequest would and apply the request modifier', function (done) {
+        const manifest = '<MPD type="static"/>';
+        reads = [new Uint8Array(manifest.split('').map(c => c.charCodeAt(0)))];
+
+        fetchLoader.load({
+            request: new TextRequest('https://example.com/manifest.mpd', HTTPRequest.MPD_TYPE),
+            success: (data, statusText, xhr) => {
+                expect(data).to.be.equal(manifest);
+                expect(xhr.responseURL).to.be.equal('https://example.com/manifest.mpd?token=1');
+                expect(xhr.getAllResponseHeaders()).to.be.equal('content-type: text/xml\r\n');
+                expect(fetchInit.headers).to.deep.equal({Authorization: 'Bearer 1'});
+                done();
+            }
+        });
+    });
+
+    it('should report a failed download once the attempts are exhausted', function (done) {
+        status = 404;
+        mediaPlayerModel.setRetryAttemptsForType(HTTPRequest.MEDIA_SEGMENT_TYPE, 0);
+
+        fetchLoader.load({
+            request: request,
+            error: (req, statusText, errorText) => {
+                expect(errorText).to.be.equal('Not Found');
+                expect(metricsModel.addHttpRequest.firstCall.args[10]).to.be.equal(404);
+                expect(metricsModel.addHttpRequest.firstCall.args[13]).to.be.null; // jshint ignore:line
+                mediaPlayerModel.setRetryAttemptsForType(HTTPRequest.MEDIA_SEGMENT_TYPE, 3);
+                done();
+            }
+        });
+    });
+
+    it('should rethrow the exceptions of the callbacks rather than retry the download', function (done) {
+        const clock = sinon.useFakeTimers();
+        const error = sinon.spy();
+        global.fetch = sinon.spy(fakeFetch);
+        reads = [new Uint8Array(10)];
+
+        fetchLoader.load({
+            request: request,
+            error: error,
+            success: () => {
+                process.nextTick(() => {
+                    expect(() => clock.tick(1)).to.throw('callback failure');
+                    expect(global.fetch.calledOnce).to.be.true; // jshint ignore:line
+                    expect(error.called).to.be.false; // jshint ignore:line
+                    clock.restore();
+                    done();
+                });
+                throw new Error('callback failure');
+            }
+        });
+    });
+
+    it('should not retry a download failing once chunks have been handed over', function (done) {
+        const segment = concat([box('moof', 24), box('mdat', 40)]);
+        const chunkLoaded = sinon.spy();
+        global.fetch = sinon.spy(fakeFetch);
+        reads = [segment, new Error('network error')];
+
+        fetchLoader.load({
+            request: request,
+            chunkLoaded: chunkLoaded,
+            error: (req, statusText, errorText) => {
+                expect(errorText).to.be.equal('network error');
+                expect(chunkLoaded.calledOnce).to.be.true; // jshint ignore:line
+                expect(global.fetch.calledOnce).to.be.true; // jshint ignore:line
+                done();
+            }
+        });
+    });
+});
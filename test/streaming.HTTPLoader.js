@@ -0,0 +1,277 @@
+import HTTPLoader from '../src/streaming/HTTPLoader';
+import {HTTPRequest} from '../src/streaming/vo/metrics/HTTPRequest';
+import FragmentRequest from '../src/streaming/vo/FragmentRequest';
+import TextRequest from '../src/streaming/vo/TextRequest';
+import LicenseRequest from '../src/streaming/vo/LicenseRequest';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import ErrorHandler from '../src/streaming/utils/ErrorHandler';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('HTTPLoader', function () {
+    const context = {};
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let httpLoader,
+        metricsModel,
+        errHandler,
+        customLoader,
+        loaderFactory,
+        request,
+        previousFetch;
+
+    const noop = () => {};
+
+    function fakeFetch(url) {
+        const reads = [new Uint8Array(10)];
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            url: url,
+            headers: {get: () => null, forEach: () => {}},
+            body: {
+                getReader: () => ({
+                    read: () => Promise.resolve(reads.length > 0 ? {done: false, value: reads.shift()} : {done: true})
+                })
+            }
+        });
+    }
+
+    beforeEach(function () {
+        previousFetch = global.fetch;
+        global.fetch = fakeFetch;
+        mediaPlayerModel.setUseFetch(true);
+        metricsModel = {addHttpRequest: sinon.spy()};
+        errHandler = {downloadError: sinon.spy()};
+        customLoader = {load: sinon.spy(), abort: sinon.spy()};
+        loaderFactory = sinon.spy(() => customLoader);
+        mediaPlayerModel.setRequestLoader(loaderFactory);
+        httpLoader = HTTPLoader(context).create({
+            errHandler: errHandler,
+            metricsModel: metricsModel,
+            requestModifier: {modifyRequestURL: url => url, modifyRequestHeader: xhr => xhr}
+        });
+        request = new FragmentRequest();
+        request.type = HTTPRequest.MEDIA_SEGMENT_TYPE;
+        request.mediaType = 'video';
+        request.url = 'https://example.com/video/10.m4s';
+    });
+
+    afterEach(function () {
+        mediaPlayerModel.setRequestLoader(null);
+        mediaPlayerModel.removeAllRequestInterceptors();
+        mediaPlayerModel.setUseFetch(false);
+        global.fetch = previousFetch;
+    });
+
+    it('should load the requests with the loader set and record their metrics', function () {
+        const success = sinon.spy();
+
+        httpLoader.load({request: request, success: success});
+        httpLoader.load({request: new TextRequest('https://example.com/manifest.mpd', HTTPRequest.MPD_TYPE)});
+        customLoader.load.firstCall.args[0].success(new ArrayBuffer(100), 'OK', {status: 206});
+
+        expect(loaderFactory.calledOnce).to.be.true; // jshint ignore:line
+        expect(customLoader.load.calledTwice).to.be.true; // jshint ignore:line
+        expect(success.calledOnce).to.be.true; // jshint ignore:line
+        expect(metricsModel.addHttpRequest.calledOnce).to.be.true; // jshint ignore:line
+        expect(metricsModel.addHttpRequest.firstCall.args[10]).to.be.equal(206);
+        expect(metricsModel.addHttpRequest.firstCall.args[13][0].b).to.deep.equal([100]);
+
+        httpLoader.abort();
+        expect(customLoader.abort.calledOnce).to.be.true; // jshint ignore:line
+    });
+
+    it('should report the download errors except for the time synchronisation', function () {
+        const error = sinon.spy();
+        const timeSyncRequest = new TextRequest('https://time.example.com/', HTTPRequest.TIME_SYNC_TYPE);
+
+        httpLoader.load({request: request, error: error});
+        httpLoader.load({request: timeSyncRequest, error: error});
+        customLoader.load.firstCall.args[0].error(request, 'error', 'Not Found');
+        customLoader.load.secondCall.args[0].error(timeSyncRequest, 'error', 'Not Found');
+
+        expect(error.calledTwice).to.be.true; // jshint ignore:line
+        expect(errHandler.downloadError.calledOnce).to.be.true; // jshint ignore:line
+        expect(errHandler.downloadError.calledWith(ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT, request.url, request)).to.be.true; // jshint ignore:line
+        expect(metricsModel.addHttpRequest.firstCall.args[13]).to.be.null; // jshint ignore:line
+    });
+
+    it('should hand the license requests to the loader set without reporting their errors', function () {
+        const licenseRequest = new LicenseRequest('https://drm.example.com/license', 'POST', 'arraybuffer', {'Content-Type': 'text/xml'}, true, new Uint8Array(8));
+        const error = sinon.spy();
+
+        httpLoader.load({request: licenseRequest, error: error});
+        const config = customLoader.load.firstCall.args[0];
+        config.error(licenseRequest, 'error', 'Forbidden');
+
+        expect(config.request.method).to.be.equal('POST');
+        expect(config.request.data.byteLength).to.be.equal(8);
+        expect(config.headers).to.deep.equal({'Content-Type': 'text/xml'});
+        expect(error.calledOnce).to.be.true; // jshint ignore:line
+        expect(errHandler.downloadError.called).to.be.false; // jshint ignore:line
+    });
+
+    it('should download with XMLHttpRequest unless the fetches are asked for', function () {
+        const previousXMLHttpRequest = global.XMLHttpRequest;
+        const send = sinon.spy();
+        global.XMLHttpRequest = function () {
+            this.open = noop;
+            this.setRequestHeader = noop;
+            this.send = send;
+        };
+        global.fetch = sinon.spy(fakeFetch);
+        mediaPlayerModel.setRequestLoader(null);
+        mediaPlayerModel.setUseFetch(false);
+
+        httpLoader.load({request: request});
+        global.XMLHttpRequest = previousXMLHttpRequest;
+
+        expect(send.calledOnce).to.be.true; // jshint ignore:line
+        expect(global.fetch.called).to.be.false; // jshint ignore:line
+    });
+
+    it('should fall back to the default loader per request', function (done) {
+        httpLoader.load({
+            request: request,
+            success: data => {
+                expect(data.byteLength).to.be.equal(10);
+                expect(metricsModel.addHttpRequest.calledOnce).to.be.true; // jshint ignore:line
+                done();
+            }
+        });
+        customLoader.load.firstCall.args[0].loadWithDefaultLoader();
+    });
+
+    describe('request interceptors', function () {
+        it('should send the requests as modified by the interceptors in turn', function (done) {
+            mediaPlayerModel.setRequestLoader(null);
+            mediaPlayerModel.addRequestInterceptor(req => {
+                expect(req).to.deep.equal({url: request.url, headers: {}, type: HTTPRequest.MEDIA_SEGMENT_TYPE, mediaType: 'video', range: null});
+                req.headers.Authorization = 'Bearer token';
+                return Promise.resolve(req);
+            });
+            mediaPlayerModel.addRequestInterceptor(req => {
+                req.url += '?token=' + req.headers.Authorization.split(' ')[1];
+                return Promise.resolve(req);
+            });
+            global.fetch = sinon.spy(fakeFetch);
+
+            httpLoader.load({
+                request: request,
+                success: () => {
+                    expect(global.fetch.firstCall.args[0]).to.be.equal('https://example.com/video/10.m4s?token=token');
+                    expect(global.fetch.firstCall.args[1].headers.Authorization).to.be.equal('Bearer token');
+                    expect(request.url).to.be.equal('https://example.com/video/10.m4s');
+                    expect(metricsModel.addHttpRequest.firstCall.args[3]).to.be.equal(request.url);
+                    done();
+                }
+            });
+        });
+
+        it('should post the license requests with their headers as modified by the interceptors', function (done) {
+            const body = new Uint8Array(8);
+            mediaPlayerModel.setRequestLoader(null);
+            mediaPlayerModel.addRequestInterceptor(req => {
+                req.headers.Authorization = 'Bearer token';
+                return Promise.resolve(req);
+            });
+            global.fetch = sinon.spy(fakeFetch);
+
+            httpLoader.load({
+                request: new LicenseRequest('https://drm.example.com/license', 'POST', 'arraybuffer', {'Content-Type': 'text/xml'}, true, body),
+                success: data => {
+                    const init = global.fetch.firstCall.args[1];
+                    expect(data.byteLength).to.be.equal(10);
+                    expect(init.method).to.be.equal('POST');
+                    expect(init.body).to.be.equal(body);
+                    expect(init.credentials).to.be.equal('include');
+                    expect(init.headers).to.deep.equal({'Content-Type': 'text/xml', Authorization: 'Bearer token'});
+                    done();
+                }
+            });
+        });
+
+        it('should leave the request unchanged when an interceptor resolves nothing', function (done) {
+            mediaPlayerModel.setRequestLoader(null);
+            mediaPlayerModel.addRequestInterceptor(() => Promise.resolve());
+            global.fetch = sinon.spy(fakeFetch);
+
+            httpLoader.load({
+                request: request,
+                success: () => {
+                    expect(global.fetch.firstCall.args[0]).to.be.equal(request.url);
+                    done();
+                }
+            });
+        });
+
+        it('should run the interceptors again when retrying a download', function (done) {
+            let token = 0;
+            mediaPlayerModel.setRequestLoader(null);
+            mediaPlayerModel.setRetryIntervalForType(HTTPRequest.MEDIA_SEGMENT_TYPE, 0);
+            mediaPlayerModel.addRequestInterceptor(req => {
+                req.url += '?token=' + (++token);
+                return Promise.resolve(req);
+            });
+            global.fetch = sinon.spy(url => token === 1 ? Promise.reject(new Error('Forbidden')) : fakeFetch(url));
+
+            httpLoader.load({
+                request: request,
+                success: () => {
+                    expect(global.fetch.calledTwice).to.be.true; // jshint ignore:line
+                    expect(global.fetch.secondCall.args[0]).to.be.equal(request.url + '?token=2');
+                    mediaPlayerModel.setRetryIntervalForType(HTTPRequest.MEDIA_SEGMENT_TYPE, 1000);
+                    done();
+                }
+            });
+        });
+
+        it('should fail the request when an interceptor fails', function (done) {
+            mediaPlayerModel.addRequestInterceptor(() => Promise.reject(new Error('no token')));
+
+            httpLoader.load({
+                request: request,
+                error: (req, statusText, errorText) => {
+                    expect(errorText).to.be.equal('no token');
+                    expect(customLoader.load.called).to.be.false; // jshint ignore:line
+                    expect(errHandler.downloadError.calledWith(ErrorHandler.DOWNLOAD_ERROR_ID_CONTENT, request.url, request)).to.be.true; // jshint ignore:line
+                    done();
+                }
+            });
+        });
+
+        it('should fail the request when it cannot be sent once intercepted', function (done) {
+            customLoader.load = () => {
+                throw new Error('loader failure');
+            };
+            mediaPlayerModel.addRequestInterceptor(req => Promise.resolve(req));
+
+            httpLoader.load({
+                request: request,
+                error: (req, statusText, errorText) => {
+                    expect(errorText).to.be.equal('loader failure');
+                    done();
+                }
+            });
+        });
+
+        it('should not send the requests aborted while being intercepted', function (done) {
+            let resolve;
+            const token = new Promise(r => {
+                resolve = r;
+            });
+            mediaPlayerModel.addRequestInterceptor(req => token.then(() => req));
+
+            httpLoader.load({request: request});
+            httpLoader.abort();
+            resolve();
+
+            setTimeout(() => {
+                expect(customLoader.load.called).to.be.false; // jshint ignore:line
+                done();
+            }, 0);
+        });
+    });
+});
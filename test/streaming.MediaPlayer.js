@@ -0,0 +1,85 @@
+import MediaPlayer from '../src/streaming/MediaPlayer';
+import AbrController from '../src/streaming/controllers/AbrController';
+import VideoModel from '../src/streaming/models/VideoModel';
+import FactoryMaker from '../src/core/FactoryMaker';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('MediaPlayer', function () {
+    const context = {};
+    const manifest = {url: 'http://dash.example/preload.mpd'};
+    const noop = () => {};
+    let player,
+        streamController,
+        abrController,
+        element,
+        previousWindow,
+        previousDashjs;
+
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+
+    describe('preload', function () {
+        beforeEach(function () {
+            previousWindow = global.window;
+            previousDashjs = global.dashjs;
+            global.window = {MediaSource: noop};
+            global.dashjs = {};
+
+            element = {clientWidth: 640, clientHeight: 360};
+            // the streams are not composed, only what the player asks the stream controller is recorded
+            streamController = {
+                setConfig: noop,
+                initialize: noop,
+                loadWithManifest: sinon.spy(),
+                switchToVideoElement: sinon.spy(),
+                reset: sinon.spy()
+            };
+            FactoryMaker.setSingletonInstance(context, 'StreamController', streamController);
+
+            abrController = AbrController(context).getInstance();
+            sinon.spy(abrController, 'setElementSize');
+
+            player = MediaPlayer(context).create();
+            player.initialize(null, manifest, false);
+        });
+
+        afterEach(function () {
+            player.reset();
+            abrController.setElementSize.restore();
+            global.window = previousWindow;
+            global.dashjs = previousDashjs;
+        });
+
+        it('should load the source without a view', function () {
+            player.preload();
+
+            expect(streamController.loadWithManifest.calledWith(manifest)).to.be.true; // jshint ignore:line
+            expect(player.isReady()).to.be.false; // jshint ignore:line
+        });
+
+        it('should switch the preloaded media to the view attached afterwards', function () {
+            player.preload();
+            player.attachView(element);
+
+            expect(streamController.switchToVideoElement.calledOnce).to.be.true; // jshint ignore:line
+            expect(streamController.reset.called).to.be.false; // jshint ignore:line
+            expect(streamController.loadWithManifest.calledOnce).to.be.true; // jshint ignore:line
+            expect(player.isReady()).to.be.true; // jshint ignore:line
+        });
+
+        it('should measure the portal size on the view attached after preloading', function () {
+            const videoModel = VideoModel(context).getInstance();
+            let measuredElement;
+            abrController.setElementSize.restore();
+            sinon.stub(abrController, 'setElementSize', () => measuredElement = videoModel.getElement());
+
+            player.preload();
+            player.attachView(element);
+
+            expect(measuredElement).to.equal(element);
+            expect(abrController.setElementSize.calledBefore(streamController.switchToVideoElement)).to.be.true; // jshint ignore:line
+        });
+    });
+});
@@ -0,0 +1,133 @@
+import GapController from '../src/streaming/controllers/GapController';
+import PlaybackController from '../src/streaming/controllers/PlaybackController';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import CustomTimeRanges from '../src/streaming/utils/CustomTimeRanges';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('GapController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let gapController,
+        element,
+        stalled,
+        clock,
+        events;
+
+    const videoModel = {
+        getElement: () => element,
+        isStalled: () => stalled,
+        setCurrentTime: time => element.currentTime = time
+    };
+
+    function onEvent(e) {
+        events.push(e);
+    }
+
+    function tick(ms) {
+        clock.tick(ms);
+        eventBus.trigger(Events.WALLCLOCK_TIME_UPDATED, {isDynamic: false, time: new Date()});
+    }
+
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+    PlaybackController(context).getInstance().setConfig({videoModel: videoModel});
+
+    beforeEach(function () {
+        events = [];
+        stalled = false;
+        clock = sinon.useFakeTimers();
+        element = {currentTime: 0, paused: false, seeking: false, ended: false, playbackRate: 1, buffered: CustomTimeRanges(context).create()};
+        element.buffered.add(0, 10);
+        eventBus.on(Events.GAP_CAUGHT, onEvent, this);
+        eventBus.on(Events.STALL_RECOVERED, onEvent, this);
+        gapController = GapController(context).getInstance();
+        gapController.setConfig({videoModel: videoModel});
+        gapController.initialize();
+    });
+
+    afterEach(function () {
+        gapController.reset();
+        mediaPlayerModel.setJumpGaps(true);
+        mediaPlayerModel.setSmallGapLimit(1.5);
+        eventBus.off(Events.GAP_CAUGHT, onEvent, this);
+        eventBus.off(Events.STALL_RECOVERED, onEvent, this);
+        clock.restore();
+    });
+
+    it('should seek over a gap smaller than the limit', function () {
+        element.buffered.add(11, 20);
+        element.currentTime = 9.95;
+        tick(50);
+        tick(50);
+
+        expect(element.currentTime).to.be.equal(11);
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].type).to.be.equal(Events.GAP_CAUGHT);
+        expect(events[0].from).to.be.equal(9.95);
+        expect(events[0].to).to.be.equal(11);
+    });
+
+    it('should seek over a gap while the player halts the playback for an empty buffer', function () {
+        element.buffered.add(11, 20);
+        element.currentTime = 10;
+        element.playbackRate = 0;
+        stalled = true;
+        tick(50);
+
+        expect(element.currentTime).to.be.equal(11);
+        expect(events[0].type).to.be.equal(Events.GAP_CAUGHT);
+    });
+
+    it('should not seek over a gap larger than the limit', function () {
+        element.buffered.add(12, 20);
+        element.currentTime = 10;
+        tick(50);
+        tick(50);
+
+        mediaPlayerModel.setSmallGapLimit(2.5);
+        tick(50);
+
+        expect(element.currentTime).to.be.equal(12);
+        expect(events).to.have.lengthOf(1);
+    });
+
+    it('should nudge the playback stuck for a second with buffer ahead', function () {
+        element.currentTime = 4;
+        for (let i = 0; i < 20; i++) {
+            tick(50);
+        }
+        expect(events).to.have.lengthOf(0);
+
+        tick(50);
+        tick(50);
+
+        expect(element.currentTime).to.be.closeTo(4.1, 0.001);
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].type).to.be.equal(Events.STALL_RECOVERED);
+        expect(events[0].time).to.be.equal(4);
+        expect(events[0].stallDuration).to.be.at.least(1000);
+    });
+
+    it('should leave the playback alone when paused or disabled', function () {
+        element.buffered.add(11, 20);
+        element.currentTime = 10;
+        element.paused = true;
+        tick(50);
+        tick(50);
+
+        element.paused = false;
+        mediaPlayerModel.setJumpGaps(false);
+        tick(50);
+        tick(50);
+
+        expect(element.currentTime).to.be.equal(10);
+        expect(events).to.have.lengthOf(0);
+    });
+});
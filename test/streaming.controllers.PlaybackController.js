@@ -0,0 +1,126 @@
+import PlaybackController from '../src/streaming/controllers/PlaybackController';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('PlaybackController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let playbackController,
+        element,
+        listeners,
+        stalled,
+        bufferLevel,
+        clock,
+        events;
+
+    const videoModel = {
+        getElement: () => element,
+        isStalled: () => stalled,
+        setCurrentTime: time => element.currentTime = time
+    };
+
+    function onLatencyChanged(e) {
+        events.push(e);
+    }
+
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+
+    describe('live latency', function () {
+        beforeEach(function () {
+            events = [];
+            listeners = {};
+            stalled = false;
+            bufferLevel = 10;
+            // the live edge is 100 s after the availability start time
+            clock = sinon.useFakeTimers(100000);
+            element = {
+                currentTime: 90,
+                paused: false,
+                seeking: false,
+                readyState: 4,
+                playbackRate: 1,
+                addEventListener: (type, listener) => listeners[type] = listener,
+                removeEventListener: type => delete listeners[type]
+            };
+            eventBus.on(Events.LIVE_LATENCY_CHANGED, onLatencyChanged, this);
+            playbackController = PlaybackController(context).getInstance();
+            playbackController.setConfig({
+                videoModel: videoModel,
+                timelineConverter: {getClientTimeOffset: () => 0},
+                metricsModel: {getReadOnlyMetricsFor: () => ({})},
+                dashMetrics: {getCurrentBufferLevel: () => bufferLevel, getCurrentDVRInfo: () => null}
+            });
+            playbackController.initialize({id: 'live', start: 0, manifestInfo: {isDynamic: true, availableFrom: new Date(0)}});
+            listeners.play();
+        });
+
+        afterEach(function () {
+            playbackController.reset();
+            mediaPlayerModel.setLiveLatencyTarget(NaN);
+            mediaPlayerModel.setLiveCatchUpMaxLatency(NaN);
+            eventBus.off(Events.LIVE_LATENCY_CHANGED, onLatencyChanged, this);
+            clock.restore();
+        });
+
+        it('should measure the latency against the wallclock and report its changes', function () {
+            clock.tick(50);
+            element.currentTime = 90.05;
+            clock.tick(50);
+
+            expect(playbackController.getCurrentLiveLatency()).to.be.closeTo(10.05, 0.001);
+            expect(events).to.have.lengthOf(1);
+            expect(events[0].latency).to.be.closeTo(10.05, 0.001);
+            expect(events[0].target).to.be.NaN; // jshint ignore:line
+            expect(element.playbackRate).to.be.equal(1);
+        });
+
+        it('should speed the playback up or slow it down within bounds to converge on the target latency', function () {
+            mediaPlayerModel.setLiveLatencyTarget(8);
+            clock.tick(50);
+            expect(element.playbackRate).to.be.equal(1.1);
+
+            element.currentTime = 92.07;
+            clock.tick(50);
+            expect(element.playbackRate).to.be.equal(1);
+
+            mediaPlayerModel.setLiveLatencyTarget(12);
+            clock.tick(50);
+            expect(element.playbackRate).to.be.equal(0.9);
+
+            mediaPlayerModel.setLiveLatencyTarget(NaN);
+            clock.tick(50);
+            expect(element.playbackRate).to.be.equal(1);
+        });
+
+        it('should not speed the playback up on an almost empty buffer', function () {
+            mediaPlayerModel.setLiveLatencyTarget(8);
+            bufferLevel = 0.2;
+            clock.tick(50);
+
+            expect(element.playbackRate).to.be.equal(1);
+        });
+
+        it('should seek back to the target latency above the maximum latency', function () {
+            mediaPlayerModel.setLiveLatencyTarget(4);
+            clock.tick(50);
+
+            expect(element.currentTime).to.be.closeTo(96.05, 0.001);
+            expect(element.playbackRate).to.be.equal(1);
+
+            element.currentTime = 90;
+            mediaPlayerModel.setLiveCatchUpMaxLatency(15);
+            clock.tick(50);
+
+            expect(element.currentTime).to.be.equal(90);
+            expect(element.playbackRate).to.be.equal(1.1);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import RepresentationBlacklistController from '../src/streaming/controllers/RepresentationBlacklistController';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import FragmentRequest from '../src/streaming/vo/FragmentRequest';
+import {HTTPRequest} from '../src/streaming/vo/metrics/HTTPRequest';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import Debug from '../src/core/Debug';
+import VoHelper from './helpers/VOHelper';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('RepresentationBlacklistController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const mediaInfo = new VoHelper().getDummyMediaInfo('video');
+    const streamId = mediaInfo.streamInfo.id;
+    let blacklistController,
+        clock,
+        events;
+
+    function onEvent(e) {
+        events.push(e);
+    }
+
+    function completeLoading(type, quality, error) {
+        const request = new FragmentRequest();
+        request.type = type;
+        request.mediaType = 'video';
+        request.mediaInfo = mediaInfo;
+        request.quality = quality;
+        eventBus.trigger(Events.FRAGMENT_LOADING_COMPLETED, {request: request, response: error ? null : {}, error: error ? new Error() : null});
+    }
+
+    mediaInfo.bitrateList.forEach((bitrate, quality) => bitrate.id = 'video_' + quality);
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+
+    beforeEach(function () {
+        events = [];
+        clock = sinon.useFakeTimers();
+        eventBus.on(Events.REPRESENTATION_BLACKLISTED, onEvent, this);
+        eventBus.on(Events.REPRESENTATION_REHABILITATED, onEvent, this);
+        blacklistController = RepresentationBlacklistController(context).getInstance();
+        blacklistController.initialize();
+    });
+
+    afterEach(function () {
+        blacklistController.reset();
+        eventBus.off(Events.REPRESENTATION_BLACKLISTED, onEvent, this);
+        eventBus.off(Events.REPRESENTATION_REHABILITATED, onEvent, this);
+        mediaPlayerModel.setRepresentationBlacklistTimeout(30000);
+        clock.restore();
+    });
+
+    it('should blacklist the representation of a media segment that failed to download', function () {
+        completeLoading(HTTPRequest.MEDIA_SEGMENT_TYPE, 2, true);
+
+        expect(blacklistController.contains(streamId, 'video', 'video_2')).to.be.true; // jshint ignore:line
+        expect(blacklistController.contains(streamId, 'video', 'video_1')).to.be.false; // jshint ignore:line
+        expect(events.length).to.be.equal(1);
+        expect(events[0].type).to.be.equal(Events.REPRESENTATION_BLACKLISTED);
+        expect(events[0].representationId).to.be.equal('video_2');
+        expect(events[0].timeout).to.be.equal(30000);
+    });
+
+    it('should ignore the successful downloads and the failures of other requests', function () {
+        completeLoading(HTTPRequest.MEDIA_SEGMENT_TYPE, 2, false);
+        completeLoading(HTTPRequest.INIT_SEGMENT_TYPE, 1, true);
+
+        expect(blacklistController.contains(streamId, 'video', 'video_2')).to.be.false; // jshint ignore:line
+        expect(blacklistController.contains(streamId, 'video', 'video_1')).to.be.false; // jshint ignore:line
+        expect(events).to.be.empty; // jshint ignore:line
+    });
+
+    it('should rehabilitate the representation once the timeout elapsed since its last failure', function () {
+        mediaPlayerModel.setRepresentationBlacklistTimeout(10000);
+        completeLoading(HTTPRequest.MEDIA_SEGMENT_TYPE, 2, true);
+        clock.tick(6000);
+        completeLoading(HTTPRequest.MEDIA_SEGMENT_TYPE, 2, true);
+
+        clock.tick(6000);
+        expect(blacklistController.contains(streamId, 'video', 'video_2')).to.be.true; // jshint ignore:line
+
+        clock.tick(4000);
+        expect(blacklistController.contains(streamId, 'video', 'video_2')).to.be.false; // jshint ignore:line
+        expect(events.map(e => e.type)).to.deep.equal([Events.REPRESENTATION_BLACKLISTED, Events.REPRESENTATION_BLACKLISTED, Events.REPRESENTATION_REHABILITATED]);
+    });
+
+    it('should forget the blacklist on reset', function () {
+        completeLoading(HTTPRequest.MEDIA_SEGMENT_TYPE, 2, true);
+        blacklistController.reset();
+        clock.tick(30000);
+
+        expect(blacklistController.contains(streamId, 'video', 'video_2')).to.be.false; // jshint ignore:line
+        expect(events.length).to.be.equal(1);
+    });
+});
@@ -0,0 +1,165 @@
+import StreamController from '../src/streaming/controllers/StreamController';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import FactoryMaker from '../src/core/FactoryMaker';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('StreamController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const manifest = {};
+    // two periods of 10 s whose media can be appended to the same SourceBuffers
+    const streamsInfo = [
+        {id: 'p0', index: 0, start: 0, duration: 10, isLast: false, manifestInfo: {duration: 20}},
+        {id: 'p1', index: 1, start: 10, duration: 10, isLast: true, manifestInfo: {duration: 20}}
+    ];
+    let streamController,
+        streams,
+        mediaSourceListeners,
+        switches,
+        previousWindow;
+
+    const noop = () => {};
+    const playbackController = {
+        setConfig: noop,
+        initialize: noop,
+        getTime: () => 0,
+        isSeeking: () => false,
+        play: noop,
+        seek: noop,
+        reset: noop
+    };
+    const adapter = {
+        getStreamsInfo: () => streamsInfo,
+        filterUnsupportedRepresentations: (manifest, callback) => callback([]),
+        setIndexHandlerTime: noop,
+        reset: noop
+    };
+    const mediaSourceController = {
+        createMediaSource: () => ({
+            addEventListener: (type, listener) => mediaSourceListeners[type] = listener,
+            removeEventListener: type => delete mediaSourceListeners[type]
+        }),
+        attachMediaSource: () => 'blob:',
+        detachMediaSource: noop,
+        setDuration: (mediaSource, duration) => duration,
+        signalEndOfStream: noop
+    };
+
+    // the streams composed are fakes recording how they are activated
+    function FakeStream() {
+        let streamInfo;
+        const processor = {
+            getMediaInfo: () => ({type: 'video'}),
+            getScheduleController: () => processor.scheduleController,
+            scheduleController: {
+                setSeekTarget: sinon.spy(),
+                setPlayList: noop,
+                finalisePlayList: noop
+            }
+        };
+        const stream = {
+            initialize: info => streamInfo = info,
+            getStreamInfo: () => streamInfo,
+            getId: () => streamInfo.id,
+            getStartTime: () => streamInfo.start,
+            getDuration: () => streamInfo.duration,
+            getProcessors: () => [processor],
+            activate: sinon.spy(),
+            completeActivation: sinon.spy(),
+            deactivate: sinon.spy(),
+            startEventController: noop,
+            isCompatibleWith: () => true,
+            handOverBuffers: () => ({}),
+            isBufferingCompleted: () => false,
+            reset: noop
+        };
+        streams.push(stream);
+        return stream;
+    }
+
+    function onPeriodSwitchCompleted(e) {
+        switches.push(e.toStreamInfo.id);
+    }
+
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+    FactoryMaker.extend('Stream', FakeStream, false, context);
+    FactoryMaker.setSingletonInstance(context, 'PlaybackController', playbackController);
+    FactoryMaker.setSingletonInstance(context, 'VideoModel', {getElement: () => ({})});
+    FactoryMaker.setSingletonInstance(context, 'ManifestUpdater', {setConfig: noop, initialize: noop, reset: noop});
+
+    beforeEach(function () {
+        streams = [];
+        mediaSourceListeners = {};
+        switches = [];
+        previousWindow = global.window;
+        global.window = {URL: {revokeObjectURL: noop}};
+        sinon.spy(adapter, 'setIndexHandlerTime');
+        sinon.spy(mediaSourceController, 'createMediaSource');
+        eventBus.on(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, this);
+
+        streamController = StreamController(context).getInstance();
+        streamController.setConfig({
+            adapter: adapter,
+            mediaSourceController: mediaSourceController,
+            manifestModel: {getValue: () => manifest, setValue: noop},
+            manifestLoader: {reset: noop},
+            timelineConverter: {initialize: noop, getClientTimeOffset: () => 0, reset: noop},
+            metricsModel: {getMetricsFor: noop, updateManifestUpdateInfo: noop, addManifestUpdateStreamInfo: noop, addPlayList: noop, clearAllCurrentMetrics: noop},
+            dashMetrics: {getCurrentManifestUpdate: noop},
+            timeSyncController: {reset: noop},
+            baseURLController: {reset: noop},
+            liveEdgeFinder: {reset: noop},
+            errHandler: {manifestError: noop}
+        });
+        streamController.initialize(true, null);
+
+        eventBus.trigger(Events.TIME_SYNCHRONIZATION_COMPLETED);
+        mediaSourceListeners.sourceopen();
+        // the first period is fully buffered, the second one is prebuffered after it
+        eventBus.trigger(Events.STREAM_BUFFERING_COMPLETED, {streamInfo: streamsInfo[0]});
+    });
+
+    afterEach(function () {
+        streamController.reset();
+        eventBus.off(Events.PERIOD_SWITCH_COMPLETED, onPeriodSwitchCompleted, this);
+        adapter.setIndexHandlerTime.restore();
+        mediaSourceController.createMediaSource.restore();
+        global.window = previousWindow;
+    });
+
+    it('should prebuffer the next period in the SourceBuffers of the active one', function () {
+        expect(streams).to.have.lengthOf(2);
+        expect(streams[0].activate.calledOnce).to.be.true; // jshint ignore:line
+        expect(streams[1].activate.calledOnce).to.be.true; // jshint ignore:line
+        expect(streams[1].activate.firstCall.args[1]).to.exist; // jshint ignore:line
+    });
+
+    it('should carry on in the prebuffered period when the playback reaches it', function () {
+        eventBus.trigger(Events.PLAYBACK_ENDED);
+
+        expect(streams[0].deactivate.calledOnce).to.be.true; // jshint ignore:line
+        expect(streams[1].completeActivation.calledOnce).to.be.true; // jshint ignore:line
+        expect(mediaSourceController.createMediaSource.calledOnce).to.be.true; // jshint ignore:line
+        expect(adapter.setIndexHandlerTime.called).to.be.false; // jshint ignore:line
+        expect(streams[1].getProcessors()[0].scheduleController.setSeekTarget.called).to.be.false; // jshint ignore:line
+        expect(switches).to.deep.equal(['p0', 'p1']);
+        expect(streamController.getActiveStreamInfo().id).to.equal('p1');
+    });
+
+    it('should request the segments from the seek target when a seek lands in the prebuffered period', function () {
+        eventBus.trigger(Events.PLAYBACK_SEEKING, {seekTime: 15});
+
+        const processor = streams[1].getProcessors()[0];
+        expect(streams[1].completeActivation.calledOnce).to.be.true; // jshint ignore:line
+        expect(mediaSourceController.createMediaSource.calledOnce).to.be.true; // jshint ignore:line
+        expect(adapter.setIndexHandlerTime.calledWith(processor, 15)).to.be.true; // jshint ignore:line
+        expect(processor.scheduleController.setSeekTarget.calledWith(15)).to.be.true; // jshint ignore:line
+        expect(switches).to.deep.equal(['p0', 'p1']);
+    });
+});
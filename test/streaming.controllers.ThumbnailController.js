@@ -0,0 +1,67 @@
+import ThumbnailController from '../src/streaming/controllers/ThumbnailController';
+import BaseURLController from '../src/streaming/controllers/BaseURLController';
+import ThumbnailTrackInfo from '../src/streaming/vo/ThumbnailTrackInfo';
+import BaseURL from '../src/dash/vo/BaseURL';
+
+const expect = require('chai').expect;
+
+describe('ThumbnailController', function () {
+    const context = {};
+    const streamInfo = {id: 'period0', start: 0};
+    let thumbnailController,
+        tracks;
+
+    function createTrack(id, width, height) {
+        const track = new ThumbnailTrackInfo();
+        track.id = id;
+        track.width = width;
+        track.height = height;
+        track.columns = 5;
+        track.rows = 2;
+        track.templateUrl = 'thumbs/' + id + '/$Number%03d$.jpg';
+        track.segmentDuration = 50;
+        return track;
+    }
+
+    function getThumbnail(time, width) {
+        let result;
+        thumbnailController.getThumbnail(time, thumbnail => result = thumbnail, width);
+        return result;
+    }
+
+    BaseURLController(context).getInstance().setConfig({
+        baseURLTreeModel: {getForPath: () => [{baseUrls: [new BaseURL('http://cdn.example.com/')], selectedIdx: NaN}]},
+        baseURLSelector: {select: node => node.baseUrls[0]}
+    });
+
+    beforeEach(function () {
+        tracks = [createTrack('high', 1600, 360), createTrack('low', 800, 180)];
+        thumbnailController = ThumbnailController(context).getInstance();
+        thumbnailController.setConfig({
+            adapter: {getThumbnailTracks: () => tracks},
+            manifestModel: {getValue: () => ({})},
+            streamController: {getStreamForTime: () => ({getStreamInfo: () => streamInfo})}
+        });
+    });
+
+    afterEach(function () {
+        thumbnailController.reset();
+    });
+
+    it('should find the image of the time and the rectangle of its thumbnail in the grid', function () {
+        expect(getThumbnail(63)).to.deep.equal({url: 'http://cdn.example.com/thumbs/high/002.jpg', width: 320, height: 180, x: 640, y: 0});
+        expect(getThumbnail(88)).to.deep.equal({url: 'http://cdn.example.com/thumbs/high/002.jpg', width: 320, height: 180, x: 640, y: 180});
+    });
+
+    it('should pick the smallest thumbnails at least as wide as requested', function () {
+        expect(getThumbnail(0, 150).url).to.be.equal('http://cdn.example.com/thumbs/low/001.jpg');
+        expect(getThumbnail(0, 200).url).to.be.equal('http://cdn.example.com/thumbs/high/001.jpg');
+        expect(getThumbnail(0, 480).url).to.be.equal('http://cdn.example.com/thumbs/high/001.jpg');
+    });
+
+    it('should give no thumbnail for a period without thumbnail tracks', function () {
+        tracks = [];
+
+        expect(getThumbnail(10)).to.be.null; // jshint ignore:line
+    });
+});
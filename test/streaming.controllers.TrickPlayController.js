@@ -0,0 +1,106 @@
+import TrickPlayController from '../src/streaming/controllers/TrickPlayController';
+import PlaybackController from '../src/streaming/controllers/PlaybackController';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('TrickPlayController', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const playbackController = PlaybackController(context).getInstance();
+    let trickPlayController,
+        element,
+        stream,
+        clock,
+        stubs,
+        events;
+
+    const streamController = {
+        getActiveStreamInfo: () => ({id: 'period0', manifestInfo: {isDynamic: false, duration: 100}}),
+        getStreamById: () => stream
+    };
+
+    function onRateChanged(e) {
+        events.push(e.rate);
+    }
+
+    Events.extend(MediaPlayerEvents);
+    Debug(context).getInstance().setLogToBrowserConsole(false);
+
+    beforeEach(function () {
+        events = [];
+        clock = sinon.useFakeTimers();
+        element = {currentTime: 10, paused: false, seeking: false};
+        stream = {setTrickMode: sinon.spy(function () { return true; })};
+        stubs = [
+            sinon.stub(playbackController, 'isPaused', () => element.paused),
+            sinon.stub(playbackController, 'isSeeking', () => element.seeking),
+            sinon.stub(playbackController, 'getTime', () => element.currentTime),
+            sinon.stub(playbackController, 'seek', time => element.currentTime = time),
+            sinon.stub(playbackController, 'pause', () => element.paused = true),
+            sinon.stub(playbackController, 'play', () => element.paused = false)
+        ];
+        eventBus.on(Events.TRICK_PLAY_RATE_CHANGED, onRateChanged, this);
+        trickPlayController = TrickPlayController(context).getInstance();
+        trickPlayController.setConfig({streamController: streamController});
+        trickPlayController.initialize();
+    });
+
+    afterEach(function () {
+        trickPlayController.reset();
+        eventBus.off(Events.TRICK_PLAY_RATE_CHANGED, onRateChanged, this);
+        stubs.forEach(stub => stub.restore());
+        clock.restore();
+    });
+
+    it('should pause the playback and seek it forward at the rate requested from the trick mode AdaptationSet', function () {
+        trickPlayController.setRate(4);
+
+        expect(element.paused).to.be.true; // jshint ignore:line
+        expect(stream.setTrickMode.calledWith(true)).to.be.true; // jshint ignore:line
+        expect(trickPlayController.isActive()).to.be.true; // jshint ignore:line
+
+        clock.tick(250);
+        expect(element.currentTime).to.be.equal(11);
+        clock.tick(250);
+        expect(element.currentTime).to.be.equal(12);
+        expect(events).to.deep.equal([4]);
+    });
+
+    it('should skip the positions reached while the previous one is still being sought', function () {
+        trickPlayController.setRate(-4);
+        element.seeking = true;
+        clock.tick(500);
+        expect(element.currentTime).to.be.equal(10);
+
+        element.seeking = false;
+        clock.tick(250);
+        expect(element.currentTime).to.be.equal(7);
+    });
+
+    it('should return to normal playback on reaching the start of the content', function () {
+        trickPlayController.setRate(-8);
+        clock.tick(1250);
+
+        expect(element.currentTime).to.be.equal(0);
+        expect(element.paused).to.be.false; // jshint ignore:line
+        expect(stream.setTrickMode.calledWith(false)).to.be.true; // jshint ignore:line
+        expect(trickPlayController.isActive()).to.be.false; // jshint ignore:line
+        expect(trickPlayController.getRate()).to.be.equal(1);
+        expect(events).to.deep.equal([-8, 1]);
+    });
+
+    it('should leave the playback paused when it was paused before the trick play', function () {
+        element.paused = true;
+        trickPlayController.setRate(2);
+        clock.tick(500);
+        trickPlayController.setRate(1);
+
+        expect(element.currentTime).to.be.equal(11);
+        expect(element.paused).to.be.true; // jshint ignore:line
+    });
+});
@@ -0,0 +1,124 @@
+import ThroughputHistory from '../src/streaming/rules/ThroughputHistory';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+
+const expect = require('chai').expect;
+
+function createHttpRequest(latencyMs, downloadMs, bytes) {
+    const start = 1000000;
+    return {
+        trequest: new Date(start),
+        tresponse: new Date(start + latencyMs),
+        _tfinish: new Date(start + latencyMs + downloadMs),
+        trace: [{b: [bytes]}]
+    };
+}
+
+describe('ThroughputHistory', function () {
+    const context = {};
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let throughputHistory;
+
+    beforeEach(function () {
+        mediaPlayerModel.setMovingAverageMethod(ThroughputHistory.MOVING_AVERAGE_SLIDING_WINDOW);
+        mediaPlayerModel.setThroughputSlidingWindowSize(NaN);
+        throughputHistory = ThroughputHistory(context).create({mediaPlayerModel: mediaPlayerModel});
+    });
+
+    it('should return NaN when nothing has been measured', function () {
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.NaN; // jshint ignore:line
+        expect(throughputHistory.getAverageLatency('video')).to.be.NaN; // jshint ignore:line
+    });
+
+    it('should compute throughput in kbps from download time, excluding latency', function () {
+        // 125000 bytes = 1000 kbit, in 1s
+        throughputHistory.push('video', createHttpRequest(200, 1000, 125000));
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(1000);
+        expect(throughputHistory.getAverageLatency('video')).to.be.equal(200);
+    });
+
+    it('should apply the bandwidth safety factor to the safe estimate', function () {
+        throughputHistory.push('video', createHttpRequest(200, 1000, 125000));
+
+        expect(throughputHistory.getSafeAverageThroughput('video', false)).to.be.equal(Math.round(1000 * mediaPlayerModel.getBandwidthSafetyFactor()));
+    });
+
+    it('should average the last segments of the sliding window', function () {
+        mediaPlayerModel.setThroughputSlidingWindowSize(2);
+        throughputHistory.push('video', createHttpRequest(100, 1000, 125000));
+        throughputHistory.push('video', createHttpRequest(100, 1000, 250000));
+        throughputHistory.push('video', createHttpRequest(100, 1000, 250000));
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(2000);
+    });
+
+    it('should ignore cached responses once real measurements exist', function () {
+        throughputHistory.push('video', createHttpRequest(100, 1000, 125000));
+        throughputHistory.push('video', createHttpRequest(1, 10, 125000));
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(1000);
+    });
+
+    it('should use cached responses until a real measurement is made', function () {
+        throughputHistory.push('video', createHttpRequest(1, 10, 1250));
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(1000);
+
+        throughputHistory.push('video', createHttpRequest(100, 1000, 250000));
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(2000);
+    });
+
+    it('should use the lower of the fast and slow averages in ewma mode', function () {
+        mediaPlayerModel.setMovingAverageMethod(ThroughputHistory.MOVING_AVERAGE_EWMA);
+        throughputHistory.push('video', createHttpRequest(100, 1000, 125000));
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(1000);
+
+        throughputHistory.push('video', createHttpRequest(100, 1000, 1250000));
+        const estimate = throughputHistory.getAverageThroughput('video', false);
+
+        expect(estimate).to.be.above(1000);
+        expect(estimate).to.be.below(10000);
+    });
+
+    it('should use a seeded estimate until the first measurement', function () {
+        throughputHistory.seed('video', 3000, 80);
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(3000);
+        expect(throughputHistory.getAverageLatency('video')).to.be.equal(80);
+
+        throughputHistory.push('video', createHttpRequest(200, 1000, 125000));
+
+        expect(throughputHistory.getAverageThroughput('video', false)).to.be.equal(1000);
+        expect(throughputHistory.getAverageLatency('video')).to.be.equal(200);
+    });
+
+    it('should compute the harmonic mean of the last throughputs, request latency included', function () {
+        // 2000 kbps, 500 kbps, then 1000 kbps counting the latency, only the last 3 count for VOD
+        throughputHistory.push('video', createHttpRequest(100, 100, 125000));
+        throughputHistory.push('video', createHttpRequest(500, 500, 250000));
+        throughputHistory.push('video', createHttpRequest(1000, 3000, 250000));
+        throughputHistory.push('video', createHttpRequest(1000, 1000, 250000));
+
+        expect(throughputHistory.getHarmonicMeanThroughputWithLatency('video', false)).to.be.closeTo(3 / (1 / 2000 + 1 / 500 + 1 / 1000), 0.001);
+        expect(throughputHistory.getHarmonicMeanThroughputWithLatency('video', true)).to.be.closeTo(2 / (1 / 500 + 1 / 1000), 0.001);
+    });
+
+    it('should not seed the throughput measured with the request latency', function () {
+        throughputHistory.seed('video', 3000, 80);
+
+        expect(throughputHistory.getHarmonicMeanThroughputWithLatency('video', false)).to.be.NaN; // jshint ignore:line
+    });
+
+    it('should not let the EWMA half-lives read change the settings', function () {
+        const halfLife = mediaPlayerModel.getThroughputEWMAHalfLife();
+        halfLife.fast = 100;
+
+        expect(mediaPlayerModel.getThroughputEWMAHalfLife().fast).to.not.equal(100);
+    });
+
+    it('should keep separate estimates per media type', function () {
+        throughputHistory.push('video', createHttpRequest(100, 1000, 125000));
+
+        expect(throughputHistory.getAverageThroughput('audio', false)).to.be.NaN; // jshint ignore:line
+    });
+});
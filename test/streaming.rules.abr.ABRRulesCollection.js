@@ -0,0 +1,81 @@
+import ABRRulesCollection from '../src/streaming/rules/abr/ABRRulesCollection';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import SwitchRequest from '../src/streaming/rules/SwitchRequest';
+import FactoryMaker from '../src/core/FactoryMaker';
+
+const expect = require('chai').expect;
+
+function CustomRule(config) {
+    return {
+        config: config,
+        execute: (rulesContext, callback) => {
+            callback(SwitchRequest(this.context).create(0, SwitchRequest.STRONG, {name: 'CustomRule'}));
+        }
+    };
+}
+CustomRule.__dashjs_factory_name = 'CustomRule';
+const CustomRuleFactory = FactoryMaker.getClassFactory(CustomRule);
+
+describe('ABRRulesCollection', function () {
+    const context = {};
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    const abrRulesCollection = ABRRulesCollection(context).getInstance();
+
+    afterEach(function () {
+        mediaPlayerModel.removeAllABRCustomRule();
+        mediaPlayerModel.setUseDefaultABRRules(true);
+    });
+
+    it('should only contain the default rules when no custom rule has been added', function () {
+        abrRulesCollection.initialize();
+
+        const rules = abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES);
+        expect(rules.length).to.be.equal(5);
+        expect(abrRulesCollection.getRules(ABRRulesCollection.ABANDON_FRAGMENT_RULES).length).to.be.equal(1);
+    });
+
+    it('should add a custom rule after the default rules of the same type', function () {
+        mediaPlayerModel.addABRCustomRule(ABRRulesCollection.QUALITY_SWITCH_RULES, 'custom', CustomRuleFactory);
+        abrRulesCollection.initialize();
+
+        const rules = abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES);
+        expect(rules.length).to.be.equal(6);
+        expect(rules[5].config.metricsModel).to.exist; // jshint ignore:line
+        expect(abrRulesCollection.getRules(ABRRulesCollection.ABANDON_FRAGMENT_RULES).length).to.be.equal(1);
+    });
+
+    it('should replace a custom rule added twice under the same name', function () {
+        mediaPlayerModel.addABRCustomRule(ABRRulesCollection.QUALITY_SWITCH_RULES, 'custom', CustomRuleFactory);
+        mediaPlayerModel.addABRCustomRule(ABRRulesCollection.ABANDON_FRAGMENT_RULES, 'custom', CustomRuleFactory);
+        abrRulesCollection.initialize();
+
+        expect(abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES).length).to.be.equal(5);
+        expect(abrRulesCollection.getRules(ABRRulesCollection.ABANDON_FRAGMENT_RULES).length).to.be.equal(2);
+    });
+
+    it('should not contain a removed custom rule', function () {
+        mediaPlayerModel.addABRCustomRule(ABRRulesCollection.QUALITY_SWITCH_RULES, 'custom', CustomRuleFactory);
+        mediaPlayerModel.removeABRCustomRule('custom');
+        abrRulesCollection.initialize();
+
+        expect(abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES).length).to.be.equal(5);
+    });
+
+    it('should contain both the BOLA and the throughput rules in dynamic mode', function () {
+        mediaPlayerModel.setABRStrategy(MediaPlayerModel.ABR_STRATEGY_DYNAMIC);
+        abrRulesCollection.initialize();
+        mediaPlayerModel.setABRStrategy(MediaPlayerModel.ABR_STRATEGY_THROUGHPUT);
+
+        expect(abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES).length).to.be.equal(6);
+        expect(abrRulesCollection.getRules(ABRRulesCollection.ABANDON_FRAGMENT_RULES).length).to.be.equal(2);
+    });
+
+    it('should only contain custom rules when default rules are disabled', function () {
+        mediaPlayerModel.setUseDefaultABRRules(false);
+        mediaPlayerModel.addABRCustomRule(ABRRulesCollection.QUALITY_SWITCH_RULES, 'custom', CustomRuleFactory);
+        abrRulesCollection.initialize();
+
+        expect(abrRulesCollection.getRules(ABRRulesCollection.QUALITY_SWITCH_RULES).length).to.be.equal(1);
+        expect(abrRulesCollection.getRules(ABRRulesCollection.ABANDON_FRAGMENT_RULES).length).to.be.equal(0);
+    });
+});
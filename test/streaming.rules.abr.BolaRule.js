@@ -0,0 +1,94 @@
+import BolaRule from '../src/streaming/rules/abr/BolaRule';
+import ThroughputHistory from '../src/streaming/rules/ThroughputHistory';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import SwitchRequest from '../src/streaming/rules/SwitchRequest';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+
+const expect = require('chai').expect;
+
+describe('BolaRule', function () {
+    const context = {};
+    const mediaPlayerModel = MediaPlayerModel(context).getInstance();
+    let bolaRule,
+        throughputHistory;
+
+    const streamProcessor = {
+        getScheduleController: () => ({setTimeToLoadDelay: () => {}}),
+        getABRController: () => ({getThroughputHistory: () => throughputHistory}),
+        isDynamic: () => false
+    };
+    const rulesContext = {
+        getStreamProcessor: () => streamProcessor,
+        getMediaInfo: () => ({type: 'video', bitrateList: [{bandwidth: 300000}, {bandwidth: 800000}, {bandwidth: 1600000}]}),
+        getStreamInfo: () => ({manifestInfo: {duration: 60}}),
+        getTrackInfo: () => ({fragmentDuration: 4}),
+        useBufferOccupancyABR: () => true
+    };
+
+    Events.extend(MediaPlayerEvents);
+
+    // a segment of the given bytes whose first byte arrives after the given latency
+    function download(latencyMs, downloadMs, bytes) {
+        const start = 1000000;
+        throughputHistory.push('video', {
+            trequest: new Date(start),
+            tresponse: new Date(start + latencyMs),
+            _tfinish: new Date(start + latencyMs + downloadMs),
+            trace: [{b: [bytes]}]
+        });
+    }
+
+    function execute() {
+        let result;
+        bolaRule.execute(rulesContext, function (switchRequest) {
+            result = switchRequest;
+        });
+        return result;
+    }
+
+    beforeEach(function () {
+        mediaPlayerModel.setMovingAverageMethod(ThroughputHistory.MOVING_AVERAGE_SLIDING_WINDOW);
+        throughputHistory = ThroughputHistory(context).create({mediaPlayerModel: mediaPlayerModel});
+        bolaRule = BolaRule(context).create({
+            dashMetrics: {},
+            metricsModel: {
+                getReadOnlyMetricsFor: () => ({BolaState: []}),
+                updateBolaState: () => {}
+            }
+        });
+    });
+
+    afterEach(function () {
+        bolaRule.reset();
+    });
+
+    it('should leave the quality unchanged while no segment has been downloaded', function () {
+        const switchRequest = execute();
+
+        expect(switchRequest.value).to.be.equal(SwitchRequest.NO_CHANGE);
+    });
+
+    it('should start from the throughput of the last downloads, the request latency included', function () {
+        // 250000 bytes in 1s once the first byte arrived after 1s: 1000 kbps
+        download(1000, 1000, 250000);
+        download(1000, 1000, 250000);
+
+        const switchRequest = execute();
+
+        expect(switchRequest.reason.throughput).to.be.equal(1000000);
+        // 900 kbps once the bandwidth safety factor is applied
+        expect(switchRequest.value).to.be.equal(1);
+    });
+
+    it('should average the throughput of the last downloads harmonically', function () {
+        // 2000 kbps then 500 kbps, the request latency included
+        download(500, 500, 250000);
+        download(1000, 3000, 250000);
+
+        const switchRequest = execute();
+
+        expect(switchRequest.reason.throughput).to.be.equal(800000);
+        expect(switchRequest.value).to.be.equal(0);
+    });
+});
@@ -0,0 +1,109 @@
+import DroppedFramesRule from '../src/streaming/rules/abr/DroppedFramesRule';
+import SwitchRequest from '../src/streaming/rules/SwitchRequest';
+import VideoModel from '../src/streaming/models/VideoModel';
+import EventBus from '../src/core/EventBus';
+import Events from '../src/core/events/Events';
+import MediaPlayerEvents from '../src/streaming/MediaPlayerEvents';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('DroppedFramesRule', function () {
+    const context = {};
+    const eventBus = EventBus(context).getInstance();
+    const videoModel = VideoModel(context).getInstance();
+    const playbackQuality = {totalVideoFrames: 0, droppedVideoFrames: 0};
+    const rulesContext = {
+        getMediaInfo: () => ({type: 'video'})
+    };
+    let caps,
+        droppedFramesRule;
+
+    Events.extend(MediaPlayerEvents);
+
+    function render(quality, totalFrames, droppedFrames) {
+        eventBus.trigger(Events.QUALITY_CHANGE_RENDERED, {mediaType: 'video', oldQuality: NaN, newQuality: quality});
+        eventBus.trigger(Events.PLAYBACK_TIME_UPDATED);
+        playbackQuality.totalVideoFrames += totalFrames;
+        playbackQuality.droppedVideoFrames += droppedFrames;
+        eventBus.trigger(Events.PLAYBACK_TIME_UPDATED);
+    }
+
+    function execute() {
+        let result;
+        droppedFramesRule.execute(rulesContext, function (switchRequest) {
+            result = switchRequest;
+        });
+        return result;
+    }
+
+    beforeEach(function () {
+        caps = [];
+        playbackQuality.totalVideoFrames = 0;
+        playbackQuality.droppedVideoFrames = 0;
+        videoModel.setElement({getVideoPlaybackQuality: () => playbackQuality});
+        droppedFramesRule = DroppedFramesRule(context).create({
+            metricsModel: {
+                addDroppedFramesCap: (mediaType, maxQuality) => caps.push(maxQuality)
+            }
+        });
+    });
+
+    afterEach(function () {
+        droppedFramesRule.reset();
+    });
+
+    it('should not limit quality when no frames have been dropped', function () {
+        render(2, 1000, 0);
+
+        expect(execute().maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+        expect(caps).to.be.empty; // jshint ignore:line
+    });
+
+    it('should not limit quality before the minimum number of frames has been observed', function () {
+        render(2, 100, 50);
+
+        expect(execute().maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+    });
+
+    it('should forbid a quality dropping too many frames and report the cap once', function () {
+        render(1, 1000, 10);
+        render(2, 1000, 300);
+
+        expect(execute().maxValue).to.be.equal(1);
+        expect(execute().maxValue).to.be.equal(1);
+        expect(caps).to.deep.equal([1]);
+    });
+
+    it('should never forbid the lowest quality', function () {
+        render(0, 1000, 900);
+
+        expect(execute().maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+    });
+
+    it('should try a forbidden quality again once the frames observed have decayed', function () {
+        const clock = sinon.useFakeTimers(1000000);
+        render(1, 1000, 10);
+        render(2, 1000, 300);
+        expect(execute().maxValue).to.be.equal(1);
+
+        // 1000 frames count as 500 after a minute, still above the minimum sample size
+        clock.tick(60000);
+        render(1, 0, 0);
+        expect(execute().maxValue).to.be.equal(1);
+        expect(execute().reason.totalFrames).to.be.equal(500);
+
+        clock.tick(60000);
+        render(1, 0, 0);
+        expect(execute().maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+        expect(caps).to.deep.equal([1, NaN]);
+        clock.restore();
+    });
+
+    it('should forget the observed frames on period switch', function () {
+        render(2, 1000, 300);
+        eventBus.trigger(Events.PERIOD_SWITCH_COMPLETED);
+
+        expect(execute().maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+    });
+});
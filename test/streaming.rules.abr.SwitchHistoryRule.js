@@ -0,0 +1,73 @@
+import SwitchHistoryRule from '../src/streaming/rules/abr/SwitchHistoryRule';
+import SwitchRequest from '../src/streaming/rules/SwitchRequest';
+
+const expect = require('chai').expect;
+
+describe('SwitchHistoryRule', function () {
+    const context = {};
+    let repSwitchList,
+        switchHistoryRule;
+
+    function execute(current) {
+        const rulesContext = {
+            getMediaInfo: () => ({type: 'video'}),
+            getCurrentValue: () => current,
+            getStreamProcessor: () => ({
+                getRepresentationController: () => ({
+                    getData: () => ({Representation_asArray: [{id: 'low'}, {id: 'mid'}, {id: 'high'}]})
+                })
+            })
+        };
+        let result;
+        switchHistoryRule.execute(rulesContext, function (switchRequest) {
+            result = switchRequest;
+        });
+        return result;
+    }
+
+    beforeEach(function () {
+        repSwitchList = [];
+        switchHistoryRule = SwitchHistoryRule(context).create({
+            metricsModel: {
+                getReadOnlyMetricsFor: () => ({RepSwitchList: repSwitchList})
+            }
+        });
+    });
+
+    afterEach(function () {
+        switchHistoryRule.reset();
+    });
+
+    it('should not limit quality when it is stable', function () {
+        let result;
+        for (let i = 0; i < 10; i++) {
+            result = execute(2);
+        }
+
+        expect(result.maxValue).to.be.equal(SwitchRequest.NO_CHANGE);
+    });
+
+    it('should block an up-switch to a quality that is repeatedly switched away from', function () {
+        let result;
+        [1, 2, 1, 1, 2, 1, 1].forEach(quality => {
+            result = execute(quality);
+        });
+
+        expect(result.maxValue).to.be.equal(1);
+    });
+
+    it('should never ask for a quality lower than the current one', function () {
+        let result;
+        [1, 2, 1, 1, 2, 1, 2].forEach(quality => {
+            result = execute(quality);
+        });
+
+        expect(result.maxValue).to.be.at.least(2);
+    });
+
+    it('should be seeded with the representation switches already recorded', function () {
+        repSwitchList = ['mid', 'high', 'mid', 'high', 'mid', 'high', 'mid'].map(id => ({to: id}));
+
+        expect(execute(1).maxValue).to.be.equal(1);
+    });
+});
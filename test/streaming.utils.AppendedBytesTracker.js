@@ -0,0 +1,42 @@
+import AppendedBytesTracker from '../src/streaming/utils/AppendedBytesTracker';
+import CustomTimeRanges from '../src/streaming/utils/CustomTimeRanges';
+
+const expect = require('chai').expect;
+
+describe('AppendedBytesTracker', function () {
+    const context = {};
+    let tracker;
+
+    beforeEach(function () {
+        tracker = AppendedBytesTracker(context).create();
+        // four 4s segments of 100, 200, 300 and 400 bytes
+        [100, 200, 300, 400].forEach((bytes, i) => tracker.add(i * 4, (i + 1) * 4, bytes));
+    });
+
+    it('should sum the bytes of the appended segments', function () {
+        expect(tracker.getTotalBytes()).to.be.equal(1000);
+    });
+
+    it('should replace the segment covering the same time range', function () {
+        tracker.add(4, 8, 50);
+
+        expect(tracker.getTotalBytes()).to.be.equal(850);
+    });
+
+    it('should forget the removed and the evicted segments', function () {
+        const ranges = CustomTimeRanges(context).create();
+        ranges.add(4, 16);
+
+        tracker.remove(12, 16);
+        expect(tracker.getTotalBytes()).to.be.equal(600);
+
+        tracker.keepBuffered(ranges);
+        expect(tracker.getTotalBytes()).to.be.equal(500);
+    });
+
+    it('should give the end of the time range to remove to free enough bytes', function () {
+        expect(tracker.getPruningEnd(250, 12)).to.be.equal(8);
+        expect(tracker.getPruningEnd(900, 12)).to.be.equal(12);
+        expect(tracker.getPruningEnd(100, 2)).to.be.NaN; // jshint ignore:line
+    });
+});
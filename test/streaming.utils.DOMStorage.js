@@ -0,0 +1,92 @@
+import DOMStorage from '../src/streaming/utils/DOMStorage';
+import MediaPlayerModel from '../src/streaming/models/MediaPlayerModel';
+import Debug from '../src/core/Debug';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+class MemoryStorage {
+    constructor() {
+        this.items = {};
+    }
+
+    getItem(key) {
+        return this.items.hasOwnProperty(key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+    }
+}
+
+describe('DOMStorage', function () {
+    const TEN_MINUTES = 10 * 60 * 1000;
+    let context,
+        domStorage,
+        mediaPlayerModel,
+        clock,
+        previousWindow;
+
+    beforeEach(function () {
+        context = {};
+        previousWindow = global.window;
+        global.localStorage = new MemoryStorage();
+        global.window = {localStorage: global.localStorage};
+        clock = sinon.useFakeTimers(0);
+        Debug(context).getInstance().setLogToBrowserConsole(false);
+        mediaPlayerModel = MediaPlayerModel(context).getInstance();
+        domStorage = DOMStorage(context).getInstance();
+    });
+
+    afterEach(function () {
+        clock.restore();
+        global.window = previousWindow;
+        delete global.localStorage;
+    });
+
+    describe('throughput', function () {
+        it('should save the estimates per origin and media type', function () {
+            domStorage.setSavedThroughput('https://cdn1.example.com', 'video', 4000.4, 60.2);
+            domStorage.setSavedThroughput('https://cdn1.example.com', 'audio', 800, NaN);
+
+            expect(domStorage.getSavedThroughput('https://cdn1.example.com', 'video')).to.deep.equal({throughput: 4000, latency: 60});
+            expect(domStorage.getSavedThroughput('https://cdn1.example.com', 'audio').latency).to.be.NaN; // jshint ignore:line
+            expect(domStorage.getSavedThroughput('https://cdn2.example.com', 'video')).to.be.null; // jshint ignore:line
+        });
+
+        it('should ignore the estimates older than the time to live', function () {
+            mediaPlayerModel.setLastThroughputCachingInfo(true, TEN_MINUTES);
+            domStorage.setSavedThroughput('https://cdn1.example.com', 'video', 4000, 60);
+
+            clock.tick(2 * TEN_MINUTES);
+
+            expect(domStorage.getSavedThroughput('https://cdn1.example.com', 'video')).to.be.null; // jshint ignore:line
+        });
+
+        it('should drop the least recently updated origins', function () {
+            for (let i = 0; i < 11; i++) {
+                domStorage.setSavedThroughput('https://cdn' + i + '.example.com', 'video', 1000 + i, 50);
+            }
+            domStorage.setSavedThroughput('https://cdn1.example.com', 'video', 2000, 50);
+            domStorage.setSavedThroughput('https://cdn11.example.com', 'video', 1011, 50);
+
+            expect(Object.keys(JSON.parse(localStorage.getItem('dashjs_throughput'))).length).to.be.equal(10);
+            expect(domStorage.getSavedThroughput('https://cdn0.example.com', 'video')).to.be.null; // jshint ignore:line
+            expect(domStorage.getSavedThroughput('https://cdn1.example.com', 'video').throughput).to.be.equal(2000);
+            expect(domStorage.getSavedThroughput('https://cdn2.example.com', 'video')).to.be.null; // jshint ignore:line
+        });
+
+        it('should not save nor restore the estimates when disabled', function () {
+            domStorage.setSavedThroughput('https://cdn1.example.com', 'video', 4000, 60);
+            mediaPlayerModel.setLastThroughputCachingInfo(false);
+
+            expect(domStorage.getSavedThroughput('https://cdn1.example.com', 'video')).to.be.null; // jshint ignore:line
+            domStorage.setSavedThroughput('https://cdn2.example.com', 'video', 4000, 60);
+            expect(Object.keys(JSON.parse(localStorage.getItem('dashjs_throughput')))).to.deep.equal(['https://cdn1.example.com']);
+        });
+    });
+});